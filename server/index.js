@@ -17,7 +17,10 @@ import {
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
 import { v4 as uuidv4 } from 'uuid';
+import { erf, lgamma } from 'mathjs';
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 
 // Input validation utilities to prevent injection and malformed data
 class InputValidator {
@@ -97,6 +100,249 @@ class InputValidator {
   }
 }
 
+// Function words ignored by keyword extraction and semantic similarity
+const STOP_WORDS = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
+
+// DXT user_configuration values, passed in through manifest.json server.mcp_config.env
+const USER_CONFIG = {
+  citation_style: process.env.ASR_GOT_CITATION_STYLE || 'vancouver',
+  statistical_power_threshold: parseFloat(process.env.ASR_GOT_STATISTICAL_POWER_THRESHOLD) || 0.8,
+  impact_estimation_model: process.env.ASR_GOT_IMPACT_ESTIMATION_MODEL || 'comprehensive',
+  enable_multi_layer_networks: process.env.ASR_GOT_ENABLE_MULTI_LAYER_NETWORKS !== 'false',
+  enable_collaboration_features: process.env.ASR_GOT_ENABLE_COLLABORATION_FEATURES === 'true',
+  // Unset placeholders arrive as an empty string or as the literal template
+  research_workspace: /^\$\{.*\}$/.test(process.env.ASR_GOT_RESEARCH_WORKSPACE || '') ? null : process.env.ASR_GOT_RESEARCH_WORKSPACE || null
+};
+
+// P1.10/P1.24/P1.25: Notation used when annotating claims with edge types
+const EDGE_TYPE_SYMBOLS = {
+  Correlative: '⇢',
+  Supportive: '↑',
+  Contradictory: '⊥',
+  Prerequisite: '⊢',
+  Generalization: '⊇',
+  Specialization: '⊂',
+  Causal: '→',
+  'Temporal Precedence': '≺'
+};
+
+// P1.10/P1.14: Evidence edge types accepted in Stage 4 and how each one moves the Beta posterior
+// direction: +1 pulls the hypothesis toward the evidence confidence, -1 pushes it away
+// weight: multiplier on the evidence pseudo-count (correlation counts for less than causation)
+const EVIDENCE_EDGE_TYPES = {
+  Supportive: { symbol: EDGE_TYPE_SYMBOLS.Supportive, direction: 1, weight: 1.0 },
+  Contradictory: { symbol: EDGE_TYPE_SYMBOLS.Contradictory, direction: -1, weight: 1.0 },
+  Correlative: { symbol: EDGE_TYPE_SYMBOLS.Correlative, direction: 1, weight: 0.5 },
+  Causal: { symbol: EDGE_TYPE_SYMBOLS.Causal, direction: 1, weight: 1.25 }
+};
+
+// P1.14: Pseudo-observations contributed by one fully reliable piece of evidence
+const EVIDENCE_BASE_WEIGHT = 10;
+
+// P1.14: Prior strength (alpha + beta) assumed when a distribution carries no usable variance
+const MIN_PRIOR_STRENGTH = 2;
+
+// P1.5: Stage 5 defaults - prune below 0.2 expected confidence with low impact, merge at 0.8 overlap
+const PRUNING_DEFAULTS = {
+  confidence_threshold: 0.2,
+  impact_threshold: 0.4, // P1.28 low impact band (matches _getImpactDistribution)
+  merge_threshold: 0.8,
+  falsification_penalty: 0.25 // P1.16 relative reduction of E[C] for hypotheses without criteria
+};
+
+// Structural node types: Stage 5 never prunes or merges them and gap-focused subgraphs leave them out
+const PROTECTED_NODE_TYPES = new Set(['root', 'dimension', 'super_node']);
+
+// P1.5: Order of the components in every confidence vector
+const CONFIDENCE_DIMENSIONS = ['empirical_support', 'theoretical_basis', 'methodological_rigor', 'consensus_alignment'];
+
+// P1.24: Edge types that carry causal semantics
+const CAUSAL_EDGE_TYPES = ['Causal', 'Counterfactual', 'Confounded'];
+
+// P1.24: Search limits that keep causal analysis tractable on large graphs
+const CAUSAL_SEARCH_LIMITS = {
+  max_paths: 100,
+  max_adjustment_candidates: 12,
+  max_adjustment_set_size: 4
+};
+
+// P1.25: Temporal edge types and detection defaults
+const TEMPORAL_EDGE_TYPES = ['Temporal Precedence', 'Cyclic', 'Delayed', 'Sequential'];
+const TEMPORAL_DEFAULTS = {
+  delay_threshold_hours: 24,
+  max_chains: 50
+};
+
+// P1.26: Supported power-analysis families and their effect-size metrics
+const POWER_TEST_FAMILIES = {
+  t_test: { metric: "Cohen's d", min_n: 2 },
+  proportions: { metric: "Cohen's h", min_n: 2 },
+  correlation: { metric: 'Pearson r', min_n: 4 },
+  anova: { metric: "Cohen's f", min_n: 2 },
+  chi_square: { metric: "Cohen's w", min_n: 2 }
+};
+
+// P1.27: Bernoulli trials in the standard probe used for expected information gain
+// (matches the pseudo-count of one evidence item at the default reliability of 0.7)
+const INFORMATION_PROBE_TRIALS = Math.round(EVIDENCE_BASE_WEIGHT * 0.7);
+
+// P1.28: Impact models - weights over the impact vector; domain_specific also scales by domain weights
+const IMPACT_MODELS = {
+  basic: { theoretical_significance: 0.25, practical_utility: 0.25, gap_reduction: 0.25, methodological_innovation: 0.25 },
+  comprehensive: { theoretical_significance: 0.3, practical_utility: 0.3, gap_reduction: 0.25, methodological_innovation: 0.15 },
+  domain_specific: { theoretical_significance: 0.3, practical_utility: 0.3, gap_reduction: 0.25, methodological_innovation: 0.15 }
+};
+const DEFAULT_DOMAIN_WEIGHTS = {
+  immunology: 1.2,
+  dermatology: 1.2,
+  machine_learning: 1.1,
+  computational_biology: 1.1
+};
+
+// P1.19: Intervention templates used when no candidates are supplied; cost is relative (0-1)
+const INTERVENTION_TEMPLATES = {
+  literature_search: { reliability: 0.5, cost: 0.1, timeline: '2-4 weeks', tools: ['pubmed_search', 'citation_analysis'] },
+  computational_analysis: { reliability: 0.6, cost: 0.2, timeline: '2-6 weeks', tools: ['public_datasets', 'statistical_software'] },
+  observational_study: { reliability: 0.7, cost: 0.5, timeline: '3-6 months', tools: ['cohort_data', 'biobank_access'] },
+  controlled_experiment: { reliability: 0.9, cost: 0.8, timeline: '6-12 months', tools: ['laboratory', 'ethics_approval'] }
+};
+
+// P1.19: Monte Carlo settings for Expected Value of Information
+const EVOI_DEFAULTS = {
+  samples: 2000,
+  decision_threshold: 0.7,
+  seed: 42,
+  max_candidates: 20
+};
+
+// P1.13: Set probabilities are seeded from, and moved by changes in, this P1.5 dimension (probability of being true);
+// they are stored on the set so the evidence-derived confidence itself is never overwritten
+const COMPETING_PROBABILITY_DIMENSION = 0;
+const COMPETING_RANK_WEIGHTS = { predictive_power: 0.45, parsimony: 0.2, empirical_coverage: 0.35 };
+
+// P1.20: Aggregation functions available when collapsing a subgraph into a super-node
+const SUPER_NODE_AGGREGATIONS = {
+  confidence: ['precision_weighted', 'mean', 'min', 'max'],
+  impact: ['max', 'mean', 'noisy_or'],
+  tags: ['union', 'intersection', 'majority']
+};
+
+// P1.21: Computational budgets in abstract work units (roughly one adjacency lookup, d-separation
+// step or Monte Carlo draw each). An analysis whose estimate exceeds what is left of either budget
+// runs a sampled or heuristic variant within what is left and its result is tagged as approximate;
+// one that cannot afford even its cheapest variant fails rather than overdraw the budget
+const COMPUTE_BUDGET_DEFAULTS = {
+  per_call: 5e6,
+  per_session: 2e8,
+  sampled_pairs_per_node: 64,
+  min_monte_carlo_samples: 100,
+  ledger_size: 100,
+  seed: 42
+};
+
+// P1.22: compute_topology settings. Communities double as restructuring hints: look-alike nodes in
+// one community may be duplicates (merge), and a node whose links spread over several communities
+// may conflate distinct claims (split)
+const TOPOLOGY_DEFAULTS = {
+  community_method: 'louvain',
+  damping: 0.85,
+  max_iterations: 100,
+  tolerance: 1e-6,
+  louvain_sweeps: 10,
+  merge_similarity: 0.6,
+  split_participation: 0.5,
+  split_min_degree: 4,
+  max_suggestions: 20,
+  seed: 42
+};
+
+// P1.23: Evaluation metrics available per layer; custom layers may select a subset
+const LAYER_METRICS = ['node_count', 'internal_density', 'mean_confidence', 'confidence_dispersion', 'mean_impact', 'evidence_coverage', 'open_gaps', 'cross_layer_ratio'];
+
+// P1.29: Rules for aggregating researchers' confidence judgments on a node
+const CONSENSUS_RULES = ['mean', 'median', 'trimmed_mean', 'expertise_weighted'];
+
+// Saved graph files in the research workspace
+const GRAPH_FILE_FORMAT = {
+  format: 'asr-got-graph',
+  version: 1,
+  extension: '.asrgot.json',
+  // Per-call state that must not outlive the call
+  transient_fields: ['activeResearcher', 'revisionSnapshot']
+};
+
+// JSON that keeps Maps and Sets (e.g. the node Sets inside layers) so that decodeGraphValue can rebuild them
+function encodeGraphValue(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item instanceof Map) return { __map: Array.from(item.entries()) };
+    if (item instanceof Set) return { __set: Array.from(item) };
+    return item;
+  });
+}
+
+function decodeGraphValue(text) {
+  return JSON.parse(text, (key, item) => {
+    if (item && typeof item === 'object' && Array.isArray(item.__map)) return new Map(item.__map);
+    if (item && typeof item === 'object' && Array.isArray(item.__set)) return new Set(item.__set);
+    return item;
+  });
+}
+
+function cloneGraphValue(value) {
+  return value === undefined ? undefined : decodeGraphValue(encodeGraphValue(value));
+}
+
+// Graph state covered by the revision log. Map collections are diffed entry by entry and named by
+// entity kind; metadata is diffed key by key; the remaining fields as a whole. Beyond max_events the
+// oldest transactions are compacted away
+const REVISION_LOG = {
+  collections: {
+    vertices: 'node',
+    edges: 'edge',
+    hyperedges: 'hyperedge',
+    layers: 'layer',
+    subgraphs: 'subgraph',
+    competingSets: 'competing_set',
+    interLayerSemantics: 'inter_layer_semantics',
+    researchers: 'researcher'
+  },
+  fields: ['currentStage', 'nodeTypes', 'multiLayer', 'collaboration'],
+  default_limit: 100,
+  max_events: 1000
+};
+
+// Node and edge metadata that graph diffs skip (bookkeeping that differs between any two graphs) or
+// report only as entry counts, and the conflict rules of merge_graphs
+const GRAPH_DIFF = {
+  ignored_metadata: ['created', 'updated', 'timestamp', 'node_id', 'edge_id', 'merge_conflict'],
+  summarized_metadata: ['revision_history', 'contributions', 'judgments'],
+  merge_rules: ['flag_for_review', 'keep_higher_evidence', 'prefer_target', 'prefer_source']
+};
+
+// P1.6: Subgraphs extracted in Stage 6 when the caller does not name any
+const DEFAULT_SUBGRAPH_CRITERIA = [
+  { name: 'high_confidence_core', criteria: { min_confidence: 0.6 } },
+  { name: 'high_impact', criteria: { min_impact: 0.7 } },
+  { name: 'causal_claims', criteria: { edge_types: CAUSAL_EDGE_TYPES } },
+  { name: 'knowledge_gap_focus', criteria: { knowledge_gap_focus: true } }
+];
+
+// P1.6: Citation styles offered by manifest.json user_configuration.citation_style
+const CITATION_STYLES = ['vancouver', 'apa', 'harvard', 'nature'];
+
+// P1.7: Score at or above which an audit check passes
+const AUDIT_PASS_THRESHOLD = 0.7;
+
+// P1.8: semantic_similarity(E, N) must exceed this for an Interdisciplinary Bridge Node
+const BRIDGE_SIMILARITY_THRESHOLD = 0.5;
+
+// P1.15: Stage 4+ gap detection defaults
+const GAP_DEFAULTS = {
+  variance_threshold: 0.05, // mean Beta variance across P1.5 dimensions
+  min_degree: 2, // hypotheses linked only to their dimension count as poorly connected
+  max_gaps: 20
+};
+
 // Complete ASR-GoT Graph State Management - Exact Specification Implementation
 class ASRGoTGraph {
   constructor(config = {}) {
@@ -115,10 +361,20 @@ class ASRGoTGraph {
       this.confidenceFunction = new Map(); // Cₜ (P1.14)
       this.metadataFunction = new Map(); // Mₜ (P1.12)
       this.informationMetrics = new Map(); // Iₜ (P1.27)
+      this.subgraphs = new Map(); // Stage 6 extracted views (P1.6)
+      this.competingSets = new Map(); // Mutually exclusive hypothesis sets (P1.13)
+      this.interLayerSemantics = new Map(); // Declared relations between layer pairs (P1.23)
+      this.multiLayer = (config.enable_multi_layer ?? USER_CONFIG.enable_multi_layer_networks) !== false; // P1.23
+      this.researchers = new Map(); // Researcher registry (P1.29)
+      this.collaboration = (config.enable_collaboration ?? USER_CONFIG.enable_collaboration_features) === true; // P1.29
+      this.activeResearcher = null;
+      this.persistence = { name: null, autosave: true, last_saved: null }; // research_workspace file
+      this.branch = null; // Fork lineage when this graph is a branch of another
       
       // Memory management limits
       this.maxVertices = config.maxVertices || 10000;
       this.maxEdges = config.maxEdges || 50000;
+      this.computeBudget = this._initializeComputeBudget(config); // P1.21
       this.isFailsafe = true;
       this.errorLog = [];
       
@@ -131,6 +387,9 @@ class ASRGoTGraph {
         parameters: this._safeInitializeAllParameters()
       };
       
+      // P1.23: Layers must exist before any node is placed in them
+      this._initializeLayerStructure();
+      
       this.currentStage = 0; // Before Stage 1
       this.stageNames = [
         'initialization', 'decomposition', 'hypothesis_planning', 
@@ -142,6 +401,10 @@ class ASRGoTGraph {
       // Initialize with minimal safe state
       this._initializeMinimalState(config);
     }
+
+    // Event 0 of the revision log is the empty graph as constructed here
+    this.revisionLog = { events: [], transactions: [], undo_stack: [], redo_stack: [], compacted_events: 0, compacted_transactions: 0 };
+    this.revisionSnapshot = null;
   }
 
   // Failsafe method to initialize minimal working state
@@ -154,8 +417,18 @@ class ASRGoTGraph {
     this.confidenceFunction = new Map();
     this.metadataFunction = new Map();
     this.informationMetrics = new Map();
+    this.subgraphs = new Map();
+    this.competingSets = new Map();
+    this.interLayerSemantics = new Map();
+    this.multiLayer = (config?.enable_multi_layer ?? USER_CONFIG.enable_multi_layer_networks) !== false;
+    this.researchers = new Map();
+    this.collaboration = (config?.enable_collaboration ?? USER_CONFIG.enable_collaboration_features) === true;
+    this.activeResearcher = null;
+    this.persistence = { name: null, autosave: true, last_saved: null };
+    this.branch = null;
     this.maxVertices = 1000;
     this.maxEdges = 5000;
+    this.computeBudget = this._initializeComputeBudget(config || {});
     this.isFailsafe = true;
     this.errorLog = [];
     this.currentStage = 0;
@@ -167,6 +440,7 @@ class ASRGoTGraph {
       config: config || {},
       parameters: {}
     };
+    this._initializeLayerStructure();
   }
 
   // Safe timestamp generation
@@ -210,11 +484,6 @@ class ASRGoTGraph {
         'P1.1': { name: 'node_metadata', status: 'failsafe_mode' }
       };
     }
-    
-    // P1.23: Initialize multi-layer structure if enabled
-    if (config.enable_multi_layer !== false) {
-      this._initializeLayerStructure();
-    }
   }
 
   // P1.0-P1.29: Initialize all parameters exactly as specified
@@ -260,15 +529,17 @@ class ASRGoTGraph {
     };
   }
 
-  // P1.23: Initialize multi-layer structure exactly as specified
+  // P1.23: Initialize multi-layer structure exactly as specified; a single-layer graph only has 'base'
   _initializeLayerStructure() {
-    const defaultLayers = [
+    const allLayers = [
       { id: 'base', name: 'Base Conceptual Layer', description: 'Core concepts and relationships' },
       { id: 'methodological', name: 'Methodological Layer', description: 'Research methods and approaches' },
       { id: 'empirical', name: 'Empirical Evidence Layer', description: 'Data and evidence' },
       { id: 'theoretical', name: 'Theoretical Framework Layer', description: 'Theoretical constructs' },
-      { id: 'interdisciplinary', name: 'Interdisciplinary Bridge Layer', description: 'Cross-domain connections' }
+      { id: 'interdisciplinary', name: 'Interdisciplinary Bridge Layer', description: 'Cross-domain connections' },
+      { id: 'abstraction', name: 'Abstraction Layer', description: 'Super-nodes summarizing collapsed subgraphs' }
     ];
+    const defaultLayers = this.multiLayer === false ? allLayers.filter(layer => layer.id === 'base') : allLayers;
     
     defaultLayers.forEach(layer => {
       this.layers.set(layer.id, {
@@ -284,7 +555,7 @@ class ASRGoTGraph {
   // P1.12: Complete metadata schema implementation - EXACT specification
   _createNodeMetadata(baseMetadata = {}) {
     const timestamp = new Date().toISOString();
-    return {
+    const metadata = {
       // Core required fields
       node_id: baseMetadata.node_id || uuidv4(),
       created: timestamp,
@@ -309,6 +580,10 @@ class ASRGoTGraph {
       // Additional metadata
       ...baseMetadata
     };
+    if (this.activeResearcher) {
+      this._recordContribution(metadata, this.activeResearcher, { action: 'created', role: 'author', timestamp });
+    }
+    return metadata;
   }
 
   // Safe version of _createNodeMetadata with error handling
@@ -449,7 +724,7 @@ class ASRGoTGraph {
     this.nodeTypes.add('root');
     
     // Add to base layer (P1.23)
-    this.layers.get('base').nodes.add('n0');
+    this._placeInLayer('n0', 'base');
     
     this.metadata.stage = 'initialization';
     this.currentStage = 1;
@@ -532,12 +807,7 @@ class ASRGoTGraph {
           this.vertices.set(nodeId, dimensionNode);
           this.nodeTypes.add('dimension');
           
-          // Safely add to layer
-          if (this.layers.has('base')) {
-            this.layers.get('base').nodes.add(nodeId);
-          } else {
-            this._logError('Base layer not found during decomposition', new Error('Missing base layer'));
-          }
+          this._placeInLayer(nodeId, 'base'); // P1.23
       
           // P1.2: Connect dimension nodes to n₀
           try {
@@ -695,12 +965,7 @@ class ASRGoTGraph {
           this.vertices.set(nodeId, hypothesisNode);
           this.nodeTypes.add('hypothesis');
           
-          // Safely add to layer
-          if (this.layers.has('theoretical')) {
-            this.layers.get('theoretical').nodes.add(nodeId);
-          } else {
-            this._logError('Theoretical layer not found during hypothesis generation', new Error('Missing theoretical layer'));
-          }
+          this._placeInLayer(nodeId, 'theoretical'); // P1.23
 
           // Create edge from dimension to hypothesis
           try {
@@ -1033,10 +1298,8 @@ class ASRGoTGraph {
   _extractKeywords(query) {
     try {
       const words = query.toLowerCase().split(/\s+/);
-      const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
-      
       return words
-        .filter(word => word.length > 3 && !stopWords.has(word))
+        .filter(word => word.length > 3 && !STOP_WORDS.has(word))
         .slice(0, 10);
     } catch (error) {
       this._logError('Keyword extraction failed', error);
@@ -1044,761 +1307,8983 @@ class ASRGoTGraph {
     }
   }
 
-  // Continue with remaining stages implementation...
-  // [Stage 4-8 implementations would follow here with exact specification compliance]
+  // Stage 4: Evidence Integration (P1.4, P1.14) - creates evidence node, links it, updates h*.confidence
+  integrateEvidence(hypothesisNodeId, evidence, config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot integrate evidence. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
 
-  // Get comprehensive graph summary with exact specification compliance
-  getGraphSummary() {
-    const summary = {
-      // P1.11: Mathematical formalism state
-      graph_state: {
-        vertices_count: this.vertices.size, // |Vₜ|
-        edges_count: this.edges.size, // |Eₜ|
-        hyperedges_count: this.hyperedges.size, // |Eₕₜ|
-        layers_count: this.layers.size, // |Lₜ|
-        node_types: Array.from(this.nodeTypes), // T
-      },
-      
-      // Stage information
-      current_stage: this.currentStage,
-      stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization',
-      
-      // P1.23: Layer distribution
-      layers: Array.from(this.layers.keys()),
-      layer_distribution: this._getLayerDistribution(),
-      
-      // Node type breakdown
-      node_types: this._getNodeTypeBreakdown(),
-      
-      // P1.22: Topology metrics
-      topology_metrics: this._getTopologyMetrics(),
-      
-      // P1.5/P1.14: Confidence statistics
-      confidence_statistics: this._getConfidenceStatistics(),
-      
-      // P1.28: Impact distribution
-      impact_distribution: this._getImpactDistribution(),
-      
-      // Active parameters (all P1.0-P1.29)
-      active_parameters: Object.keys(this.metadata.parameters).filter(p => this.metadata.parameters[p].active),
-      total_parameters: Object.keys(this.metadata.parameters).length,
-      
-      // Quality metrics
-      bias_flags_count: this._countBiasFlags(), // P1.17
-      falsifiability_coverage: this._assessFalsifiabilityCoverage(), // P1.16
-      interdisciplinary_bridges: Array.from(this.vertices.values()).filter(n => n.type === 'bridge').length, // P1.8
-      knowledge_gaps: Array.from(this.vertices.values()).filter(n => n.type === 'placeholder_gap').length // P1.15
-    };
+      // Input validation
+      if (!hypothesisNodeId || typeof hypothesisNodeId !== 'string') {
+        throw new McpError(ErrorCode.InvalidParams, 'hypothesisNodeId must be a non-empty string');
+      }
 
-    return summary;
+      const hypothesisNode = this.vertices.get(hypothesisNodeId);
+      if (!hypothesisNode) {
+        throw new McpError(ErrorCode.InvalidParams, `Hypothesis node ${hypothesisNodeId} not found`);
+      }
+      if (hypothesisNode.type !== 'hypothesis') {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${hypothesisNodeId} is of type '${hypothesisNode.type}', expected 'hypothesis'`);
+      }
+
+      if (!evidence || typeof evidence !== 'object' || !evidence.content) {
+        throw new McpError(ErrorCode.InvalidParams, 'evidence must be an object with content');
+      }
+
+      const edgeType = evidence.edge_type || 'Supportive';
+      const edgeModel = EVIDENCE_EDGE_TYPES[edgeType];
+      if (!edgeModel) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported evidence edge_type '${edgeType}'. Expected one of: ${Object.keys(EVIDENCE_EDGE_TYPES).join(', ')}`);
+      }
+
+      const reliability = evidence.reliability !== undefined ? evidence.reliability : 0.7;
+      if (typeof reliability !== 'number' || reliability < 0 || reliability > 1) {
+        throw new McpError(ErrorCode.InvalidParams, 'evidence.reliability must be a number between 0 and 1');
+      }
+
+      const evidenceConfidence = evidence.confidence || [0.7, 0.7, 0.7, 0.7];
+      if (!Array.isArray(evidenceConfidence) || evidenceConfidence.length !== 4) {
+        throw new McpError(ErrorCode.InvalidParams, 'evidence.confidence must be a P1.5 vector of 4 values');
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] Stage 4: Integrating ${edgeType} evidence for ${hypothesisNodeId} - P1.4/P1.14`);
+
+      // P1.26: Power analysis supplied with the evidence weights the Bayesian update
+      const statisticalPower = evidence.power_analysis ? this._computeStatisticalPower(evidence.power_analysis) : null;
+      const powerWeight = statisticalPower ? statisticalPower.evidence_weight : 1;
+
+      // Check memory limits before adding evidence node and edge
+      this.enforceMemoryLimits();
+
+      const nodeId = this._nextEvidenceNodeId();
+      const evidenceMetadata = this._safeCreateNodeMetadata({
+        node_id: nodeId,
+        provenance: evidence.source || 'evidence_integration',
+        epistemic_status: 'evidence',
+        confidence: this._createProbabilityDistribution(evidenceConfidence),
+        disciplinary_tags: evidence.disciplinary_tags || [], // P1.8
+        bias_flags: this._safeAssessInitialBiasRisk(evidence), // P1.17
+        impact_score: evidence.impact_score || 0.5, // P1.28
+        attribution: evidence.attribution || [], // P1.29
+        layer_id: 'empirical', // P1.23
+        reliability: reliability,
+        statistical_power: statisticalPower, // P1.26
+        citation: evidence.citation || null // P1.6
+      });
+
+      const evidenceNode = {
+        node_id: nodeId,
+        label: evidence.title || `Evidence ${nodeId.split('.')[1]}`,
+        type: 'evidence',
+        content: evidence.content,
+        confidence: evidenceMetadata.confidence,
+        metadata: evidenceMetadata
+      };
+
+      this.vertices.set(nodeId, evidenceNode);
+      this.nodeTypes.add('evidence');
+
+      this._placeInLayer(nodeId, 'empirical'); // P1.23
+
+      // P1.10: Typed edge from evidence to hypothesis
+      const edgeId = `e_${nodeId}_${hypothesisNodeId}`;
+      const edgeMetadata = this._safeCreateEdgeMetadata({
+        edge_id: edgeId,
+        edge_type: edgeType,
+        confidence: this._createProbabilityDistribution(evidenceConfidence),
+        weight: reliability * edgeModel.weight
+      });
+
+      this.edges.set(edgeId, {
+        edge_id: edgeId,
+        source: nodeId,
+        target: hypothesisNodeId,
+        metadata: edgeMetadata
+      });
+
+      // P1.14: Conjugate Beta update of h*.confidence
+      const prior = hypothesisNode.confidence;
+      const pseudoCount = EVIDENCE_BASE_WEIGHT * reliability * edgeModel.weight * (config.evidence_weight || 1) * powerWeight;
+      const posterior = this._bayesianUpdate(prior, evidenceConfidence, pseudoCount, edgeModel.direction);
+
+      const klDivergence = this._confidenceKlDivergence(posterior, prior); // P1.27
+
+      hypothesisNode.confidence = posterior;
+      hypothesisNode.metadata.confidence = posterior;
+      hypothesisNode.metadata.updated = this._safeGetTimestamp();
+      hypothesisNode.metadata.epistemic_status = this._classifyEpistemicStatus(posterior);
+      this._recordRevision(hypothesisNode, {
+        timestamp: hypothesisNode.metadata.updated,
+        stage: 'evidence_integration',
+        action: 'bayesian_update',
+        evidence_node_id: nodeId,
+        edge_id: edgeId,
+        edge_type: edgeType,
+        reliability: reliability,
+        power_weight: powerWeight,
+        pseudo_count: pseudoCount,
+        kl_divergence: klDivergence,
+        prior: { means: prior.means, variances: prior.variances },
+        posterior: { means: posterior.means, variances: posterior.variances }
+      });
+      this._refreshInfoMetrics(hypothesisNode, klDivergence);
+      this._refreshInfoMetrics(evidenceNode);
+      const renormalized = this._renormalizeCompetingSets(hypothesisNode.node_id, prior.means, 'evidence_integration'); // P1.13
+      this._refreshSuperNodes(hypothesisNode.node_id); // P1.20
+
+      // P1.22: Once compute_topology has assigned communities, the evidence joins its hypothesis' community
+      // until the next run and both nodes are checked for merge/split hints
+      let restructuring = null;
+      if (this.metadata.topology_analysis) {
+        evidenceNode.metadata.topology_metrics.community_id = hypothesisNode.metadata.topology_metrics?.community_id ?? null;
+        const { merges, splits } = this._communityRestructuringSuggestions([nodeId, hypothesisNodeId]);
+        restructuring = { merges, splits };
+      }
+
+      // P1.8: Bridge disjoint disciplines when the contents are semantically close
+      const bridge = this._maybeCreateBridge(nodeId, hypothesisNodeId, {
+        threshold: config.bridge_similarity_threshold,
+        trigger: 'evidence_integration'
+      });
+
+      this.currentStage = 4;
+      this.metadata.stage = 'evidence_integration';
+
+      console.error(`[${new Date().toISOString()}] [INFO] Evidence ${nodeId} linked to ${hypothesisNodeId} via ${edgeType} (${edgeModel.symbol}) edge`);
+
+      return {
+        success: true,
+        evidence_node_id: nodeId,
+        edge_id: edgeId,
+        edge_type: edgeType,
+        edge_symbol: edgeModel.symbol,
+        hypothesis_node_id: hypothesisNodeId,
+        prior_confidence: prior.means,
+        posterior_confidence: posterior.means,
+        posterior_variances: posterior.variances,
+        kl_divergence: klDivergence,
+        renormalized_competitors: renormalized,
+        achieved_power: statisticalPower ? statisticalPower.achieved_power : null,
+        epistemic_status: hypothesisNode.metadata.epistemic_status,
+        bridge_node_id: bridge ? bridge.node_id : null,
+        restructuring_suggestions: restructuring,
+        message: `Evidence integrated with Bayesian update following P1.4/P1.14 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Evidence integration stage failed', error);
+      throw new McpError(ErrorCode.InternalError, `Evidence integration failed: ${error.message}`);
+    }
   }
 
-  _getLayerDistribution() {
-    const distribution = {};
-    for (const [layerId, layer] of this.layers.entries()) {
-      distribution[layerId] = layer.nodes.size;
+  // Evidence nodes are numbered 4.1, 4.2, ... in integration order
+  _nextEvidenceNodeId() {
+    let index = 1;
+    while (this.vertices.has(`4.${index}`)) {
+      index++;
     }
+    return `4.${index}`;
+  }
+
+  // P1.14: Recover Beta(alpha, beta) parameters per confidence dimension from means/variances
+  _toBetaParameters(distribution) {
+    return distribution.means.map((mean, i) => {
+      const m = Math.min(Math.max(mean, 1e-6), 1 - 1e-6);
+      const variance = distribution.variances ? distribution.variances[i] : 0;
+      let strength = variance > 0 ? (m * (1 - m)) / variance - 1 : MIN_PRIOR_STRENGTH;
+      if (!isFinite(strength) || strength < MIN_PRIOR_STRENGTH) {
+        strength = MIN_PRIOR_STRENGTH;
+      }
+      return { alpha: m * strength, beta: (1 - m) * strength };
+    });
+  }
+
+  // P1.14: Build a confidence distribution from Beta parameters
+  _fromBetaParameters(parameters) {
+    const distribution = this._createProbabilityDistribution(
+      parameters.map(({ alpha, beta }) => alpha / (alpha + beta))
+    );
+    distribution.variances = parameters.map(({ alpha, beta }) => {
+      const strength = alpha + beta;
+      return (alpha * beta) / (strength * strength * (strength + 1));
+    });
     return distribution;
   }
 
-  _getNodeTypeBreakdown() {
-    const breakdown = {};
-    for (const node of this.vertices.values()) {
-      breakdown[node.type] = (breakdown[node.type] || 0) + 1;
-    }
-    return breakdown;
+  // P1.14: Conjugate update - evidence acts as pseudoCount Bernoulli trials per dimension,
+  // with success rate equal to the evidence confidence (inverted for contradictory evidence)
+  _bayesianUpdate(prior, evidenceMeans, pseudoCount, direction = 1) {
+    const parameters = this._toBetaParameters(prior).map(({ alpha, beta }, i) => {
+      const signal = direction >= 0 ? evidenceMeans[i] : 1 - evidenceMeans[i];
+      return {
+        alpha: alpha + pseudoCount * signal,
+        beta: beta + pseudoCount * (1 - signal)
+      };
+    });
+    return this._fromBetaParameters(parameters);
   }
 
-  _getTopologyMetrics() {
-    const nodes = this.vertices.size;
-    const edges = this.edges.size;
-    const density = nodes > 1 ? (2 * edges) / (nodes * (nodes - 1)) : 0;
-    
-    return {
-      density,
-      average_degree: nodes > 0 ? (2 * edges) / nodes : 0,
-      clustering_coefficient: this._calculateClusteringCoefficient(),
-      connected_components: this._calculateConnectedComponents(),
-      diameter: this._calculateGraphDiameter()
-    };
+  _classifyEpistemicStatus(distribution) {
+    const meanConfidence = distribution.means.reduce((a, b) => a + b, 0) / distribution.means.length;
+    if (meanConfidence >= 0.7) return 'supported';
+    if (meanConfidence <= 0.3) return 'contradicted';
+    return 'under_evaluation';
   }
 
-  _calculateClusteringCoefficient() {
-    // Simplified clustering coefficient calculation as per P1.22
-    let totalCoeff = 0;
-    let nodeCount = 0;
-    
-    for (const nodeId of this.vertices.keys()) {
-      const neighbors = this._getNeighbors(nodeId);
-      if (neighbors.length >= 2) {
-        const possibleEdges = (neighbors.length * (neighbors.length - 1)) / 2;
-        const actualEdges = this._countEdgesBetweenNodes(neighbors);
-        totalCoeff += actualEdges / possibleEdges;
-        nodeCount++;
+  // Stage 5: Pruning and Merging (P1.5, P1.16, P1.28)
+  pruneAndMergeNodes(config = {}) {
+    try {
+      if (this.currentStage < 4) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot prune and merge. Current stage: ${this.currentStage}, expected: 4 or later`);
+      }
+
+      const settings = { ...PRUNING_DEFAULTS, ...config };
+      const dryRun = config.dry_run === true;
+
+      console.error(`[${new Date().toISOString()}] [INFO] Stage 5: Pruning and merging nodes - P1.5${dryRun ? ' (dry run)' : ''}`);
+
+      const pruned = [];
+      const merged = [];
+      const penalized = [];
+
+      // P1.5/P1.16/P1.28: Prune nodes with min(E[C]) below threshold and low impact
+      for (const node of Array.from(this.vertices.values())) {
+        if (PROTECTED_NODE_TYPES.has(node.type)) continue;
+
+        let minExpected = Math.min(...node.confidence.means);
+        const missingCriteria = node.type === 'hypothesis' && !node.metadata.falsification_criteria;
+
+        if (missingCriteria) {
+          minExpected *= (1 - settings.falsification_penalty);
+          penalized.push({
+            node_id: node.node_id,
+            reason: 'missing_falsification_criteria',
+            penalty: settings.falsification_penalty
+          });
+          if (!dryRun && !(node.metadata.bias_flags || []).includes('missing_falsification_criteria')) {
+            node.metadata.bias_flags = [...(node.metadata.bias_flags || []), 'missing_falsification_criteria'];
+          }
+        }
+
+        const impact = node.metadata.impact_score ?? 0.5;
+        if (minExpected < settings.confidence_threshold && impact < settings.impact_threshold) {
+          pruned.push({
+            node_id: node.node_id,
+            type: node.type,
+            label: node.label,
+            min_expected_confidence: minExpected,
+            impact_score: impact,
+            reason: `min(E[C]) = ${minExpected.toFixed(3)} < ${settings.confidence_threshold} and impact ${impact.toFixed(2)} < ${settings.impact_threshold}` +
+              (missingCriteria ? ' (P1.16 penalty applied)' : '')
+          });
+          if (!dryRun) {
+            this._removeNode(node.node_id);
+          }
+        }
+      }
+
+      // P1.5: Merge same-type nodes with semantic overlap at or above threshold
+      const prunedIds = new Set(pruned.map(p => p.node_id));
+      const candidates = Array.from(this.vertices.values())
+        .filter(n => !PROTECTED_NODE_TYPES.has(n.type) && !prunedIds.has(n.node_id));
+      const absorbed = new Set();
+
+      for (let i = 0; i < candidates.length; i++) {
+        const first = candidates[i];
+        if (absorbed.has(first.node_id)) continue;
+
+        for (let j = i + 1; j < candidates.length; j++) {
+          const second = candidates[j];
+          if (absorbed.has(second.node_id) || second.type !== first.type) continue;
+
+          const similarity = this._calculateSemanticSimilarity(first, second);
+          if (similarity < settings.merge_threshold) continue;
+
+          const [survivor, victim] = this._chooseMergeSurvivor(first, second);
+          merged.push({
+            survivor_id: survivor.node_id,
+            absorbed_id: victim.node_id,
+            type: survivor.type,
+            semantic_overlap: similarity,
+            reason: `semantic_overlap = ${similarity.toFixed(3)} >= ${settings.merge_threshold}`
+          });
+          absorbed.add(victim.node_id);
+
+          if (!dryRun) {
+            this._mergeNodes(survivor.node_id, victim.node_id, similarity);
+          }
+
+          // The survivor keeps looking for further duplicates; stop if it was the one absorbed
+          if (victim === first) break;
+        }
       }
+
+      if (!dryRun) {
+        this.currentStage = 5;
+        this.metadata.stage = 'pruning_merging';
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] Stage 5 complete: ${pruned.length} pruned, ${merged.length} merged`);
+
+      return {
+        success: true,
+        dry_run: dryRun,
+        thresholds: settings,
+        pruned_nodes: pruned,
+        merged_nodes: merged,
+        penalized_hypotheses: penalized,
+        remaining_vertices: this.vertices.size,
+        remaining_edges: this.edges.size,
+        message: `Pruned ${pruned.length} and merged ${merged.length} nodes following P1.5 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Pruning and merging stage failed', error);
+      throw new McpError(ErrorCode.InternalError, `Pruning and merging failed: ${error.message}`);
     }
-    
-    return nodeCount > 0 ? totalCoeff / nodeCount : 0;
   }
 
-  _getNeighbors(nodeId) {
-    const neighbors = [];
-    for (const edge of this.edges.values()) {
-      if (edge.source === nodeId) neighbors.push(edge.target);
-      if (edge.target === nodeId) neighbors.push(edge.source);
-    }
-    return [...new Set(neighbors)];
+  // P1.5/P1.8: Token-overlap (Jaccard) similarity of node content (label only when there is no text)
+  _contentTokens(node) {
+    return (typeof node.content === 'string' && node.content ? node.content : node.label || '')
+      .toLowerCase()
+      .split(/[^a-z0-9αβγδκ-]+/)
+      .filter(token => token.length > 2 && !STOP_WORDS.has(token));
   }
 
-  _countEdgesBetweenNodes(nodeIds) {
-    let count = 0;
-    for (const edge of this.edges.values()) {
-      if (nodeIds.includes(edge.source) && nodeIds.includes(edge.target)) {
-        count++;
-      }
+  _calculateSemanticSimilarity(nodeA, nodeB) {
+    const tokensA = new Set(this._contentTokens(nodeA));
+    const tokensB = new Set(this._contentTokens(nodeB));
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let intersection = 0;
+    for (const token of tokensA) {
+      if (tokensB.has(token)) intersection++;
     }
-    return count;
+    return intersection / (tokensA.size + tokensB.size - intersection);
   }
 
-  _calculateConnectedComponents() {
-    // Simple connected components calculation
-    const visited = new Set();
-    let components = 0;
-    
-    for (const nodeId of this.vertices.keys()) {
-      if (!visited.has(nodeId)) {
-        this._dfsVisit(nodeId, visited);
-        components++;
+  // Keep the node with more evidence behind it: higher Beta strength, then degree, then impact
+  _chooseMergeSurvivor(nodeA, nodeB) {
+    const strength = (node) => this._toBetaParameters(node.confidence)
+      .reduce((sum, { alpha, beta }) => sum + alpha + beta, 0);
+    const score = (node) => [strength(node), this._getNeighbors(node.node_id).length, node.metadata.impact_score || 0];
+
+    const scoreA = score(nodeA);
+    const scoreB = score(nodeB);
+    for (let i = 0; i < scoreA.length; i++) {
+      if (scoreA[i] !== scoreB[i]) {
+        return scoreA[i] > scoreB[i] ? [nodeA, nodeB] : [nodeB, nodeA];
       }
     }
-    
-    return components;
+    return [nodeA, nodeB];
   }
 
-  _dfsVisit(nodeId, visited) {
-    visited.add(nodeId);
-    const neighbors = this._getNeighbors(nodeId);
-    for (const neighbor of neighbors) {
-      if (!visited.has(neighbor)) {
-        this._dfsVisit(neighbor, visited);
+  // P1.5: Fold victim into survivor - rewire edges, pool Beta evidence, union metadata
+  _mergeNodes(survivorId, victimId, similarity) {
+    const survivor = this.vertices.get(survivorId);
+    const victim = this.vertices.get(victimId);
+
+    // Rewire edges, dropping self-loops and duplicates of existing survivor edges
+    const existing = new Set();
+    for (const edge of this.edges.values()) {
+      if (edge.source === survivorId || edge.target === survivorId) {
+        existing.add(`${edge.source}|${edge.target}|${edge.metadata.edge_type}`);
       }
     }
-  }
+    for (const [edgeId, edge] of Array.from(this.edges.entries())) {
+      if (edge.source !== victimId && edge.target !== victimId) continue;
 
-  _calculateGraphDiameter() {
-    // Simplified diameter calculation
-    return Math.max(1, Math.floor(Math.log2(this.vertices.size)) + 1);
-  }
+      const source = edge.source === victimId ? survivorId : edge.source;
+      const target = edge.target === victimId ? survivorId : edge.target;
+      const key = `${source}|${target}|${edge.metadata.edge_type}`;
 
-  _getConfidenceStatistics() {
-    const confidences = Array.from(this.vertices.values()).map(n => {
-      if (n.confidence.type === 'probability_distribution') {
-        return n.confidence.means.reduce((a, b) => a + b, 0) / 4;
+      if (source === target || existing.has(key)) {
+        this.edges.delete(edgeId);
+        continue;
       }
-      return Array.isArray(n.confidence) ? n.confidence.reduce((a, b) => a + b, 0) / 4 : 0.5;
+      // Edge ids embed their endpoints, so a rewired edge is re-keyed under the survivor
+      const prefix = `e_${edge.source}_${edge.target}`;
+      edge.source = source;
+      edge.target = target;
+      existing.add(key);
+      if (edgeId.startsWith(prefix)) {
+        let newId = `e_${source}_${target}${edgeId.slice(prefix.length)}`;
+        if (this.edges.has(newId)) newId = this._mergeEntryId(newId, this.edges);
+        this.edges.delete(edgeId);
+        if (edge.metadata.edge_id === edgeId) edge.metadata.edge_id = newId;
+        edge.edge_id = newId;
+        this.edges.set(newId, edge);
+      }
+    }
+    this._detachFromHyperedges(victimId, survivorId);
+    this._detachFromCompetingSets(victimId, survivorId);
+    this._detachFromSuperNodes(victimId, survivorId);
+
+    // P1.14: Pool both Beta posteriors. Each one is its own prior plus its evidence, so the victim's
+    // prior pseudo-counts are taken out once to avoid counting a prior twice
+    const survivorParams = this._toBetaParameters(survivor.confidence);
+    const victimParams = this._toBetaParameters(victim.confidence);
+    const victimPrior = this._toBetaParameters(victim.metadata.revision_history?.find(entry => entry.prior)?.prior || victim.confidence);
+    const prior = survivor.confidence;
+    const pooled = this._fromBetaParameters(survivorParams.map((p, i) => ({
+      alpha: Math.max(p.alpha + victimParams[i].alpha - victimPrior[i].alpha, 1e-6),
+      beta: Math.max(p.beta + victimParams[i].beta - victimPrior[i].beta, 1e-6)
+    })));
+
+    const union = (a = [], b = []) => Array.from(new Set([...a, ...b]));
+    const timestamp = this._safeGetTimestamp();
+
+    survivor.confidence = pooled;
+    survivor.metadata.confidence = pooled;
+    survivor.metadata.updated = timestamp;
+    survivor.metadata.disciplinary_tags = union(survivor.metadata.disciplinary_tags, victim.metadata.disciplinary_tags);
+    survivor.metadata.bias_flags = union(survivor.metadata.bias_flags, victim.metadata.bias_flags);
+    survivor.metadata.attribution = union(survivor.metadata.attribution, victim.metadata.attribution);
+    survivor.metadata.impact_score = Math.max(survivor.metadata.impact_score || 0, victim.metadata.impact_score || 0);
+    survivor.metadata.falsification_criteria = survivor.metadata.falsification_criteria || victim.metadata.falsification_criteria || null;
+    if (survivor.metadata.falsification_criteria) {
+      survivor.metadata.bias_flags = survivor.metadata.bias_flags.filter(flag => flag !== 'missing_falsification_criteria');
+    }
+    survivor.metadata.merged_from = [...(survivor.metadata.merged_from || []), victimId];
+    this._recordRevision(survivor, {
+      timestamp,
+      stage: 'pruning_merging',
+      action: 'merge',
+      absorbed_node_id: victimId,
+      semantic_overlap: similarity,
+      prior: { means: prior.means, variances: prior.variances },
+      posterior: { means: pooled.means, variances: pooled.variances }
     });
-    
-    if (confidences.length === 0) return { mean: 0, std: 0, min: 0, max: 0 };
-    
-    const mean = confidences.reduce((a, b) => a + b, 0) / confidences.length;
-    const variance = confidences.reduce((sum, c) => sum + Math.pow(c - mean, 2), 0) / confidences.length;
-    
-    return {
-      mean,
-      std: Math.sqrt(variance),
-      min: Math.min(...confidences),
-      max: Math.max(...confidences)
-    };
+
+    this._removeNode(victimId);
   }
 
-  _getImpactDistribution() {
-    const impacts = Array.from(this.vertices.values()).map(n => n.metadata.impact_score || 0.5);
-    
-    return {
-      high_impact: impacts.filter(i => i >= 0.7).length,
-      medium_impact: impacts.filter(i => i >= 0.4 && i < 0.7).length,
-      low_impact: impacts.filter(i => i < 0.4).length,
-      average_impact: impacts.reduce((a, b) => a + b, 0) / impacts.length
-    };
-  }
+  // Remove a node together with its incident edges and layer membership
+  _removeNode(nodeId) {
+    const node = this.vertices.get(nodeId);
+    if (!node) return false;
 
-  _countBiasFlags() {
-    let total = 0;
-    for (const node of this.vertices.values()) {
-      total += (node.metadata.bias_flags || []).length;
+    for (const [edgeId, edge] of Array.from(this.edges.entries())) {
+      if (edge.source === nodeId || edge.target === nodeId) {
+        this.edges.delete(edgeId);
+      }
     }
-    return total;
+    this._detachFromHyperedges(nodeId);
+    this._detachFromCompetingSets(nodeId);
+    this._detachFromSuperNodes(nodeId);
+    for (const layer of this.layers.values()) {
+      layer.nodes.delete(nodeId);
+    }
+    this.vertices.delete(nodeId);
+    return true;
   }
 
-  _assessFalsifiabilityCoverage() {
-    const hypotheses = Array.from(this.vertices.values()).filter(n => n.type === 'hypothesis');
-    const withCriteria = hypotheses.filter(h => h.metadata.falsification_criteria).length;
-    return hypotheses.length > 0 ? withCriteria / hypotheses.length : 1.0;
-  }
+  // Stage 6: Subgraph Extraction (P1.6) - named, ranked views with their own topology metrics
+  extractSubgraphs(subgraphSpecs = null) {
+    try {
+      if (this.currentStage < 5) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot extract subgraphs. Current stage: ${this.currentStage}, expected: 5 or later`);
+      }
 
-  // Export with complete compliance
-  exportGraph(format = 'json') {
-    const graphData = {
-      // P1.11: Complete mathematical formalism export
-      formalism: {
-        state: `Gₜ = (Vₜ, Eₜ∪Eₕₜ, Lₜ, T, Cₜ, Mₜ, Iₜ)`,
-        vertices: this.vertices.size,
-        edges: this.edges.size,
-        hyperedges: this.hyperedges.size,
-        layers: this.layers.size,
-        node_types: Array.from(this.nodeTypes),
-        timestamp: new Date().toISOString()
-      },
-      
-      metadata: this.metadata,
-      vertices: Array.from(this.vertices.values()),
-      edges: Array.from(this.edges.values()),
-      hyperedges: Array.from(this.hyperedges.values()),
-      layers: Object.fromEntries(this.layers),
-      
-      // P1.6: Enhanced output
-      summary: this.getGraphSummary(),
-      reasoning_trace: this._generateReasoningTrace(),
-      topology_insights: this._generateTopologyInsights()
-    };
+      if (subgraphSpecs !== null && !Array.isArray(subgraphSpecs)) {
+        throw new McpError(ErrorCode.InvalidParams, 'subgraphSpecs must be an array or null');
+      }
 
-    switch (format.toLowerCase()) {
-      case 'json':
-        return this._safeJSONStringify(graphData, 2);
-      case 'yaml':
-        return this._exportAsYAML(graphData);
-      default:
-        throw new Error(`Unsupported export format: ${format}`);
-    }
-  }
+      const specs = subgraphSpecs && subgraphSpecs.length > 0 ? subgraphSpecs : DEFAULT_SUBGRAPH_CRITERIA;
 
-  _generateReasoningTrace() {
-    return {
-      current_stage: this.currentStage,
-      completed_stages: this.stageNames.slice(0, this.currentStage),
-      parameter_activations: this.metadata.parameters,
-      stage_progression: {
-        stage_1: this.currentStage >= 1 ? 'completed' : 'pending',
-        stage_2: this.currentStage >= 2 ? 'completed' : 'pending',
-        stage_3: this.currentStage >= 3 ? 'completed' : 'pending',
-        stage_4: this.currentStage >= 4 ? 'completed' : 'pending',
-        stage_5: this.currentStage >= 5 ? 'completed' : 'pending',
-        stage_6: this.currentStage >= 6 ? 'completed' : 'pending',
-        stage_7: this.currentStage >= 7 ? 'completed' : 'pending',
-        stage_8: this.currentStage >= 8 ? 'completed' : 'pending'
-      }
-    };
-  }
+      console.error(`[${new Date().toISOString()}] [INFO] Stage 6: Extracting ${specs.length} subgraphs - P1.6`);
 
-  _generateTopologyInsights() {
-    return {
-      most_central_nodes: this._findMostCentralNodes(),
-      knowledge_gaps: this._identifyKnowledgeGaps(),
-      interdisciplinary_connections: this._getInterdisciplinaryConnections(),
-      layer_connectivity: this._analyzeLayerConnectivity()
-    };
-  }
+      const subgraphs = specs.map((spec, index) => {
+        const name = spec.name || `subgraph_${index + 1}`;
+        const criteria = spec.criteria || {};
+        const { nodeIds, edgeIds } = this._selectSubgraph(criteria);
+        const nodes = nodeIds.map(id => this.vertices.get(id));
+        const meanConfidence = nodes.length > 0
+          ? nodes.reduce((sum, n) => sum + this._expectedConfidence(n), 0) / nodes.length
+          : 0;
+        const meanImpact = nodes.length > 0
+          ? nodes.reduce((sum, n) => sum + (n.metadata.impact_score ?? 0.5), 0) / nodes.length
+          : 0;
+        const coverage = this.vertices.size > 0 ? nodeIds.length / this.vertices.size : 0;
 
-  _findMostCentralNodes() {
-    const centralities = [];
-    for (const nodeId of this.vertices.keys()) {
-      centralities.push({
-        node_id: nodeId,
-        centrality: this._calculateDegreeCentrality(nodeId)
+        return {
+          name,
+          criteria,
+          node_ids: nodeIds,
+          edge_ids: edgeIds,
+          nodes: nodes.map(n => ({
+            node_id: n.node_id,
+            label: n.label,
+            type: n.type,
+            layer_id: n.metadata.layer_id,
+            expected_confidence: this._expectedConfidence(n),
+            impact_score: n.metadata.impact_score
+          })),
+          edges: edgeIds.map(id => {
+            const edge = this.edges.get(id);
+            return { edge_id: id, source: edge.source, target: edge.target, edge_type: edge.metadata.edge_type };
+          }),
+          mean_confidence: meanConfidence,
+          mean_impact: meanImpact,
+          rank_score: nodes.length > 0 ? 0.5 * meanConfidence + 0.3 * meanImpact + 0.2 * coverage : 0,
+          topology_metrics: this._calculateSubgraphTopology(nodeIds, edgeIds), // P1.22
+          extracted: this._safeGetTimestamp()
+        };
       });
-    }
-    return centralities.sort((a, b) => b.centrality - a.centrality).slice(0, 5);
-  }
 
-  _calculateDegreeCentrality(nodeId) {
-    let degree = 0;
-    for (const edge of this.edges.values()) {
-      if (edge.source === nodeId || edge.target === nodeId) {
-        degree++;
-      }
+      subgraphs.sort((a, b) => b.rank_score - a.rank_score);
+      subgraphs.forEach((subgraph, index) => {
+        subgraph.rank = index + 1;
+        this.subgraphs.set(subgraph.name, subgraph);
+      });
+
+      this.currentStage = 6;
+      this.metadata.stage = 'subgraph_extraction';
+
+      console.error(`[${new Date().toISOString()}] [INFO] Extracted subgraphs ${subgraphs.map(s => `${s.name}(${s.node_ids.length})`).join(', ')}`);
+
+      return {
+        success: true,
+        subgraphs,
+        message: `Extracted ${subgraphs.length} ranked subgraphs following P1.6 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Subgraph extraction stage failed', error);
+      throw new McpError(ErrorCode.InternalError, `Subgraph extraction failed: ${error.message}`);
     }
-    return this.vertices.size > 1 ? degree / (this.vertices.size - 1) : 0;
   }
 
-  _identifyKnowledgeGaps() {
-    const gaps = [];
+  // P1.6: Apply every extraction criterion; returns the surviving node and edge IDs
+  _selectSubgraph(criteria) {
+    const minConfidence = this._normalizeConfidenceThresholds(criteria.min_confidence);
+    const nodeTypes = criteria.node_types ? new Set(criteria.node_types) : null;
+    const tags = criteria.disciplinary_tags ? new Set(criteria.disciplinary_tags) : null;
+    const layerIds = criteria.layer_ids ? new Set(criteria.layer_ids) : null;
+    const edgeTypes = criteria.edge_types ? new Set(criteria.edge_types) : null;
+    const cutoff = this._recencyCutoff(criteria);
+
+    const gapFocus = criteria.knowledge_gap_focus === true;
+    const gapVarianceThreshold = criteria.gap_variance_threshold ?? 0.05;
+    const gapNodeIds = new Set(
+      Array.from(this.vertices.values()).filter(n => n.type === 'placeholder_gap').map(n => n.node_id)
+    );
+
+    const selected = new Set();
     for (const node of this.vertices.values()) {
-      if (node.type === 'placeholder_gap') { // P1.15
-        gaps.push({
-          gap_id: node.node_id,
-          description: node.content,
-          impact: node.metadata.impact_score,
-          confidence_variance: this._calculateConfidenceVariance(node)
-        });
+      if (nodeTypes && !nodeTypes.has(node.type)) continue;
+      if (layerIds && !layerIds.has(node.metadata.layer_id)) continue; // P1.23
+      if (criteria.min_impact !== undefined && (node.metadata.impact_score ?? 0.5) < criteria.min_impact) continue; // P1.28
+      if (tags && !(node.metadata.disciplinary_tags || []).some(tag => tags.has(tag))) continue; // P1.8
+      if (cutoff && new Date(node.metadata.timestamp).getTime() < cutoff) continue; // P1.18
+      if (minConfidence && node.confidence.means.some((mean, i) => mean < minConfidence[i])) continue; // P1.5
+
+      if (gapFocus) { // P1.15
+        if (PROTECTED_NODE_TYPES.has(node.type)) continue;
+        const linkedToGap = this._getNeighbors(node.node_id).some(id => gapNodeIds.has(id));
+        const highVariance = this._calculateConfidenceVariance(node) >= gapVarianceThreshold;
+        if (!gapNodeIds.has(node.node_id) && !linkedToGap && !highVariance) continue;
       }
+
+      selected.add(node.node_id);
     }
-    return gaps;
+
+    // P1.10/P1.24/P1.25: Edge pattern - keep matching edges and only nodes that take part in one
+    const edgeIds = [];
+    const touched = new Set();
+    for (const edge of this.edges.values()) {
+      if (!selected.has(edge.source) || !selected.has(edge.target)) continue;
+      if (edgeTypes && !edgeTypes.has(edge.metadata.edge_type)) continue;
+      edgeIds.push(edge.edge_id);
+      touched.add(edge.source);
+      touched.add(edge.target);
+    }
+
+    const nodeIds = Array.from(edgeTypes ? touched : selected);
+    return { nodeIds, edgeIds };
   }
 
-  _calculateConfidenceVariance(node) {
-    if (node.confidence.type === 'probability_distribution') {
-      return node.confidence.variances.reduce((a, b) => a + b, 0) / 4;
+  // P1.5: Accept a single threshold, a 4-vector, or an object keyed by dimension name
+  _normalizeConfidenceThresholds(threshold) {
+    if (threshold === undefined || threshold === null) return null;
+    if (typeof threshold === 'number') return CONFIDENCE_DIMENSIONS.map(() => threshold);
+    if (Array.isArray(threshold)) return CONFIDENCE_DIMENSIONS.map((_, i) => threshold[i] ?? 0);
+    return CONFIDENCE_DIMENSIONS.map(dimension => threshold[dimension] ?? 0);
+  }
+
+  // P1.18: Recency cutoff in epoch milliseconds from max_age_days or an ISO `since` timestamp
+  _recencyCutoff(criteria) {
+    if (criteria.since) {
+      const since = new Date(criteria.since).getTime();
+      return isNaN(since) ? null : since;
     }
-    return 0.1; // Default variance
+    if (criteria.max_age_days !== undefined) {
+      return Date.now() - criteria.max_age_days * 24 * 60 * 60 * 1000;
+    }
+    return null;
   }
 
-  _getInterdisciplinaryConnections() {
-    return Array.from(this.vertices.values())
-      .filter(n => n.type === 'bridge') // P1.8 IBNs
-      .map(n => ({
-        bridge_id: n.node_id,
-        disciplines: n.metadata.disciplinary_tags,
-        impact: n.metadata.impact_score,
-        semantic_similarity: n.metadata.semantic_similarity || 0
-      }));
+  // P1.5: Mean of the expected values across all confidence dimensions
+  _expectedConfidence(node) {
+    const means = node.confidence.means || node.confidence;
+    return means.reduce((a, b) => a + b, 0) / means.length;
   }
 
-  _analyzeLayerConnectivity() {
-    const connectivity = {};
-    for (const [layerId, layer] of this.layers.entries()) {
-      connectivity[layerId] = {
-        node_count: layer.nodes.size,
-        internal_edges: 0,
-        external_edges: 0
-      };
+  // P1.22: Topology metrics restricted to a node/edge subset
+  _calculateSubgraphTopology(nodeIds, edgeIds) {
+    const adjacency = new Map(nodeIds.map(id => [id, new Set()]));
+    for (const edgeId of edgeIds) {
+      const edge = this.edges.get(edgeId);
+      adjacency.get(edge.source).add(edge.target);
+      adjacency.get(edge.target).add(edge.source);
     }
-    
-    for (const edge of this.edges.values()) {
-      const sourceLayer = this.vertices.get(edge.source)?.metadata.layer_id;
-      const targetLayer = this.vertices.get(edge.target)?.metadata.layer_id;
-      
-      if (sourceLayer && targetLayer) {
-        if (sourceLayer === targetLayer) {
-          connectivity[sourceLayer].internal_edges++;
-        } else {
-          connectivity[sourceLayer].external_edges++;
-          connectivity[targetLayer].external_edges++;
+
+    const n = nodeIds.length;
+    const m = edgeIds.length;
+
+    let clusteringTotal = 0;
+    let clusteringCount = 0;
+    for (const neighbors of adjacency.values()) {
+      if (neighbors.size < 2) continue;
+      const list = Array.from(neighbors);
+      let links = 0;
+      for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+          if (adjacency.get(list[i]).has(list[j])) links++;
         }
       }
+      clusteringTotal += links / ((list.length * (list.length - 1)) / 2);
+      clusteringCount++;
     }
-    
-    return connectivity;
+
+    // Breadth-first search from every node gives components and the exact diameter
+    let diameter = 0;
+    let components = 0;
+    const seen = new Set();
+    for (const start of nodeIds) {
+      const distances = new Map([[start, 0]]);
+      const queue = [start];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        for (const next of adjacency.get(current)) {
+          if (!distances.has(next)) {
+            distances.set(next, distances.get(current) + 1);
+            queue.push(next);
+          }
+        }
+      }
+      diameter = Math.max(diameter, ...distances.values());
+      if (!seen.has(start)) {
+        components++;
+        distances.forEach((_, id) => seen.add(id));
+      }
+    }
+
+    return {
+      nodes: n,
+      edges: m,
+      density: n > 1 ? (2 * m) / (n * (n - 1)) : 0,
+      average_degree: n > 0 ? (2 * m) / n : 0,
+      clustering_coefficient: clusteringCount > 0 ? clusteringTotal / clusteringCount : 0,
+      connected_components: components,
+      diameter
+    };
   }
 
-  _exportAsYAML(data) {
-    return `# ASR-GoT Graph Export - Complete Specification Compliance
-metadata:
-  created: "${data.metadata.created}"
-  stage: "${data.metadata.stage}"
-  current_stage: ${data.summary.current_stage}
-  parameters_active: ${data.summary.total_parameters}
+  // Stage 7: Composition (P1.6) - annotated narrative over the extracted subgraphs
+  generateResearchNarrative(config = {}) {
+    try {
+      if (this.currentStage < 6) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot compose narrative. Current stage: ${this.currentStage}, expected: 6 or later`);
+      }
 
-formalism: "${data.formalism.state}"
+      const citationStyle = (config.citation_style || this.metadata.config.citation_style || USER_CONFIG.citation_style).toLowerCase();
+      if (!CITATION_STYLES.includes(citationStyle)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported citation style '${citationStyle}'. Expected one of: ${CITATION_STYLES.join(', ')}`);
+      }
 
-summary:
-  vertices: ${data.summary.graph_state.vertices_count}
-  edges: ${data.summary.graph_state.edges_count}
-  hyperedges: ${data.summary.graph_state.hyperedges_count}
-  layers: ${data.summary.graph_state.layers_count}
-  
-layers:
-${Object.keys(data.layers).map(layer => `  - ${layer}: ${data.layers[layer].nodes.size} nodes`).join('\n')}
+      let subgraphs = Array.from(this.subgraphs.values()).sort((a, b) => a.rank - b.rank);
+      if (config.subgraph_names) {
+        const wanted = new Set(config.subgraph_names);
+        subgraphs = subgraphs.filter(s => wanted.has(s.name));
+      }
+      if (subgraphs.length === 0) {
+        throw new McpError(ErrorCode.InvalidRequest, 'No extracted subgraphs to compose. Please run extract_subgraphs first.');
+      }
 
-active_parameters:
-${data.summary.active_parameters.map(p => `  - ${p}: ${data.metadata.parameters[p].description.substring(0, 80)}...`).join('\n')}
+      console.error(`[${new Date().toISOString()}] [INFO] Stage 7: Composing narrative from ${subgraphs.length} subgraphs (${citationStyle}) - P1.6`);
 
-quality_metrics:
-  bias_flags: ${data.summary.bias_flags_count}
-  falsifiability_coverage: ${(data.summary.falsifiability_coverage * 100).toFixed(1)}%
-  interdisciplinary_bridges: ${data.summary.interdisciplinary_bridges}
-  knowledge_gaps: ${data.summary.knowledge_gaps}
-`;
-  }
-  
-  // Memory management methods to prevent resource exhaustion
-  checkMemoryLimits() {
-    const vertexCount = this.vertices.size;
-    const edgeCount = this.edges.size;
-    const hyperedgeCount = this.hyperedges.size;
-    
-    if (vertexCount >= this.maxVertices) {
-      throw new McpError(ErrorCode.InternalError, `Vertex limit exceeded: ${vertexCount}/${this.maxVertices}`);
-    }
-    
-    if (edgeCount >= this.maxEdges) {
-      throw new McpError(ErrorCode.InternalError, `Edge limit exceeded: ${edgeCount}/${this.maxEdges}`);
+      // P1.6: Numeric labels are assigned in order of first appearance
+      const numericLabels = new Map();
+      const labelFor = (nodeId) => {
+        if (!numericLabels.has(nodeId)) numericLabels.set(nodeId, numericLabels.size + 1);
+        return numericLabels.get(nodeId);
+      };
+
+      const references = [];
+      const referenceIndex = new Map();
+      const citeNode = (node) => {
+        const citation = node.metadata.citation;
+        if (!citation) return null;
+        if (!referenceIndex.has(node.node_id)) {
+          referenceIndex.set(node.node_id, references.length + 1);
+          references.push({
+            number: references.length + 1,
+            node_id: node.node_id,
+            text: this._formatCitation(citation, citationStyle, references.length + 1)
+          });
+        }
+        return this._formatInlineCitation(citation, citationStyle, referenceIndex.get(node.node_id));
+      };
+
+      const rootNode = this.vertices.get('n0');
+      const sections = subgraphs.map(subgraph => {
+        const edgeIds = new Set(subgraph.edge_ids.filter(id => this.edges.has(id)));
+        const claims = subgraph.node_ids
+          .filter(id => this.vertices.has(id))
+          .map(id => {
+            const node = this.vertices.get(id);
+            const annotations = [];
+            for (const edgeId of edgeIds) {
+              const edge = this.edges.get(edgeId);
+              if (edge.target !== id) continue;
+              const edgeType = edge.metadata.edge_type;
+              annotations.push({
+                edge_id: edgeId,
+                edge_type: edgeType,
+                symbol: EDGE_TYPE_SYMBOLS[edgeType] || '',
+                from_node_id: edge.source
+              });
+            }
+            const inlineCitation = citeNode(node);
+            const confidence = node.confidence.means.map(m => m.toFixed(2)).join(', ');
+            const annotationText = [`node ${id}`]
+              .concat(annotations.map(a => `${a.symbol ? a.symbol + ' ' : ''}${a.edge_type} from ${a.from_node_id}`))
+              .join('; ');
+
+            return {
+              numeric_label: labelFor(id),
+              node_id: id,
+              type: node.type,
+              text: `${node.label}: ${typeof node.content === 'string' ? node.content : JSON.stringify(node.content)}` +
+                ` (C = [${confidence}])${inlineCitation ? ' ' + inlineCitation : ''} [${annotationText}]`,
+              annotations
+            };
+          });
+
+        return {
+          heading: subgraph.name,
+          rank: subgraph.rank,
+          criteria: subgraph.criteria,
+          topology_metrics: subgraph.topology_metrics,
+          claims
+        };
+      });
+
+      this.currentStage = 7;
+      this.metadata.stage = 'composition';
+
+      const reasoningTrace = this._generateReasoningTrace();
+      const traceLines = Object.entries(reasoningTrace.stage_progression)
+        .map(([stage, status], i) => `- ${stage} (${this.stageNames[i]}): ${status}`);
+      for (const node of this.vertices.values()) {
+        for (const revision of node.metadata.revision_history || []) {
+          traceLines.push(`- node ${node.node_id} ${revision.action} during ${revision.stage}` +
+            (revision.evidence_node_id ? ` from ${revision.evidence_node_id} (${revision.edge_type})` : '') +
+            (revision.posterior ? `: E[C] → [${revision.posterior.means.map(m => m.toFixed(2)).join(', ')}]` : ''));
+        }
+      }
+
+      const markdown = [
+        `# ${config.title || 'ASR-GoT Research Narrative'}`,
+        '',
+        rootNode ? `**Research task (verbatim):** ${rootNode.content}` : '',
+        '',
+        ...sections.flatMap(section => [
+          `## ${section.rank}. ${section.heading}`,
+          '',
+          ...(section.claims.length > 0
+            ? section.claims.map(claim => `${claim.numeric_label}. ${claim.text}`)
+            : ['_No nodes matched the extraction criteria._']),
+          ''
+        ]),
+        '## References',
+        '',
+        ...(references.length > 0 ? references.map(r => r.text) : ['_No citations recorded on the extracted nodes._']),
+        '',
+        '## Appendix: Reasoning Trace',
+        '',
+        ...traceLines
+      ].join('\n');
+
+      return {
+        success: true,
+        citation_style: citationStyle,
+        numeric_labels: Object.fromEntries(numericLabels),
+        sections,
+        references,
+        reasoning_trace: reasoningTrace,
+        markdown,
+        message: `Composed narrative from ${sections.length} subgraphs following P1.6 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Composition stage failed', error);
+      throw new McpError(ErrorCode.InternalError, `Narrative composition failed: ${error.message}`);
     }
-    
-    // Log warnings at 80% capacity
-    if (vertexCount > this.maxVertices * 0.8) {
-      console.warn(`[${new Date().toISOString()}] [WARN] Vertex count at ${Math.round((vertexCount/this.maxVertices)*100)}% capacity`);
+  }
+
+  // P1.6: Reference-list entry; citations are free text or {authors, title, journal, year, volume, pages, doi}
+  _formatCitation(citation, style, number) {
+    if (typeof citation === 'string') {
+      return style === 'vancouver' || style === 'nature' ? `${number}. ${citation}` : citation;
     }
-    
-    if (edgeCount > this.maxEdges * 0.8) {
-      console.warn(`[${new Date().toISOString()}] [WARN] Edge count at ${Math.round((edgeCount/this.maxEdges)*100)}% capacity`);
+
+    const authors = citation.authors || [];
+    const { title = '', journal = '', year = 'n.d.', volume = '', pages = '', doi = '' } = citation;
+
+    switch (style) {
+      case 'vancouver': {
+        const names = authors.length > 6 ? [...authors.slice(0, 6), 'et al'] : authors;
+        return `${number}. ${names.join(', ')}. ${title}. ${journal}. ${year}${volume ? ';' + volume : ''}${pages ? ':' + pages : ''}.${doi ? ' doi:' + doi : ''}`;
+      }
+      case 'apa':
+        return `${authors.join(', ')} (${year}). ${title}. ${journal}${volume ? ', ' + volume : ''}${pages ? ', ' + pages : ''}.${doi ? ' https://doi.org/' + doi : ''}`;
+      case 'harvard':
+        return `${authors.join(', ')} (${year}) '${title}', ${journal}${volume ? ', ' + volume : ''}${pages ? ', pp. ' + pages : ''}.`;
+      case 'nature':
+        return `${number}. ${authors.join(', ')}. ${title}. ${journal}${volume ? ' ' + volume : ''}${pages ? ', ' + pages : ''} (${year}).`;
+      default:
+        return `${number}. ${title}`;
     }
   }
-  
-  enforceMemoryLimits() {
+
+  // P1.6: In-text marker - numbered for Vancouver/Nature, author-date for APA/Harvard
+  _formatInlineCitation(citation, style, number) {
+    if (style === 'vancouver') return `[${number}]`;
+    if (style === 'nature') return `^${number}`;
+    if (typeof citation === 'string' || !citation.authors || citation.authors.length === 0) return `[${number}]`;
+
+    const firstAuthor = citation.authors[0].split(/[ ,]/)[0];
+    const authorText = citation.authors.length > 2 ? `${firstAuthor} et al.`
+      : citation.authors.length === 2 ? `${firstAuthor} & ${citation.authors[1].split(/[ ,]/)[0]}`
+        : firstAuthor;
+    return style === 'apa' ? `(${authorText}, ${citation.year || 'n.d.'})` : `(${authorText} ${citation.year || 'n.d.'})`;
+  }
+
+  // Stage 8: Reflection (P1.7) - self-audit with per-check scores and remediation items
+  performReflectionAudit(config = {}) {
     try {
-      this.checkMemoryLimits();
+      if (this.currentStage < 7) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot perform reflection audit. Current stage: ${this.currentStage}, expected: 7 or later`);
+      }
+
+      const passThreshold = config.pass_threshold ?? AUDIT_PASS_THRESHOLD;
+      const reopenOnFailure = config.reopen_on_failure !== false;
+
+      console.error(`[${new Date().toISOString()}] [INFO] Stage 8: Reflection audit - P1.7`);
+
+      const checks = [
+        this._auditCoverage(),
+        this._auditBiasFlags(),
+        this._auditKnowledgeGaps(),
+        this._auditFalsifiability(),
+        this._auditCausalValidity(),
+        this._auditTemporalConsistency(),
+        this._auditStatisticalRigor(config.statistical_power_threshold ?? USER_CONFIG.statistical_power_threshold),
+        this._auditAttribution()
+      ].map(check => ({ ...check, passed: check.score >= passThreshold }));
+
+      const failed = checks.filter(c => !c.passed);
+      const overallScore = checks.reduce((sum, c) => sum + c.score, 0) / checks.length;
+      const remediation = failed.flatMap(c => c.remediation.map(item => ({ check: c.check, ...item })));
+      const reopened = failed.length > 0 && reopenOnFailure;
+
+      // P1.7: Failed checks send the graph back into the Stage 4 evidence loop
+      if (reopened) {
+        this.currentStage = 4;
+        this.metadata.stage = 'evidence_integration';
+      } else {
+        this.currentStage = 8;
+        this.metadata.stage = 'reflection';
+      }
+
+      const audit = {
+        timestamp: this._safeGetTimestamp(),
+        overall_score: overallScore,
+        pass_threshold: passThreshold,
+        passed: failed.length === 0,
+        checks,
+        remediation,
+        reopened_stage: reopened ? 4 : null
+      };
+
+      this.metadata.reflection_audits = [...(this.metadata.reflection_audits || []), {
+        timestamp: audit.timestamp,
+        overall_score: overallScore,
+        failed_checks: failed.map(c => c.check),
+        reopened_stage: audit.reopened_stage
+      }];
+
+      console.error(`[${new Date().toISOString()}] [INFO] Reflection audit: ${checks.length - failed.length}/${checks.length} checks passed${reopened ? ', Stage 4 reopened' : ''}`);
+
+      return {
+        success: true,
+        ...audit,
+        message: reopened
+          ? `Audit failed ${failed.length} P1.7 checks - Stage 4 reopened for corrective evidence integration`
+          : `Audit completed following P1.7 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
     } catch (error) {
-      // If we're at the limit, try to clean up low-confidence nodes
-      this.cleanupLowConfidenceNodes();
-      
-      // Check again after cleanup
-      this.checkMemoryLimits();
+      this._logError('Reflection audit stage failed', error);
+      throw new McpError(ErrorCode.InternalError, `Reflection audit failed: ${error.message}`);
     }
   }
-  
-  cleanupLowConfidenceNodes() {
-    const threshold = 0.1; // Remove nodes with very low confidence
-    let removedCount = 0;
-    
-    for (const [nodeId, node] of this.vertices) {
-      if (nodeId === 'n0') continue; // Never remove root node
-      
-      const confidence = node.confidence;
-      if (confidence && confidence.means) {
-        const avgConfidence = confidence.means.reduce((a, b) => a + b, 0) / confidence.means.length;
-        if (avgConfidence < threshold) {
-          this.vertices.delete(nodeId);
-          removedCount++;
-          
-          // Remove associated edges
-          for (const [edgeId, edge] of this.edges) {
-            if (edge.source === nodeId || edge.target === nodeId) {
-              this.edges.delete(edgeId);
-            }
-          }
-        }
-      }
-    }
-    
-    console.warn(`[${new Date().toISOString()}] [WARN] Memory cleanup: removed ${removedCount} low-confidence nodes`);
+
+  // Hypotheses, evidence and every other non-structural node
+  _getContentNodes() {
+    return Array.from(this.vertices.values()).filter(n => !PROTECTED_NODE_TYPES.has(n.type));
   }
-  
-  getMemoryUsage() {
+
+  // P1.7/P1.28: High-confidence or high-impact nodes should appear in an extracted subgraph
+  _auditCoverage() {
+    const important = this._getContentNodes()
+      .filter(n => this._expectedConfidence(n) >= 0.7 || (n.metadata.impact_score ?? 0.5) >= 0.7);
+    const covered = new Set();
+    for (const subgraph of this.subgraphs.values()) {
+      subgraph.node_ids.forEach(id => covered.add(id));
+    }
+    const missing = important.filter(n => !covered.has(n.node_id));
+
     return {
-      vertices: this.vertices.size,
-      edges: this.edges.size,
-      hyperedges: this.hyperedges.size,
-      max_vertices: this.maxVertices,
-      max_edges: this.maxEdges,
-      vertex_usage_percent: Math.round((this.vertices.size / this.maxVertices) * 100),
-      edge_usage_percent: Math.round((this.edges.size / this.maxEdges) * 100)
+      check: 'coverage',
+      parameters: ['P1.7', 'P1.28'],
+      score: important.length > 0 ? 1 - missing.length / important.length : 1,
+      details: { important_nodes: important.length, uncovered_nodes: missing.map(n => n.node_id) },
+      remediation: missing.map(n => ({
+        node_id: n.node_id,
+        action: `Include high-confidence/high-impact node ${n.node_id} in an extracted subgraph and the narrative`
+      }))
     };
   }
-}
 
-// Session-based graph state management to fix race condition
-const graphSessions = new Map();
-const SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+  // P1.17: Share of content nodes carrying no bias flags
+  _auditBiasFlags() {
+    const nodes = this._getContentNodes();
+    const flagged = nodes.filter(n => (n.metadata.bias_flags || []).length > 0);
 
-// Clean up expired sessions periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [sessionId, session] of graphSessions) {
-    if (now - session.lastAccess > SESSION_TIMEOUT) {
-      graphSessions.delete(sessionId);
-      console.error(`[${new Date().toISOString()}] [INFO] Cleaned up expired session: ${sessionId}`);
-    }
+    return {
+      check: 'bias_flags',
+      parameters: ['P1.17'],
+      score: nodes.length > 0 ? 1 - flagged.length / nodes.length : 1,
+      details: { total_flags: this._countBiasFlags(), flagged_nodes: flagged.map(n => n.node_id) },
+      remediation: flagged.map(n => ({
+        node_id: n.node_id,
+        action: `Apply debiasing for ${n.metadata.bias_flags.join(', ')} on node ${n.node_id}`
+      }))
+    };
   }
-}, 5 * 60 * 1000); // Check every 5 minutes
 
-// Get or create graph session
-function getGraphSession(requestId) {
-  // Use requestId as session identifier for now
-  // In production, this should be a proper session management system
-  const sessionId = requestId || 'default';
-  
-  if (!graphSessions.has(sessionId)) {
-    graphSessions.set(sessionId, {
-      graph: null,
-      created: Date.now(),
-      lastAccess: Date.now()
+  // P1.15: A gap counts as addressed once evidence links to it or it is marked addressed
+  _auditKnowledgeGaps() {
+    const gaps = Array.from(this.vertices.values()).filter(n => n.type === 'placeholder_gap');
+    const open = gaps.filter(gap => {
+      if (gap.metadata.status === 'addressed') return false;
+      return !Array.from(this.edges.values()).some(edge =>
+        edge.target === gap.node_id && this.vertices.get(edge.source)?.type === 'evidence'
+      );
     });
+
+    return {
+      check: 'knowledge_gaps_addressed',
+      parameters: ['P1.15'],
+      score: gaps.length > 0 ? 1 - open.length / gaps.length : 1,
+      details: { gaps: gaps.length, open_gaps: open.map(g => g.node_id) },
+      remediation: open.map(g => ({
+        node_id: g.node_id,
+        action: `Integrate evidence addressing knowledge gap ${g.node_id}`
+      }))
+    };
   }
-  
-  const session = graphSessions.get(sessionId);
-  session.lastAccess = Date.now();
-  return session;
-}
 
-// Complete MCP tools covering all 8 stages and 29 parameters
-const tools = [
-  // Stage 1: Initialization (P1.1)
-  {
-    name: 'initialize_asr_got_graph',
-    description: 'P1.1: Initialize ASR-GoT graph with root node n₀ label="Task Understanding" and complete P1.12 metadata schema',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        task_description: {
-          type: 'string',
-          description: 'Detailed description of the research task or question - stored verbatim in metadata per P1.6'
-        },
-        initial_confidence: {
-          type: 'array',
-          items: { type: 'number', minimum: 0, maximum: 1 },
-          description: 'P1.5 multi-dimensional confidence vector [empirical_support, theoretical_basis, methodological_rigor, consensus_alignment]',
-          default: [0.8, 0.8, 0.8, 0.8]
-        },
-        config: {
-          type: 'object',
-          description: 'Configuration for P1.23 multi-layer networks and other parameters',
-          properties: {
-            enable_multi_layer: { type: 'boolean', default: true },
-            disciplinary_tags: { type: 'array', items: { type: 'string' }, description: 'P1.8 disciplinary provenance tags' },
-            attribution: { type: 'array', items: { type: 'string' }, description: 'P1.29 collaboration attribution' }
-          }
-        }
-      },
-      required: ['task_description']
+  // P1.16: Hypotheses need explicit falsification criteria
+  _auditFalsifiability() {
+    const missing = Array.from(this.vertices.values())
+      .filter(n => n.type === 'hypothesis' && !n.metadata.falsification_criteria);
+
+    return {
+      check: 'falsifiability',
+      parameters: ['P1.16'],
+      score: this._assessFalsifiabilityCoverage(),
+      details: { hypotheses_without_criteria: missing.map(n => n.node_id) },
+      remediation: missing.map(n => ({
+        node_id: n.node_id,
+        action: `Add falsification_criteria to hypothesis ${n.node_id}`
+      }))
+    };
+  }
+
+  // P1.24: Causal claims need causal_metadata (confounders, identification) to be valid
+  _auditCausalValidity() {
+    const causalEdges = Array.from(this.edges.values())
+      .filter(e => CAUSAL_EDGE_TYPES.includes(e.metadata.edge_type));
+    const undocumented = causalEdges.filter(e => !e.metadata.causal_metadata);
+
+    return {
+      check: 'causal_validity',
+      parameters: ['P1.24'],
+      score: causalEdges.length > 0 ? 1 - undocumented.length / causalEdges.length : 1,
+      details: { causal_edges: causalEdges.length, undocumented_edges: undocumented.map(e => e.edge_id) },
+      remediation: undocumented.map(e => ({
+        edge_id: e.edge_id,
+        action: `Document confounders and identifiability in causal_metadata for ${e.edge_id} (${e.source} → ${e.target})`
+      }))
+    };
+  }
+
+  // P1.18/P1.25: Temporal precedence must agree with timestamps; revisions must be ordered
+  _auditTemporalConsistency() {
+    const issues = [];
+    let checked = 0;
+
+    for (const edge of this.edges.values()) {
+      if (edge.metadata.edge_type !== 'Temporal Precedence') continue;
+      const source = this.vertices.get(edge.source);
+      const target = this.vertices.get(edge.target);
+      if (!source || !target) continue;
+      checked++;
+      if (new Date(this._observedAt(source)) > new Date(this._observedAt(target))) {
+        issues.push({ edge_id: edge.edge_id, action: `Temporal Precedence edge ${edge.edge_id} contradicts node timestamps - verify ordering` });
+      }
     }
-  },
 
-  // Stage 2: Decomposition (P1.2)
-  {
-    name: 'decompose_research_task',
-    description: 'P1.2: Decompose task into dimension nodes 2.1-2.7 with mandatory Potential Biases and Knowledge Gaps dimensions',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        dimensions: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'P1.2 task dimensions (default: Scope, Objectives, Constraints, Data Needs, Use Cases, Potential Biases, Knowledge Gaps)',
-          default: ['Scope', 'Objectives', 'Constraints', 'Data Needs', 'Use Cases', 'Potential Biases', 'Knowledge Gaps']
-        }
+    for (const node of this.vertices.values()) {
+      const history = node.metadata.revision_history || [];
+      if (history.length < 2) continue;
+      checked++;
+      const ordered = history.every((entry, i) => i === 0 || entry.timestamp >= history[i - 1].timestamp);
+      if (!ordered) {
+        issues.push({ node_id: node.node_id, action: `Revision history of node ${node.node_id} is out of order - review its updates` });
       }
     }
-  },
 
-  // Stage 3: Hypothesis Planning (P1.3)
-  {
-    name: 'generate_hypotheses',
-    description: 'P1.3: Generate k=3-5 hypotheses per dimension with explicit plans and complete P1.8,P1.16,P1.17,P1.28 metadata',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        dimension_node_id: {
-          type: 'string',
-          description: 'ID of dimension node (format: 2.X) to generate hypotheses for'
-        },
-        hypotheses: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              content: { type: 'string', description: 'Hypothesis content' },
-              confidence: { 
-                type: 'array', 
-                items: { type: 'number' },
-                description: 'P1.5 confidence vector [empirical_support, theoretical_basis, methodological_rigor, consensus_alignment]',
-                default: [0.5, 0.5, 0.5, 0.5]
-              },
-              falsification_criteria: { 
-                type: 'string',
-                description: 'P1.16 explicit falsifiability criteria - REQUIRED for hypotheses'
-              },
-              impact_score: { 
-                type: 'number',
-                description: 'P1.28 impact estimation (0-1 scale)',
-                default: 0.6
-              },
-              disciplinary_tags: { 
-                type: 'array', 
-                items: { type: 'string' },
-                description: 'P1.8 disciplinary provenance tags'
-              },
-              plan: { 
-                type: 'object',
-                description: 'P1.3 explicit plan (search/tool/experiment) - REQUIRED',
-                properties: {
-                  type: { type: 'string' },
-                  description: { type: 'string' },
-                  tools: { type: 'array', items: { type: 'string' } },
-                  timeline: { type: 'string' },
-                  resources_needed: { type: 'array', items: { type: 'string' } }
-                }
-              },
-              attribution: {
-                type: 'array',
-                items: { type: 'string' },
-                description: 'P1.29 collaboration attribution'
-              }
-            },
-            required: ['content']
-          },
-          minItems: 3,
-          maxItems: 5
-        },
-        config: {
-          type: 'object',
-          properties: {
-            max_hypotheses: { type: 'number', default: 5, maximum: 5, description: 'P1.3: k=3-5 limit' }
+    return {
+      check: 'temporal_consistency',
+      parameters: ['P1.18', 'P1.25'],
+      score: checked > 0 ? 1 - issues.length / checked : 1,
+      details: { checked, inconsistencies: issues.length },
+      remediation: issues
+    };
+  }
+
+  // P1.26: Evidence should carry power analysis at or above the configured threshold
+  _auditStatisticalRigor(powerThreshold) {
+    const evidence = Array.from(this.vertices.values()).filter(n => n.type === 'evidence');
+    const inadequate = evidence.filter(n => {
+      const power = n.metadata.statistical_power?.achieved_power;
+      return typeof power !== 'number' || power < powerThreshold;
+    });
+
+    return {
+      check: 'statistical_rigor',
+      parameters: ['P1.26'],
+      score: evidence.length > 0 ? 1 - inadequate.length / evidence.length : 1,
+      details: { evidence_nodes: evidence.length, power_threshold: powerThreshold, inadequate_nodes: inadequate.map(n => n.node_id) },
+      remediation: inadequate.map(n => ({
+        node_id: n.node_id,
+        action: n.metadata.statistical_power
+          ? `Evidence ${n.node_id} is underpowered - seek replication or larger samples`
+          : `Assess statistical power for evidence ${n.node_id}`
+      }))
+    };
+  }
+
+  // P1.29: Hypotheses and evidence should be attributed to researchers
+  _auditAttribution() {
+    const nodes = Array.from(this.vertices.values()).filter(n => n.type === 'hypothesis' || n.type === 'evidence');
+    const unattributed = nodes.filter(n => (n.metadata.attribution || []).length === 0);
+
+    return {
+      check: 'attribution',
+      parameters: ['P1.29'],
+      score: nodes.length > 0 ? 1 - unattributed.length / nodes.length : 1,
+      details: { attributable_nodes: nodes.length, unattributed_nodes: unattributed.map(n => n.node_id) },
+      remediation: unattributed.map(n => ({
+        node_id: n.node_id,
+        action: `Record researcher attribution for node ${n.node_id}`
+      }))
+    };
+  }
+
+  // P1.8: On-demand Interdisciplinary Bridge Node discovery across the whole graph
+  createInterdisciplinaryBridges(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot create bridges. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const threshold = config.similarity_threshold ?? BRIDGE_SIMILARITY_THRESHOLD;
+      const maxBridges = config.max_bridges || 20;
+      const linkedOnly = config.linked_only === true;
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.8: Discovering interdisciplinary bridges (threshold ${threshold})`);
+
+      const candidates = Array.from(this.vertices.values())
+        .filter(n => !PROTECTED_NODE_TYPES.has(n.type) && n.type !== 'bridge' && (n.metadata.disciplinary_tags || []).length > 0);
+      const created = [];
+      const skipped = [];
+
+      for (let i = 0; i < candidates.length && created.length < maxBridges; i++) {
+        for (let j = i + 1; j < candidates.length && created.length < maxBridges; j++) {
+          const first = candidates[i];
+          const second = candidates[j];
+          if (linkedOnly && !this._getNeighbors(first.node_id).includes(second.node_id)) continue;
+
+          const similarity = this._calculateSemanticSimilarity(first, second);
+          if (similarity <= threshold || !this._haveDisjointTags(first, second)) continue;
+
+          const existing = this._findBridge(first.node_id, second.node_id);
+          if (existing) {
+            skipped.push({ node_ids: [first.node_id, second.node_id], reason: `already bridged by ${existing.node_id}` });
+            continue;
           }
-        }
-      },
-      required: ['dimension_node_id', 'hypotheses']
-    }
-  },
 
-  {
-    name: 'get_graph_summary',
-    description: 'Get comprehensive graph summary with P1.11 formalism state, P1.22 topology metrics, and all parameter status',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        include_topology: { type: 'boolean', default: true, description: 'Include P1.22 topology metrics' },
-        include_layers: { type: 'boolean', default: true, description: 'Include P1.23 layer analysis' },
-        include_parameters: { type: 'boolean', default: true, description: 'Include all P1.0-P1.29 parameter status' }
+          const bridge = this._createBridgeNode(first.node_id, second.node_id, similarity, 'bridge_discovery');
+          if (bridge) {
+            created.push({
+              bridge_id: bridge.node_id,
+              node_ids: [first.node_id, second.node_id],
+              disciplines: bridge.metadata.disciplinary_tags,
+              semantic_similarity: similarity
+            });
+          }
+        }
       }
+
+      return {
+        success: true,
+        similarity_threshold: threshold,
+        bridges_created: created,
+        skipped,
+        total_bridges: Array.from(this.vertices.values()).filter(n => n.type === 'bridge').length,
+        message: `Created ${created.length} interdisciplinary bridge nodes following P1.8 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Interdisciplinary bridge discovery failed', error);
+      throw new McpError(ErrorCode.InternalError, `Bridge discovery failed: ${error.message}`);
     }
-  },
+  }
 
-  {
-    name: 'export_graph_data',
-    description: 'P1.6: Export complete graph with reasoning traces, topology insights, and Vancouver citations',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        format: {
-          type: 'string',
-          enum: ['json', 'yaml'],
-          default: 'json',
-          description: 'Export format with complete P1.11 formalism and P1.6 requirements'
-        },
-        include_reasoning_trace: { type: 'boolean', default: true, description: 'P1.6 reasoning trace appendix' },
-        include_topology_insights: { type: 'boolean', default: true, description: 'P1.22 topology metrics for visualization' },
-        include_parameter_status: { type: 'boolean', default: true, description: 'Complete P1.0-P1.29 parameter status' }
+  // P1.8: tags(E) ∩ tags(N) = ∅, with both sides actually tagged
+  _haveDisjointTags(nodeA, nodeB) {
+    const tagsA = nodeA.metadata.disciplinary_tags || [];
+    const tagsB = new Set(nodeB.metadata.disciplinary_tags || []);
+    return tagsA.length > 0 && tagsB.size > 0 && !tagsA.some(tag => tagsB.has(tag));
+  }
+
+  // P1.8: Create an IBN between two nodes if the bridging rule holds and none exists yet
+  _maybeCreateBridge(nodeAId, nodeBId, options = {}) {
+    try {
+      const nodeA = this.vertices.get(nodeAId);
+      const nodeB = this.vertices.get(nodeBId);
+      if (!nodeA || !nodeB || !this._haveDisjointTags(nodeA, nodeB)) return null;
+
+      const similarity = this._calculateSemanticSimilarity(nodeA, nodeB);
+      if (similarity <= (options.threshold ?? BRIDGE_SIMILARITY_THRESHOLD)) return null;
+      if (this._findBridge(nodeAId, nodeBId)) return null;
+
+      return this._createBridgeNode(nodeAId, nodeBId, similarity, options.trigger || 'evidence_integration');
+    } catch (error) {
+      // Bridge creation is an enrichment; it must not fail the surrounding stage
+      this._logError(`Bridge creation between ${nodeAId} and ${nodeBId} failed`, error);
+      return null;
+    }
+  }
+
+  _findBridge(nodeAId, nodeBId) {
+    return Array.from(this.vertices.values()).find(n =>
+      n.type === 'bridge' &&
+      (n.metadata.bridged_nodes || []).includes(nodeAId) &&
+      (n.metadata.bridged_nodes || []).includes(nodeBId)
+    ) || null;
+  }
+
+  _createBridgeNode(nodeAId, nodeBId, similarity, trigger) {
+    const nodeA = this.vertices.get(nodeAId);
+    const nodeB = this.vertices.get(nodeBId);
+
+    this.enforceMemoryLimits();
+
+    let index = 1;
+    while (this.vertices.has(`ibn_${index}`)) {
+      index++;
+    }
+    const nodeId = `ibn_${index}`;
+    const tags = Array.from(new Set([...nodeA.metadata.disciplinary_tags, ...nodeB.metadata.disciplinary_tags]));
+    const means = nodeA.confidence.means.map((mean, i) => (mean + nodeB.confidence.means[i]) / 2);
+
+    const bridgeMetadata = this._safeCreateNodeMetadata({
+      node_id: nodeId,
+      provenance: 'interdisciplinary_bridge',
+      epistemic_status: 'hypothetical',
+      confidence: this._createProbabilityDistribution(means),
+      disciplinary_tags: tags, // P1.8: IBN inherits both tag sets
+      impact_score: Math.max(nodeA.metadata.impact_score || 0, nodeB.metadata.impact_score || 0),
+      layer_id: 'interdisciplinary', // P1.23
+      semantic_similarity: similarity,
+      bridged_nodes: [nodeAId, nodeBId],
+      bridge_provenance: {
+        trigger,
+        created: this._safeGetTimestamp(),
+        source_tags: { [nodeAId]: nodeA.metadata.disciplinary_tags, [nodeBId]: nodeB.metadata.disciplinary_tags }
       }
+    });
+
+    const bridgeNode = {
+      node_id: nodeId,
+      label: `Bridge: ${nodeA.metadata.disciplinary_tags.join('/')} ↔ ${nodeB.metadata.disciplinary_tags.join('/')}`,
+      type: 'bridge',
+      content: `Interdisciplinary connection between ${nodeAId} (${nodeA.label}) and ${nodeBId} (${nodeB.label})`,
+      confidence: bridgeMetadata.confidence,
+      metadata: bridgeMetadata
+    };
+
+    this.vertices.set(nodeId, bridgeNode);
+    this.nodeTypes.add('bridge');
+    this._placeInLayer(nodeId, 'interdisciplinary');
+
+    for (const endpointId of [nodeAId, nodeBId]) {
+      const edgeId = `e_${nodeId}_${endpointId}`;
+      this.edges.set(edgeId, {
+        edge_id: edgeId,
+        source: nodeId,
+        target: endpointId,
+        metadata: this._safeCreateEdgeMetadata({
+          edge_id: edgeId,
+          edge_type: 'Interdisciplinary Bridge',
+          confidence: this._createProbabilityDistribution(means),
+          weight: similarity,
+          layer_connection: ['interdisciplinary', this.vertices.get(endpointId).metadata.layer_id]
+        })
+      });
     }
-  },
-  {
-    name: 'execute_resilient_query',
-    description: 'Execute a scientific research query with built-in fallback mechanisms that ensure successful completion even if individual stages fail. This is the most reliable way to process queries.',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: { type: 'string', description: 'The research question or task to analyze' },
-        config: {
-          type: 'object',
-          description: 'Configuration options for query execution',
-          properties: {
-            max_hypotheses: { type: 'number', default: 5, description: 'Maximum hypotheses per dimension' },
-            initial_confidence: { type: 'array', description: 'Initial confidence distribution [0-1]' },
-            dimensions: { type: 'array', description: 'Custom dimensions for task decomposition' },
-            enable_fallbacks: { type: 'boolean', default: true, description: 'Enable fallback mechanisms' }
+
+    console.error(`[${new Date().toISOString()}] [INFO] IBN ${nodeId} created between ${nodeAId} and ${nodeBId} (similarity ${similarity.toFixed(3)}) - P1.8`);
+    return bridgeNode;
+  }
+
+  // P1.15: Knowledge gap identification - flag weak spots and materialize Placeholder_Gap nodes
+  identifyKnowledgeGaps(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot identify knowledge gaps. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const settings = { ...GAP_DEFAULTS, ...config };
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.15: Identifying knowledge gaps`);
+
+      const gapsDimension = Array.from(this.vertices.values())
+        .find(n => n.type === 'dimension' && n.label === 'Knowledge Gaps');
+      const existingGaps = new Map();
+      for (const node of this.vertices.values()) {
+        if (node.type === 'placeholder_gap' && node.metadata.target_node_id) {
+          existingGaps.set(node.metadata.target_node_id, node);
+        }
+      }
+
+      const findings = [];
+      for (const node of this.vertices.values()) {
+        if (node.type === 'root' || node.type === 'placeholder_gap' || node.node_id === gapsDimension?.node_id) continue;
+        const reasons = this._assessGapReasons(node, settings);
+        if (reasons.length > 0) {
+          findings.push({ node, reasons, priority: this._gapPriority(node, reasons, settings) });
+        }
+      }
+      findings.sort((a, b) => b.priority - a.priority);
+
+      // Gaps whose target no longer qualifies have been closed by later work
+      const flaggedIds = new Set(findings.map(f => f.node.node_id));
+      const closed = [];
+      for (const [targetId, gap] of existingGaps) {
+        if (gap.metadata.status !== 'addressed' && !flaggedIds.has(targetId)) {
+          gap.metadata.status = 'addressed';
+          gap.metadata.updated = this._safeGetTimestamp();
+          closed.push(gap.node_id);
+        }
+      }
+
+      const gaps = findings.slice(0, settings.max_gaps).map((finding, index) => {
+        const gapNode = this._upsertGapNode(finding, existingGaps.get(finding.node.node_id), gapsDimension);
+        return {
+          rank: index + 1,
+          gap_id: gapNode.node_id,
+          target_node_id: finding.node.node_id,
+          target_type: finding.node.type,
+          reasons: finding.reasons.map(r => r.reason),
+          research_question: gapNode.metadata.research_question,
+          priority: finding.priority,
+          impact: gapNode.metadata.impact_score
+        };
+      });
+
+      return {
+        success: true,
+        thresholds: settings,
+        gaps,
+        closed_gaps: closed,
+        knowledge_gaps_dimension: gapsDimension ? gapsDimension.node_id : null,
+        total_open_gaps: Array.from(this.vertices.values())
+          .filter(n => n.type === 'placeholder_gap' && n.metadata.status !== 'addressed').length,
+        message: `Identified ${gaps.length} knowledge gaps following P1.15 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Knowledge gap identification failed', error);
+      throw new McpError(ErrorCode.InternalError, `Knowledge gap identification failed: ${error.message}`);
+    }
+  }
+
+  // P1.15: Why a node counts as a gap - high variance (P1.14), low connectivity (P1.22), missing evidence
+  _assessGapReasons(node, settings) {
+    const reasons = [];
+    const neighbors = this._getNeighbors(node.node_id);
+
+    if (node.type === 'dimension') {
+      const hasHypotheses = Array.from(this.edges.values())
+        .some(e => e.source === node.node_id && this.vertices.get(e.target)?.type === 'hypothesis');
+      if (!hasHypotheses) reasons.push({ reason: 'unexplored_dimension', severity: 0.6 });
+      return reasons;
+    }
+
+    const variance = this._calculateConfidenceVariance(node);
+    if (variance >= settings.variance_threshold) {
+      reasons.push({ reason: 'high_confidence_variance', severity: Math.min(1, variance / 0.25), variance });
+    }
+
+    if (neighbors.length === 0) {
+      reasons.push({ reason: 'disconnected', severity: 1 });
+    } else if (node.type === 'hypothesis' && neighbors.length < settings.min_degree) {
+      reasons.push({ reason: 'low_connectivity', severity: 0.6, degree: neighbors.length });
+    }
+
+    if (node.type === 'hypothesis') {
+      const hasEvidence = Array.from(this.edges.values())
+        .some(e => e.target === node.node_id && this.vertices.get(e.source)?.type === 'evidence');
+      if (!hasEvidence) reasons.push({ reason: 'missing_evidence', severity: 0.8 });
+    }
+
+    return reasons;
+  }
+
+  // P1.28: Gaps on high-impact nodes with severe weaknesses come first
+  _gapPriority(node, reasons, settings) {
+    const severity = Math.max(...reasons.map(r => r.severity));
+    return (node.metadata.impact_score ?? 0.5) * (0.5 + 0.5 * severity);
+  }
+
+  // P1.15: Explicit research question for the most severe reason
+  _formulateResearchQuestion(node, reasons) {
+    const subject = typeof node.content === 'string' ? node.content : node.label;
+    const primary = reasons.reduce((a, b) => (b.severity > a.severity ? b : a)).reason;
+
+    switch (primary) {
+      case 'unexplored_dimension':
+        return `Which testable hypotheses address the "${node.label}" dimension of the research task?`;
+      case 'missing_evidence':
+        return `What empirical evidence supports or refutes: "${subject}"?`;
+      case 'disconnected':
+        return `How does "${subject}" relate to the hypotheses and evidence in the current graph?`;
+      case 'low_connectivity':
+        return `Which mechanisms, findings or disciplines connect to "${subject}"?`;
+      default:
+        return `Which study would most reduce uncertainty about "${subject}"?`;
+    }
+  }
+
+  // Create or refresh the Placeholder_Gap node attached to a flagged node
+  _upsertGapNode(finding, existingGap, gapsDimension) {
+    const { node, reasons, priority } = finding;
+    const question = this._formulateResearchQuestion(node, reasons);
+    const timestamp = this._safeGetTimestamp();
+
+    if (existingGap) {
+      existingGap.content = question;
+      existingGap.metadata.research_question = question;
+      existingGap.metadata.gap_reasons = reasons;
+      existingGap.metadata.priority = priority;
+      existingGap.metadata.status = 'open';
+      existingGap.metadata.updated = timestamp;
+      return existingGap;
+    }
+
+    this.enforceMemoryLimits();
+
+    let index = 1;
+    while (this.vertices.has(`gap_${index}`)) {
+      index++;
+    }
+    const nodeId = `gap_${index}`;
+    const layerId = gapsDimension?.metadata.layer_id || 'base';
+
+    const gapMetadata = this._safeCreateNodeMetadata({
+      node_id: nodeId,
+      provenance: 'knowledge_gap_identification',
+      epistemic_status: 'unknown',
+      disciplinary_tags: [...(node.metadata.disciplinary_tags || [])],
+      impact_score: node.metadata.impact_score ?? 0.5, // P1.28
+      layer_id: layerId,
+      target_node_id: node.node_id,
+      research_question: question,
+      gap_reasons: reasons,
+      priority,
+      status: 'open'
+    });
+
+    const gapNode = {
+      node_id: nodeId,
+      label: `Knowledge Gap ${index}`,
+      type: 'placeholder_gap', // P1.15
+      content: question,
+      confidence: gapMetadata.confidence,
+      metadata: gapMetadata
+    };
+
+    this.vertices.set(nodeId, gapNode);
+    this.nodeTypes.add('placeholder_gap');
+    this._placeInLayer(nodeId, layerId);
+
+    const links = [[nodeId, node.node_id, 'Knowledge Gap']];
+    if (gapsDimension) links.push([gapsDimension.node_id, nodeId, 'Decomposition']);
+    for (const [source, target, edgeType] of links) {
+      const edgeId = `e_${source}_${target}`;
+      this.edges.set(edgeId, {
+        edge_id: edgeId,
+        source,
+        target,
+        metadata: this._safeCreateEdgeMetadata({ edge_id: edgeId, edge_type: edgeType })
+      });
+    }
+
+    return gapNode;
+  }
+
+  // P1.24: Causal inference over Causal/Counterfactual (directed) and Confounded (bidirected) edges
+  analyzeCausalRelationships(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot analyze causal relationships. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const { exposure, outcome } = config;
+      for (const nodeId of [exposure, outcome].filter(Boolean)) {
+        if (!this.vertices.has(nodeId)) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+        }
+      }
+      if ((exposure && !outcome) || (!exposure && outcome)) {
+        throw new McpError(ErrorCode.InvalidParams, 'exposure and outcome must be given together');
+      }
+
+      const declared = (config.causal_edges || []).map(edge => this._addCausalEdge(edge));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.24: Causal analysis${exposure ? ` of ${exposure} → ${outcome}` : ''}`);
+
+      const model = this._buildCausalModel();
+      const cycles = this._findCausalCycles(model);
+      const cyclicNodes = new Set(cycles.flat());
+
+      // P1.21: One backdoor/front-door search per directed causal edge, plus the exposure → outcome query
+      const pairCount = Array.from(this.edges.values())
+        .filter(e => CAUSAL_EDGE_TYPES.includes(e.metadata.edge_type) && e.metadata.edge_type !== 'Confounded').length + (exposure ? 1 : 0);
+      const { plan, limits } = this._planCausalSearch(model, pairCount, config.max_paths || CAUSAL_SEARCH_LIMITS.max_paths);
+
+      // Every directed causal edge gets its own pairwise analysis in causal_metadata
+      const timestamp = this._safeGetTimestamp();
+      for (const edge of this.edges.values()) {
+        const edgeType = edge.metadata.edge_type;
+        if (!CAUSAL_EDGE_TYPES.includes(edgeType)) continue;
+
+        if (edgeType === 'Confounded') {
+          edge.metadata.causal_metadata = {
+            analyzed: timestamp,
+            relation: 'latent_confounding',
+            notation: `${edge.source} ↔ ${edge.target}`,
+            description: 'Unobserved common cause of both endpoints (bidirected edge)'
+          };
+          continue;
+        }
+
+        const pair = this._analyzeCausalPair(model, edge.source, edge.target, cyclicNodes, limits);
+        edge.metadata.causal_metadata = {
+          analyzed: timestamp,
+          relation: edgeType === 'Counterfactual' ? 'counterfactual' : 'direct_cause',
+          notation: edgeType === 'Counterfactual'
+            ? `${edge.target}_{${edge.source}}`
+            : `P(${edge.target} | do(${edge.source}))`,
+          confounders: pair.confounders,
+          latent_confounding: pair.latent_confounding,
+          adjustment_sets: pair.adjustment_sets,
+          identifiable: pair.identifiable,
+          identification_method: pair.method,
+          estimand: pair.estimand,
+          in_cycle: cyclicNodes.has(edge.source) && cyclicNodes.has(edge.target)
+        };
+      }
+
+      let query = null;
+      if (exposure) {
+        query = {
+          exposure,
+          outcome,
+          causal_paths: this._enumerateDirectedPaths(model, exposure, outcome, limits.max_paths, limits.path_budget),
+          ...this._analyzeCausalPair(model, exposure, outcome, cyclicNodes, limits)
+        };
+        for (const edge of this.edges.values()) {
+          if (!edge.metadata.causal_metadata || edge.metadata.edge_type === 'Confounded') continue;
+          const onPath = query.causal_paths.some(path =>
+            path.some((id, i) => id === edge.source && path[i + 1] === edge.target)
+          );
+          if (onPath) {
+            edge.metadata.causal_metadata.on_path = { exposure, outcome };
+          }
+        }
+      }
+
+      // Running out of path-search steps truncates the enumeration, so the result is approximate either way
+      const stepsUsed = limits.path_budget.initial - Math.max(0, limits.path_budget.steps);
+      if (limits.path_budget.steps < 0) plan.approximate = true;
+      const computation = this._chargeComputation(plan, this._estimateCausalCost(model, pairCount, limits) + stepsUsed,
+        plan.approximate
+          ? {
+              method: 'reduced_adjustment_search',
+              max_adjustment_set_size: limits.max_adjustment_set_size,
+              max_adjustment_candidates: limits.max_adjustment_candidates,
+              max_paths: limits.max_paths,
+              path_search_truncated: limits.path_budget.steps < 0
+            }
+          : {});
+
+      return {
+        success: true,
+        declared_edges: declared,
+        causal_nodes: model.nodes.size,
+        directed_edges: model.directedCount,
+        bidirected_edges: model.bidirected.length,
+        is_dag: cycles.length === 0,
+        cycles,
+        query,
+        computation,
+        annotated_edges: Array.from(this.edges.values())
+          .filter(e => CAUSAL_EDGE_TYPES.includes(e.metadata.edge_type))
+          .map(e => ({ edge_id: e.edge_id, source: e.source, target: e.target, edge_type: e.metadata.edge_type, causal_metadata: e.metadata.causal_metadata })),
+        message: cycles.length > 0
+          ? `Causal graph contains ${cycles.length} cycles; identification is unavailable for edges on them`
+          : 'Causal analysis completed following P1.24 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Causal analysis failed', error);
+      throw new McpError(ErrorCode.InternalError, `Causal analysis failed: ${error.message}`);
+    }
+  }
+
+  // P1.24: Declare a causal edge between two existing nodes
+  _addCausalEdge({ source, target, edge_type = 'Causal', confidence }) {
+    if (!CAUSAL_EDGE_TYPES.includes(edge_type)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported causal edge_type '${edge_type}'. Expected one of: ${CAUSAL_EDGE_TYPES.join(', ')}`);
+    }
+    for (const nodeId of [source, target]) {
+      if (!this.vertices.has(nodeId)) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+    }
+    if (source === target) {
+      throw new McpError(ErrorCode.InvalidParams, `Causal edge cannot be a self-loop on ${source}`);
+    }
+
+    this.enforceMemoryLimits();
+
+    const edgeId = `e_${source}_${target}_${edge_type.toLowerCase()}`;
+    this.edges.set(edgeId, {
+      edge_id: edgeId,
+      source,
+      target,
+      metadata: this._safeCreateEdgeMetadata({
+        edge_id: edgeId,
+        edge_type,
+        confidence: this._createProbabilityDistribution(confidence || [0.6, 0.6, 0.6, 0.6]),
+        bidirectional: edge_type === 'Confounded'
+      })
+    });
+    return edgeId;
+  }
+
+  // Directed adjacency from Causal/Counterfactual edges; Confounded edges kept as bidirected pairs
+  _buildCausalModel() {
+    const nodes = new Set();
+    const children = new Map();
+    const parents = new Map();
+    const bidirected = [];
+    let directedCount = 0;
+
+    const ensure = (id) => {
+      nodes.add(id);
+      if (!children.has(id)) children.set(id, new Set());
+      if (!parents.has(id)) parents.set(id, new Set());
+    };
+
+    for (const edge of this.edges.values()) {
+      const edgeType = edge.metadata.edge_type;
+      if (!CAUSAL_EDGE_TYPES.includes(edgeType)) continue;
+      ensure(edge.source);
+      ensure(edge.target);
+      if (edgeType === 'Confounded') {
+        bidirected.push([edge.source, edge.target]);
+      } else {
+        children.get(edge.source).add(edge.target);
+        parents.get(edge.target).add(edge.source);
+        directedCount++;
+      }
+    }
+
+    return { nodes, children, parents, bidirected, directedCount };
+  }
+
+  // Depth-first search; each back edge closes one reported cycle
+  _findCausalCycles(model) {
+    const state = new Map();
+    const stack = [];
+    const cycles = [];
+
+    const visit = (nodeId) => {
+      state.set(nodeId, 'active');
+      stack.push(nodeId);
+      for (const next of model.children.get(nodeId) || []) {
+        if (state.get(next) === 'active') {
+          cycles.push(stack.slice(stack.indexOf(next)));
+        } else if (!state.has(next)) {
+          visit(next);
+        }
+      }
+      stack.pop();
+      state.set(nodeId, 'done');
+    };
+
+    for (const nodeId of model.nodes) {
+      if (!state.has(nodeId)) visit(nodeId);
+    }
+    return cycles;
+  }
+
+  // `budget.steps` is shared across calls and decremented per node visited; the search stops at zero
+  _enumerateDirectedPaths(model, from, to, limit, budget = { steps: Infinity }) {
+    const paths = [];
+    const walk = (nodeId, path) => {
+      if (paths.length >= limit || --budget.steps < 0) return;
+      if (nodeId === to) {
+        paths.push([...path]);
+        return;
+      }
+      for (const next of model.children.get(nodeId) || []) {
+        if (path.includes(next)) continue;
+        path.push(next);
+        walk(next, path);
+        path.pop();
+      }
+    };
+    if (model.nodes.has(from)) walk(from, [from]);
+    return paths;
+  }
+
+  _causalReach(relation, start) {
+    const reached = new Set();
+    const queue = [...start];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const next of relation.get(current) || []) {
+        if (!reached.has(next)) {
+          reached.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    return reached;
+  }
+
+  // d-separation of X and Y given Z via the moralized ancestral graph; bidirected edges become
+  // latent parents, and `cut` removes the outgoing edges of the listed nodes first (G with X underlined)
+  _isDSeparated(model, xs, ys, zs, cut = []) {
+    const parents = new Map();
+    for (const nodeId of model.nodes) {
+      parents.set(nodeId, new Set(model.parents.get(nodeId)));
+    }
+    model.bidirected.forEach(([a, b], i) => {
+      const latent = `__latent_${i}`;
+      parents.set(latent, new Set());
+      parents.get(a).add(latent);
+      parents.get(b).add(latent);
+    });
+    for (const nodeId of cut) {
+      for (const [child, childParents] of parents) {
+        if (child !== nodeId) childParents.delete(nodeId);
+      }
+    }
+
+    const relevant = new Set([...xs, ...ys, ...zs]);
+    for (const ancestor of this._causalReach(parents, relevant)) relevant.add(ancestor);
+
+    const moral = new Map(Array.from(relevant).map(id => [id, new Set()]));
+    const link = (a, b) => {
+      moral.get(a).add(b);
+      moral.get(b).add(a);
+    };
+    for (const nodeId of relevant) {
+      const nodeParents = Array.from(parents.get(nodeId) || []).filter(p => relevant.has(p));
+      nodeParents.forEach((p, i) => {
+        link(nodeId, p);
+        nodeParents.slice(i + 1).forEach(q => link(p, q));
+      });
+    }
+
+    const blocked = new Set(zs);
+    const targets = new Set(ys);
+    const seen = new Set(xs);
+    const queue = [...xs];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (targets.has(current)) return false;
+      for (const next of moral.get(current) || []) {
+        if (!seen.has(next) && !blocked.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      }
+    }
+    return true;
+  }
+
+  // P1.24: Confounders, adjustment sets and identifiability of P(y | do(x))
+  _analyzeCausalPair(model, x, y, cyclicNodes, limits = { ...CAUSAL_SEARCH_LIMITS, path_budget: { steps: Infinity } }) {
+    const ancestorsOf = (id) => this._causalReach(model.parents, [id]);
+    const descendantsOfX = this._causalReach(model.children, [x]);
+    const ancestorsX = ancestorsOf(x);
+    const ancestorsY = ancestorsOf(y);
+
+    // Observed common causes with a route to y that does not pass through x
+    const confounders = Array.from(ancestorsX).filter(id => {
+      if (id === x || id === y) return false;
+      const reach = new Set();
+      const queue = [id];
+      while (queue.length > 0) {
+        const current = queue.shift();
+        for (const next of model.children.get(current) || []) {
+          if (next !== x && !reach.has(next)) {
+            reach.add(next);
+            queue.push(next);
           }
         }
-      },
-      required: ['query']
-    }
-  }
-];
+      }
+      return reach.has(y);
+    });
+
+    const inScope = new Set([x, y, ...ancestorsX, ...ancestorsY]);
+    const latentConfounding = model.bidirected
+      .filter(([a, b]) => inScope.has(a) && inScope.has(b))
+      .map(([a, b]) => `${a} ↔ ${b}`);
+
+    const result = {
+      confounders,
+      latent_confounding: latentConfounding,
+      adjustment_sets: [],
+      identifiable: null,
+      method: null,
+      estimand: null
+    };
+
+    if (!model.nodes.has(x) || !model.nodes.has(y)) {
+      return { ...result, identifiable: true, method: 'no_causal_connection', estimand: `P(${y} | do(${x})) = P(${y})` };
+    }
+    if (cyclicNodes.has(x) || cyclicNodes.has(y)) {
+      return { ...result, method: 'cyclic_graph', estimand: null };
+    }
+    if (!descendantsOfX.has(y)) {
+      return { ...result, identifiable: true, method: 'no_directed_path', estimand: `P(${y} | do(${x})) = P(${y})` };
+    }
+
+    // Backdoor criterion: Z excludes descendants of x and d-separates x, y once x's outgoing edges are cut
+    const candidates = Array.from(inScope)
+      .filter(id => id !== x && id !== y && !descendantsOfX.has(id))
+      .slice(0, limits.max_adjustment_candidates);
+    const minimalSets = [];
+    for (let size = 0; size <= Math.min(candidates.length, limits.max_adjustment_set_size); size++) {
+      for (const subset of this._combinations(candidates, size)) {
+        if (minimalSets.some(found => found.every(id => subset.includes(id)))) continue;
+        if (this._isDSeparated(model, [x], [y], subset, [x])) {
+          minimalSets.push(subset);
+        }
+      }
+    }
+
+    if (minimalSets.length > 0) {
+      const z = minimalSets[0];
+      return {
+        ...result,
+        adjustment_sets: minimalSets,
+        identifiable: true,
+        method: z.length === 0 ? 'no_confounding (do-calculus rule 2)' : 'backdoor_adjustment (do-calculus rules 2-3)',
+        estimand: z.length === 0
+          ? `P(${y} | do(${x})) = P(${y} | ${x})`
+          : `P(${y} | do(${x})) = Σ_{${z.join(',')}} P(${y} | ${x}, ${z.join(', ')}) P(${z.join(', ')})`
+      };
+    }
+
+    // Front-door criterion with mediators taken from the directed x → y paths
+    const directedPaths = this._enumerateDirectedPaths(model, x, y, limits.max_paths, limits.path_budget);
+    const mediators = Array.from(new Set(directedPaths.flatMap(path => path.slice(1, -1))))
+      .slice(0, limits.max_adjustment_candidates);
+    for (let size = 1; size <= Math.min(mediators.length, limits.max_adjustment_set_size); size++) {
+      for (const m of this._combinations(mediators, size)) {
+        const intercepts = directedPaths.every(path => path.slice(1, -1).some(id => m.includes(id)));
+        if (!intercepts) continue;
+        if (!this._isDSeparated(model, [x], m, [], [x])) continue;
+        if (!this._isDSeparated(model, m, [y], [x], m)) continue;
+        return {
+          ...result,
+          identifiable: true,
+          method: 'front_door_adjustment (do-calculus rules 2-3)',
+          front_door_set: m,
+          estimand: `P(${y} | do(${x})) = Σ_{${m.join(',')}} P(${m.join(', ')} | ${x}) Σ_{${x}'} P(${y} | ${x}', ${m.join(', ')}) P(${x}')`
+        };
+      }
+    }
+
+    return {
+      ...result,
+      identifiable: false,
+      method: 'not_identified_by_backdoor_or_front_door',
+      estimand: null
+    };
+  }
+
+  // P1.21: Shrink the adjustment-set search until its estimate fits the remaining budget
+  _planCausalSearch(model, pairCount, maxPaths) {
+    const limits = { ...CAUSAL_SEARCH_LIMITS, max_paths: maxPaths };
+    const plan = this._planComputation('causal_search', this._estimateCausalCost(model, pairCount, limits), 1,
+      this._estimateCausalCost(model, pairCount, { ...limits, max_adjustment_set_size: 1, max_adjustment_candidates: 1, max_paths: 1 }));
+    if (plan.approximate) {
+      const fits = () => this._estimateCausalCost(model, pairCount, limits) <= plan.allowance;
+      while (!fits() && limits.max_adjustment_set_size > 1) limits.max_adjustment_set_size--;
+      while (!fits() && limits.max_adjustment_candidates > 1) limits.max_adjustment_candidates--;
+      while (!fits() && limits.max_paths > 1) limits.max_paths = Math.ceil(limits.max_paths / 2);
+    }
+    limits.path_budget = { steps: plan.allowance, initial: plan.allowance };
+    return { plan, limits };
+  }
+
+  // Up to Σₖ C(candidates, k) d-separation tests of O(V + E) each for the backdoor search, about as
+  // many again for the front door, plus a bounded path enumeration, per analyzed pair
+  _estimateCausalCost(model, pairCount, limits) {
+    const candidates = Math.min(limits.max_adjustment_candidates, Math.max(0, model.nodes.size - 2));
+    let tests = 0;
+    let subsets = 1;
+    for (let k = 0; k <= Math.min(candidates, limits.max_adjustment_set_size); k++) {
+      tests += subsets;
+      subsets = (subsets * (candidates - k)) / (k + 1);
+    }
+    const testCost = model.nodes.size + model.directedCount + model.bidirected.length + 1;
+    return pairCount * (2 * tests * testCost + limits.max_paths * model.nodes.size);
+  }
+
+  _combinations(items, size) {
+    if (size === 0) return [[]];
+    const result = [];
+    items.forEach((item, i) => {
+      for (const rest of this._combinations(items.slice(i + 1), size - 1)) {
+        result.push([item, ...rest]);
+      }
+    });
+    return result;
+  }
+
+  // P1.25: Temporal pattern detection - precedence chains, feedback cycles, delays and conditional sequences
+  detectTemporalPatterns(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot detect temporal patterns. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const delayThresholdMs = (config.delay_threshold_hours ?? TEMPORAL_DEFAULTS.delay_threshold_hours) * 3600 * 1000;
+      const maxChains = config.max_chains || TEMPORAL_DEFAULTS.max_chains;
+
+      // P1.18: Observation times are kept apart from the creation timestamp, which audits and revisions rely on
+      for (const [nodeId, timestamp] of Object.entries(config.node_timestamps || {})) {
+        const node = this.vertices.get(nodeId);
+        if (!node) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+        }
+        if (Number.isNaN(Date.parse(timestamp))) {
+          throw new McpError(ErrorCode.InvalidParams, `node_timestamps.${nodeId} must be an ISO 8601 timestamp`);
+        }
+        node.metadata.observed_at = new Date(timestamp).toISOString();
+        node.metadata.updated = this._safeGetTimestamp();
+      }
+
+      const declared = (config.temporal_edges || []).map(edge => this._addTemporalEdge(edge));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.25: Detecting temporal patterns`);
+
+      const timeOf = (nodeId) => new Date(this._observedAt(this.vertices.get(nodeId))).getTime();
+      const candidates = Array.from(this.edges.values()).filter(edge =>
+        (TEMPORAL_EDGE_TYPES.includes(edge.metadata.edge_type) ||
+          (CAUSAL_EDGE_TYPES.includes(edge.metadata.edge_type) && edge.metadata.edge_type !== 'Confounded')) &&
+        this.vertices.has(edge.source) && this.vertices.has(edge.target)
+      );
+
+      // Feedback cycles over all candidate edges, regardless of timestamps
+      const model = { nodes: new Set(), children: new Map() };
+      for (const edge of candidates) {
+        for (const id of [edge.source, edge.target]) {
+          model.nodes.add(id);
+          if (!model.children.has(id)) model.children.set(id, new Set());
+        }
+        model.children.get(edge.source).add(edge.target);
+      }
+      const cycles = this._findCausalCycles(model);
+      const cycleEdges = new Map();
+      cycles.forEach((cycle, i) => {
+        cycle.forEach((id, j) => cycleEdges.set(`${id}→${cycle[(j + 1) % cycle.length]}`, i));
+      });
+
+      // Precedence: the source is observed no later than the target
+      const precedence = new Map();
+      const violations = [];
+      for (const edge of candidates) {
+        const lag = timeOf(edge.target) - timeOf(edge.source);
+        const onCycle = cycleEdges.has(`${edge.source}→${edge.target}`);
+        if (lag >= 0 && !onCycle) {
+          if (!precedence.has(edge.source)) precedence.set(edge.source, []);
+          precedence.get(edge.source).push(edge);
+        } else if (lag < 0 && !onCycle) {
+          violations.push({ edge_id: edge.edge_id, source: edge.source, target: edge.target, lag_ms: lag });
+        }
+      }
+
+      // Precedence chains: maximal time-ordered paths of three or more nodes
+      const hasIncoming = new Set(Array.from(precedence.values()).flat().map(e => e.target));
+      const chains = [];
+      const walk = (nodeId, path, edgePath) => {
+        if (chains.length >= maxChains) return;
+        const next = (precedence.get(nodeId) || []).filter(e => !path.includes(e.target));
+        if (next.length === 0) {
+          if (path.length >= 3) chains.push({ nodes: [...path], edges: [...edgePath] });
+          return;
+        }
+        for (const edge of next) {
+          walk(edge.target, [...path, edge.target], [...edgePath, edge.edge_id]);
+        }
+      };
+      for (const start of precedence.keys()) {
+        if (!hasIncoming.has(start)) walk(start, [start], []);
+      }
+
+      // Conditional sequences: a target preceded by two or more antecedents, or an explicit condition
+      const antecedents = new Map();
+      for (const edge of Array.from(precedence.values()).flat()) {
+        if (!antecedents.has(edge.target)) antecedents.set(edge.target, []);
+        antecedents.get(edge.target).push(edge);
+      }
+      const conditional = [];
+      for (const [target, incoming] of antecedents) {
+        const explicit = incoming.filter(e => e.metadata.temporal_metadata?.condition);
+        if (incoming.length >= 2 || explicit.length > 0) {
+          const ordered = [...incoming].sort((a, b) => timeOf(a.source) - timeOf(b.source));
+          conditional.push({
+            outcome: target,
+            preconditions: ordered.map(e => e.source),
+            conditions: explicit.map(e => e.metadata.temporal_metadata.condition),
+            edges: ordered.map(e => e.edge_id)
+          });
+        }
+      }
+
+      const chainIndex = new Map();
+      chains.forEach((chain, i) => chain.edges.forEach(id => {
+        if (!chainIndex.has(id)) chainIndex.set(id, []);
+        chainIndex.get(id).push(i);
+      }));
+      const conditionalIndex = new Map();
+      conditional.forEach((seq, i) => seq.edges.forEach(id => conditionalIndex.set(id, i)));
+
+      const timestamp = this._safeGetTimestamp();
+      const delayed = [];
+      const annotated = candidates.map(edge => {
+        const previous = edge.metadata.temporal_metadata || {};
+        const lag = timeOf(edge.target) - timeOf(edge.source);
+        const cycleId = cycleEdges.get(`${edge.source}→${edge.target}`);
+        const delayMs = previous.expected_delay_ms ?? (lag >= delayThresholdMs ? lag : null);
+
+        let pattern = 'Temporal Precedence';
+        if (cycleId !== undefined) pattern = 'Cyclic';
+        else if (lag < 0) pattern = null;
+        else if (delayMs !== null) pattern = 'Delayed';
+        else if (chainIndex.has(edge.edge_id) || conditionalIndex.has(edge.edge_id)) pattern = 'Sequential';
+
+        if (pattern === 'Delayed') {
+          delayed.push({ edge_id: edge.edge_id, source: edge.source, target: edge.target, delay_ms: delayMs, delay: this._formatDelay(delayMs) });
+        }
+
+        edge.metadata.temporal_metadata = {
+          ...previous,
+          analyzed: timestamp,
+          pattern,
+          source_timestamp: this._observedAt(this.vertices.get(edge.source)),
+          target_timestamp: this._observedAt(this.vertices.get(edge.target)),
+          lag_ms: lag,
+          precedence_consistent: lag >= 0,
+          delay_ms: pattern === 'Delayed' ? delayMs : null,
+          delay: pattern === 'Delayed' ? this._formatDelay(delayMs) : null,
+          cycle_id: cycleId ?? null,
+          chain_ids: chainIndex.get(edge.edge_id) || [],
+          conditional_sequence_id: conditionalIndex.get(edge.edge_id) ?? null
+        };
+        // Purely temporal edges take the detected pattern as their P1.10 type; causal edges keep theirs
+        if (pattern && TEMPORAL_EDGE_TYPES.includes(edge.metadata.edge_type)) {
+          edge.metadata.edge_type = pattern;
+        }
+
+        return { edge_id: edge.edge_id, edge_type: edge.metadata.edge_type, pattern };
+      });
+
+      return {
+        success: true,
+        declared_edges: declared,
+        analyzed_edges: candidates.length,
+        precedence_chains: chains,
+        feedback_cycles: cycles,
+        delayed_effects: delayed,
+        conditional_sequences: conditional,
+        precedence_violations: violations,
+        annotated_edges: annotated,
+        message: 'Temporal pattern detection completed following P1.25 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Temporal pattern detection failed', error);
+      throw new McpError(ErrorCode.InternalError, `Temporal pattern detection failed: ${error.message}`);
+    }
+  }
+
+  // P1.25: When a node was observed; nodes without a supplied observation time count from their creation
+  _observedAt(node) {
+    return node.metadata.observed_at ?? node.metadata.timestamp;
+  }
+
+  // P1.25: Declare a temporal edge between two existing nodes
+  _addTemporalEdge({ source, target, edge_type = 'Temporal Precedence', delay_hours, condition }) {
+    if (!TEMPORAL_EDGE_TYPES.includes(edge_type)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported temporal edge_type '${edge_type}'. Expected one of: ${TEMPORAL_EDGE_TYPES.join(', ')}`);
+    }
+    for (const nodeId of [source, target]) {
+      if (!this.vertices.has(nodeId)) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+    }
+    if (source === target) {
+      throw new McpError(ErrorCode.InvalidParams, `Temporal edge cannot be a self-loop on ${source}`);
+    }
+
+    this.enforceMemoryLimits();
+
+    const edgeId = `e_${source}_${target}_temporal`;
+    const temporalMetadata = {};
+    if (delay_hours !== undefined) temporalMetadata.expected_delay_ms = delay_hours * 3600 * 1000;
+    if (condition) temporalMetadata.condition = condition;
+
+    this.edges.set(edgeId, {
+      edge_id: edgeId,
+      source,
+      target,
+      metadata: this._safeCreateEdgeMetadata({
+        edge_id: edgeId,
+        edge_type,
+        temporal_metadata: Object.keys(temporalMetadata).length > 0 ? temporalMetadata : null
+      })
+    });
+    return edgeId;
+  }
+
+  _formatDelay(ms) {
+    const hours = ms / 3600000;
+    if (hours >= 48) return `${(hours / 24).toFixed(1)} days`;
+    if (hours >= 1) return `${hours.toFixed(1)} hours`;
+    return `${Math.round(ms / 60000)} minutes`;
+  }
+
+  // P1.26: Power analysis for an evidence node; underpowered evidence loses weight in the hypotheses it updated
+  assessStatisticalPower(nodeId, analysis = {}) {
+    try {
+      if (this.currentStage < 4) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot assess statistical power. Current stage: ${this.currentStage}, expected: 4 or later`);
+      }
+
+      const node = this.vertices.get(nodeId);
+      if (!node) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+      if (node.type !== 'evidence') {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} is of type '${node.type}', expected 'evidence'`);
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.26: Assessing statistical power of ${nodeId} (${analysis.test_family})`);
+
+      const previousWeight = node.metadata.statistical_power?.evidence_weight ?? null;
+      const power = this._computeStatisticalPower(analysis);
+      node.metadata.statistical_power = power;
+      node.metadata.updated = power.assessed;
+
+      // Rescale this evidence's share of each conjugate update it contributed to
+      const adjustments = [];
+      for (const hypothesis of this.vertices.values()) {
+        for (const entry of [...(hypothesis.metadata.revision_history || [])]) {
+          if (entry.action !== 'bayesian_update' || entry.evidence_node_id !== nodeId) continue;
+          const integrationWeight = entry.power_weight || 1;
+          const appliedWeight = previousWeight ?? integrationWeight;
+          const change = (power.evidence_weight - appliedWeight) / integrationWeight;
+          if (Math.abs(change) < 1e-9) continue;
+
+          const before = this._toBetaParameters(entry.prior);
+          const after = this._toBetaParameters(entry.posterior);
+          const prior = hypothesis.confidence;
+          const current = this._toBetaParameters(prior);
+          const posterior = this._fromBetaParameters(current.map(({ alpha, beta }, i) => ({
+            alpha: Math.max(0.01, alpha + change * (after[i].alpha - before[i].alpha)),
+            beta: Math.max(0.01, beta + change * (after[i].beta - before[i].beta))
+          })));
+
+          const klDivergence = this._confidenceKlDivergence(posterior, prior);
+
+          hypothesis.confidence = posterior;
+          hypothesis.metadata.confidence = posterior;
+          hypothesis.metadata.updated = this._safeGetTimestamp();
+          hypothesis.metadata.epistemic_status = this._classifyEpistemicStatus(posterior);
+          this._recordRevision(hypothesis, {
+            timestamp: hypothesis.metadata.updated,
+            stage: 'evidence_integration',
+            action: 'power_adjustment',
+            evidence_node_id: nodeId,
+            achieved_power: power.achieved_power,
+            previous_weight: appliedWeight,
+            evidence_weight: power.evidence_weight,
+            kl_divergence: klDivergence,
+            prior: { means: prior.means, variances: prior.variances },
+            posterior: { means: posterior.means, variances: posterior.variances }
+          });
+          this._refreshInfoMetrics(hypothesis, klDivergence);
+          this._renormalizeCompetingSets(hypothesis.node_id, prior.means, 'power_adjustment');
+          this._refreshSuperNodes(hypothesis.node_id);
+          adjustments.push({
+            hypothesis_node_id: hypothesis.node_id,
+            prior_confidence: prior.means,
+            posterior_confidence: posterior.means
+          });
+        }
+      }
+
+      return {
+        success: true,
+        node_id: nodeId,
+        statistical_power: power,
+        confidence_adjustments: adjustments,
+        message: power.adequately_powered
+          ? 'Statistical power assessed following P1.26 specification'
+          : `Evidence ${nodeId} is underpowered (${power.achieved_power.toFixed(2)} < ${power.power_threshold}); its weight was reduced to ${power.evidence_weight.toFixed(2)}`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Statistical power assessment failed', error);
+      throw new McpError(ErrorCode.InternalError, `Statistical power assessment failed: ${error.message}`);
+    }
+  }
+
+  // P1.26: Achieved power, minimum detectable effect, required n and effect-size CI (noncentral F and χ² for
+  // anova and chi_square, normal approximations for the other families)
+  _computeStatisticalPower(analysis) {
+    const family = POWER_TEST_FAMILIES[analysis.test_family];
+    if (!family) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported test_family '${analysis.test_family}'. Expected one of: ${Object.keys(POWER_TEST_FAMILIES).join(', ')}`);
+    }
+    const effect = Math.abs(analysis.effect_size);
+    if (typeof analysis.effect_size !== 'number' || !Number.isFinite(effect)) {
+      throw new McpError(ErrorCode.InvalidParams, 'effect_size must be a finite number');
+    }
+    if (analysis.test_family === 'correlation' && effect >= 1) {
+      throw new McpError(ErrorCode.InvalidParams, 'effect_size for correlation must be between -1 and 1');
+    }
+    const sizes = analysis.sample_sizes;
+    if (!Array.isArray(sizes) || sizes.length === 0 || sizes.some(n => typeof n !== 'number' || n < family.min_n)) {
+      throw new McpError(ErrorCode.InvalidParams, `sample_sizes must be a non-empty array of numbers of at least ${family.min_n}`);
+    }
+    if (analysis.test_family === 'anova' && sizes.length < 2) {
+      throw new McpError(ErrorCode.InvalidParams, 'anova requires the sample size of each group (at least 2 groups)');
+    }
+
+    const alpha = analysis.alpha ?? 0.05;
+    const tails = analysis.tails ?? 2;
+    const threshold = analysis.power_threshold ?? USER_CONFIG.statistical_power_threshold;
+    if (alpha <= 0 || alpha >= 1) {
+      throw new McpError(ErrorCode.InvalidParams, 'alpha must be between 0 and 1');
+    }
+
+    const powerAt = (e, ns) => this._powerFor(analysis.test_family, e, ns, alpha, tails, analysis.df);
+    const achieved = powerAt(effect, sizes);
+
+    // Minimum detectable effect by bisection; power is monotone in the effect size
+    let low = 0;
+    let high = analysis.test_family === 'correlation' ? 0.999 : 10;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (powerAt(mid, sizes) >= threshold) high = mid; else low = mid;
+    }
+
+    // Required n keeps the observed allocation ratio between groups
+    const ratios = sizes.map(n => n / sizes[0]);
+    const scaled = (m) => ratios.map(r => Math.max(family.min_n, Math.ceil(m * r)));
+    let required = null;
+    if (effect > 0) {
+      let upper = family.min_n;
+      while (powerAt(effect, scaled(upper)) < threshold && upper < 1e8) upper *= 2;
+      if (upper < 1e8) {
+        let lower = Math.max(family.min_n, Math.floor(upper / 2));
+        while (lower < upper) {
+          const mid = Math.floor((lower + upper) / 2);
+          if (powerAt(effect, scaled(mid)) >= threshold) upper = mid; else lower = mid + 1;
+        }
+        required = scaled(upper);
+      }
+    }
+
+    return {
+      test_family: analysis.test_family,
+      effect_size: analysis.effect_size,
+      effect_size_metric: family.metric,
+      sample_sizes: sizes,
+      total_n: sizes.reduce((a, b) => a + b, 0),
+      alpha,
+      tails,
+      df: analysis.test_family === 'chi_square' ? (analysis.df || 1) : undefined,
+      achieved_power: achieved,
+      power_threshold: threshold,
+      adequately_powered: achieved >= threshold,
+      minimum_detectable_effect: high,
+      required_sample_sizes: required,
+      required_total_n: required ? required.reduce((a, b) => a + b, 0) : null,
+      confidence_interval: this._effectSizeInterval(analysis.test_family, analysis.effect_size, sizes, alpha, analysis.df),
+      evidence_weight: Math.min(1, achieved / threshold),
+      method: analysis.test_family === 'anova' ? 'noncentral F'
+        : analysis.test_family === 'chi_square' ? 'noncentral chi-square' : 'normal approximation',
+      assessed: this._safeGetTimestamp()
+    };
+  }
+
+  _powerFor(family, effect, sizes, alpha, tails, df) {
+    const total = sizes.reduce((a, b) => a + b, 0);
+    // Noncentrality λ = effect²·N; power is the noncentral tail beyond the central critical value
+    if (family === 'anova') {
+      const dfEffect = sizes.length - 1;
+      const dfError = total - sizes.length;
+      const lambda = effect * effect * total;
+      const critical = this._invertCdf(x => this._fCdf(x, dfEffect, dfError), 1 - alpha);
+      const x = (dfEffect * critical) / (dfEffect * critical + dfError);
+      return 1 - this._poissonMixture(lambda, j => this._regularizedBeta(x, dfEffect / 2 + j, dfError / 2));
+    }
+    if (family === 'chi_square') {
+      const dfEffect = df || 1;
+      const lambda = effect * effect * total;
+      const critical = this._chiSquareQuantile(1 - alpha, dfEffect);
+      return 1 - this._poissonMixture(lambda, j => this._regularizedGammaP(dfEffect / 2 + j, critical / 2));
+    }
+
+    let ncp;
+    if (family === 'correlation') {
+      ncp = Math.atanh(effect) * Math.sqrt(total - 3);
+    } else if (sizes.length === 1) {
+      ncp = effect * Math.sqrt(sizes[0]);
+    } else {
+      ncp = effect * Math.sqrt((sizes[0] * sizes[1]) / (sizes[0] + sizes[1]));
+    }
+    if (tails === 1) {
+      return this._normalCdf(ncp - this._normalQuantile(1 - alpha));
+    }
+    const z = this._normalQuantile(1 - alpha / 2);
+    return this._normalCdf(ncp - z) + this._normalCdf(-ncp - z);
+  }
+
+  _effectSizeInterval(family, effect, sizes, alpha, df) {
+    const z = this._normalQuantile(1 - alpha / 2);
+    const total = sizes.reduce((a, b) => a + b, 0);
+    const level = 1 - alpha;
+
+    if (family === 'correlation') {
+      const se = 1 / Math.sqrt(total - 3);
+      return { level, lower: Math.tanh(Math.atanh(effect) - z * se), upper: Math.tanh(Math.atanh(effect) + z * se) };
+    }
+    if (family === 'anova' || family === 'chi_square') {
+      // Delta method on the noncentrality λ = effect²·N
+      const dfEffect = family === 'anova' ? sizes.length - 1 : (df || 1);
+      const lambda = effect * effect * total;
+      const se = Math.sqrt(2 * (dfEffect + 2 * lambda));
+      return {
+        level,
+        lower: Math.sqrt(Math.max(0, lambda - z * se) / total),
+        upper: Math.sqrt((lambda + z * se) / total)
+      };
+    }
+
+    const inverseN = sizes.length === 1 ? 1 / sizes[0] : 1 / sizes[0] + 1 / sizes[1];
+    const se = family === 't_test'
+      ? Math.sqrt(inverseN + (effect * effect) / (2 * total))
+      : Math.sqrt(inverseN);
+    return { level, lower: effect - z * se, upper: effect + z * se };
+  }
+
+  _normalCdf(x) {
+    return 0.5 * (1 + erf(x / Math.SQRT2));
+  }
+
+  // Acklam's rational approximation of the standard normal quantile
+  _normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+
+    if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+    if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
+  _chiSquareCdf(x, df) {
+    return this._regularizedGammaP(df / 2, x / 2);
+  }
+
+  _chiSquareQuantile(p, df) {
+    return this._invertCdf(x => this._chiSquareCdf(x, df), p);
+  }
+
+  _fCdf(x, dfEffect, dfError) {
+    if (x <= 0) return 0;
+    return this._regularizedBeta((dfEffect * x) / (dfEffect * x + dfError), dfEffect / 2, dfError / 2);
+  }
+
+  // Quantile of a continuous CDF on [0, ∞) by bracketing and bisection
+  _invertCdf(cdf, p) {
+    let low = 0;
+    let high = 1;
+    while (cdf(high) < p && high < 1e12) high *= 2;
+    for (let i = 0; i < 100 && high - low > 1e-12 * high; i++) {
+      const mid = (low + high) / 2;
+      if (cdf(mid) < p) low = mid; else high = mid;
+    }
+    return (low + high) / 2;
+  }
+
+  // Noncentral χ² and F distributions are Poisson(λ/2) mixtures of central ones; the sum runs
+  // outward from the Poisson mode until the weights are negligible
+  _poissonMixture(lambda, term) {
+    const mean = lambda / 2;
+    if (mean <= 0) return term(0);
+    const weight = (j) => Math.exp(-mean + j * Math.log(mean) - lgamma(j + 1));
+    const mode = Math.floor(mean);
+    let sum = 0;
+    for (let j = mode; j >= 0; j--) {
+      const w = weight(j);
+      sum += w * term(j);
+      if (w < 1e-15) break;
+    }
+    for (let j = mode + 1; ; j++) {
+      const w = weight(j);
+      sum += w * term(j);
+      if (w < 1e-15) break;
+    }
+    return Math.min(1, sum);
+  }
+
+  // Regularized lower incomplete gamma P(a, x): power series below a + 1, Lentz continued fraction above
+  _regularizedGammaP(a, x) {
+    if (x <= 0) return 0;
+    const logPrefix = a * Math.log(x) - x - lgamma(a);
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 10000; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+      }
+      return Math.min(1, sum * Math.exp(logPrefix));
+    }
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 10000; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefix) * h);
+  }
+
+  // Regularized incomplete beta I_x(a, b) by Lentz's continued fraction
+  _regularizedBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    if (x > (a + 1) / (a + b + 2)) {
+      return 1 - this._regularizedBeta(1 - x, b, a);
+    }
+    const tiny = 1e-300;
+    const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - this._lnBeta(a, b)) / a;
+    let c = 1;
+    let d = 1 - ((a + b) * x) / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+    for (let m = 1; m < 10000; m++) {
+      const m2 = 2 * m;
+      let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+      aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.min(1, front * h);
+  }
+
+  // P1.27: Entropy, KL divergence, mutual information and MDL complexity for every content node
+  computeInformationMetrics(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot compute information metrics. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const nodeIds = config.node_ids || this._getContentNodes().map(n => n.node_id);
+      for (const nodeId of nodeIds) {
+        if (!this.vertices.has(nodeId)) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+        }
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.27: Computing information metrics for ${nodeIds.length} nodes`);
+
+      const vocabulary = this._informationVocabulary();
+      const nodes = nodeIds.map(nodeId => {
+        const node = this.vertices.get(nodeId);
+        this._refreshInfoMetrics(node, undefined, vocabulary);
+        return { node_id: nodeId, type: node.type, info_metrics: node.metadata.info_metrics };
+      });
+
+      const links = [];
+      for (const edge of this.edges.values()) {
+        if (!EVIDENCE_EDGE_TYPES[edge.metadata.edge_type]) continue;
+        const evidence = this.vertices.get(edge.source);
+        const hypothesis = this.vertices.get(edge.target);
+        if (!evidence || !hypothesis || hypothesis.type !== 'hypothesis') continue;
+        links.push({
+          evidence_node_id: evidence.node_id,
+          hypothesis_node_id: hypothesis.node_id,
+          edge_type: edge.metadata.edge_type,
+          mutual_information: this._evidenceMutualInformation(evidence, hypothesis)
+        });
+      }
+
+      return {
+        success: true,
+        nodes,
+        evidence_links: links,
+        investigation_priority: this._rankByInformationGain(),
+        summary: this._getInformationSummary(),
+        message: 'Information metrics computed following P1.27 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Information metrics computation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Information metrics computation failed: ${error.message}`);
+    }
+  }
+
+  // P1.27: Recompute a node's info_metrics; klDivergence is supplied when a Bayesian update just happened
+  _refreshInfoMetrics(node, klDivergence, vocabulary = this._informationVocabulary()) {
+    const previous = node.metadata.info_metrics || this._createInfoMetrics();
+    const metrics = {
+      ...previous,
+      entropy: this._confidenceEntropy(node.confidence),
+      kl_divergence: klDivergence ?? previous.kl_divergence,
+      mutual_information: 0,
+      information_gain: this._expectedInformationGain(node.confidence),
+      updated: this._safeGetTimestamp()
+    };
+
+    for (const edge of this.edges.values()) {
+      if (!EVIDENCE_EDGE_TYPES[edge.metadata.edge_type]) continue;
+      if (edge.source !== node.node_id && edge.target !== node.node_id) continue;
+      const evidence = this.vertices.get(edge.source);
+      const hypothesis = this.vertices.get(edge.target);
+      if (evidence && hypothesis) {
+        metrics.mutual_information += this._evidenceMutualInformation(evidence, hypothesis);
+      }
+    }
+
+    if (node.type === 'hypothesis') {
+      const mdl = this._hypothesisDescriptionLength(node, vocabulary);
+      metrics.complexity = mdl.model_bits;
+      metrics.mdl_score = mdl.model_bits + mdl.data_bits;
+    }
+
+    node.metadata.info_metrics = metrics;
+    return metrics;
+  }
+
+  // Differential entropy of each Beta marginal, summed over the P1.5 dimensions (nats)
+  _confidenceEntropy(distribution) {
+    return this._toBetaParameters(distribution).reduce((total, { alpha, beta }) =>
+      total + this._lnBeta(alpha, beta) - (alpha - 1) * this._digamma(alpha) - (beta - 1) * this._digamma(beta) +
+        (alpha + beta - 2) * this._digamma(alpha + beta), 0);
+  }
+
+  // KL(posterior || prior) between Beta marginals, summed over the P1.5 dimensions (nats)
+  _confidenceKlDivergence(posterior, prior) {
+    const p = this._toBetaParameters(posterior);
+    const q = this._toBetaParameters(prior);
+    return p.reduce((total, { alpha: a2, beta: b2 }, i) => {
+      const { alpha: a1, beta: b1 } = q[i];
+      return total + this._lnBeta(a1, b1) - this._lnBeta(a2, b2) + (a2 - a1) * this._digamma(a2) +
+        (b2 - b1) * this._digamma(b2) + (a1 - a2 + b1 - b2) * this._digamma(a2 + b2);
+    }, 0);
+  }
+
+  // Expected KL from a standard k-trial probe, i.e. I(θ; S) under the beta-binomial, summed over dimensions
+  _expectedInformationGain(distribution) {
+    const k = INFORMATION_PROBE_TRIALS;
+    return this._toBetaParameters(distribution).reduce((total, { alpha, beta }) => {
+      const prior = this._fromBetaParameters([{ alpha, beta }]);
+      let gain = 0;
+      for (let successes = 0; successes <= k; successes++) {
+        const a = alpha + successes;
+        const b = beta + k - successes;
+        const logChoose = lgamma(k + 1) - lgamma(successes + 1) - lgamma(k - successes + 1);
+        const probability = Math.exp(logChoose + this._lnBeta(a, b) - this._lnBeta(alpha, beta));
+        gain += probability * this._confidenceKlDivergence(this._fromBetaParameters([{ alpha: a, beta: b }]), prior);
+      }
+      return total + gain;
+    }, 0);
+  }
+
+  // I(H; E) in bits for a binary hypothesis observed through evidence of the given reliability
+  _evidenceMutualInformation(evidence, hypothesis) {
+    const binaryEntropy = (p) => (p <= 0 || p >= 1 ? 0 : -p * Math.log2(p) - (1 - p) * Math.log2(1 - p));
+    const pTrue = this._expectedConfidence(hypothesis);
+    const reliability = evidence.metadata.reliability ?? 0.7;
+    // Probability that the evidence reports the true state of the hypothesis
+    const accuracy = 0.5 + (this._expectedConfidence(evidence) - 0.5) * reliability;
+    const pReport = pTrue * accuracy + (1 - pTrue) * (1 - accuracy);
+    return Math.max(0, binaryEntropy(pReport) - binaryEntropy(accuracy));
+  }
+
+  // MDL: bits to state the hypothesis plus bits to encode its linked evidence given the hypothesis
+  _hypothesisDescriptionLength(node, vocabulary) {
+    const bitsPerToken = Math.log2(Math.max(2, vocabulary.size));
+    const modelBits = (this._contentTokens(node).length +
+      (node.metadata.falsification_criteria ? this._contentTokens({ content: node.metadata.falsification_criteria }).length : 0)) * bitsPerToken;
+
+    const pTrue = Math.min(Math.max(this._expectedConfidence(node), 1e-6), 1 - 1e-6);
+    let dataBits = 0;
+    for (const edge of this.edges.values()) {
+      const model = EVIDENCE_EDGE_TYPES[edge.metadata.edge_type];
+      if (!model || edge.target !== node.node_id) continue;
+      dataBits += -Math.log2(model.direction >= 0 ? pTrue : 1 - pTrue);
+    }
+    return { model_bits: modelBits, data_bits: dataBits };
+  }
+
+  _informationVocabulary() {
+    const vocabulary = new Set();
+    for (const node of this.vertices.values()) {
+      this._contentTokens(node).forEach(token => vocabulary.add(token));
+    }
+    return vocabulary;
+  }
+
+  // P1.27: Hypotheses ordered by expected information gain of investigating them next
+  _rankByInformationGain() {
+    return Array.from(this.vertices.values())
+      .filter(n => n.type === 'hypothesis')
+      .map(n => ({
+        node_id: n.node_id,
+        label: n.label,
+        information_gain: this._expectedInformationGain(n.confidence),
+        entropy: this._confidenceEntropy(n.confidence),
+        impact_score: n.metadata.impact_score
+      }))
+      .sort((a, b) => b.information_gain - a.information_gain || b.impact_score - a.impact_score)
+      .map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  _getInformationSummary() {
+    const nodes = this._getContentNodes();
+    const entropies = nodes.map(n => this._confidenceEntropy(n.confidence));
+    const realizedGain = nodes.reduce((total, n) =>
+      total + (n.metadata.revision_history || []).reduce((sum, entry) => sum + (entry.kl_divergence || 0), 0), 0);
+    const ranking = this._rankByInformationGain();
+    return {
+      total_entropy: entropies.reduce((a, b) => a + b, 0),
+      mean_entropy: entropies.length > 0 ? entropies.reduce((a, b) => a + b, 0) / entropies.length : 0,
+      cumulative_kl_divergence: realizedGain,
+      next_hypothesis: ranking.length > 0 ? ranking[0].node_id : null
+    };
+  }
+
+  _lnBeta(a, b) {
+    return lgamma(a) + lgamma(b) - lgamma(a + b);
+  }
+
+  // Digamma via recurrence to x ≥ 6 followed by the asymptotic series
+  _digamma(x) {
+    let result = 0;
+    while (x < 6) {
+      result -= 1 / x;
+      x += 1;
+    }
+    const inv2 = 1 / (x * x);
+    return result + Math.log(x) - 0.5 / x - inv2 * (1 / 12 - inv2 * (1 / 120 - inv2 / 252));
+  }
+
+  // P1.28: Impact vector (theoretical significance, practical utility, gap reduction, methodological innovation)
+  estimateResearchImpact(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot estimate research impact. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const model = config.model || USER_CONFIG.impact_estimation_model;
+      if (!IMPACT_MODELS[model]) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported impact model '${model}'. Expected one of: ${Object.keys(IMPACT_MODELS).join(', ')}`);
+      }
+      const weights = { ...IMPACT_MODELS[model], ...(config.component_weights || {}) };
+      const domainWeights = model === 'domain_specific' ? { ...DEFAULT_DOMAIN_WEIGHTS, ...(config.domain_weights || {}) } : {};
+
+      const targets = config.node_ids
+        ? config.node_ids.map(nodeId => {
+          const node = this.vertices.get(nodeId);
+          if (!node) {
+            throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+          }
+          return node;
+        })
+        : this._getContentNodes().filter(n => ['hypothesis', 'evidence', 'bridge'].includes(n.type));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.28: Estimating impact of ${targets.length} nodes with the ${model} model`);
+
+      const maxDegree = Math.max(1, ...Array.from(this.vertices.keys()).map(id => this._getNeighbors(id).length));
+      const gains = new Map(this._rankByInformationGain().map(entry => [entry.node_id, entry.information_gain]));
+      const maxGain = Math.max(1e-9, ...gains.values());
+      const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0) || 1;
+      const timestamp = this._safeGetTimestamp();
+
+      const estimates = targets.map(node => {
+        const vector = this._impactVector(node, { model, maxDegree, gain: (gains.get(node.node_id) || 0) / maxGain });
+        let composite = Object.keys(vector).reduce((sum, key) => sum + (weights[key] || 0) * vector[key], 0) / totalWeight;
+
+        let domainMultiplier = 1;
+        if (model === 'domain_specific') {
+          const tagWeights = (node.metadata.disciplinary_tags || [])
+            .map(tag => domainWeights[tag])
+            .filter(w => typeof w === 'number');
+          domainMultiplier = tagWeights.length > 0 ? tagWeights.reduce((a, b) => a + b, 0) / tagWeights.length : 1;
+          composite = Math.min(1, composite * domainMultiplier);
+        }
+
+        node.metadata.impact_vector = { ...vector, model, domain_multiplier: domainMultiplier, estimated: timestamp };
+        node.metadata.impact_score = composite;
+        return { node_id: node.node_id, type: node.type, impact_score: composite, impact_vector: vector, domain_multiplier: domainMultiplier };
+      });
+
+      // Impact weighted by information gain decides which hypotheses to pursue first
+      const priorities = estimates
+        .filter(e => e.type === 'hypothesis')
+        .map(e => ({
+          node_id: e.node_id,
+          impact_score: e.impact_score,
+          information_gain: gains.get(e.node_id) || 0,
+          priority_score: e.impact_score * (0.5 + 0.5 * (gains.get(e.node_id) || 0) / maxGain)
+        }))
+        .sort((a, b) => b.priority_score - a.priority_score)
+        .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+      return {
+        success: true,
+        model,
+        component_weights: weights,
+        estimates: estimates.sort((a, b) => b.impact_score - a.impact_score),
+        research_priorities: priorities,
+        message: `Research impact estimated with the ${model} model following P1.28 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Research impact estimation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Research impact estimation failed: ${error.message}`);
+    }
+  }
+
+  _impactVector(node, { model, maxDegree, gain }) {
+    const neighbors = this._getNeighbors(node.node_id);
+
+    // Theoretical significance: structural centrality, confidence and falsifiability
+    const topology = node.metadata.topology_metrics || {};
+    const degreeCentrality = neighbors.length / maxDegree;
+    const centrality = model === 'basic'
+      ? degreeCentrality
+      : Math.max(degreeCentrality, topology.betweenness_centrality || 0, topology.eigenvector_centrality || 0);
+    const theoretical = 0.5 * centrality + 0.3 * this._expectedConfidence(node) +
+      0.2 * (node.metadata.falsification_criteria ? 1 : 0);
+
+    // Practical utility: strength of the evidence behind the node (its own, for evidence nodes)
+    const strength = (evidenceNode) => {
+      const power = evidenceNode.metadata.statistical_power?.achieved_power;
+      const base = (evidenceNode.metadata.reliability ?? 0.7) * this._expectedConfidence(evidenceNode);
+      return model === 'basic' || typeof power !== 'number' ? base : base * Math.min(1, 0.5 + power / 2);
+    };
+    let practical;
+    if (node.type === 'evidence') {
+      practical = strength(node);
+    } else {
+      const supporting = Array.from(this.edges.values())
+        .filter(e => e.target === node.node_id && EVIDENCE_EDGE_TYPES[e.metadata.edge_type]?.direction > 0)
+        .map(e => this.vertices.get(e.source))
+        .filter(Boolean);
+      practical = supporting.length > 0
+        ? supporting.reduce((sum, ev) => sum + strength(ev), 0) / supporting.length * Math.min(1, 0.6 + 0.2 * supporting.length)
+        : 0.2;
+    }
+
+    // Gap reduction: gaps this node closed or would close (P1.15), plus expected information gain (P1.27)
+    let closed = 0;
+    let open = 0;
+    for (const gap of this.vertices.values()) {
+      if (gap.type !== 'placeholder_gap' || gap.metadata.target_node_id !== node.node_id) continue;
+      if (gap.metadata.status === 'addressed') closed++; else open++;
+    }
+    const gapTerm = 1 - Math.exp(-(closed + 0.5 * open));
+    const gapReduction = model === 'basic' ? gapTerm : 0.6 * gapTerm + 0.4 * gain;
+
+    // Methodological innovation: disciplinary diversity, bridges and joint (hyperedge) relationships
+    const tags = new Set(node.metadata.disciplinary_tags || []);
+    neighbors.forEach(id => (this.vertices.get(id)?.metadata.disciplinary_tags || []).forEach(tag => tags.add(tag)));
+    const bridges = neighbors.filter(id => this.vertices.get(id)?.type === 'bridge').length + (node.type === 'bridge' ? 1 : 0);
+    const hyperedges = Array.from(this.hyperedges.values()).filter(h => h.nodes.includes(node.node_id)).length;
+    const innovation = Math.min(1, 0.25 * Math.max(0, tags.size - 1) + 0.25 * bridges + 0.15 * hyperedges);
+
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    return {
+      theoretical_significance: clamp(theoretical),
+      practical_utility: clamp(practical),
+      gap_reduction: clamp(gapReduction),
+      methodological_innovation: clamp(innovation)
+    };
+  }
+
+  // P1.19: Rank candidate interventions by Monte Carlo EVoI over the Beta posteriors, weighted by impact and cost
+  planInterventions(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot plan interventions. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const settings = { ...EVOI_DEFAULTS, ...config };
+      const candidates = config.interventions
+        ? config.interventions.map((intervention, i) => this._normalizeIntervention(intervention, i))
+        : this._defaultInterventions(settings.max_candidates);
+
+      if (candidates.length === 0) {
+        throw new McpError(ErrorCode.InvalidParams, 'No hypotheses available to plan interventions for');
+      }
+
+      // P1.21: Each sample draws one Beta variate and `trials` Bernoulli outcomes per P1.5 dimension
+      const drawsPerSample = candidates.reduce((sum, candidate) =>
+        sum + candidate.target_node_ids.length * 4 * (Math.max(1, Math.round(EVIDENCE_BASE_WEIGHT * candidate.reliability)) + 2), 0);
+      const plan = this._planComputation('evoi_monte_carlo', settings.samples * drawsPerSample, 1,
+        Math.min(settings.samples, COMPUTE_BUDGET_DEFAULTS.min_monte_carlo_samples) * drawsPerSample);
+      const requestedSamples = settings.samples;
+      if (plan.approximate) {
+        settings.samples = Math.min(requestedSamples, Math.floor(plan.allowance / drawsPerSample));
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.19: Planning ${candidates.length} interventions (${settings.samples} Monte Carlo samples)`);
+
+      const random = this._seededRandom(settings.seed);
+      const ranked = candidates.map(candidate => {
+        const perTarget = candidate.target_node_ids.map(nodeId =>
+          this._estimateEvoi(this.vertices.get(nodeId), candidate.reliability, settings, random)
+        );
+        const evoi = perTarget.reduce((sum, t) => sum + t.evoi, 0);
+        const varianceReduction = perTarget.reduce((sum, t) => sum + t.variance_reduction, 0) / perTarget.length;
+        const impact = candidate.target_node_ids
+          .reduce((sum, id) => sum + (this.vertices.get(id).metadata.impact_score ?? 0.5), 0) / candidate.target_node_ids.length;
+        const cost = Math.max(0.05, candidate.cost);
+
+        return {
+          ...candidate,
+          evoi,
+          expected_variance_reduction: varianceReduction,
+          impact_score: impact,
+          score: ((evoi + 0.1 * varianceReduction) * (0.5 + impact)) / cost,
+          per_target: perTarget.map((t, i) => ({ node_id: candidate.target_node_ids[i], ...t })),
+          prospective_subgraph: this._prospectiveSubgraph(candidate)
+        };
+      })
+        .sort((a, b) => b.score - a.score)
+        .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+      // P1.3: The best-ranked intervention becomes the explicit plan of each hypothesis it targets
+      const updatedPlans = [];
+      if (config.update_plans !== false) {
+        for (const intervention of ranked) {
+          for (const nodeId of intervention.target_node_ids) {
+            if (updatedPlans.includes(nodeId)) continue;
+            const node = this.vertices.get(nodeId);
+            node.metadata.plan = {
+              type: intervention.type,
+              description: intervention.description,
+              tools: intervention.tools,
+              timeline: intervention.timeline,
+              resources_needed: intervention.tools,
+              expected_outcome: 'evidence_collection',
+              evoi: intervention.evoi,
+              source: 'plan_interventions'
+            };
+            updatedPlans.push(nodeId);
+          }
+        }
+      }
+
+      const computation = this._chargeComputation(plan, settings.samples * drawsPerSample,
+        plan.approximate ? { method: 'reduced_monte_carlo_samples', requested_samples: requestedSamples } : {});
+
+      return {
+        success: true,
+        samples: settings.samples,
+        decision_threshold: settings.decision_threshold,
+        computation,
+        interventions: ranked,
+        updated_plans: updatedPlans,
+        message: 'Interventions ranked by EVoI, impact and cost following P1.19 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Intervention planning failed', error);
+      throw new McpError(ErrorCode.InternalError, `Intervention planning failed: ${error.message}`);
+    }
+  }
+
+  _normalizeIntervention(intervention, index) {
+    const template = INTERVENTION_TEMPLATES[intervention.type] || {};
+    const targets = intervention.target_node_ids || [];
+    if (targets.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, `interventions[${index}] needs at least one target_node_id`);
+    }
+    for (const nodeId of targets) {
+      const node = this.vertices.get(nodeId);
+      if (!node) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+      if (node.type !== 'hypothesis') {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} is of type '${node.type}', expected 'hypothesis'`);
+      }
+    }
+    const reliability = intervention.reliability ?? template.reliability ?? 0.7;
+    const cost = intervention.cost ?? template.cost ?? 0.5;
+    if (reliability < 0 || reliability > 1 || cost < 0 || cost > 1) {
+      throw new McpError(ErrorCode.InvalidParams, `interventions[${index}] reliability and cost must be between 0 and 1`);
+    }
+
+    return {
+      intervention_id: intervention.name || `intervention_${index + 1}`,
+      type: intervention.type || 'custom',
+      description: intervention.description || `${intervention.type || 'Intervention'} for ${targets.join(', ')}`,
+      target_node_ids: targets,
+      reliability,
+      cost,
+      timeline: intervention.timeline || template.timeline || 'TBD',
+      tools: intervention.tools || template.tools || []
+    };
+  }
+
+  // One candidate per template for each hypothesis
+  _defaultInterventions(maxCandidates) {
+    const hypotheses = Array.from(this.vertices.values())
+      .filter(n => n.type === 'hypothesis')
+      .sort((a, b) => (b.metadata.impact_score ?? 0.5) - (a.metadata.impact_score ?? 0.5));
+
+    const candidates = [];
+    for (const hypothesis of hypotheses) {
+      for (const [type, template] of Object.entries(INTERVENTION_TEMPLATES)) {
+        if (candidates.length >= maxCandidates) return candidates;
+        candidates.push({
+          intervention_id: `${type}_${hypothesis.node_id}`,
+          type,
+          description: `${type.replace(/_/g, ' ')} for: ${hypothesis.content}`,
+          target_node_ids: [hypothesis.node_id],
+          reliability: template.reliability,
+          cost: template.cost,
+          timeline: template.timeline,
+          tools: template.tools
+        });
+      }
+    }
+    return candidates;
+  }
+
+  // Expected value of sample information with a linear "accept if E[θ] ≥ threshold" decision per dimension
+  _estimateEvoi(node, reliability, settings, random) {
+    const trials = Math.max(1, Math.round(EVIDENCE_BASE_WEIGHT * reliability));
+    const threshold = settings.decision_threshold;
+    const parameters = this._toBetaParameters(node.confidence);
+
+    let evoi = 0;
+    let varianceReduction = 0;
+    for (const { alpha, beta } of parameters) {
+      const priorMean = alpha / (alpha + beta);
+      const priorVariance = (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
+      const priorValue = Math.max(priorMean - threshold, 0);
+
+      let posteriorValue = 0;
+      let posteriorVariance = 0;
+      for (let i = 0; i < settings.samples; i++) {
+        const theta = this._sampleBeta(alpha, beta, random);
+        let successes = 0;
+        for (let t = 0; t < trials; t++) {
+          if (random() < theta) successes++;
+        }
+        const a = alpha + successes;
+        const b = beta + trials - successes;
+        posteriorValue += Math.max(a / (a + b) - threshold, 0);
+        posteriorVariance += (a * b) / ((a + b) ** 2 * (a + b + 1));
+      }
+      evoi += Math.max(0, posteriorValue / settings.samples - priorValue);
+      varianceReduction += priorVariance > 0 ? 1 - (posteriorVariance / settings.samples) / priorVariance : 0;
+    }
+
+    return { evoi: evoi / parameters.length, variance_reduction: varianceReduction / parameters.length, trials };
+  }
+
+  // Hypothetical evidence node and the neighbourhood its result would propagate to; not added to the graph
+  _prospectiveSubgraph(candidate) {
+    const evidenceId = `prospective_${candidate.intervention_id}`;
+    const affected = new Set(candidate.target_node_ids);
+    candidate.target_node_ids.forEach(id => this._getNeighbors(id).forEach(n => affected.add(n)));
+    return {
+      prospective: true,
+      nodes: [evidenceId, ...affected],
+      edges: candidate.target_node_ids.map(target => ({
+        edge_id: `e_${evidenceId}_${target}`,
+        source: evidenceId,
+        target,
+        edge_type: 'Supportive | Contradictory'
+      }))
+    };
+  }
+
+  // Marsaglia-Tsang gamma sampling; Beta(α, β) = X / (X + Y)
+  _sampleBeta(alpha, beta, random) {
+    const x = this._sampleGamma(alpha, random);
+    const y = this._sampleGamma(beta, random);
+    return x / (x + y);
+  }
+
+  _sampleGamma(shape, random) {
+    if (shape < 1) {
+      return this._sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+    }
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+      let x;
+      let v;
+      do {
+        x = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+        v = 1 + c * x;
+      } while (v <= 0);
+      v = v * v * v;
+      const u = random();
+      if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+    }
+  }
+
+  // mulberry32 - reproducible rankings for a given seed
+  _seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // P1.13: Declare a mutually exclusive set of hypotheses with coherent probabilities
+  defineCompetingHypotheses(hypothesisIds, config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot define competing hypotheses. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const members = Array.from(new Set(hypothesisIds || []));
+      if (members.length < 2) {
+        throw new McpError(ErrorCode.InvalidParams, 'A competing set needs at least 2 distinct hypotheses');
+      }
+      for (const nodeId of members) {
+        const node = this.vertices.get(nodeId);
+        if (!node) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+        }
+        if (node.type !== 'hypothesis') {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} is of type '${node.type}', expected 'hypothesis'`);
+        }
+      }
+
+      let setId = config.set_id;
+      if (setId === undefined) {
+        let n = this.competingSets.size + 1;
+        while (this.competingSets.has(`hc_${n}`)) n++;
+        setId = `hc_${n}`;
+      } else if (this.competingSets.has(setId) && config.replace !== true) {
+        throw new McpError(ErrorCode.InvalidParams, `Competing set ${setId} already exists; pass replace: true to redefine it`);
+      }
+      const exhaustive = config.exhaustive !== false;
+      // A hypothesis in two exhaustive sets would need both to sum to 1 through one shared probability
+      if (exhaustive) {
+        for (const other of this.competingSets.values()) {
+          if (other.set_id === setId || !other.exhaustive) continue;
+          const shared = members.filter(id => other.hypotheses.includes(id));
+          if (shared.length > 0) {
+            throw new McpError(ErrorCode.InvalidParams, `Hypotheses ${shared.join(', ')} already belong to exhaustive set ${other.set_id}`);
+          }
+        }
+      }
+      const probabilityOf = (id) => this.vertices.get(id).confidence.means[COMPETING_PROBABILITY_DIMENSION];
+      const total = members.reduce((sum, id) => sum + probabilityOf(id), 0);
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.13: Competing set ${setId} over ${members.join(', ')}`);
+
+      // Exhaustive sets sum to 1; otherwise a catch-all "none of these" keeps any remaining mass
+      const scale = exhaustive || total > 1 ? 1 / total : 1;
+      const set = {
+        set_id: setId,
+        description: config.description || null,
+        hypotheses: members,
+        exhaustive,
+        probabilities: Object.fromEntries(members.map(id => [id, probabilityOf(id) * scale])),
+        residual: exhaustive ? 0 : Math.max(0, 1 - total * scale),
+        created: this._safeGetTimestamp()
+      };
+      this.competingSets.set(setId, set);
+
+      return {
+        success: true,
+        set_id: setId,
+        hypotheses: members,
+        exhaustive,
+        probabilities: this._competingProbabilities(set),
+        message: 'Competing hypothesis set defined following P1.13 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Competing hypothesis definition failed', error);
+      throw new McpError(ErrorCode.InternalError, `Competing hypothesis definition failed: ${error.message}`);
+    }
+  }
+
+  // P1.13: Rank competitors by predictive power, parsimony (P1.27) and empirical coverage (P1.26);
+  // propose a critical experiment that best discriminates the top two
+  evaluateCompetingHypotheses(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot evaluate competing hypotheses. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const sets = config.set_id ? [this.competingSets.get(config.set_id)] : Array.from(this.competingSets.values());
+      if (sets.some(set => !set)) {
+        throw new McpError(ErrorCode.InvalidParams, `Competing set ${config.set_id} not found`);
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.13: Evaluating ${sets.length} competing hypothesis sets`);
+
+      const vocabulary = this._informationVocabulary();
+      const evaluations = sets.map(set => {
+        const probabilities = this._competingProbabilities(set);
+        const rows = set.hypotheses.map(nodeId => {
+          const node = this.vertices.get(nodeId);
+          const evidence = Array.from(this.edges.values())
+            .filter(e => e.target === nodeId && EVIDENCE_EDGE_TYPES[e.metadata.edge_type])
+            .map(e => ({ node: this.vertices.get(e.source), direction: EVIDENCE_EDGE_TYPES[e.metadata.edge_type].direction }))
+            .filter(e => e.node);
+          const fit = evidence.length > 0
+            ? 0.5 + 0.5 * evidence.reduce((sum, e) => sum + e.direction * (e.node.metadata.reliability ?? 0.7), 0) / evidence.length
+            : 0.5;
+          return {
+            node_id: nodeId,
+            label: node.label,
+            probability: probabilities[nodeId],
+            predictive_power: 0.5 * probabilities[nodeId] + 0.5 * fit,
+            description_length: this._hypothesisDescriptionLength(node, vocabulary).model_bits,
+            coverage: evidence.reduce((sum, e) => sum + (e.node.metadata.statistical_power?.achieved_power ?? 1), 0)
+          };
+        });
+
+        const minBits = Math.min(...rows.map(r => r.description_length).filter(b => b > 0), Infinity);
+        const maxCoverage = Math.max(...rows.map(r => r.coverage), 0);
+        const ranking = rows.map(r => {
+          const parsimony = r.description_length > 0 && Number.isFinite(minBits) ? minBits / r.description_length : 1;
+          const empiricalCoverage = maxCoverage > 0 ? r.coverage / maxCoverage : 0;
+          return {
+            node_id: r.node_id,
+            label: r.label,
+            probability: r.probability,
+            predictive_power: r.predictive_power,
+            complexity_bits: r.description_length,
+            parsimony,
+            empirical_coverage: empiricalCoverage,
+            score: COMPETING_RANK_WEIGHTS.predictive_power * r.predictive_power +
+              COMPETING_RANK_WEIGHTS.parsimony * parsimony +
+              COMPETING_RANK_WEIGHTS.empirical_coverage * empiricalCoverage
+          };
+        })
+          .sort((a, b) => b.score - a.score)
+          .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+        return {
+          set_id: set.set_id,
+          exhaustive: set.exhaustive,
+          residual_probability: set.residual,
+          ranking,
+          critical_experiment: this._designCriticalExperiment(set, ranking, probabilities)
+        };
+      });
+
+      return {
+        success: true,
+        sets: evaluations,
+        message: 'Competing hypotheses evaluated following P1.13 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Competing hypothesis evaluation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Competing hypothesis evaluation failed: ${error.message}`);
+    }
+  }
+
+  // An experiment whose outcome the top two contenders predict oppositely: positive with probability
+  // r under the leader, 1 - r under the runner-up, 1/2 under the rest; choose r to maximize I(H; outcome)
+  _designCriticalExperiment(set, ranking, probabilities) {
+    if (ranking.length < 2) return null;
+    const [leader, runnerUp] = ranking;
+    const states = [...set.hypotheses.map(id => ({ id, p: probabilities[id] })), { id: 'none_of_these', p: set.residual }]
+      .filter(s => s.p > 0);
+    const binaryEntropy = (p) => (p <= 0 || p >= 1 ? 0 : -p * Math.log2(p) - (1 - p) * Math.log2(1 - p));
+
+    const options = Object.entries(INTERVENTION_TEMPLATES).map(([type, template]) => {
+      const r = template.reliability;
+      const likelihood = (id) => (id === leader.node_id ? r : id === runnerUp.node_id ? 1 - r : 0.5);
+      const pPositive = states.reduce((sum, s) => sum + s.p * likelihood(s.id), 0);
+      const informationGain = binaryEntropy(pPositive) - states.reduce((sum, s) => sum + s.p * binaryEntropy(likelihood(s.id)), 0);
+
+      // Posterior gap between the contenders after each outcome
+      const posteriorGap = (positive) => {
+        const norm = positive ? pPositive : 1 - pPositive;
+        const post = (id) => (probabilities[id] * (positive ? likelihood(id) : 1 - likelihood(id))) / norm;
+        return Math.abs(post(leader.node_id) - post(runnerUp.node_id));
+      };
+      return {
+        type,
+        reliability: r,
+        cost: template.cost,
+        timeline: template.timeline,
+        expected_information_gain_bits: informationGain,
+        expected_divergence: pPositive * posteriorGap(true) + (1 - pPositive) * posteriorGap(false)
+      };
+    }).sort((a, b) => b.expected_information_gain_bits - a.expected_information_gain_bits);
+
+    const criteria = [leader, runnerUp]
+      .map(h => this.vertices.get(h.node_id).metadata.falsification_criteria)
+      .filter(Boolean);
+    return {
+      contenders: [leader.node_id, runnerUp.node_id],
+      ...options[0],
+      prior_divergence: Math.abs(leader.probability - runnerUp.probability),
+      description: `Test a prediction on which ${leader.node_id} and ${runnerUp.node_id} disagree` +
+        (criteria.length > 0 ? `; falsification criteria: ${criteria.join(' | ')}` : ''),
+      alternatives: options.slice(1)
+    };
+  }
+
+  _competingProbabilities(set) {
+    const probabilities = {};
+    for (const nodeId of set.hypotheses) {
+      probabilities[nodeId] = set.probabilities?.[nodeId] ?? this.vertices.get(nodeId)?.confidence.means[COMPETING_PROBABILITY_DIMENSION] ?? 0;
+    }
+    return probabilities;
+  }
+
+  // P1.13: After hypothesis nodeId's confidence moves from priorMeans, its set probability takes the same
+  // odds ratio and the rest of each of its sets share the remaining mass
+  _renormalizeCompetingSets(nodeId, priorMeans, reason) {
+    const odds = (p) => {
+      const q = Math.min(Math.max(p, 1e-4), 1 - 1e-4);
+      return q / (1 - q);
+    };
+    const bayesFactor = odds(this.vertices.get(nodeId).confidence.means[COMPETING_PROBABILITY_DIMENSION]) /
+      odds(priorMeans[COMPETING_PROBABILITY_DIMENSION]);
+    const changed = [];
+    for (const set of this.competingSets.values()) {
+      if (!set.hypotheses.includes(nodeId)) continue;
+      const probabilities = this._competingProbabilities(set);
+      const updatedOdds = odds(probabilities[nodeId]) * bayesFactor;
+      const fixed = updatedOdds / (1 + updatedOdds);
+      const others = set.hypotheses.filter(id => id !== nodeId);
+      const otherMass = others.reduce((sum, id) => sum + probabilities[id], 0) + set.residual;
+      const remaining = Math.max(0, 1 - fixed);
+      const scale = otherMass > 0 ? remaining / otherMass : 0;
+
+      probabilities[nodeId] = fixed;
+      for (const id of others) {
+        probabilities[id] *= scale;
+        changed.push(id);
+      }
+      set.probabilities = probabilities;
+      set.residual *= scale;
+      set.updated = this._safeGetTimestamp();
+      set.last_renormalization = { node_id: nodeId, reason };
+    }
+    return Array.from(new Set(changed));
+  }
+
+  _detachFromCompetingSets(nodeId, replacementId = null) {
+    for (const [setId, set] of Array.from(this.competingSets.entries())) {
+      if (!set.hypotheses.includes(nodeId)) continue;
+      const probabilities = this._competingProbabilities(set);
+      const mass = probabilities[nodeId];
+      delete probabilities[nodeId];
+      set.hypotheses = Array.from(new Set(
+        set.hypotheses.map(id => (id === nodeId ? replacementId : id)).filter(Boolean)
+      ));
+      if (set.hypotheses.length < 2) {
+        this.competingSets.delete(setId);
+        continue;
+      }
+      // A merged hypothesis carries its mass to the survivor; a deleted one returns it to the catch-all
+      if (replacementId) {
+        probabilities[replacementId] = (probabilities[replacementId] ?? 0) + mass;
+      } else if (set.exhaustive) {
+        const total = set.hypotheses.reduce((sum, id) => sum + probabilities[id], 0);
+        for (const id of set.hypotheses) probabilities[id] = total > 0 ? probabilities[id] / total : 1 / set.hypotheses.length;
+      } else {
+        set.residual += mass;
+      }
+      set.probabilities = probabilities;
+    }
+  }
+
+  // P1.20: Collapse a subgraph into a super-node in the abstraction layer
+  collapseSubgraph(config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot collapse subgraph. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      let memberIds = config.node_ids;
+      if (config.subgraph_name) {
+        const subgraph = this.subgraphs.get(config.subgraph_name);
+        if (!subgraph) {
+          throw new McpError(ErrorCode.InvalidParams, `Subgraph ${config.subgraph_name} not found`);
+        }
+        memberIds = subgraph.node_ids;
+      }
+      memberIds = Array.from(new Set(memberIds || [])).filter(id => this.vertices.get(id)?.type !== 'root');
+      if (memberIds.length < 2) {
+        throw new McpError(ErrorCode.InvalidParams, 'Collapsing needs node_ids or subgraph_name resolving to at least 2 non-root nodes');
+      }
+      for (const nodeId of memberIds) {
+        const node = this.vertices.get(nodeId);
+        if (!node) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+        }
+        if (node.metadata.collapsed_into) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} is already collapsed into ${node.metadata.collapsed_into}`);
+        }
+      }
+
+      const aggregation = {
+        confidence: config.aggregation?.confidence || 'precision_weighted',
+        impact: config.aggregation?.impact || 'max',
+        tags: config.aggregation?.tags || 'union'
+      };
+      for (const [key, fn] of Object.entries(aggregation)) {
+        if (!SUPER_NODE_AGGREGATIONS[key].includes(fn)) {
+          throw new McpError(ErrorCode.InvalidParams, `Unsupported ${key} aggregation '${fn}'. Expected one of: ${SUPER_NODE_AGGREGATIONS[key].join(', ')}`);
+        }
+      }
+
+      this.enforceMemoryLimits();
+
+      let index = 1;
+      while (this.vertices.has(`sn_${index}`)) {
+        index++;
+      }
+      const nodeId = `sn_${index}`;
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.20: Collapsing ${memberIds.length} nodes into super-node ${nodeId}`);
+
+      const metadata = this._safeCreateNodeMetadata({
+        node_id: nodeId,
+        provenance: 'subgraph_collapse',
+        epistemic_status: 'aggregate',
+        layer_id: 'abstraction', // P1.23
+        members: memberIds,
+        aggregation,
+        source_subgraph: config.subgraph_name || null
+      });
+      const superNode = {
+        node_id: nodeId,
+        label: config.label || `Super-node ${index}`,
+        type: 'super_node',
+        content: config.description || `Abstraction of ${memberIds.join(', ')}`,
+        confidence: metadata.confidence,
+        metadata
+      };
+      this.vertices.set(nodeId, superNode);
+      this.nodeTypes.add('super_node');
+      this._placeInLayer(nodeId, 'abstraction');
+
+      memberIds.forEach(memberId => this._linkSuperNodeMember(superNode, memberId));
+
+      this._aggregateSuperNode(superNode);
+
+      return {
+        success: true,
+        super_node_id: nodeId,
+        members: memberIds,
+        aggregation,
+        confidence: superNode.confidence.means,
+        impact_score: superNode.metadata.impact_score,
+        disciplinary_tags: superNode.metadata.disciplinary_tags,
+        boundary_edges: superNode.metadata.boundary_edges,
+        message: 'Subgraph collapsed into super-node following P1.20 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Subgraph collapse failed', error);
+      throw new McpError(ErrorCode.InternalError, `Subgraph collapse failed: ${error.message}`);
+    }
+  }
+
+  // P1.20: Remove a super-node and release its members
+  expandSuperNode(superNodeId) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot expand super-node. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      const superNode = this.vertices.get(superNodeId);
+      if (!superNode) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${superNodeId} not found`);
+      }
+      if (superNode.type !== 'super_node') {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${superNodeId} is of type '${superNode.type}', expected 'super_node'`);
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.20: Expanding super-node ${superNodeId}`);
+
+      const members = superNode.metadata.members;
+      this._releaseSuperNode(superNode);
+
+      return {
+        success: true,
+        super_node_id: superNodeId,
+        members,
+        message: 'Super-node expanded following P1.20 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Super-node expansion failed', error);
+      throw new McpError(ErrorCode.InternalError, `Super-node expansion failed: ${error.message}`);
+    }
+  }
+
+  // Consistency link from the abstraction to a member
+  _linkSuperNodeMember(superNode, memberId) {
+    const edgeId = `e_${superNode.node_id}_${memberId}`;
+    this.edges.set(edgeId, {
+      edge_id: edgeId,
+      source: superNode.node_id,
+      target: memberId,
+      metadata: this._safeCreateEdgeMetadata({
+        edge_id: edgeId,
+        edge_type: 'Generalization',
+        layer_connection: ['abstraction', this.vertices.get(memberId).metadata.layer_id]
+      })
+    });
+    this.vertices.get(memberId).metadata.collapsed_into = superNode.node_id;
+  }
+
+  // Members of a nested super-node move up to its parent instead of being released
+  _releaseSuperNode(superNode) {
+    const parent = this.vertices.get(superNode.metadata.collapsed_into);
+    delete superNode.metadata.collapsed_into;
+
+    const members = superNode.metadata.members.filter(id => this.vertices.has(id));
+    for (const memberId of members) {
+      delete this.vertices.get(memberId).metadata.collapsed_into;
+    }
+    this._removeNode(superNode.node_id);
+
+    if (parent) {
+      parent.metadata.members = parent.metadata.members.filter(id => id !== superNode.node_id);
+      for (const memberId of members) {
+        parent.metadata.members.push(memberId);
+        this._linkSuperNodeMember(parent, memberId);
+      }
+      this._aggregateSuperNode(parent);
+    }
+  }
+
+  // Members plus, recursively, the members of nested super-nodes
+  _superNodeDescendants(superNode, seen = new Set()) {
+    for (const memberId of superNode.metadata.members) {
+      if (seen.has(memberId)) continue;
+      seen.add(memberId);
+      const member = this.vertices.get(memberId);
+      if (member?.type === 'super_node') this._superNodeDescendants(member, seen);
+    }
+    return seen;
+  }
+
+  // Recompute confidence, impact, tags and boundary edges from the current members
+  _aggregateSuperNode(superNode) {
+    const members = superNode.metadata.members.map(id => this.vertices.get(id)).filter(Boolean);
+    const { aggregation } = superNode.metadata;
+    const covered = this._superNodeDescendants(superNode);
+    covered.add(superNode.node_id);
+
+    const betas = members.map(m => this._toBetaParameters(m.confidence));
+    const means = CONFIDENCE_DIMENSIONS.map((_, d) => {
+      const values = members.map(m => m.confidence.means[d]);
+      if (aggregation.confidence === 'min') return Math.min(...values);
+      if (aggregation.confidence === 'max') return Math.max(...values);
+      const weights = aggregation.confidence === 'precision_weighted'
+        ? betas.map(b => b[d].alpha + b[d].beta)
+        : values.map(() => 1);
+      const total = weights.reduce((a, b) => a + b, 0);
+      return values.reduce((sum, v, i) => sum + v * weights[i], 0) / total;
+    });
+    const confidence = this._createProbabilityDistribution(means);
+    confidence.variances = CONFIDENCE_DIMENSIONS.map((_, d) =>
+      members.reduce((sum, m) => sum + (m.confidence.variances?.[d] ?? 0), 0) / members.length
+    );
+
+    const impacts = members.map(m => m.metadata.impact_score ?? 0.5);
+    let impact;
+    if (aggregation.impact === 'mean') impact = impacts.reduce((a, b) => a + b, 0) / impacts.length;
+    else if (aggregation.impact === 'noisy_or') impact = 1 - impacts.reduce((p, i) => p * (1 - i), 1);
+    else impact = Math.max(...impacts);
+
+    const tagCounts = new Map();
+    members.forEach(m => new Set(m.metadata.disciplinary_tags || []).forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+    const tags = Array.from(tagCounts.entries())
+      .filter(([, count]) => aggregation.tags === 'union' ||
+        (aggregation.tags === 'intersection' && count === members.length) ||
+        (aggregation.tags === 'majority' && count > members.length / 2))
+      .map(([tag]) => tag);
+
+    const boundary = [];
+    for (const edge of this.edges.values()) {
+      const fromMember = covered.has(edge.source);
+      const toMember = covered.has(edge.target);
+      if (fromMember === toMember) continue;
+      boundary.push({
+        edge_id: edge.edge_id,
+        member: fromMember ? edge.source : edge.target,
+        external: fromMember ? edge.target : edge.source,
+        direction: fromMember ? 'outgoing' : 'incoming',
+        edge_type: edge.metadata.edge_type
+      });
+    }
+
+    superNode.confidence = confidence;
+    superNode.metadata.confidence = confidence;
+    superNode.metadata.impact_score = impact;
+    superNode.metadata.disciplinary_tags = tags;
+    superNode.metadata.boundary_edges = boundary;
+    superNode.metadata.updated = this._safeGetTimestamp();
+    superNode.metadata.aggregated_at = superNode.metadata.updated;
+  }
+
+  // P1.20: Keep every enclosing super-node consistent after a member changes
+  _refreshSuperNodes(nodeId) {
+    const seen = new Set();
+    let current = this.vertices.get(nodeId)?.metadata.collapsed_into;
+    while (current && !seen.has(current) && this.vertices.has(current)) {
+      seen.add(current);
+      const superNode = this.vertices.get(current);
+      this._aggregateSuperNode(superNode);
+      current = superNode.metadata.collapsed_into;
+    }
+  }
+
+  _detachFromSuperNodes(nodeId, replacementId = null) {
+    const collapsedInto = this.vertices.get(nodeId)?.metadata.collapsed_into;
+    const superNode = collapsedInto ? this.vertices.get(collapsedInto) : null;
+    if (!superNode) return;
+
+    superNode.metadata.members = superNode.metadata.members.filter(id => id !== nodeId);
+    const replacement = replacementId ? this.vertices.get(replacementId) : null;
+    if (replacement && !superNode.metadata.members.includes(replacementId) && !replacement.metadata.collapsed_into) {
+      superNode.metadata.members.push(replacementId);
+      this._linkSuperNodeMember(superNode, replacementId);
+    }
+
+    if (superNode.metadata.members.length < 2) {
+      this._releaseSuperNode(superNode);
+    } else {
+      this._aggregateSuperNode(superNode);
+    }
+  }
+
+  // P1.22: Centralities, path metrics and communities, written back into every node's topology_metrics
+  computeTopology(config = {}) {
+    try {
+      const settings = { ...TOPOLOGY_DEFAULTS, ...config };
+      if (!['louvain', 'label_propagation'].includes(settings.community_method)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported community_method '${settings.community_method}'. Expected one of: louvain, label_propagation`);
+      }
+      if (!(settings.damping > 0 && settings.damping < 1)) {
+        throw new McpError(ErrorCode.InvalidParams, 'damping must be strictly between 0 and 1');
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.22: Computing topology of ${this.vertices.size} nodes (${settings.community_method} communities)`);
+
+      // P1.21: The near-linear analyses get fixed shares of the budget first; Brandes, the most expensive and the
+      // one that degrades most gracefully under sampling, takes whatever is left
+      const adjacency = this._buildAdjacency();
+      const random = this._seededRandom(settings.seed);
+      const communities = this._detectCommunities(adjacency, settings, random, 0.35);
+      const pagerank = this._pageRank(settings, 0.15);
+      const eigenvector = this._eigenvectorCentrality(adjacency, settings, 0.2);
+
+      // Local clustering for every node; over budget, hubs are estimated from sampled neighbour pairs
+      const neighborLists = new Map(Array.from(adjacency, ([id, neighbors]) => [id, Array.from(neighbors)]));
+      const pairCounts = Array.from(neighborLists.values(), list => (list.length * (list.length - 1)) / 2);
+      const clusteringPlan = this._planComputation('local_clustering', pairCounts.reduce((sum, pairs) => sum + pairs, 0), 0.25,
+        pairCounts.reduce((sum, pairs) => sum + Math.min(pairs, COMPUTE_BUDGET_DEFAULTS.sampled_pairs_per_node), 0));
+      const pairSamples = clusteringPlan.approximate ? COMPUTE_BUDGET_DEFAULTS.sampled_pairs_per_node : Infinity;
+      const localClustering = new Map();
+      let clusteringCost = 0;
+      for (const [nodeId, list] of neighborLists) {
+        const local = this._localClustering(adjacency, list, pairSamples, random);
+        localClustering.set(nodeId, local.value);
+        clusteringCost += local.cost;
+      }
+      const computation = {
+        eigenvector_centrality: eigenvector.computation,
+        pagerank: pagerank.computation,
+        communities: communities.computation,
+        local_clustering: this._chargeComputation(clusteringPlan, clusteringCost,
+          clusteringPlan.approximate ? { method: 'neighbour_pair_sampling', pairs_per_node: pairSamples } : {})
+      };
+      const paths = this._shortestPathAnalysis(adjacency, { betweenness: true, random });
+      computation.shortest_paths = paths.computation;
+      const components = this._calculateConnectedComponents(adjacency);
+      computation.connected_components = components.computation;
+      const approximate = Object.values(computation).some(tag => tag.mode === 'approximate');
+
+      const n = adjacency.size;
+      const timestamp = this._safeGetTimestamp();
+      for (const [nodeId, neighbors] of adjacency) {
+        const node = this.vertices.get(nodeId);
+        node.metadata.topology_metrics = {
+          centrality: n > 1 ? neighbors.size / (n - 1) : 0,
+          clustering_coeff: localClustering.get(nodeId),
+          degree: neighbors.size,
+          betweenness_centrality: paths.betweenness.get(nodeId),
+          eigenvector_centrality: eigenvector.values.get(nodeId),
+          pagerank: pagerank.values.get(nodeId),
+          community_id: communities.membership.get(nodeId),
+          computed_at: timestamp,
+          approximate
+        };
+      }
+
+      // Mean local clustering over the nodes with at least two neighbours
+      const clustered = Array.from(neighborLists).filter(([, list]) => list.length >= 2).map(([nodeId]) => localClustering.get(nodeId));
+      this.metadata.topology_analysis = {
+        computed_at: timestamp,
+        revision_event: (this.revisionLog.compacted_events ?? 0) + this.revisionLog.events.length, // P1.12
+        community_method: communities.method,
+        community_count: communities.communities.length,
+        modularity: communities.modularity,
+        diameter: paths.diameter,
+        average_path_length: paths.average_path_length,
+        clustering_coefficient: clustered.length > 0 ? clustered.reduce((a, b) => a + b, 0) / clustered.length : 0,
+        connected_components: components.value,
+        approximate
+      };
+
+      const restructuring = this._communityRestructuringSuggestions(Array.from(adjacency.keys()), settings, adjacency);
+      const top = (metric) => Array.from(this.vertices.values())
+        .sort((a, b) => b.metadata.topology_metrics[metric] - a.metadata.topology_metrics[metric])
+        .slice(0, 5)
+        .map(node => ({ node_id: node.node_id, label: node.label, value: node.metadata.topology_metrics[metric] }));
+
+      return {
+        success: true,
+        node_count: n,
+        diameter: paths.diameter,
+        average_path_length: paths.average_path_length,
+        clustering_coefficient: this.metadata.topology_analysis.clustering_coefficient,
+        connected_components: components.value,
+        modularity: communities.modularity,
+        communities: communities.communities,
+        central_nodes: {
+          betweenness_centrality: top('betweenness_centrality'),
+          eigenvector_centrality: top('eigenvector_centrality'),
+          pagerank: top('pagerank')
+        },
+        restructuring_suggestions: { merges: restructuring.merges, splits: restructuring.splits },
+        approximate,
+        computation: { ...computation, restructuring_scan: restructuring.computation },
+        message: 'Topology metrics and communities computed following P1.22 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Topology computation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Topology computation failed: ${error.message}`);
+    }
+  }
+
+  // Brandes' algorithm on the undirected adjacency. Each breadth-first search also yields distances for the
+  // diameter and average path length, so the exact cost is V·(V + 2E). Over budget, a random sample of k pivot
+  // sources is used, betweenness is scaled by V/k (Brandes & Pich 2007) and the diameter becomes a lower bound
+  // `pairWeight(source, target)` restricts which pairs count towards betweenness (e.g. only cross-layer pairs),
+  // in which case `pairCount` unordered pairs are the normaliser
+  _shortestPathAnalysis(adjacency, { betweenness = false, random = this._seededRandom(COMPUTE_BUDGET_DEFAULTS.seed), pairWeight = null, pairCount = null, operation = null } = {}) {
+    const nodes = Array.from(adjacency.keys());
+    const n = nodes.length;
+    let perSource = n;
+    for (const neighbors of adjacency.values()) perSource += neighbors.size;
+
+    const plan = this._planComputation(operation || (betweenness ? 'betweenness_centrality' : 'path_metrics'), n * perSource, 1, perSource);
+    let sources = nodes;
+    if (plan.approximate) {
+      const k = Math.min(n, Math.max(1, Math.floor(plan.allowance / perSource)));
+      sources = [...nodes];
+      for (let i = 0; i < k; i++) {
+        const j = i + Math.floor(random() * (n - i));
+        [sources[i], sources[j]] = [sources[j], sources[i]];
+      }
+      sources = sources.slice(0, k);
+    }
+
+    const scores = new Map(nodes.map(id => [id, 0]));
+    let diameter = 0;
+    let distanceSum = 0;
+    let reachablePairs = 0;
+    for (const source of sources) {
+      const distance = new Map([[source, 0]]);
+      const paths = new Map([[source, 1]]);
+      const predecessors = new Map([[source, []]]);
+      const queue = [source];
+      for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        for (const next of adjacency.get(current)) {
+          if (!distance.has(next)) {
+            distance.set(next, distance.get(current) + 1);
+            paths.set(next, 0);
+            predecessors.set(next, []);
+            queue.push(next);
+          }
+          if (distance.get(next) === distance.get(current) + 1) {
+            paths.set(next, paths.get(next) + paths.get(current));
+            predecessors.get(next).push(current);
+          }
+        }
+      }
+
+      for (const d of distance.values()) {
+        if (d === 0) continue;
+        diameter = Math.max(diameter, d);
+        distanceSum += d;
+        reachablePairs++;
+      }
+
+      if (betweenness) {
+        // Dependencies accumulate in reverse breadth-first order
+        const dependency = new Map();
+        for (let i = queue.length - 1; i > 0; i--) {
+          const node = queue[i];
+          const delta = dependency.get(node) || 0;
+          const counted = pairWeight ? pairWeight(source, node) : 1;
+          for (const predecessor of predecessors.get(node)) {
+            dependency.set(predecessor, (dependency.get(predecessor) || 0) + (paths.get(predecessor) / paths.get(node)) * (counted + delta));
+          }
+          scores.set(node, scores.get(node) + delta);
+        }
+      }
+    }
+
+    // Undirected pairs are counted from both ends; normalise by the (n-1)(n-2)/2 pairs a node could lie between
+    const pairs = pairCount ?? (n > 2 ? ((n - 1) * (n - 2)) / 2 : 0);
+    const scale = pairs > 0 ? (n / sources.length) / (2 * pairs) : 0;
+    return {
+      betweenness: new Map(Array.from(scores, ([id, score]) => [id, score * scale])),
+      diameter,
+      average_path_length: reachablePairs > 0 ? distanceSum / reachablePairs : 0,
+      computation: this._chargeComputation(plan, sources.length * perSource, plan.approximate
+        ? { method: 'pivot_sampling', sampled_sources: sources.length, population: n, diameter_bound: 'lower' }
+        : {})
+    };
+  }
+
+  // Power iteration on A + I (the shift stops bipartite graphs from oscillating), L2-normalised
+  _eigenvectorCentrality(adjacency, settings, share = 1) {
+    const n = adjacency.size;
+    let perIteration = n;
+    for (const neighbors of adjacency.values()) perIteration += neighbors.size;
+
+    const plan = this._planComputation('eigenvector_centrality', settings.max_iterations * perIteration, share, perIteration);
+    const maxIterations = plan.approximate
+      ? Math.max(1, Math.floor(plan.allowance / perIteration))
+      : settings.max_iterations;
+
+    let values = new Map(Array.from(adjacency.keys(), id => [id, 1 / Math.sqrt(n)]));
+    let converged = n === 0;
+    let iterations = 0;
+    while (!converged && iterations < maxIterations) {
+      const next = new Map();
+      let norm = 0;
+      for (const [nodeId, neighbors] of adjacency) {
+        let value = values.get(nodeId);
+        for (const neighbor of neighbors) value += values.get(neighbor);
+        next.set(nodeId, value);
+        norm += value * value;
+      }
+      norm = Math.sqrt(norm) || 1;
+      let change = 0;
+      for (const [nodeId, value] of next) {
+        next.set(nodeId, value / norm);
+        change += Math.abs(value / norm - values.get(nodeId));
+      }
+      values = next;
+      iterations++;
+      converged = change < n * settings.tolerance;
+    }
+    // The iteration cap is pessimistic; a run that converged within its allowance is exact
+    if (converged) plan.approximate = false;
+
+    return {
+      values,
+      computation: this._chargeComputation(plan, iterations * perIteration, {
+        iterations,
+        converged,
+        ...(plan.approximate ? { method: 'truncated_power_iteration' } : {})
+      })
+    };
+  }
+
+  // PageRank over directed binary edges (hyperedge members link to one another); dangling mass is spread evenly
+  _pageRank(settings, share = 1) {
+    const nodeIds = Array.from(this.vertices.keys());
+    const outLinks = new Map(nodeIds.map(id => [id, new Set()]));
+    for (const edge of this.edges.values()) {
+      if (edge.source !== edge.target && outLinks.has(edge.source) && outLinks.has(edge.target)) {
+        outLinks.get(edge.source).add(edge.target);
+      }
+    }
+    for (const hyperedge of this.hyperedges.values()) {
+      for (const a of hyperedge.nodes) {
+        for (const b of hyperedge.nodes) {
+          if (a !== b && outLinks.has(a) && outLinks.has(b)) outLinks.get(a).add(b);
+        }
+      }
+    }
+
+    const n = nodeIds.length;
+    let perIteration = n;
+    for (const targets of outLinks.values()) perIteration += targets.size;
+
+    const plan = this._planComputation('pagerank', settings.max_iterations * perIteration, share, perIteration);
+    const maxIterations = plan.approximate
+      ? Math.max(1, Math.floor(plan.allowance / perIteration))
+      : settings.max_iterations;
+
+    const d = settings.damping;
+    let ranks = new Map(nodeIds.map(id => [id, 1 / n]));
+    let converged = n === 0;
+    let iterations = 0;
+    while (!converged && iterations < maxIterations) {
+      let dangling = 0;
+      for (const [nodeId, targets] of outLinks) {
+        if (targets.size === 0) dangling += ranks.get(nodeId);
+      }
+      const base = (1 - d) / n + (d * dangling) / n;
+      const next = new Map(nodeIds.map(id => [id, base]));
+      for (const [nodeId, targets] of outLinks) {
+        const share = (d * ranks.get(nodeId)) / targets.size;
+        for (const target of targets) next.set(target, next.get(target) + share);
+      }
+      let change = 0;
+      for (const [nodeId, rank] of next) change += Math.abs(rank - ranks.get(nodeId));
+      ranks = next;
+      iterations++;
+      converged = change < n * settings.tolerance;
+    }
+    if (converged) plan.approximate = false;
+
+    return {
+      values: ranks,
+      computation: this._chargeComputation(plan, iterations * perIteration, {
+        iterations,
+        converged,
+        ...(plan.approximate ? { method: 'truncated_power_iteration' } : {})
+      })
+    };
+  }
+
+  // Louvain by default; over budget (or on request) asynchronous label propagation with as many sweeps as fit.
+  // Communities are numbered from 0 by decreasing size
+  _detectCommunities(adjacency, settings, random, share = 1) {
+    let sweepCost = adjacency.size;
+    for (const neighbors of adjacency.values()) sweepCost += neighbors.size;
+
+    const louvain = settings.community_method === 'louvain';
+    // Louvain levels shrink geometrically, so twice the first level's sweep cap bounds the total
+    const plan = this._planComputation(`communities_${settings.community_method}`,
+      (louvain ? 2 * settings.louvain_sweeps : settings.max_iterations) * sweepCost, share, sweepCost);
+
+    let membership;
+    let cost;
+    let method = settings.community_method;
+    let details = {};
+    if (louvain && !plan.approximate) {
+      let truncated;
+      ({ membership, cost, truncated } = this._louvainCommunities(adjacency, random, settings.louvain_sweeps, plan.allowance));
+      if (truncated) {
+        plan.approximate = true;
+        details = { method: 'truncated_louvain' };
+      }
+    } else {
+      const sweeps = plan.approximate ? Math.max(1, Math.floor(plan.allowance / sweepCost)) : settings.max_iterations;
+      const propagation = this._labelPropagation(adjacency, sweeps, random);
+      ({ membership, cost } = propagation);
+      method = 'label_propagation';
+      details = { iterations: propagation.iterations, converged: propagation.converged };
+      if (!louvain && propagation.converged) plan.approximate = false;
+      if (plan.approximate) details.method = louvain ? 'label_propagation_fallback' : 'truncated_label_propagation';
+    }
+
+    const groups = new Map();
+    for (const [nodeId, label] of membership) {
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(nodeId);
+    }
+    const ordered = Array.from(groups.values()).sort((a, b) => b.length - a.length);
+    const numbered = new Map();
+    ordered.forEach((nodeIds, communityId) => nodeIds.forEach(id => numbered.set(id, communityId)));
+
+    return {
+      method,
+      membership: numbered,
+      modularity: this._modularity(adjacency, numbered),
+      communities: ordered.map((nodeIds, communityId) => ({
+        community_id: communityId,
+        size: nodeIds.length,
+        node_ids: nodeIds.slice(0, 50),
+        truncated: nodeIds.length > 50
+      })),
+      computation: this._chargeComputation(plan, cost, details)
+    };
+  }
+
+  // Louvain modularity optimisation: greedy local moves, then each community becomes one weighted node; repeat
+  // until no node moves. Self-loops of aggregated nodes hold their internal weight, counted from both ends.
+  // Each level stops after `maxSweeps` sweeps, and the whole run once `maxWork` is spent (truncated)
+  _louvainCommunities(adjacency, random, maxSweeps, maxWork = Infinity) {
+    let graph = new Map(Array.from(adjacency, ([id, neighbors]) => [id, new Map(Array.from(neighbors, nb => [nb, 1]))]));
+    const membership = new Map(Array.from(adjacency.keys(), id => [id, id]));
+    let cost = 0;
+    let truncated = false;
+
+    for (;;) {
+      const level = this._louvainLocalMoves(graph, random, maxSweeps, maxWork - cost);
+      cost += level.cost;
+      truncated = level.truncated;
+      if (!level.moved) break;
+
+      for (const [nodeId, node] of membership) membership.set(nodeId, level.community.get(node));
+      const aggregated = new Map();
+      for (const [node, neighbors] of graph) {
+        const community = level.community.get(node);
+        if (!aggregated.has(community)) aggregated.set(community, new Map());
+        const row = aggregated.get(community);
+        for (const [neighbor, weight] of neighbors) {
+          const other = level.community.get(neighbor);
+          row.set(other, (row.get(other) || 0) + weight);
+          cost++;
+        }
+      }
+      graph = aggregated;
+      if (truncated) break;
+    }
+    return { membership, cost, truncated };
+  }
+
+  // Move each node to the neighbouring community with the largest modularity gain
+  // ΔQ ∝ k_i,C − Σ_tot(C)·k_i / 2m until a full sweep changes nothing
+  _louvainLocalMoves(graph, random, maxSweeps, maxWork) {
+    const community = new Map();
+    const degree = new Map();
+    const totals = new Map();
+    let totalWeight = 0;
+    for (const [node, neighbors] of graph) {
+      let k = 0;
+      for (const weight of neighbors.values()) k += weight;
+      community.set(node, node);
+      degree.set(node, k);
+      totals.set(node, k);
+      totalWeight += k;
+    }
+    if (totalWeight === 0) return { community, moved: false, cost: graph.size, truncated: false };
+
+    const order = Array.from(graph.keys());
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    let moved = false;
+    let improved = true;
+    let cost = 0;
+    let sweeps = 0;
+    while (improved && sweeps < maxSweeps && cost < maxWork) {
+      improved = false;
+      sweeps++;
+      for (const node of order) {
+        const own = community.get(node);
+        const k = degree.get(node);
+        const links = new Map();
+        for (const [neighbor, weight] of graph.get(node)) {
+          cost++;
+          if (neighbor === node) continue;
+          const other = community.get(neighbor);
+          links.set(other, (links.get(other) || 0) + weight);
+        }
+
+        totals.set(own, totals.get(own) - k);
+        let best = own;
+        let bestGain = (links.get(own) || 0) - (totals.get(own) * k) / totalWeight;
+        for (const [candidate, weight] of links) {
+          const gain = weight - (totals.get(candidate) * k) / totalWeight;
+          if (gain > bestGain + 1e-12) {
+            best = candidate;
+            bestGain = gain;
+          }
+        }
+        totals.set(best, totals.get(best) + k);
+
+        if (best !== own) {
+          community.set(node, best);
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+    return { community, moved, cost, truncated: improved && cost >= maxWork };
+  }
+
+  // Asynchronous label propagation; ties keep the current label, otherwise break at random
+  _labelPropagation(adjacency, maxIterations, random) {
+    const labels = new Map(Array.from(adjacency.keys(), id => [id, id]));
+    const order = Array.from(adjacency.keys());
+    let iterations = 0;
+    let changed = true;
+    let cost = 0;
+    while (changed && iterations < maxIterations) {
+      changed = false;
+      iterations++;
+      for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+      for (const nodeId of order) {
+        const neighbors = adjacency.get(nodeId);
+        cost += neighbors.size + 1;
+        if (neighbors.size === 0) continue;
+
+        const counts = new Map();
+        for (const neighbor of neighbors) {
+          const label = labels.get(neighbor);
+          counts.set(label, (counts.get(label) || 0) + 1);
+        }
+        const best = Math.max(...counts.values());
+        const candidates = Array.from(counts).filter(([, count]) => count === best).map(([label]) => label);
+        if (candidates.includes(labels.get(nodeId))) continue;
+        labels.set(nodeId, candidates[Math.floor(random() * candidates.length)]);
+        changed = true;
+      }
+    }
+    return { membership: labels, iterations, converged: !changed, cost };
+  }
+
+  // Newman modularity Q = Σ_c [ L_c / m − (d_c / 2m)² ] of a partition of the undirected adjacency
+  _modularity(adjacency, membership) {
+    let totalDegree = 0;
+    let internal = 0;
+    const communityDegree = new Map();
+    for (const [nodeId, neighbors] of adjacency) {
+      const community = membership.get(nodeId);
+      totalDegree += neighbors.size;
+      communityDegree.set(community, (communityDegree.get(community) || 0) + neighbors.size);
+      for (const neighbor of neighbors) {
+        if (membership.get(neighbor) === community) internal++;
+      }
+    }
+    if (totalDegree === 0) return 0;
+
+    let expected = 0;
+    for (const degree of communityDegree.values()) expected += (degree / totalDegree) ** 2;
+    return internal / totalDegree - expected;
+  }
+
+  // P1.22: Merge hints for same-type look-alikes sharing a community with one of `nodeIds`, and split hints for
+  // those nodes whose links spread across communities (participation coefficient 1 − Σ_c (k_c / k)²)
+  _communityRestructuringSuggestions(nodeIds, settings = TOPOLOGY_DEFAULTS, adjacency = this._buildAdjacency()) {
+    const communityOf = (nodeId) => this.vertices.get(nodeId)?.metadata.topology_metrics?.community_id ?? null;
+    const members = new Map();
+    for (const node of this.vertices.values()) {
+      const community = communityOf(node.node_id);
+      if (PROTECTED_NODE_TYPES.has(node.type) || community === null) continue;
+      if (!members.has(community)) members.set(community, []);
+      members.get(community).push(node);
+    }
+
+    const comparisons = nodeIds.reduce((sum, id) => sum + (members.get(communityOf(id)) || []).length, 0);
+    const plan = this._planComputation('community_restructuring', comparisons);
+    const limit = plan.approximate ? plan.allowance : Infinity;
+
+    const merges = [];
+    const splits = [];
+    const compared = new Set();
+    let spent = 0;
+    for (const nodeId of nodeIds) {
+      const node = this.vertices.get(nodeId);
+      const community = communityOf(nodeId);
+      if (!node || PROTECTED_NODE_TYPES.has(node.type) || community === null) continue;
+
+      for (const other of members.get(community)) {
+        if (spent >= limit) break;
+        if (other.node_id === nodeId || other.type !== node.type) continue;
+        const key = [nodeId, other.node_id].sort().join('|');
+        if (compared.has(key)) continue;
+        compared.add(key);
+        spent++;
+
+        const similarity = this._calculateSemanticSimilarity(node, other);
+        if (similarity >= settings.merge_similarity) {
+          merges.push({
+            node_ids: [nodeId, other.node_id],
+            community_id: community,
+            semantic_overlap: similarity,
+            reason: `same community ${community} and semantic_overlap = ${similarity.toFixed(3)} >= ${settings.merge_similarity}`
+          });
+        }
+      }
+
+      const groups = new Map();
+      let linked = 0;
+      for (const neighbor of adjacency.get(nodeId) || []) {
+        const neighborCommunity = communityOf(neighbor);
+        if (neighborCommunity === null) continue;
+        linked++;
+        if (!groups.has(neighborCommunity)) groups.set(neighborCommunity, []);
+        groups.get(neighborCommunity).push(neighbor);
+      }
+      if (linked < settings.split_min_degree || groups.size < 2) continue;
+      let concentration = 0;
+      for (const group of groups.values()) concentration += (group.length / linked) ** 2;
+      const participation = 1 - concentration;
+      if (participation >= settings.split_participation) {
+        splits.push({
+          node_id: nodeId,
+          community_id: community,
+          participation_coefficient: participation,
+          groups: Array.from(groups, ([communityId, ids]) => ({ community_id: communityId, node_ids: ids })),
+          reason: `links spread over ${groups.size} communities (participation ${participation.toFixed(3)} >= ${settings.split_participation})`
+        });
+      }
+    }
+
+    return {
+      merges: merges.sort((a, b) => b.semantic_overlap - a.semantic_overlap).slice(0, settings.max_suggestions),
+      splits: splits.sort((a, b) => b.participation_coefficient - a.participation_coefficient).slice(0, settings.max_suggestions),
+      computation: this._chargeComputation(plan, spent, plan.approximate ? { method: 'truncated_pair_scan', compared_pairs: spent } : {})
+    };
+  }
+
+  // P1.23: Put a node in a layer, leaving any previous one; single-layer graphs keep everything in 'base'
+  _placeInLayer(nodeId, layerId) {
+    const target = this.multiLayer !== false && this.layers.has(layerId) ? layerId : 'base';
+    for (const layer of this.layers.values()) {
+      layer.nodes.delete(nodeId);
+    }
+    this.layers.get(target).nodes.add(nodeId);
+    const node = this.vertices.get(nodeId);
+    if (node) {
+      node.metadata.layer_id = target;
+    }
+    return target;
+  }
+
+  _assertMultiLayer(action) {
+    if (this.multiLayer === false) {
+      throw new McpError(ErrorCode.InvalidRequest, `Cannot ${action}: multi-layer networks are disabled for this graph (enable_multi_layer = false)`);
+    }
+  }
+
+  // P1.23: Custom layer such as one biological scale; scale_order ranks scales so that
+  // inter-layer relations can be read as upward or downward
+  defineLayer(config = {}) {
+    try {
+      this._assertMultiLayer('define layers');
+      const layerId = config.layer_id;
+      if (!/^[A-Za-z0-9_-]+$/.test(layerId || '')) {
+        throw new McpError(ErrorCode.InvalidParams, 'layer_id may only contain letters, digits, underscores and hyphens');
+      }
+      if (this.layers.has(layerId)) {
+        throw new McpError(ErrorCode.InvalidParams, `Layer ${layerId} already exists`);
+      }
+      const metrics = config.evaluation_metrics || LAYER_METRICS;
+      const unknown = metrics.filter(metric => !LAYER_METRICS.includes(metric));
+      if (unknown.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown evaluation_metrics: ${unknown.join(', ')}. Expected any of: ${LAYER_METRICS.join(', ')}`);
+      }
+
+      const layer = {
+        id: layerId,
+        name: config.name || layerId,
+        description: config.description || '',
+        nodes: new Set(),
+        edges: new Set(),
+        created: this._safeGetTimestamp(),
+        inter_layer_edges: new Set(),
+        custom: true,
+        scale_order: config.scale_order ?? null,
+        evaluation_metrics: metrics
+      };
+      this.layers.set(layerId, layer);
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.23: Layer ${layerId} defined${layer.scale_order !== null ? ` at scale ${layer.scale_order}` : ''}`);
+
+      return {
+        success: true,
+        layer_id: layerId,
+        name: layer.name,
+        scale_order: layer.scale_order,
+        evaluation_metrics: metrics,
+        layers: Array.from(this.layers.keys()),
+        message: 'Layer defined following P1.23 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Layer definition failed', error);
+      throw new McpError(ErrorCode.InternalError, `Layer definition failed: ${error.message}`);
+    }
+  }
+
+  assignNodesToLayer(layerId, nodeIds, config = {}) {
+    try {
+      this._assertMultiLayer('assign nodes to layers');
+      if (!this.layers.has(layerId)) {
+        throw new McpError(ErrorCode.InvalidParams, `Layer ${layerId} not found`);
+      }
+      const ids = Array.from(new Set(nodeIds));
+      for (const nodeId of ids) {
+        const node = this.vertices.get(nodeId);
+        if (!node) {
+          throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+        }
+        if (node.type === 'super_node' && layerId !== 'abstraction') {
+          throw new McpError(ErrorCode.InvalidParams, `Super-node ${nodeId} must stay in the abstraction layer`);
+        }
+      }
+
+      const timestamp = this._safeGetTimestamp();
+      const moved = [];
+      const unchanged = [];
+      for (const nodeId of ids) {
+        const node = this.vertices.get(nodeId);
+        const fromLayer = node.metadata.layer_id;
+        if (fromLayer === layerId) {
+          unchanged.push(nodeId);
+          continue;
+        }
+        this._placeInLayer(nodeId, layerId);
+        node.metadata.updated = timestamp;
+        this._recordRevision(node, {
+          timestamp,
+          action: 'layer_assignment',
+          from_layer: fromLayer,
+          to_layer: layerId,
+          reason: config.reason || null
+        });
+        moved.push({ node_id: nodeId, from_layer: fromLayer, to_layer: layerId });
+      }
+      const updatedHyperedges = this._refreshHyperedgeLayers(new Set(moved.map(m => m.node_id)));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.23: ${moved.length} nodes assigned to layer ${layerId}`);
+
+      return {
+        success: true,
+        layer_id: layerId,
+        moved,
+        unchanged,
+        updated_hyperedges: updatedHyperedges,
+        layer_distribution: this._getLayerDistribution(),
+        message: 'Nodes assigned to layer following P1.23 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Layer assignment failed', error);
+      throw new McpError(ErrorCode.InternalError, `Layer assignment failed: ${error.message}`);
+    }
+  }
+
+  // Hyperedge layer membership follows its members after they move
+  _refreshHyperedgeLayers(nodeIds) {
+    const updated = [];
+    for (const hyperedge of this.hyperedges.values()) {
+      if (!hyperedge.nodes.some(id => nodeIds.has(id))) continue;
+      for (const layer of this.layers.values()) {
+        layer.edges.delete(hyperedge.hyperedge_id);
+        layer.inter_layer_edges.delete(hyperedge.hyperedge_id);
+      }
+      hyperedge.layer_ids = Array.from(new Set(hyperedge.nodes.map(id => this.vertices.get(id)?.metadata.layer_id).filter(Boolean)));
+      hyperedge.cross_layer = hyperedge.layer_ids.length > 1;
+      hyperedge.metadata.layer_connection = hyperedge.cross_layer ? hyperedge.layer_ids : null;
+      for (const layerId of hyperedge.layer_ids) {
+        const layer = this.layers.get(layerId);
+        if (layer) (hyperedge.cross_layer ? layer.inter_layer_edges : layer.edges).add(hyperedge.hyperedge_id);
+      }
+      updated.push(hyperedge.hyperedge_id);
+    }
+    return updated;
+  }
+
+  // P1.23: Declare what an edge from one layer into another means, e.g. molecular → cellular "mechanism_of",
+  // optionally restricted to some edge types; bidirectional declarations also cover the reverse direction
+  defineInterLayerSemantics(config = {}) {
+    try {
+      this._assertMultiLayer('declare inter-layer semantics');
+      const { source_layer: sourceLayer, target_layer: targetLayer, relation } = config;
+      for (const layerId of [sourceLayer, targetLayer]) {
+        if (!this.layers.has(layerId)) {
+          throw new McpError(ErrorCode.InvalidParams, `Layer ${layerId} not found`);
+        }
+      }
+      if (sourceLayer === targetLayer) {
+        throw new McpError(ErrorCode.InvalidParams, 'Inter-layer semantics need two different layers');
+      }
+      if (!relation || typeof relation !== 'string') {
+        throw new McpError(ErrorCode.InvalidParams, 'relation must be a non-empty string');
+      }
+
+      const key = `${sourceLayer}->${targetLayer}`;
+      const replaced = this.interLayerSemantics.has(key);
+      const declaration = {
+        source_layer: sourceLayer,
+        target_layer: targetLayer,
+        relation,
+        edge_types: config.edge_types || [],
+        bidirectional: config.bidirectional === true,
+        description: config.description || null,
+        scale_direction: this._scaleDirection(sourceLayer, targetLayer),
+        declared: this._safeGetTimestamp()
+      };
+      this.interLayerSemantics.set(key, declaration);
+
+      const covered = this._crossLayerEdges()
+        .map(crossing => ({ ...crossing, check: this._checkInterLayerEdge(crossing) }))
+        .filter(crossing => crossing.check.declaration === declaration);
+      covered.forEach(crossing => this._annotateInterLayerEdge(crossing));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.23: ${sourceLayer} → ${targetLayer} declared as '${relation}'`);
+
+      return {
+        success: true,
+        declaration,
+        replaced,
+        covered_edges: covered.length,
+        violations: covered
+          .filter(crossing => crossing.check.status !== 'conforming')
+          .map(crossing => ({ edge_id: crossing.edge.edge_id, edge_type: crossing.edge.metadata.edge_type, status: crossing.check.status })),
+        message: 'Inter-layer semantics declared following P1.23 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Inter-layer semantics declaration failed', error);
+      throw new McpError(ErrorCode.InternalError, `Inter-layer semantics declaration failed: ${error.message}`);
+    }
+  }
+
+  _scaleDirection(sourceLayer, targetLayer) {
+    const from = this.layers.get(sourceLayer)?.scale_order;
+    const to = this.layers.get(targetLayer)?.scale_order;
+    if (from === null || from === undefined || to === null || to === undefined) return null;
+    return from < to ? 'upward' : from > to ? 'downward' : 'lateral';
+  }
+
+  _crossLayerEdges() {
+    const crossings = [];
+    for (const edge of this.edges.values()) {
+      const sourceLayer = this.vertices.get(edge.source)?.metadata.layer_id;
+      const targetLayer = this.vertices.get(edge.target)?.metadata.layer_id;
+      if (sourceLayer && targetLayer && sourceLayer !== targetLayer) {
+        crossings.push({ edge, source_layer: sourceLayer, target_layer: targetLayer });
+      }
+    }
+    return crossings;
+  }
+
+  // Conforming, undeclared, edge_type_not_allowed or reversed_direction against the declared semantics
+  _checkInterLayerEdge({ edge, source_layer: sourceLayer, target_layer: targetLayer }) {
+    const direct = this.interLayerSemantics.get(`${sourceLayer}->${targetLayer}`);
+    const reverse = this.interLayerSemantics.get(`${targetLayer}->${sourceLayer}`);
+    const declaration = direct || reverse;
+    if (!declaration) return { status: 'undeclared', declaration: null };
+    if (!direct && !reverse.bidirectional) return { status: 'reversed_direction', declaration };
+    if (declaration.edge_types.length > 0 && !declaration.edge_types.includes(edge.metadata.edge_type)) {
+      return { status: 'edge_type_not_allowed', declaration };
+    }
+    return { status: 'conforming', declaration };
+  }
+
+  _annotateInterLayerEdge({ edge, source_layer: sourceLayer, target_layer: targetLayer, check }) {
+    edge.metadata.inter_layer = {
+      source_layer: sourceLayer,
+      target_layer: targetLayer,
+      relation: check.declaration ? check.declaration.relation : null,
+      status: check.status
+    };
+  }
+
+  // P1.23: Layer-specific evaluation metrics, inter-layer conformance and cross-layer centrality. Cross-layer
+  // betweenness counts only shortest paths between nodes of different layers, so it singles out nodes that
+  // broker between scales; layer participation 1 − Σ_l (k_l / k)² measures how evenly a node's links spread
+  evaluateLayers(config = {}) {
+    try {
+      const layerIds = config.layer_ids || Array.from(this.layers.keys());
+      const unknownLayers = layerIds.filter(id => !this.layers.has(id));
+      if (unknownLayers.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Layers not found: ${unknownLayers.join(', ')}`);
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.23: Evaluating ${layerIds.length} layers`);
+
+      const layerOf = (nodeId) => this.vertices.get(nodeId)?.metadata.layer_id;
+      const edgeCounts = new Map(Array.from(this.layers.keys(), id => [id, { internal: 0, external: 0 }]));
+      const evidenceTargets = new Set();
+      for (const edge of this.edges.values()) {
+        const sourceLayer = layerOf(edge.source);
+        const targetLayer = layerOf(edge.target);
+        if (sourceLayer === targetLayer) {
+          if (edgeCounts.has(sourceLayer)) edgeCounts.get(sourceLayer).internal++;
+        } else {
+          if (edgeCounts.has(sourceLayer)) edgeCounts.get(sourceLayer).external++;
+          if (edgeCounts.has(targetLayer)) edgeCounts.get(targetLayer).external++;
+        }
+        if (EVIDENCE_EDGE_TYPES[edge.metadata.edge_type] && this.vertices.get(edge.source)?.type === 'evidence') {
+          evidenceTargets.add(edge.target);
+        }
+      }
+
+      const layers = layerIds.map(layerId => {
+        const layer = this.layers.get(layerId);
+        const metrics = this._evaluateLayer(layer, edgeCounts.get(layerId), evidenceTargets);
+        layer.metrics = { ...metrics, evaluated_at: this._safeGetTimestamp() };
+        return {
+          layer_id: layerId,
+          name: layer.name,
+          custom: layer.custom === true,
+          scale_order: layer.scale_order ?? null,
+          metrics
+        };
+      });
+
+      // Inter-layer edges checked against the declared semantics
+      const crossings = this._crossLayerEdges().map(crossing => ({ ...crossing, check: this._checkInterLayerEdge(crossing) }));
+      crossings.forEach(crossing => this._annotateInterLayerEdge(crossing));
+      const declarations = Array.from(this.interLayerSemantics.values()).map(declaration => {
+        const covered = crossings.filter(crossing => crossing.check.declaration === declaration);
+        return {
+          ...declaration,
+          edges: covered.length,
+          conforming: covered.filter(crossing => crossing.check.status === 'conforming').length
+        };
+      });
+      const describe = (crossing) => ({
+        edge_id: crossing.edge.edge_id,
+        edge_type: crossing.edge.metadata.edge_type,
+        source_layer: crossing.source_layer,
+        target_layer: crossing.target_layer,
+        status: crossing.check.status
+      });
+
+      // Cross-layer centrality over the multiplex; pairs within one layer do not count
+      const adjacency = this._buildAdjacency();
+      const layerSizes = new Map();
+      for (const nodeId of adjacency.keys()) {
+        layerSizes.set(layerOf(nodeId), (layerSizes.get(layerOf(nodeId)) || 0) + 1);
+      }
+      let sameLayerPairs = 0;
+      for (const size of layerSizes.values()) sameLayerPairs += (size * (size - 1)) / 2;
+      const crossLayerPairs = (adjacency.size * (adjacency.size - 1)) / 2 - sameLayerPairs;
+      const paths = this._shortestPathAnalysis(adjacency, {
+        betweenness: true,
+        pairWeight: (source, target) => (layerOf(source) !== layerOf(target) ? 1 : 0),
+        pairCount: crossLayerPairs,
+        operation: 'cross_layer_betweenness'
+      });
+
+      for (const [nodeId, neighbors] of adjacency) {
+        const perLayer = new Map();
+        for (const neighbor of neighbors) perLayer.set(layerOf(neighbor), (perLayer.get(layerOf(neighbor)) || 0) + 1);
+        let concentration = 0;
+        for (const count of perLayer.values()) concentration += (count / neighbors.size) ** 2;
+        const topology = this.vertices.get(nodeId).metadata.topology_metrics || this._createTopologyMetrics();
+        topology.cross_layer_centrality = paths.betweenness.get(nodeId);
+        topology.layer_participation = neighbors.size > 0 ? 1 - concentration : 0;
+        this.vertices.get(nodeId).metadata.topology_metrics = topology;
+      }
+      const crossLayerCentrality = Array.from(adjacency.keys())
+        .map(nodeId => ({
+          node_id: nodeId,
+          layer_id: layerOf(nodeId),
+          cross_layer_centrality: paths.betweenness.get(nodeId),
+          layer_participation: this.vertices.get(nodeId).metadata.topology_metrics.layer_participation
+        }))
+        .filter(entry => entry.cross_layer_centrality > 0)
+        .sort((a, b) => b.cross_layer_centrality - a.cross_layer_centrality)
+        .slice(0, 10);
+
+      return {
+        success: true,
+        multi_layer: this.multiLayer !== false,
+        layers,
+        inter_layer: {
+          edges: crossings.length,
+          declarations,
+          undeclared: crossings.filter(crossing => crossing.check.status === 'undeclared').slice(0, 50).map(describe),
+          violations: crossings.filter(crossing => !['conforming', 'undeclared'].includes(crossing.check.status)).slice(0, 50).map(describe)
+        },
+        cross_layer_centrality: crossLayerCentrality,
+        computation: paths.computation,
+        message: 'Layers evaluated following P1.23 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Layer evaluation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Layer evaluation failed: ${error.message}`);
+    }
+  }
+
+  _evaluateLayer(layer, edgeCount, evidenceTargets) {
+    const nodes = Array.from(layer.nodes).map(id => this.vertices.get(id)).filter(Boolean);
+    const distributions = nodes.map(n => n.confidence).filter(c => c && Array.isArray(c.means));
+    const hypotheses = nodes.filter(n => n.type === 'hypothesis');
+    const mean = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+
+    const calculators = {
+      node_count: () => nodes.length,
+      internal_density: () => nodes.length > 1 ? edgeCount.internal / ((nodes.length * (nodes.length - 1)) / 2) : 0,
+      mean_confidence: () => distributions.length > 0
+        ? Object.fromEntries(CONFIDENCE_DIMENSIONS.map((dimension, i) => [dimension, mean(distributions.map(c => c.means[i]))]))
+        : null,
+      confidence_dispersion: () => mean(distributions.filter(c => Array.isArray(c.variances)).map(c => mean(c.variances))),
+      mean_impact: () => mean(nodes.map(n => n.metadata.impact_score ?? 0.5)),
+      evidence_coverage: () => hypotheses.length > 0 ? hypotheses.filter(h => evidenceTargets.has(h.node_id)).length / hypotheses.length : null,
+      open_gaps: () => nodes.filter(n => n.type === 'placeholder_gap' && n.metadata.status === 'open').length,
+      cross_layer_ratio: () => {
+        const total = edgeCount.internal + edgeCount.external;
+        return total > 0 ? edgeCount.external / total : 0;
+      }
+    };
+    return Object.fromEntries((layer.evaluation_metrics || LAYER_METRICS).map(metric => [metric, calculators[metric]()]));
+  }
+
+  // P1.29: Collaboration features are opt-in through enable_collaboration_features
+  _assertCollaboration(action) {
+    if (!this.collaboration) {
+      throw new McpError(ErrorCode.InvalidRequest, `Cannot ${action}: collaboration features are disabled for this graph (enable_collaboration = false)`);
+    }
+  }
+
+  _normalizeTags(tags = []) {
+    return Array.from(new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean)));
+  }
+
+  // P1.29: Researcher on whose behalf the current tool call edits the graph
+  setActiveResearcher(researcherId) {
+    if (researcherId === undefined || researcherId === null) {
+      this.activeResearcher = null;
+      return;
+    }
+    this._assertCollaboration('attribute edits to researchers');
+    if (!this.researchers.has(researcherId)) {
+      throw new McpError(ErrorCode.InvalidParams, `Researcher ${researcherId} is not registered`);
+    }
+    this.activeResearcher = researcherId;
+  }
+
+  // Evaluators are logged as contributors but not credited in attribution, so they stay eligible to review
+  _recordContribution(metadata, researcherId, { action, role, timestamp }) {
+    if (!Array.isArray(metadata.attribution)) {
+      metadata.attribution = [];
+    }
+    if (role !== 'evaluator' && !metadata.attribution.includes(researcherId)) {
+      metadata.attribution.push(researcherId);
+    }
+    if (!Array.isArray(metadata.contributions)) {
+      metadata.contributions = [];
+    }
+    metadata.contributions.push({ researcher_id: researcherId, role, action, timestamp });
+    const researcher = this.researchers.get(researcherId);
+    if (researcher) {
+      researcher.contribution_count += 1;
+      researcher.last_active = timestamp;
+    }
+  }
+
+  // P1.12: Every revision entry goes through here so that edits made on behalf of a researcher carry their id
+  _recordRevision(node, entry, researcherId = this.activeResearcher, role = 'editor') {
+    if (!Array.isArray(node.metadata.revision_history)) {
+      node.metadata.revision_history = [];
+    }
+    if (researcherId) {
+      entry.researcher_id = researcherId;
+      this._recordContribution(node.metadata, researcherId, { action: entry.action, role, timestamp: entry.timestamp });
+    }
+    node.metadata.revision_history.push(entry);
+  }
+
+  registerResearcher(config = {}) {
+    try {
+      this._assertCollaboration('register researchers');
+      const researcherId = config.researcher_id;
+      if (!/^[A-Za-z0-9_.@-]+$/.test(researcherId || '')) {
+        throw new McpError(ErrorCode.InvalidParams, 'researcher_id may only contain letters, digits and _ . @ -');
+      }
+      const expertise = this._normalizeTags(config.expertise_tags || []);
+      if (expertise.length === 0) {
+        throw new McpError(ErrorCode.InvalidParams, 'At least one expertise tag is required');
+      }
+
+      const timestamp = this._safeGetTimestamp();
+      const existing = this.researchers.get(researcherId);
+      const researcher = {
+        researcher_id: researcherId,
+        name: config.name || existing?.name || researcherId,
+        affiliation: config.affiliation ?? existing?.affiliation ?? null,
+        expertise_tags: expertise,
+        registered: existing?.registered || timestamp,
+        updated: timestamp,
+        contribution_count: existing?.contribution_count || 0,
+        last_active: existing?.last_active || null
+      };
+      this.researchers.set(researcherId, researcher);
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.29: Researcher ${researcherId} ${existing ? 'updated' : 'registered'} with expertise ${expertise.join(', ')}`);
+
+      return {
+        success: true,
+        researcher,
+        updated: Boolean(existing),
+        registered_researchers: this.researchers.size,
+        message: 'Researcher registered following P1.29 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Researcher registration failed', error);
+      throw new McpError(ErrorCode.InternalError, `Researcher registration failed: ${error.message}`);
+    }
+  }
+
+  // P1.29: Explicit credit for work done outside the graph's own tools (e.g. running the assay behind an evidence node)
+  attributeNode(nodeId, researcherId, config = {}) {
+    try {
+      this._assertCollaboration('attribute nodes');
+      const node = this.vertices.get(nodeId);
+      if (!node) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+      if (!this.researchers.has(researcherId)) {
+        throw new McpError(ErrorCode.InvalidParams, `Researcher ${researcherId} is not registered`);
+      }
+
+      const role = config.role || 'contributor';
+      const timestamp = this._safeGetTimestamp();
+      node.metadata.updated = timestamp;
+      this._recordRevision(node, {
+        timestamp,
+        action: 'attribution',
+        role,
+        reason: config.reason || null
+      }, researcherId, role);
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.29: Node ${nodeId} attributed to ${researcherId} as ${role}`);
+
+      return {
+        success: true,
+        node_id: nodeId,
+        researcher_id: researcherId,
+        role,
+        attribution: node.metadata.attribution,
+        contributions: node.metadata.contributions,
+        message: 'Node attributed following P1.29 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Node attribution failed', error);
+      throw new McpError(ErrorCode.InternalError, `Node attribution failed: ${error.message}`);
+    }
+  }
+
+  // P1.29: Rank researchers for each hypothesis by how much of its disciplinary_tags their expertise covers,
+  // then greedily pick a panel whose expertise is complementary rather than redundant
+  recommendEvaluators(config = {}) {
+    try {
+      this._assertCollaboration('recommend evaluators');
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot recommend evaluators. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+      const limit = config.limit ?? 5;
+      const panelSize = config.panel_size ?? 3;
+      let hypotheses;
+      if (config.node_ids) {
+        hypotheses = config.node_ids.map(id => {
+          const node = this.vertices.get(id);
+          if (!node) {
+            throw new McpError(ErrorCode.InvalidParams, `Node ${id} not found`);
+          }
+          return node;
+        });
+      } else {
+        hypotheses = Array.from(this.vertices.values()).filter(n => n.type === 'hypothesis');
+      }
+      const researchers = Array.from(this.researchers.values());
+
+      const recommendations = hypotheses.map(node => {
+        const tags = this._normalizeTags(node.metadata.disciplinary_tags || []);
+        const tagSet = new Set(tags);
+        const authors = new Set(node.metadata.attribution || []);
+        const judged = new Set((node.metadata.judgments || []).map(j => j.researcher_id));
+
+        const candidates = [];
+        const conflicts = [];
+        researchers.forEach(r => {
+          const matched = r.expertise_tags.filter(tag => tagSet.has(tag));
+          if (matched.length === 0) return;
+          const union = new Set([...tags, ...r.expertise_tags]).size;
+          const candidate = {
+            researcher_id: r.researcher_id,
+            name: r.name,
+            matched_tags: matched,
+            coverage: matched.length / tags.length,
+            jaccard: matched.length / union,
+            contribution_count: r.contribution_count,
+            already_judged: judged.has(r.researcher_id)
+          };
+          // Authors do not review their own hypotheses
+          (authors.has(r.researcher_id) ? conflicts : candidates).push(candidate);
+        });
+        // Ties go to whoever has contributed least so that review load spreads out
+        candidates.sort((a, b) => b.coverage - a.coverage || b.jaccard - a.jaccard || a.contribution_count - b.contribution_count);
+
+        const panel = [];
+        const covered = new Set();
+        const pool = candidates.filter(c => !c.already_judged);
+        while (panel.length < panelSize && pool.length > 0) {
+          let bestIndex = -1;
+          let bestGain = 0;
+          pool.forEach((c, index) => {
+            const gain = c.matched_tags.filter(tag => !covered.has(tag)).length;
+            if (gain > bestGain) {
+              bestGain = gain;
+              bestIndex = index;
+            }
+          });
+          if (bestIndex < 0) break;
+          const [chosen] = pool.splice(bestIndex, 1);
+          chosen.matched_tags.forEach(tag => covered.add(tag));
+          panel.push(chosen.researcher_id);
+        }
+
+        return {
+          node_id: node.node_id,
+          label: node.label,
+          disciplinary_tags: tags,
+          candidates: candidates.slice(0, limit),
+          recommended_panel: panel,
+          panel_coverage: tags.length > 0 ? covered.size / tags.length : 0,
+          uncovered_tags: tags.filter(tag => !covered.has(tag)),
+          excluded_authors: conflicts.map(c => c.researcher_id),
+          judgments_received: judged.size
+        };
+      });
+
+      const expertiseGaps = Array.from(new Set(recommendations.flatMap(r => r.uncovered_tags)));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.29: Evaluators recommended for ${recommendations.length} hypotheses from ${researchers.length} researchers`);
+
+      return {
+        success: true,
+        recommendations,
+        expertise_gaps: expertiseGaps,
+        registered_researchers: researchers.length,
+        message: 'Evaluator recommendations computed following P1.29 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Evaluator recommendation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Evaluator recommendation failed: ${error.message}`);
+    }
+  }
+
+  // P1.29: One judgment per researcher and node; resubmitting replaces the earlier one
+  submitConfidenceJudgment(nodeId, researcherId, confidence, config = {}) {
+    try {
+      this._assertCollaboration('submit confidence judgments');
+      const node = this.vertices.get(nodeId);
+      if (!node) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+      if (!this.researchers.has(researcherId)) {
+        throw new McpError(ErrorCode.InvalidParams, `Researcher ${researcherId} is not registered`);
+      }
+
+      const timestamp = this._safeGetTimestamp();
+      const judgments = node.metadata.judgments || [];
+      const previous = judgments.find(j => j.researcher_id === researcherId) || null;
+      const judgment = {
+        researcher_id: researcherId,
+        confidence: [...confidence],
+        rationale: config.rationale || null,
+        timestamp
+      };
+      node.metadata.judgments = [...judgments.filter(j => j.researcher_id !== researcherId), judgment];
+      node.metadata.updated = timestamp;
+      this._recordRevision(node, {
+        timestamp,
+        action: 'confidence_judgment',
+        confidence: judgment.confidence,
+        replaced: previous ? previous.confidence : null
+      }, researcherId, 'evaluator');
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.29: ${researcherId} judged ${nodeId} at [${confidence.join(', ')}]`);
+
+      return {
+        success: true,
+        node_id: nodeId,
+        judgment,
+        replaced: previous,
+        judgments_count: node.metadata.judgments.length,
+        message: 'Confidence judgment recorded following P1.29 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Confidence judgment failed', error);
+      throw new McpError(ErrorCode.InternalError, `Confidence judgment failed: ${error.message}`);
+    }
+  }
+
+  // P1.29/P1.5: Aggregate the judgments on a node dimension by dimension. Disagreement is the weighted
+  // standard deviation, scaled by 0.5 (the largest possible on [0, 1]) so it reads as a fraction
+  buildConsensus(nodeId, config = {}) {
+    try {
+      this._assertCollaboration('build consensus');
+      const node = this.vertices.get(nodeId);
+      if (!node) {
+        throw new McpError(ErrorCode.InvalidParams, `Node ${nodeId} not found`);
+      }
+      const rule = config.rule || 'mean';
+      if (!CONSENSUS_RULES.includes(rule)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown consensus rule ${rule}. Expected one of: ${CONSENSUS_RULES.join(', ')}`);
+      }
+      const judgments = node.metadata.judgments || [];
+      const minJudgments = config.min_judgments ?? 2;
+      if (judgments.length < minJudgments) {
+        throw new McpError(ErrorCode.InvalidRequest, `Node ${nodeId} has ${judgments.length} judgments, at least ${minJudgments} are needed for consensus`);
+      }
+
+      const tags = new Set(this._normalizeTags(node.metadata.disciplinary_tags || []));
+      const weights = judgments.map(j => {
+        if (rule !== 'expertise_weighted') return 1;
+        const expertise = this.researchers.get(j.researcher_id)?.expertise_tags || [];
+        return 1 + expertise.filter(tag => tags.has(tag)).length;
+      });
+      const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+      const trim = config.trim_fraction ?? 0.2;
+
+      const consensus = [0, 1, 2, 3].map(d => {
+        const values = judgments.map(j => j.confidence[d]);
+        const sorted = [...values].sort((a, b) => a - b);
+        switch (rule) {
+          case 'median': {
+            const mid = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+          }
+          case 'trimmed_mean': {
+            const cut = Math.min(Math.floor(sorted.length * trim), Math.floor((sorted.length - 1) / 2));
+            const kept = sorted.slice(cut, sorted.length - cut);
+            return kept.reduce((sum, v) => sum + v, 0) / kept.length;
+          }
+          default:
+            return values.reduce((sum, v, i) => sum + v * weights[i], 0) / totalWeight;
+        }
+      });
+
+      const spread = [0, 1, 2, 3].map(d => {
+        const mean = judgments.reduce((sum, j, i) => sum + j.confidence[d] * weights[i], 0) / totalWeight;
+        const variance = judgments.reduce((sum, j, i) => sum + weights[i] * (j.confidence[d] - mean) ** 2, 0) / totalWeight;
+        return Math.sqrt(variance);
+      });
+      const disagreement = {
+        per_dimension: Object.fromEntries(CONFIDENCE_DIMENSIONS.map((dim, d) => [dim, spread[d] / 0.5])),
+        index: spread.reduce((sum, s) => sum + s, 0) / spread.length / 0.5
+      };
+      disagreement.level = disagreement.index < 0.15 ? 'strong_consensus' : disagreement.index < 0.35 ? 'moderate_disagreement' : 'contested';
+
+      const dissentThreshold = config.dissent_threshold ?? 0.25;
+      const dissenters = judgments
+        .map(j => ({
+          researcher_id: j.researcher_id,
+          distance: j.confidence.reduce((sum, v, d) => sum + Math.abs(v - consensus[d]), 0) / consensus.length
+        }))
+        .filter(d => d.distance > dissentThreshold);
+
+      const timestamp = this._safeGetTimestamp();
+      node.metadata.consensus = {
+        rule,
+        confidence: consensus,
+        disagreement,
+        judgments_count: judgments.length,
+        dissenters: dissenters.map(d => d.researcher_id),
+        computed_at: timestamp,
+        applied: false
+      };
+
+      // Applying replaces the node's confidence; consensus_alignment is discounted by the panel's disagreement
+      let applied = null;
+      if (config.apply) {
+        const prior = node.confidence;
+        const means = [...consensus];
+        means[3] = consensus[3] * (1 - disagreement.index);
+        const posterior = this._createProbabilityDistribution(means);
+        const klDivergence = this._confidenceKlDivergence(posterior, prior);
+        node.confidence = posterior;
+        node.metadata.confidence = posterior;
+        node.metadata.updated = timestamp;
+        node.metadata.epistemic_status = this._classifyEpistemicStatus(posterior);
+        node.metadata.consensus.applied = true;
+        this._recordRevision(node, {
+          timestamp,
+          action: 'consensus_applied',
+          rule,
+          judgments_count: judgments.length,
+          disagreement_index: disagreement.index,
+          prior: { means: prior.means, variances: prior.variances },
+          posterior: { means: posterior.means, variances: posterior.variances }
+        });
+        this._refreshInfoMetrics(node, klDivergence);
+        const renormalized = node.type === 'hypothesis' ? this._renormalizeCompetingSets(nodeId, prior.means, 'consensus') : []; // P1.13
+        this._refreshSuperNodes(nodeId);
+        applied = { prior_means: prior.means, posterior_means: node.confidence.means, kl_divergence: klDivergence, competing_renormalization: renormalized };
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.29: Consensus on ${nodeId} by ${rule} over ${judgments.length} judgments (disagreement ${disagreement.index.toFixed(3)})`);
+
+      return {
+        success: true,
+        node_id: nodeId,
+        rule,
+        consensus: Object.fromEntries(CONFIDENCE_DIMENSIONS.map((dim, d) => [dim, consensus[d]])),
+        disagreement,
+        dissenters,
+        judgments: judgments.map((j, i) => ({ researcher_id: j.researcher_id, confidence: j.confidence, weight: weights[i] })),
+        applied,
+        message: 'Consensus built following P1.29 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Consensus building failed', error);
+      throw new McpError(ErrorCode.InternalError, `Consensus building failed: ${error.message}`);
+    }
+  }
+
+  // Revision log: every editing tool call is one transaction. beginRevision keeps each logged entry
+  // encoded as it was, and commitRevision diffs the graph against that snapshot, so no mutation path
+  // can bypass the log
+  beginRevision() {
+    if (this.revisionSnapshot) return;
+    const collections = {};
+    for (const field of Object.keys(REVISION_LOG.collections)) {
+      collections[field] = this._encodeRevisionCollection(field);
+    }
+    const fields = {};
+    REVISION_LOG.fields.forEach(field => {
+      fields[field] = encodeGraphValue(this[field]);
+    });
+    const metadata = new Map(Object.entries(this.metadata || {}).map(([key, value]) => [key, encodeGraphValue(value)]));
+    this.revisionSnapshot = { collections, fields, metadata };
+  }
+
+  _encodeRevisionCollection(field) {
+    return new Map(Array.from(this[field] || new Map(), ([id, entry]) => [id, encodeGraphValue(entry)]));
+  }
+
+  // [field, id, encoded before, encoded after] for every entry that differs from the snapshot
+  _changedRevisionEntries(snapshot) {
+    const changed = [];
+    for (const field of Object.keys(REVISION_LOG.collections)) {
+      const before = snapshot.collections[field];
+      const after = this._encodeRevisionCollection(field);
+      for (const id of new Set([...before.keys(), ...after.keys()])) {
+        if (before.get(id) !== after.get(id)) {
+          changed.push([field, id, before.get(id), after.get(id)]);
+        }
+      }
+    }
+    return changed;
+  }
+
+  // Put back everything changed since beginRevision, without logging a transaction
+  _abortRevision() {
+    const snapshot = this.revisionSnapshot;
+    if (!snapshot) return;
+    this.revisionSnapshot = null;
+    for (const [field, id, before] of this._changedRevisionEntries(snapshot)) {
+      if (before === undefined) {
+        this[field].delete(id);
+      } else {
+        this[field].set(id, decodeGraphValue(before));
+      }
+    }
+    for (const [field, encoded] of Object.entries(snapshot.fields)) {
+      if (encoded !== encodeGraphValue(this[field])) {
+        this[field] = encoded === undefined ? undefined : decodeGraphValue(encoded);
+      }
+    }
+    for (const key of new Set([...snapshot.metadata.keys(), ...Object.keys(this.metadata)])) {
+      const encoded = snapshot.metadata.get(key);
+      if (encoded === undefined) {
+        delete this.metadata[key];
+      } else if (encoded !== encodeGraphValue(this.metadata[key])) {
+        this.metadata[key] = decodeGraphValue(encoded);
+      }
+    }
+  }
+
+  _revisionChange(path, before, after) {
+    // Append-only arrays such as revision_history keep just the new items
+    if (Array.isArray(before) && Array.isArray(after) && after.length > before.length &&
+        encodeGraphValue(after.slice(0, before.length)) === encodeGraphValue(before)) {
+      return { path, before_length: before.length, appended: cloneGraphValue(after.slice(before.length)) };
+    }
+    const change = { path };
+    if (before !== undefined) change.before = cloneGraphValue(before);
+    if (after !== undefined) change.after = cloneGraphValue(after);
+    return change;
+  }
+
+  _diffRevisionEntry(before, after) {
+    const changes = [];
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      if (key === 'metadata' && before.metadata?.constructor === Object && after.metadata?.constructor === Object) {
+        for (const metaKey of new Set([...Object.keys(before.metadata), ...Object.keys(after.metadata)])) {
+          if (encodeGraphValue(before.metadata[metaKey]) !== encodeGraphValue(after.metadata[metaKey])) {
+            changes.push(this._revisionChange(`metadata.${metaKey}`, before.metadata[metaKey], after.metadata[metaKey]));
+          }
+        }
+      } else if (encodeGraphValue(before[key]) !== encodeGraphValue(after[key])) {
+        changes.push(this._revisionChange(key, before[key], after[key]));
+      }
+    }
+    return changes;
+  }
+
+  // Close the open transaction; returns null when it changed nothing
+  commitRevision({ tool = null, reason = null, kind = 'edit', reverts = null } = {}) {
+    const snapshot = this.revisionSnapshot;
+    if (!snapshot) return null;
+    this.revisionSnapshot = null;
+    const events = [];
+
+    for (const [field, id, old, now] of this._changedRevisionEntries(snapshot)) {
+      const entity = REVISION_LOG.collections[field];
+      if (old === undefined) {
+        events.push({ type: `${entity}_added`, entity, entity_id: id, after: decodeGraphValue(now) });
+      } else if (now === undefined) {
+        events.push({ type: `${entity}_deleted`, entity, entity_id: id, before: decodeGraphValue(old) });
+      } else {
+        const oldEntry = decodeGraphValue(old);
+        const newEntry = decodeGraphValue(now);
+        const changes = this._diffRevisionEntry(oldEntry, newEntry);
+        // P1.14: Confidence changes get their own event, with the revision_history actions that caused them
+        const confidence = changes.filter(c => c.path === 'confidence' || c.path === 'metadata.confidence');
+        const other = changes.filter(c => !confidence.includes(c));
+        if (confidence.length > 0) {
+          const revisions = changes.find(c => c.path === 'metadata.revision_history' && c.appended);
+          events.push({
+            type: 'confidence_changed',
+            entity,
+            entity_id: id,
+            before_means: oldEntry.confidence?.means ?? oldEntry.metadata?.confidence?.means ?? null,
+            after_means: newEntry.confidence?.means ?? newEntry.metadata?.confidence?.means ?? null,
+            cause: revisions ? revisions.appended.map(r => r.action) : [],
+            changes: confidence
+          });
+        }
+        if (other.length > 0) {
+          events.push({ type: `${entity}_updated`, entity, entity_id: id, changes: other });
+        }
+      }
+    }
+
+    for (const field of REVISION_LOG.fields) {
+      const old = snapshot.fields[field];
+      if (old === encodeGraphValue(this[field])) continue;
+      const before = old === undefined ? undefined : decodeGraphValue(old);
+      const change = this._revisionChange(field, before, this[field]);
+      if (field === 'currentStage') {
+        events.push({
+          type: 'stage_transition',
+          from_stage: this.stageNames[before - 1] || 'pre-initialization',
+          to_stage: this.stageNames[this.currentStage - 1] || 'pre-initialization',
+          ...change
+        });
+      } else {
+        events.push({ type: 'state_updated', ...change });
+      }
+    }
+    const metadata = this.metadata || {};
+    for (const key of new Set([...snapshot.metadata.keys(), ...Object.keys(metadata)])) {
+      const old = snapshot.metadata.get(key);
+      if (old === encodeGraphValue(metadata[key])) continue;
+      events.push({ type: 'state_updated', ...this._revisionChange(`metadata.${key}`, old === undefined ? undefined : decodeGraphValue(old), metadata[key]) });
+    }
+
+    if (events.length === 0) {
+      return null;
+    }
+    const log = this.revisionLog;
+    const transaction = {
+      transaction_id: (log.compacted_transactions ?? 0) + log.transactions.length + 1,
+      kind,
+      tool,
+      actor: this.activeResearcher || 'system',
+      timestamp: this._safeGetTimestamp(),
+      reason,
+      reverts,
+      first_event: (log.compacted_events ?? 0) + log.events.length + 1,
+      last_event: (log.compacted_events ?? 0) + log.events.length + events.length,
+      event_count: events.length
+    };
+    events.forEach((event, i) => {
+      log.events.push({
+        event_id: transaction.first_event + i,
+        transaction_id: transaction.transaction_id,
+        type: event.type,
+        actor: transaction.actor,
+        timestamp: transaction.timestamp,
+        tool,
+        reason,
+        ...event
+      });
+    });
+    log.transactions.push(transaction);
+    if (kind === 'edit') {
+      log.undo_stack.push(transaction.transaction_id);
+      log.redo_stack = [];
+    }
+    this._compactRevisionLog();
+    return transaction;
+  }
+
+  // Drop the oldest whole transactions once the log outgrows REVISION_LOG.max_events. The latest
+  // transaction and anything still redoable are kept; dropped transactions can no longer be undone
+  _compactRevisionLog() {
+    const log = this.revisionLog;
+    let dropEvents = 0;
+    let dropTransactions = 0;
+    while (log.events.length - dropEvents > REVISION_LOG.max_events && dropTransactions < log.transactions.length - 1) {
+      const transaction = log.transactions[dropTransactions];
+      if (log.redo_stack.includes(transaction.transaction_id)) break;
+      dropEvents += transaction.event_count;
+      dropTransactions++;
+    }
+    if (dropTransactions === 0) return;
+    const horizon = log.transactions[dropTransactions - 1].transaction_id;
+    log.events.splice(0, dropEvents);
+    log.transactions.splice(0, dropTransactions);
+    log.undo_stack = log.undo_stack.filter(id => id > horizon);
+    log.compacted_events = (log.compacted_events ?? 0) + dropEvents;
+    log.compacted_transactions = (log.compacted_transactions ?? 0) + dropTransactions;
+  }
+
+  _revisionTransaction(transactionId) {
+    const log = this.revisionLog;
+    return log.transactions[transactionId - (log.compacted_transactions ?? 0) - 1];
+  }
+
+  _applyRevisionChange(target, change, backward) {
+    const parts = change.path.split('.');
+    const parent = parts.length > 1 ? target[parts[0]] : target;
+    const key = parts[parts.length - 1];
+    if ('appended' in change) {
+      if (backward) {
+        parent[key].length = change.before_length;
+      } else {
+        parent[key].push(...cloneGraphValue(change.appended));
+      }
+      return;
+    }
+    const side = backward ? 'before' : 'after';
+    if (side in change) {
+      parent[key] = cloneGraphValue(change[side]);
+    } else {
+      delete parent[key];
+    }
+  }
+
+  _applyRevisionEvent(target, event, backward) {
+    const collection = Object.keys(REVISION_LOG.collections).find(field => REVISION_LOG.collections[field] === event.entity);
+    if (!collection) {
+      // stage_transition and state_updated events are themselves the change
+      this._applyRevisionChange(target, event, backward);
+      return;
+    }
+    const entries = target[collection];
+    if (event.type === `${event.entity}_added` || event.type === `${event.entity}_deleted`) {
+      if ((event.type === `${event.entity}_added`) !== backward) {
+        entries.set(event.entity_id, cloneGraphValue(event.after ?? event.before));
+      } else {
+        entries.delete(event.entity_id);
+      }
+      return;
+    }
+    const entry = entries.get(event.entity_id);
+    if (!entry) {
+      throw new Error(`Event ${event.event_id} refers to missing ${event.entity} ${event.entity_id}`);
+    }
+    (backward ? [...event.changes].reverse() : event.changes).forEach(change => this._applyRevisionChange(entry, change, backward));
+  }
+
+  // Copy of the logged state that events can be replayed onto without touching the live graph
+  _cloneRevisionState() {
+    const state = {};
+    [...Object.keys(REVISION_LOG.collections), ...REVISION_LOG.fields, 'metadata'].forEach(field => {
+      state[field] = cloneGraphValue(this[field]);
+    });
+    return state;
+  }
+
+  _transactionEvents(transactionId) {
+    const log = this.revisionLog;
+    const transaction = this._revisionTransaction(transactionId);
+    const offset = log.compacted_events ?? 0;
+    return log.events.slice(transaction.first_event - offset - 1, transaction.last_event - offset);
+  }
+
+  _replayTransaction(transactionId, backward, config) {
+    const kind = backward ? 'undo' : 'redo';
+    const events = this._transactionEvents(transactionId);
+    // Replayed within a transaction of its own so that a failure can put back whatever it had changed
+    this.beginRevision();
+    try {
+      (backward ? [...events].reverse() : events).forEach(event => this._applyRevisionEvent(this, event, backward));
+    } catch (error) {
+      this._abortRevision();
+      throw error;
+    }
+
+    const log = this.revisionLog;
+    (backward ? log.undo_stack : log.redo_stack).pop();
+    (backward ? log.redo_stack : log.undo_stack).push(transactionId);
+    const original = this._revisionTransaction(transactionId);
+    const transaction = this.commitRevision({ tool: kind, kind, reverts: backward ? transactionId : null, reason: config.reason || null });
+
+    console.error(`[${new Date().toISOString()}] [INFO] P1.12: ${kind} of transaction ${transactionId} (${original.tool}, ${events.length} events)`);
+
+    return {
+      success: true,
+      [backward ? 'undone' : 'redone']: {
+        transaction_id: original.transaction_id,
+        tool: original.tool,
+        actor: original.actor,
+        timestamp: original.timestamp,
+        reason: original.reason,
+        event_count: original.event_count
+      },
+      transaction,
+      can_undo: log.undo_stack.length > 0,
+      can_redo: log.redo_stack.length > 0,
+      message: `Transaction ${backward ? 'undone' : 'redone'} following P1.12 specification`,
+      current_stage: this.currentStage,
+      stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization'
+    };
+  }
+
+  undo(config = {}) {
+    try {
+      const transactionId = this.revisionLog.undo_stack[this.revisionLog.undo_stack.length - 1];
+      if (transactionId === undefined) {
+        throw new McpError(ErrorCode.InvalidRequest, 'Nothing to undo');
+      }
+      return this._replayTransaction(transactionId, true, config);
+    } catch (error) {
+      this._logError('Undo failed', error);
+      throw new McpError(ErrorCode.InternalError, `Undo failed: ${error.message}`);
+    }
+  }
+
+  redo(config = {}) {
+    try {
+      const transactionId = this.revisionLog.redo_stack[this.revisionLog.redo_stack.length - 1];
+      if (transactionId === undefined) {
+        throw new McpError(ErrorCode.InvalidRequest, 'Nothing to redo');
+      }
+      return this._replayTransaction(transactionId, false, config);
+    } catch (error) {
+      this._logError('Redo failed', error);
+      throw new McpError(ErrorCode.InternalError, `Redo failed: ${error.message}`);
+    }
+  }
+
+  // Sets and Maps inside event values would otherwise print as {}
+  _plainRevisionValue(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      if (item instanceof Map) return Object.fromEntries(item);
+      if (item instanceof Set) return Array.from(item);
+      return item;
+    }));
+  }
+
+  _summarizeRevisionEvent(event) {
+    const { after, before, changes, appended, ...summary } = event;
+    if (changes) summary.changed_paths = changes.map(c => c.path);
+    return summary;
+  }
+
+  getRevisionLog(config = {}) {
+    try {
+      let events = this.revisionLog.events;
+      if (config.since_event !== undefined) {
+        events = events.filter(e => e.event_id > config.since_event);
+      }
+      if (config.transaction_id !== undefined) {
+        events = events.filter(e => e.transaction_id === config.transaction_id);
+      }
+      if (config.entity_id !== undefined) {
+        events = events.filter(e => e.entity_id === config.entity_id);
+      }
+      if (config.types) {
+        events = events.filter(e => config.types.includes(e.type));
+      }
+      if (config.actor !== undefined) {
+        events = events.filter(e => e.actor === config.actor);
+      }
+      const limit = config.limit ?? REVISION_LOG.default_limit;
+      const selected = events.slice(-limit);
+      const transactionIds = new Set(selected.map(e => e.transaction_id));
+
+      return {
+        success: true,
+        total_events: (this.revisionLog.compacted_events ?? 0) + this.revisionLog.events.length,
+        compacted_events: this.revisionLog.compacted_events ?? 0,
+        matching_events: events.length,
+        events: selected.map(e => this._plainRevisionValue(config.detail === 'full' ? e : this._summarizeRevisionEvent(e))),
+        transactions: this.revisionLog.transactions.filter(t => transactionIds.has(t.transaction_id)),
+        can_undo: this.revisionLog.undo_stack.length > 0,
+        can_redo: this.revisionLog.redo_stack.length > 0,
+        message: 'Revision log retrieved following P1.12 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization'
+      };
+    } catch (error) {
+      this._logError('Revision log retrieval failed', error);
+      throw new McpError(ErrorCode.InternalError, `Revision log retrieval failed: ${error.message}`);
+    }
+  }
+
+  // The graph as it was after event N (or the last event at or before a timestamp), rebuilt by
+  // reverting every later event on a copy. Events compacted out of the log can no longer be reached
+  viewGraphAsOf(config = {}) {
+    try {
+      const events = this.revisionLog.events;
+      const offset = this.revisionLog.compacted_events ?? 0;
+      const last = offset + events.length;
+      let eventId = config.event_id ?? last;
+      if (config.timestamp !== undefined) {
+        const time = Date.parse(config.timestamp);
+        if (Number.isNaN(time)) {
+          throw new McpError(ErrorCode.InvalidParams, `Invalid timestamp: ${config.timestamp}`);
+        }
+        eventId = offset + events.filter(e => Date.parse(e.timestamp) <= time).length;
+        if (eventId === offset && offset > 0) {
+          throw new McpError(ErrorCode.InvalidParams, `Timestamp ${config.timestamp} precedes every event still in the log; the first ${offset} have been compacted`);
+        }
+      }
+      if (!Number.isInteger(eventId) || eventId < offset || eventId > last) {
+        throw new McpError(ErrorCode.InvalidParams, offset > 0
+          ? `event_id must be between ${offset} and ${last}; earlier events have been compacted`
+          : `event_id must be between 0 and ${last}`);
+      }
+
+      const state = this._cloneRevisionState();
+      for (let i = events.length - 1; i >= eventId - offset; i--) {
+        this._applyRevisionEvent(state, events[i], true);
+      }
+
+      const nodeIds = config.node_ids ? new Set(config.node_ids) : null;
+      const nodes = Array.from(state.vertices.values()).filter(n => !nodeIds || nodeIds.has(n.node_id));
+      const edges = Array.from(state.edges.values())
+        .filter(e => !nodeIds || nodeIds.has(e.source) || nodeIds.has(e.target));
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.12: Graph viewed as of event ${eventId} of ${last}`);
+
+      return {
+        success: true,
+        as_of_event: eventId,
+        as_of_timestamp: eventId > offset ? events[eventId - offset - 1].timestamp : null,
+        later_events: last - eventId,
+        as_of_stage: state.currentStage,
+        as_of_stage_name: this.stageNames[state.currentStage - 1] || 'pre-initialization',
+        counts: { vertices: state.vertices.size, edges: state.edges.size, hyperedges: state.hyperedges.size },
+        nodes: nodes.map(n => ({
+          node_id: n.node_id,
+          label: n.label,
+          type: n.type,
+          confidence: n.confidence?.means ?? null,
+          epistemic_status: n.metadata?.epistemic_status ?? null,
+          layer_id: n.metadata?.layer_id ?? null
+        })),
+        edges: edges.map(e => ({
+          edge_id: e.edge_id,
+          source: e.source,
+          target: e.target,
+          edge_type: e.metadata?.edge_type ?? null,
+          confidence: e.metadata?.confidence?.means ?? null
+        })),
+        node_details: nodeIds ? nodes.map(n => this._plainRevisionValue(n)) : undefined,
+        message: 'Historical view computed following P1.12 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization'
+      };
+    } catch (error) {
+      this._logError('Historical view failed', error);
+      throw new McpError(ErrorCode.InternalError, `Historical view failed: ${error.message}`);
+    }
+  }
+
+  // Compare this graph, a branch, with the graph it was forked from (or any other graph): where
+  // confidence diverged, which nodes and edges exist on one side only, and whether conclusions differ
+  compareBranches(base, config = {}) {
+    try {
+      const threshold = config.confidence_threshold ?? 0.05;
+      const describeNode = (n) => ({ node_id: n.node_id, label: n.label, type: n.type });
+      const describeEdge = (e) => ({ edge_id: e.edge_id, source: e.source, target: e.target, edge_type: e.metadata?.edge_type ?? null });
+      const meansOf = (n) => n.confidence.means || n.confidence;
+
+      const addedNodes = Array.from(this.vertices.values()).filter(n => !this._graphEntryCounterpart(base.vertices, n)).map(describeNode);
+      const removedNodes = Array.from(base.vertices.values()).filter(n => !this._graphEntryCounterpart(this.vertices, n)).map(describeNode);
+      const addedEdges = Array.from(this.edges.values()).filter(e => !this._graphEntryCounterpart(base.edges, e)).map(describeEdge);
+      const removedEdges = Array.from(base.edges.values()).filter(e => !this._graphEntryCounterpart(this.edges, e)).map(describeEdge);
+
+      // P1.5: Divergence is judged per confidence dimension
+      const divergingConfidence = [];
+      for (const node of this.vertices.values()) {
+        const baseNode = this._graphEntryCounterpart(base.vertices, node);
+        if (!baseNode) continue;
+        const baseMeans = meansOf(baseNode);
+        const branchMeans = meansOf(node);
+        const deltas = CONFIDENCE_DIMENSIONS.map((_, d) => (branchMeans[d] ?? 0) - (baseMeans[d] ?? 0));
+        const largest = Math.max(...deltas.map(Math.abs));
+        if (largest >= threshold) {
+          divergingConfidence.push({
+            ...describeNode(node),
+            base: baseMeans,
+            branch: branchMeans,
+            delta: Object.fromEntries(CONFIDENCE_DIMENSIONS.map((dimension, d) => [dimension, deltas[d]])),
+            expected_delta: this._expectedConfidence(node) - base._expectedConfidence(baseNode),
+            max_abs_delta: largest
+          });
+        }
+      }
+      divergingConfidence.sort((a, b) => b.max_abs_delta - a.max_abs_delta);
+
+      // Conclusions: the leading hypothesis, hypothesis statuses and competing set leaders
+      const leadingHypothesis = (graph) => {
+        const hypotheses = Array.from(graph.vertices.values()).filter(n => n.type === 'hypothesis');
+        if (hypotheses.length === 0) return null;
+        const leader = hypotheses.reduce((best, n) => graph._expectedConfidence(n) > graph._expectedConfidence(best) ? n : best);
+        return { node_id: leader.node_id, label: leader.label, expected_confidence: graph._expectedConfidence(leader) };
+      };
+      const baseLeader = leadingHypothesis(base);
+      const branchLeader = leadingHypothesis(this);
+
+      const statusChanges = [];
+      for (const node of this.vertices.values()) {
+        const baseNode = this._graphEntryCounterpart(base.vertices, node);
+        if (node.type !== 'hypothesis' || !baseNode) continue;
+        if (baseNode.metadata?.epistemic_status !== node.metadata?.epistemic_status) {
+          statusChanges.push({
+            ...describeNode(node),
+            base_status: baseNode.metadata?.epistemic_status ?? null,
+            branch_status: node.metadata?.epistemic_status ?? null
+          });
+        }
+      }
+
+      // P1.13: Leader of each competing set present in both graphs
+      const setLeader = (graph, set) => {
+        const members = set.hypotheses.filter(id => graph.vertices.has(id));
+        if (members.length === 0) return null;
+        const probabilities = graph._competingProbabilities(set);
+        return members.reduce((best, id) => (probabilities[id] > probabilities[best] ? id : best));
+      };
+      const competingSets = [];
+      for (const [setId, set] of this.competingSets) {
+        const baseSet = base.competingSets.get(setId);
+        if (!baseSet) continue;
+        const baseSetLeader = setLeader(base, baseSet);
+        const branchSetLeader = setLeader(this, set);
+        competingSets.push({ set_id: setId, base_leader: baseSetLeader, branch_leader: branchSetLeader, changed: baseSetLeader !== branchSetLeader });
+      }
+
+      const leaderChanged = (baseLeader?.node_id ?? null) !== (branchLeader?.node_id ?? null);
+      const conclusionsDiffer = leaderChanged || statusChanges.length > 0 || competingSets.some(s => s.changed);
+
+      // Forks share their revision log up to the fork, so the common prefix is where they diverged.
+      // Events are aligned by event_id since either log may have been compacted
+      const baseEvents = base.revisionLog.events;
+      const branchEvents = this.revisionLog.events;
+      const baseOffset = base.revisionLog.compacted_events ?? 0;
+      const branchOffset = this.revisionLog.compacted_events ?? 0;
+      const baseTotal = baseOffset + baseEvents.length;
+      const branchTotal = branchOffset + branchEvents.length;
+      let shared = Math.max(baseOffset, branchOffset);
+      while (shared < baseTotal && shared < branchTotal &&
+             baseEvents[shared - baseOffset].timestamp === branchEvents[shared - branchOffset].timestamp &&
+             baseEvents[shared - baseOffset].type === branchEvents[shared - branchOffset].type &&
+             baseEvents[shared - baseOffset].entity_id === branchEvents[shared - branchOffset].entity_id) {
+        shared++;
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.5: Branch comparison - ${divergingConfidence.length} diverging nodes, ${addedNodes.length} added, ${removedNodes.length} removed, conclusions ${conclusionsDiffer ? 'differ' : 'agree'}`);
+
+      return {
+        success: true,
+        branch: this.branch,
+        history: {
+          shared_events: shared,
+          base_events_since: baseTotal - shared,
+          branch_events_since: branchTotal - shared
+        },
+        nodes: { added: addedNodes, removed: removedNodes },
+        edges: { added: addedEdges, removed: removedEdges },
+        diverging_confidence: divergingConfidence,
+        confidence_threshold: threshold,
+        conclusions: {
+          differ: conclusionsDiffer,
+          base_stage: base.stageNames[base.currentStage - 1] || 'pre-initialization',
+          branch_stage: this.stageNames[this.currentStage - 1] || 'pre-initialization',
+          leading_hypothesis: { base: baseLeader, branch: branchLeader, changed: leaderChanged },
+          status_changes: statusChanges,
+          competing_sets: competingSets
+        },
+        message: 'Branches compared following P1.5 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization'
+      };
+    } catch (error) {
+      this._logError('Branch comparison failed', error);
+      throw new McpError(ErrorCode.InternalError, `Branch comparison failed: ${error.message}`);
+    }
+  }
+
+  // Differences between one node or edge in two graphs; identical entries give null
+  // Entries of two graphs are the same entity when they share an id and, for nodes, type and content,
+  // for edges, endpoints and edge type; an id reused for something else is a removal plus an addition
+  _graphEntryCounterpart(entries, entry) {
+    const counterpart = entries.get(entry.node_id ?? entry.edge_id);
+    if (!counterpart) return null;
+    const same = entry.node_id !== undefined
+      ? counterpart.type === entry.type && counterpart.content === entry.content
+      : counterpart.source === entry.source && counterpart.target === entry.target &&
+        (counterpart.metadata?.edge_type ?? null) === (entry.metadata?.edge_type ?? null);
+    return same ? counterpart : null;
+  }
+
+  _diffGraphEntry(base, other) {
+    const fields = [];
+    for (const field of new Set([...Object.keys(base), ...Object.keys(other)])) {
+      if (['metadata', 'confidence', 'node_id', 'edge_id'].includes(field)) continue;
+      if (encodeGraphValue(base[field]) !== encodeGraphValue(other[field])) {
+        fields.push({ field, base: base[field] ?? null, other: other[field] ?? null });
+      }
+    }
+
+    // P1.5: Nodes carry confidence at the top level, edges in their metadata
+    const baseConfidence = base.confidence || base.metadata?.confidence;
+    const otherConfidence = other.confidence || other.metadata?.confidence;
+    let confidenceDelta = null;
+    if (baseConfidence && otherConfidence && encodeGraphValue(baseConfidence.means) !== encodeGraphValue(otherConfidence.means)) {
+      confidenceDelta = Object.fromEntries(CONFIDENCE_DIMENSIONS.map((dimension, d) =>
+        [dimension, (otherConfidence.means[d] ?? 0) - (baseConfidence.means[d] ?? 0)]));
+    }
+
+    const metadataChanges = [];
+    const baseMetadata = base.metadata || {};
+    const otherMetadata = other.metadata || {};
+    for (const key of new Set([...Object.keys(baseMetadata), ...Object.keys(otherMetadata)])) {
+      if (key === 'confidence' || GRAPH_DIFF.ignored_metadata.includes(key)) continue;
+      if (encodeGraphValue(baseMetadata[key]) === encodeGraphValue(otherMetadata[key])) continue;
+      if (GRAPH_DIFF.summarized_metadata.includes(key)) {
+        metadataChanges.push({ key, base_entries: (baseMetadata[key] || []).length, other_entries: (otherMetadata[key] || []).length });
+      } else {
+        metadataChanges.push({ key, base: baseMetadata[key] ?? null, other: otherMetadata[key] ?? null });
+      }
+    }
+
+    if (fields.length === 0 && !confidenceDelta && metadataChanges.length === 0) {
+      return null;
+    }
+    return { fields, confidence_delta: confidenceDelta, metadata_changes: metadataChanges };
+  }
+
+  // Structural and semantic diff from this graph (base) to another graph
+  diffGraph(other, config = {}) {
+    try {
+      const describeNode = (n) => ({ node_id: n.node_id, label: n.label, type: n.type });
+      const describeEdge = (e) => ({ edge_id: e.edge_id, source: e.source, target: e.target, edge_type: e.metadata?.edge_type ?? null });
+      const diffCollection = (baseEntries, otherEntries, describe) => {
+        const added = [];
+        const removed = [];
+        const changed = [];
+        for (const entry of otherEntries.values()) {
+          const baseEntry = this._graphEntryCounterpart(baseEntries, entry);
+          if (!baseEntry) {
+            added.push(describe(entry));
+            continue;
+          }
+          const diff = this._diffGraphEntry(baseEntry, entry);
+          if (diff) changed.push({ ...describe(entry), ...diff });
+        }
+        for (const entry of baseEntries.values()) {
+          if (!this._graphEntryCounterpart(otherEntries, entry)) removed.push(describe(entry));
+        }
+        return { added, removed, changed };
+      };
+
+      const nodes = diffCollection(this.vertices, other.vertices, describeNode);
+      const edges = diffCollection(this.edges, other.edges, describeEdge);
+      const hyperedges = {
+        added: Array.from(other.hyperedges.keys()).filter(id => !this.hyperedges.has(id)),
+        removed: Array.from(this.hyperedges.keys()).filter(id => !other.hyperedges.has(id))
+      };
+
+      // Graph-level state: stage, task, configuration, layers, registries and metadata
+      const graphChanges = [];
+      const compare = (key, baseValue, otherValue) => {
+        if (encodeGraphValue(baseValue) !== encodeGraphValue(otherValue)) {
+          graphChanges.push({ key, base: baseValue ?? null, other: otherValue ?? null });
+        }
+      };
+      compare('stage', this.stageNames[this.currentStage - 1] || 'pre-initialization', other.stageNames[other.currentStage - 1] || 'pre-initialization');
+      compare('task_description', this.vertices.get('n0')?.content, other.vertices.get('n0')?.content);
+      compare('multi_layer', this.multiLayer, other.multiLayer);
+      compare('collaboration', this.collaboration, other.collaboration);
+      [['layers', 'layers'], ['researchers', 'researchers'], ['competing_sets', 'competingSets'], ['subgraphs', 'subgraphs'],
+        ['inter_layer_semantics', 'interLayerSemantics']].forEach(([key, field]) => {
+        compare(key, Array.from(this[field].keys()).sort(), Array.from(other[field].keys()).sort());
+      });
+      for (const key of new Set([...Object.keys(this.metadata), ...Object.keys(other.metadata)])) {
+        if (key === 'created') continue;
+        if (key === 'parameters') {
+          const parameterIds = new Set([...Object.keys(this.metadata.parameters || {}), ...Object.keys(other.metadata.parameters || {})]);
+          const changedParameters = Array.from(parameterIds).filter(id =>
+            encodeGraphValue(this.metadata.parameters?.[id]) !== encodeGraphValue(other.metadata.parameters?.[id]));
+          if (changedParameters.length > 0) graphChanges.push({ key: 'metadata.parameters', changed: changedParameters });
+          continue;
+        }
+        compare(`metadata.${key}`, this.metadata[key], other.metadata[key]);
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.5: Graph diff - nodes +${nodes.added.length}/-${nodes.removed.length}/~${nodes.changed.length}, edges +${edges.added.length}/-${edges.removed.length}/~${edges.changed.length}`);
+
+      return {
+        success: true,
+        base: config.base_label || this.persistence.name,
+        other: config.other_label || other.persistence.name,
+        identical: [nodes, edges].every(d => d.added.length + d.removed.length + d.changed.length === 0) &&
+          hyperedges.added.length + hyperedges.removed.length === 0 && graphChanges.length === 0,
+        summary: {
+          nodes_added: nodes.added.length,
+          nodes_removed: nodes.removed.length,
+          nodes_changed: nodes.changed.length,
+          confidence_changed: nodes.changed.filter(n => n.confidence_delta).length,
+          edges_added: edges.added.length,
+          edges_removed: edges.removed.length,
+          edges_changed: edges.changed.length,
+          hyperedges_added: hyperedges.added.length,
+          hyperedges_removed: hyperedges.removed.length,
+          graph_changes: graphChanges.length
+        },
+        nodes,
+        edges,
+        hyperedges,
+        graph_changes: graphChanges,
+        message: 'Graphs compared following P1.5 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization'
+      };
+    } catch (error) {
+      this._logError('Graph diff failed', error);
+      throw new McpError(ErrorCode.InternalError, `Graph diff failed: ${error.message}`);
+    }
+  }
+
+  // Evidence nodes pointing at a node, the measure keep_higher_evidence compares
+  _evidenceCount(nodeId) {
+    let count = 0;
+    for (const edge of this.edges.values()) {
+      if (edge.target === nodeId && this.vertices.get(edge.source)?.type === 'evidence') count++;
+    }
+    return count;
+  }
+
+  _mergeEntryId(id, taken) {
+    let index = 1;
+    while (taken.has(`${id}_m${index}`)) {
+      index++;
+    }
+    return `${id}_m${index}`;
+  }
+
+  // Merge another graph into this one. Nodes match by node_id when type and content agree, otherwise by
+  // type and content alone (preferring copies an earlier merge of the same node imported), so merging
+  // twice adds nothing; a node whose id is taken by different content is imported under a new id. Edges
+  // match by endpoints and edge type. Entries present in both graphs with different state are resolved
+  // by the conflict rule
+  mergeGraph(source, config = {}) {
+    try {
+      if (this.currentStage < 1) {
+        throw new McpError(ErrorCode.InvalidRequest, 'Cannot merge into a graph that has not been initialized');
+      }
+      const rule = config.conflict_rule || 'flag_for_review';
+      if (!GRAPH_DIFF.merge_rules.includes(rule)) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown conflict_rule: ${rule}. Expected one of: ${GRAPH_DIFF.merge_rules.join(', ')}`);
+      }
+      const sourceLabel = config.source_label || source.persistence.name || 'source';
+      const timestamp = this._safeGetTimestamp();
+      const stage = this.stageNames[this.currentStage - 1];
+      const added = { nodes: [], edges: [], hyperedges: [], layers: [], researchers: [] };
+      const renamed = [];
+      const conflicts = [];
+      const idMap = new Map();
+
+      // Histories of the same entry always differ between graphs; only state differences conflict
+      const conflicting = (diff) => diff !== null && (diff.fields.length > 0 || diff.confidence_delta !== null ||
+        diff.metadata_changes.some(change => !GRAPH_DIFF.summarized_metadata.includes(change.key)));
+
+      // Decide a conflict; returns whether the source version replaces the target's
+      const resolve = (kind, id, target, incoming, diff) => {
+        let resolution = 'kept_target';
+        let reason = rule;
+        if (rule === 'prefer_source') {
+          resolution = 'took_source';
+        } else if (rule === 'keep_higher_evidence') {
+          // Nodes compare their evidence; edges, and ties, the confidence of each version
+          const targetEvidence = kind === 'node' ? this._evidenceCount(id) : 0;
+          const sourceEvidence = kind === 'node' ? source._evidenceCount(id) : 0;
+          const expected = (entry) => {
+            const means = (entry.confidence || entry.metadata.confidence).means;
+            return means.reduce((a, b) => a + b, 0) / means.length;
+          };
+          if (sourceEvidence !== targetEvidence) {
+            resolution = sourceEvidence > targetEvidence ? 'took_source' : 'kept_target';
+            reason = `evidence ${sourceEvidence} (source) vs ${targetEvidence} (target)`;
+          } else {
+            resolution = expected(incoming) > expected(target) ? 'took_source' : 'kept_target';
+            reason = `equal evidence; expected confidence ${expected(incoming).toFixed(3)} (source) vs ${expected(target).toFixed(3)} (target)`;
+          }
+        } else if (rule === 'flag_for_review') {
+          resolution = 'flagged';
+          target.metadata.merge_conflict = {
+            source: sourceLabel,
+            flagged_at: timestamp,
+            source_confidence: (incoming.confidence || incoming.metadata.confidence)?.means ?? null,
+            confidence_delta: diff.confidence_delta,
+            changed_fields: diff.fields.map(f => f.field),
+            changed_metadata: diff.metadata_changes.map(m => m.key)
+          };
+        }
+        conflicts.push({ kind, id, resolution, reason, confidence_delta: diff.confidence_delta });
+        return resolution === 'took_source';
+      };
+
+      // P1.23: Layers first so that imported nodes keep their layer
+      for (const [layerId, layer] of source.layers) {
+        if (this.layers.has(layerId)) continue;
+        this.layers.set(layerId, { ...cloneGraphValue(layer), nodes: new Set(), edges: new Set(), inter_layer_edges: new Set() });
+        added.layers.push(layerId);
+      }
+      // P1.29: Contributors of the source graph join the registry
+      for (const [researcherId, researcher] of source.researchers) {
+        if (this.researchers.has(researcherId)) continue;
+        this.researchers.set(researcherId, cloneGraphValue(researcher));
+        added.researchers.push(researcherId);
+      }
+
+      const contentKey = (n) => `${n.type}\u0000${n.content}`;
+      const byContent = new Map();
+      for (const node of this.vertices.values()) {
+        if (!byContent.has(contentKey(node))) byContent.set(contentKey(node), []);
+        byContent.get(contentKey(node)).push(node);
+      }
+      const claimed = new Set();
+      const counterpartOf = (node) => {
+        const direct = this._graphEntryCounterpart(this.vertices, node);
+        if (direct) return direct;
+        const candidates = (byContent.get(contentKey(node)) || []).filter(n => !claimed.has(n.node_id));
+        return candidates.find(n => (n.metadata.revision_history || []).some(entry =>
+          entry.action === 'merged' && entry.source_node_id === node.node_id)) || candidates[0] || null;
+      };
+
+      for (const node of source.vertices.values()) {
+        const existing = counterpartOf(node);
+        if (existing) {
+          const targetId = existing.node_id;
+          claimed.add(targetId);
+          idMap.set(node.node_id, targetId);
+          const diff = this._diffGraphEntry(existing, node);
+          if (conflicting(diff) && resolve('node', targetId, existing, node, diff)) {
+            const replacement = cloneGraphValue(node);
+            replacement.node_id = targetId;
+            if (replacement.metadata.node_id !== undefined) replacement.metadata.node_id = targetId;
+            replacement.metadata.revision_history = existing.metadata.revision_history || [];
+            this._recordRevision(replacement, {
+              timestamp,
+              stage,
+              action: 'merge_conflict_resolution',
+              source: sourceLabel,
+              rule,
+              prior_confidence: existing.confidence.means
+            });
+            this.vertices.set(targetId, replacement);
+            this._placeInLayer(targetId, replacement.metadata.layer_id);
+          }
+          continue;
+        }
+
+        if (this.vertices.size >= this.maxVertices) {
+          throw new McpError(ErrorCode.InvalidRequest, `Merge would exceed the maximum of ${this.maxVertices} vertices`);
+        }
+        const taken = this.vertices.has(node.node_id);
+        const nodeId = taken ? this._mergeEntryId(node.node_id, this.vertices) : node.node_id;
+        if (taken) {
+          renamed.push({ source_id: node.node_id, node_id: nodeId });
+        }
+        const copy = cloneGraphValue(node);
+        copy.node_id = nodeId;
+        if (copy.metadata.node_id !== undefined) copy.metadata.node_id = nodeId;
+        this._recordRevision(copy, { timestamp, stage, action: 'merged', source: sourceLabel, source_node_id: node.node_id });
+        this.vertices.set(nodeId, copy);
+        this.nodeTypes.add(copy.type);
+        this._placeInLayer(nodeId, copy.metadata.layer_id);
+        claimed.add(nodeId);
+        idMap.set(node.node_id, nodeId);
+        added.nodes.push(nodeId);
+      }
+
+      const edgeKey = (e) => `${e.source}\u0000${e.target}\u0000${e.metadata?.edge_type ?? null}`;
+      const byEndpoints = new Map(Array.from(this.edges.values(), e => [edgeKey(e), e]));
+      for (const edge of source.edges.values()) {
+        const sourceId = idMap.get(edge.source);
+        const targetId = idMap.get(edge.target);
+        let edgeId = edge.edge_id;
+        if (sourceId !== edge.source || targetId !== edge.target) {
+          // Edge ids embed their endpoints, so they follow renamed nodes
+          const prefix = `e_${edge.source}_${edge.target}`;
+          edgeId = `e_${sourceId}_${targetId}${edge.edge_id.startsWith(prefix) ? edge.edge_id.slice(prefix.length) : ''}`;
+        }
+        const translated = { ...edge, edge_id: edgeId, source: sourceId, target: targetId };
+        const existing = this._graphEntryCounterpart(this.edges, translated) || byEndpoints.get(edgeKey(translated));
+        if (existing) {
+          const diff = this._diffGraphEntry(existing, translated);
+          if (conflicting(diff) && resolve('edge', existing.edge_id, existing, edge, diff)) {
+            const replacement = { ...cloneGraphValue(edge), edge_id: existing.edge_id, source: sourceId, target: targetId };
+            this.edges.set(existing.edge_id, replacement);
+            byEndpoints.set(edgeKey(replacement), replacement);
+          }
+          continue;
+        }
+
+        if (this.edges.size >= this.maxEdges) {
+          throw new McpError(ErrorCode.InvalidRequest, `Merge would exceed the maximum of ${this.maxEdges} edges`);
+        }
+        if (this.edges.has(edgeId)) {
+          edgeId = this._mergeEntryId(edgeId, this.edges);
+        }
+        const copy = cloneGraphValue(edge);
+        if (copy.metadata.edge_id === copy.edge_id) copy.metadata.edge_id = edgeId;
+        Object.assign(copy, { edge_id: edgeId, source: sourceId, target: targetId });
+        this.edges.set(edgeId, copy);
+        byEndpoints.set(edgeKey(copy), copy);
+        added.edges.push(edgeId);
+      }
+
+      // P1.9: Hyperedges are the same when they join the same nodes in the same relationship
+      for (const hyperedge of source.hyperedges.values()) {
+        const members = hyperedge.nodes.map(id => idMap.get(id));
+        const duplicate = Array.from(this.hyperedges.values()).some(h =>
+          h.relationship === hyperedge.relationship && encodeGraphValue([...h.nodes].sort()) === encodeGraphValue([...members].sort()));
+        if (duplicate) continue;
+        const hyperedgeId = this.hyperedges.has(hyperedge.hyperedge_id) ? this._nextHyperedgeId() : hyperedge.hyperedge_id;
+        this.hyperedges.set(hyperedgeId, { ...cloneGraphValue(hyperedge), hyperedge_id: hyperedgeId, nodes: members });
+        added.hyperedges.push(hyperedgeId);
+      }
+      this._refreshHyperedgeLayers(new Set(added.hyperedges.flatMap(id => this.hyperedges.get(id).nodes)));
+
+      // Competing sets and subgraphs are derived views; re-run their tools on the merged graph
+      const notMerged = {
+        competing_sets: Array.from(source.competingSets.keys()).filter(id => !this.competingSets.has(id)),
+        subgraphs: Array.from(source.subgraphs.keys()).filter(id => !this.subgraphs.has(id))
+      };
+
+      console.error(`[${new Date().toISOString()}] [INFO] Merged ${sourceLabel}: +${added.nodes.length} nodes, +${added.edges.length} edges, ${conflicts.length} conflicts (${rule})`);
+
+      return {
+        success: true,
+        source: sourceLabel,
+        conflict_rule: rule,
+        added,
+        renamed,
+        conflicts,
+        flagged_for_review: conflicts.filter(c => c.resolution === 'flagged').map(c => ({ kind: c.kind, id: c.id })),
+        not_merged: notMerged,
+        counts: { vertices: this.vertices.size, edges: this.edges.size, hyperedges: this.hyperedges.size },
+        message: 'Graphs merged following P1.5 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Graph merge failed', error);
+      throw new McpError(ErrorCode.InternalError, `Graph merge failed: ${error.message}`);
+    }
+  }
+
+  // P1.9: Hyperedge creation - joint, non-additive relationships among three or more nodes
+  createHyperedge(nodeIds, relationship, config = {}) {
+    try {
+      if (this.currentStage < 3) {
+        throw new McpError(ErrorCode.InvalidRequest, `Cannot create hyperedges. Current stage: ${this.currentStage}, expected: 3 or later`);
+      }
+
+      // Input validation
+      if (!Array.isArray(nodeIds)) {
+        throw new McpError(ErrorCode.InvalidParams, 'nodeIds must be an array');
+      }
+      const members = Array.from(new Set(nodeIds));
+      if (members.length < 3) {
+        throw new McpError(ErrorCode.InvalidParams, `Hyperedges require at least 3 distinct nodes (P1.9: |Eₕ| > 2), got ${members.length}`);
+      }
+      const missing = members.filter(id => !this.vertices.has(id));
+      if (missing.length > 0) {
+        throw new McpError(ErrorCode.InvalidParams, `Nodes not found: ${missing.join(', ')}`);
+      }
+      if (!relationship || typeof relationship !== 'string') {
+        throw new McpError(ErrorCode.InvalidParams, 'relationship must be a non-empty string');
+      }
+      if (config.layer_ids) {
+        const unknownLayers = config.layer_ids.filter(id => !this.layers.has(id));
+        if (unknownLayers.length > 0) {
+          throw new McpError(ErrorCode.InvalidParams, `Layers not found: ${unknownLayers.join(', ')}`);
+        }
+      }
+
+      this.enforceMemoryLimits();
+
+      // P1.23: Membership follows the member nodes' layers plus any explicitly requested ones
+      const layerIds = Array.from(new Set([
+        ...members.map(id => this.vertices.get(id).metadata.layer_id),
+        ...(config.layer_ids || [])
+      ].filter(Boolean)));
+      const crossLayer = layerIds.length > 1;
+
+      const hyperedgeId = this._nextHyperedgeId();
+      const metadata = this._safeCreateEdgeMetadata({
+        edge_id: hyperedgeId,
+        edge_type: config.edge_type || 'Hyperedge',
+        confidence: this._createProbabilityDistribution(config.confidence || [0.6, 0.6, 0.6, 0.6]),
+        relationship: relationship,
+        layer_connection: crossLayer ? layerIds : null,
+        provenance: config.provenance || 'hyperedge_creation',
+        attribution: config.attribution || []
+      });
+
+      const hyperedge = {
+        hyperedge_id: hyperedgeId,
+        nodes: members,
+        relationship: relationship,
+        layer_ids: layerIds,
+        cross_layer: crossLayer,
+        metadata
+      };
+
+      this.hyperedges.set(hyperedgeId, hyperedge);
+      for (const layerId of layerIds) {
+        const layer = this.layers.get(layerId);
+        if (!layer) continue;
+        (crossLayer ? layer.inter_layer_edges : layer.edges).add(hyperedgeId);
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] Hyperedge ${hyperedgeId} created over ${members.join(', ')} - P1.9`);
+
+      return {
+        success: true,
+        hyperedge_id: hyperedgeId,
+        nodes: members,
+        relationship,
+        layer_ids: layerIds,
+        cross_layer: crossLayer,
+        confidence: metadata.confidence.means,
+        message: `Hyperedge created over ${members.length} nodes following P1.9 specification`,
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Hyperedge creation failed', error);
+      throw new McpError(ErrorCode.InternalError, `Hyperedge creation failed: ${error.message}`);
+    }
+  }
+
+  // P1.9: List hyperedges, optionally filtered by member node, relationship text, layer or confidence
+  queryHyperedges(filters = {}) {
+    const relationship = filters.relationship ? filters.relationship.toLowerCase() : null;
+    const minConfidence = this._normalizeConfidenceThresholds(filters.min_confidence);
+
+    const hyperedges = Array.from(this.hyperedges.values()).filter(h => {
+      if (filters.node_id && !h.nodes.includes(filters.node_id)) return false;
+      if (filters.all_node_ids && !filters.all_node_ids.every(id => h.nodes.includes(id))) return false;
+      if (relationship && !h.relationship.toLowerCase().includes(relationship)) return false;
+      if (filters.layer_id && !h.layer_ids.includes(filters.layer_id)) return false;
+      if (filters.cross_layer !== undefined && h.cross_layer !== filters.cross_layer) return false;
+      if (minConfidence && h.metadata.confidence.means.some((mean, i) => mean < minConfidence[i])) return false;
+      return true;
+    });
+
+    return {
+      success: true,
+      total_hyperedges: this.hyperedges.size,
+      matched: hyperedges.length,
+      hyperedges: hyperedges.map(h => ({
+        hyperedge_id: h.hyperedge_id,
+        nodes: h.nodes,
+        relationship: h.relationship,
+        edge_type: h.metadata.edge_type,
+        layer_ids: h.layer_ids,
+        cross_layer: h.cross_layer,
+        confidence: h.metadata.confidence.means,
+        created: h.metadata.created
+      }))
+    };
+  }
+
+  _nextHyperedgeId() {
+    let index = 1;
+    while (this.hyperedges.has(`he_${index}`)) {
+      index++;
+    }
+    return `he_${index}`;
+  }
+
+  // Drop a node from every hyperedge; hyperedges left with fewer than 3 members are removed
+  _detachFromHyperedges(nodeId, replacementId = null) {
+    for (const [hyperedgeId, hyperedge] of Array.from(this.hyperedges.entries())) {
+      if (!hyperedge.nodes.includes(nodeId)) continue;
+
+      hyperedge.nodes = Array.from(new Set(
+        hyperedge.nodes.map(id => (id === nodeId ? replacementId : id)).filter(Boolean)
+      ));
+      if (hyperedge.nodes.length < 3) {
+        this.hyperedges.delete(hyperedgeId);
+        for (const layer of this.layers.values()) {
+          layer.edges.delete(hyperedgeId);
+          layer.inter_layer_edges.delete(hyperedgeId);
+        }
+      }
+    }
+  }
+
+  // Get comprehensive graph summary with exact specification compliance
+  getGraphSummary() {
+    const summary = {
+      // P1.11: Mathematical formalism state
+      graph_state: {
+        vertices_count: this.vertices.size, // |Vₜ|
+        edges_count: this.edges.size, // |Eₜ|
+        hyperedges_count: this.hyperedges.size, // |Eₕₜ|
+        layers_count: this.layers.size, // |Lₜ|
+        node_types: Array.from(this.nodeTypes), // T
+      },
+      
+      // Stage information
+      current_stage: this.currentStage,
+      stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization',
+      
+      // P1.23: Layer distribution
+      layers: Array.from(this.layers.keys()),
+      layer_distribution: this._getLayerDistribution(),
+      
+      // Node type breakdown
+      node_types: this._getNodeTypeBreakdown(),
+      
+      // P1.22: Topology metrics
+      topology_metrics: this._getTopologyMetrics(),
+      
+      // P1.5/P1.14: Confidence statistics
+      confidence_statistics: this._getConfidenceStatistics(),
+      
+      // P1.28: Impact distribution
+      impact_distribution: this._getImpactDistribution(),
+
+      // P1.27: Information theory metrics
+      information_metrics: this._getInformationSummary(),
+
+      // P1.21: Computational budget spending
+      computational_budget: this.getComputeBudgetStatus(),
+
+      // P1.29: Researcher registry and judgments
+      collaboration: this._getCollaborationSummary(),
+
+      // Copy kept in the research workspace
+      persistence: { ...this.persistence },
+
+      // P1.12: Revision log
+      revision_log: {
+        events: (this.revisionLog.compacted_events ?? 0) + this.revisionLog.events.length,
+        compacted_events: this.revisionLog.compacted_events ?? 0,
+        transactions: (this.revisionLog.compacted_transactions ?? 0) + this.revisionLog.transactions.length,
+        can_undo: this.revisionLog.undo_stack.length > 0,
+        can_redo: this.revisionLog.redo_stack.length > 0
+      },
+      
+      // Active parameters (all P1.0-P1.29)
+      active_parameters: Object.keys(this.metadata.parameters).filter(p => this.metadata.parameters[p].active),
+      total_parameters: Object.keys(this.metadata.parameters).length,
+      
+      // Quality metrics
+      bias_flags_count: this._countBiasFlags(), // P1.17
+      falsifiability_coverage: this._assessFalsifiabilityCoverage(), // P1.16
+      interdisciplinary_bridges: Array.from(this.vertices.values()).filter(n => n.type === 'bridge').length, // P1.8
+      knowledge_gaps: Array.from(this.vertices.values()).filter(n => n.type === 'placeholder_gap').length // P1.15
+    };
+
+    return summary;
+  }
+
+  _getCollaborationSummary() {
+    const nodes = Array.from(this.vertices.values());
+    return {
+      enabled: this.collaboration,
+      researchers: this.researchers.size,
+      judgments: nodes.reduce((sum, n) => sum + (n.metadata.judgments || []).length, 0),
+      nodes_with_consensus: nodes.filter(n => n.metadata.consensus).length,
+      contested_nodes: nodes.filter(n => n.metadata.consensus?.disagreement.level === 'contested').map(n => n.node_id)
+    };
+  }
+
+  _getLayerDistribution() {
+    const distribution = {};
+    for (const [layerId, layer] of this.layers.entries()) {
+      distribution[layerId] = layer.nodes.size;
+    }
+    return distribution;
+  }
+
+  _getNodeTypeBreakdown() {
+    const breakdown = {};
+    for (const node of this.vertices.values()) {
+      breakdown[node.type] = (breakdown[node.type] || 0) + 1;
+    }
+    return breakdown;
+  }
+
+  // Counts are current; path metrics, clustering and communities are those of the last compute_topology
+  // run, which summaries read rather than recompute
+  _getTopologyMetrics() {
+    const nodes = this.vertices.size;
+    const edges = this.edges.size;
+    const analysis = this.metadata.topology_analysis || null;
+
+    return {
+      density: nodes > 1 ? (2 * edges) / (nodes * (nodes - 1)) : 0,
+      average_degree: nodes > 0 ? (2 * edges) / nodes : 0,
+      hyperedges: this._getHyperedgeMetrics(), // P1.9
+      analysis_status: !analysis ? 'missing' : this._topologyAnalysisStale(analysis) ? 'stale' : 'current',
+      computed_at: analysis?.computed_at ?? null,
+      clustering_coefficient: analysis?.clustering_coefficient ?? null,
+      connected_components: analysis?.connected_components ?? null,
+      diameter: analysis?.diameter ?? null,
+      average_path_length: analysis?.average_path_length ?? null,
+      community_count: analysis?.community_count ?? null,
+      modularity: analysis?.modularity ?? null,
+      approximate: analysis?.approximate ?? null
+    };
+  }
+
+  // P1.12: A topology analysis is stale once nodes, edges or hyperedges have been added or removed
+  // since it ran, or when the events that would tell have been compacted away
+  _topologyAnalysisStale(analysis) {
+    const log = this.revisionLog;
+    const offset = log.compacted_events ?? 0;
+    if (analysis.revision_event === undefined || analysis.revision_event < offset) return true;
+    return log.events.slice(analysis.revision_event - offset).some(e =>
+      ['node', 'edge', 'hyperedge'].includes(e.entity) && (e.type === `${e.entity}_added` || e.type === `${e.entity}_deleted`));
+  }
+
+  _getHyperedgeMetrics() {
+    const sizes = Array.from(this.hyperedges.values()).map(h => h.nodes.length);
+    const participating = new Set(Array.from(this.hyperedges.values()).flatMap(h => h.nodes));
+    return {
+      count: sizes.length,
+      average_size: sizes.length > 0 ? sizes.reduce((a, b) => a + b, 0) / sizes.length : 0,
+      max_size: sizes.length > 0 ? Math.max(...sizes) : 0,
+      cross_layer: Array.from(this.hyperedges.values()).filter(h => h.cross_layer).length,
+      node_participation: this.vertices.size > 0 ? participating.size / this.vertices.size : 0
+    };
+  }
+
+  // Fraction of linked neighbour pairs; above `pairSamples` pairs, estimated from random pairs
+  _localClustering(adjacency, neighbors, pairSamples = Infinity, random = Math.random) {
+    const pairs = (neighbors.length * (neighbors.length - 1)) / 2;
+    if (pairs === 0) return { value: 0, cost: 0 };
+
+    let links = 0;
+    if (pairs <= pairSamples) {
+      for (let i = 0; i < neighbors.length; i++) {
+        for (let j = i + 1; j < neighbors.length; j++) {
+          if (adjacency.get(neighbors[i]).has(neighbors[j])) links++;
+        }
+      }
+      return { value: links / pairs, cost: pairs };
+    }
+    for (let k = 0; k < pairSamples; k++) {
+      const a = Math.floor(random() * neighbors.length);
+      let b = Math.floor(random() * (neighbors.length - 1));
+      if (b >= a) b++;
+      if (adjacency.get(neighbors[a]).has(neighbors[b])) links++;
+    }
+    return { value: links / pairSamples, cost: pairSamples };
+  }
+
+  // Undirected neighbour sets over binary edges plus hyperedge co-membership (P1.9), built in one pass
+  _buildAdjacency() {
+    const adjacency = new Map(Array.from(this.vertices.keys()).map(id => [id, new Set()]));
+    const link = (a, b) => {
+      if (a === b || !adjacency.has(a) || !adjacency.has(b)) return;
+      adjacency.get(a).add(b);
+      adjacency.get(b).add(a);
+    };
+    for (const edge of this.edges.values()) {
+      link(edge.source, edge.target);
+    }
+    for (const hyperedge of this.hyperedges.values()) {
+      hyperedge.nodes.forEach((a, i) => hyperedge.nodes.slice(i + 1).forEach(b => link(a, b)));
+    }
+    return adjacency;
+  }
+
+  _getNeighbors(nodeId) {
+    const neighbors = [];
+    for (const edge of this.edges.values()) {
+      if (edge.source === nodeId) neighbors.push(edge.target);
+      if (edge.target === nodeId) neighbors.push(edge.source);
+    }
+    // P1.9: Co-members of a hyperedge are neighbours
+    for (const hyperedge of this.hyperedges.values()) {
+      if (hyperedge.nodes.includes(nodeId)) {
+        neighbors.push(...hyperedge.nodes.filter(id => id !== nodeId));
+      }
+    }
+    return [...new Set(neighbors)];
+  }
+
+  // Iterative breadth-first search; over budget, the traversal stops early and every unvisited
+  // node counts as its own component, which gives an upper bound
+  _calculateConnectedComponents(adjacency = this._buildAdjacency()) {
+    let cost = adjacency.size;
+    for (const neighbors of adjacency.values()) cost += neighbors.size;
+    const plan = this._planComputation('connected_components', cost);
+    const limit = plan.approximate ? plan.allowance : Infinity;
+
+    const visited = new Set();
+    let components = 0;
+    let spent = 0;
+    for (const start of adjacency.keys()) {
+      if (spent >= limit) {
+        components += adjacency.size - visited.size;
+        break;
+      }
+      if (visited.has(start)) continue;
+      components++;
+      visited.add(start);
+      spent++;
+      const queue = [start];
+      while (queue.length > 0 && spent < limit) {
+        const current = queue.shift();
+        for (const next of adjacency.get(current)) {
+          if (spent >= limit) break;
+          spent++;
+          if (!visited.has(next)) {
+            visited.add(next);
+            queue.push(next);
+          }
+        }
+      }
+    }
+
+    return {
+      value: components,
+      computation: this._chargeComputation(plan, spent, plan.approximate ? { method: 'truncated_traversal', bound: 'upper' } : {})
+    };
+  }
+
+  _getConfidenceStatistics() {
+    const confidences = Array.from(this.vertices.values()).map(n => {
+      if (n.confidence.type === 'probability_distribution') {
+        return n.confidence.means.reduce((a, b) => a + b, 0) / 4;
+      }
+      return Array.isArray(n.confidence) ? n.confidence.reduce((a, b) => a + b, 0) / 4 : 0.5;
+    });
+    
+    if (confidences.length === 0) return { mean: 0, std: 0, min: 0, max: 0 };
+    
+    const mean = confidences.reduce((a, b) => a + b, 0) / confidences.length;
+    const variance = confidences.reduce((sum, c) => sum + Math.pow(c - mean, 2), 0) / confidences.length;
+    
+    return {
+      mean,
+      std: Math.sqrt(variance),
+      min: Math.min(...confidences),
+      max: Math.max(...confidences)
+    };
+  }
+
+  _getImpactDistribution() {
+    const impacts = Array.from(this.vertices.values()).map(n => n.metadata.impact_score || 0.5);
+    
+    return {
+      high_impact: impacts.filter(i => i >= 0.7).length,
+      medium_impact: impacts.filter(i => i >= 0.4 && i < 0.7).length,
+      low_impact: impacts.filter(i => i < 0.4).length,
+      average_impact: impacts.reduce((a, b) => a + b, 0) / impacts.length
+    };
+  }
+
+  _countBiasFlags() {
+    let total = 0;
+    for (const node of this.vertices.values()) {
+      total += (node.metadata.bias_flags || []).length;
+    }
+    return total;
+  }
+
+  _assessFalsifiabilityCoverage() {
+    const hypotheses = Array.from(this.vertices.values()).filter(n => n.type === 'hypothesis');
+    const withCriteria = hypotheses.filter(h => h.metadata.falsification_criteria).length;
+    return hypotheses.length > 0 ? withCriteria / hypotheses.length : 1.0;
+  }
+
+  // Export with complete compliance
+  exportGraph(format = 'json') {
+    const graphData = {
+      // P1.11: Complete mathematical formalism export
+      formalism: {
+        state: `Gₜ = (Vₜ, Eₜ∪Eₕₜ, Lₜ, T, Cₜ, Mₜ, Iₜ)`,
+        vertices: this.vertices.size,
+        edges: this.edges.size,
+        hyperedges: this.hyperedges.size,
+        layers: this.layers.size,
+        node_types: Array.from(this.nodeTypes),
+        timestamp: new Date().toISOString()
+      },
+      
+      metadata: this.metadata,
+      vertices: Array.from(this.vertices.values()),
+      edges: Array.from(this.edges.values()),
+      hyperedges: Array.from(this.hyperedges.values()), // P1.9
+      layers: this._serializeLayers(),
+      competing_sets: Array.from(this.competingSets.values()), // P1.13
+      inter_layer_semantics: Array.from(this.interLayerSemantics.values()), // P1.23
+      researchers: Array.from(this.researchers.values()), // P1.29
+      
+      // P1.6: Enhanced output
+      summary: this.getGraphSummary(),
+      reasoning_trace: this._generateReasoningTrace(),
+      topology_insights: this._generateTopologyInsights()
+    };
+
+    switch (format.toLowerCase()) {
+      case 'json':
+        return this._safeJSONStringify(graphData, 2);
+      case 'yaml':
+        return this._exportAsYAML(graphData);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  }
+
+  // P1.23: Layers hold Sets, which JSON.stringify would flatten to {}
+  _serializeLayers() {
+    const layers = {};
+    for (const [layerId, layer] of this.layers.entries()) {
+      layers[layerId] = {
+        ...layer,
+        nodes: Array.from(layer.nodes),
+        edges: Array.from(layer.edges),
+        inter_layer_edges: Array.from(layer.inter_layer_edges)
+      };
+    }
+    return layers;
+  }
+
+  // Complete graph state, unlike exportGraph, including the revision log
+  serializeState() {
+    const state = {};
+    for (const [key, value] of Object.entries(this)) {
+      if (!GRAPH_FILE_FORMAT.transient_fields.includes(key)) {
+        state[key] = value;
+      }
+    }
+    const root = this.vertices.get('n0');
+    return encodeGraphValue({
+      format: GRAPH_FILE_FORMAT.format,
+      version: GRAPH_FILE_FORMAT.version,
+      saved_at: this._safeGetTimestamp(),
+      task_description: root ? root.content : null,
+      current_stage: this.currentStage,
+      stage_name: this.stageNames[this.currentStage - 1] || 'pre-initialization',
+      vertices: this.vertices.size,
+      edges: this.edges.size,
+      state
+    });
+  }
+
+  static restoreState(text) {
+    const snapshot = decodeGraphValue(text);
+    if (snapshot.format !== GRAPH_FILE_FORMAT.format || !snapshot.state) {
+      throw new Error('Not an ASR-GoT graph file');
+    }
+    if (snapshot.version > GRAPH_FILE_FORMAT.version) {
+      throw new Error(`Graph file version ${snapshot.version} is newer than the supported version ${GRAPH_FILE_FORMAT.version}`);
+    }
+    const graph = new ASRGoTGraph(snapshot.state.metadata?.config || {});
+    Object.assign(graph, snapshot.state);
+    graph.activeResearcher = null;
+    return graph;
+  }
+
+  _generateReasoningTrace() {
+    return {
+      current_stage: this.currentStage,
+      completed_stages: this.stageNames.slice(0, this.currentStage),
+      parameter_activations: this.metadata.parameters,
+      stage_progression: {
+        stage_1: this.currentStage >= 1 ? 'completed' : 'pending',
+        stage_2: this.currentStage >= 2 ? 'completed' : 'pending',
+        stage_3: this.currentStage >= 3 ? 'completed' : 'pending',
+        stage_4: this.currentStage >= 4 ? 'completed' : 'pending',
+        stage_5: this.currentStage >= 5 ? 'completed' : 'pending',
+        stage_6: this.currentStage >= 6 ? 'completed' : 'pending',
+        stage_7: this.currentStage >= 7 ? 'completed' : 'pending',
+        stage_8: this.currentStage >= 8 ? 'completed' : 'pending'
+      }
+    };
+  }
+
+  _generateTopologyInsights() {
+    return {
+      most_central_nodes: this._findMostCentralNodes(),
+      knowledge_gaps: this._identifyKnowledgeGaps(),
+      interdisciplinary_connections: this._getInterdisciplinaryConnections(),
+      layer_connectivity: this._analyzeLayerConnectivity()
+    };
+  }
+
+  _findMostCentralNodes() {
+    const centralities = [];
+    for (const nodeId of this.vertices.keys()) {
+      centralities.push({
+        node_id: nodeId,
+        centrality: this._calculateDegreeCentrality(nodeId)
+      });
+    }
+    return centralities.sort((a, b) => b.centrality - a.centrality).slice(0, 5);
+  }
+
+  _calculateDegreeCentrality(nodeId) {
+    let degree = 0;
+    for (const edge of this.edges.values()) {
+      if (edge.source === nodeId || edge.target === nodeId) {
+        degree++;
+      }
+    }
+    return this.vertices.size > 1 ? degree / (this.vertices.size - 1) : 0;
+  }
+
+  _identifyKnowledgeGaps() {
+    const gaps = [];
+    for (const node of this.vertices.values()) {
+      if (node.type === 'placeholder_gap') { // P1.15
+        gaps.push({
+          gap_id: node.node_id,
+          description: node.content,
+          impact: node.metadata.impact_score,
+          confidence_variance: this._calculateConfidenceVariance(node)
+        });
+      }
+    }
+    return gaps;
+  }
+
+  _calculateConfidenceVariance(node) {
+    if (node.confidence.type === 'probability_distribution') {
+      return node.confidence.variances.reduce((a, b) => a + b, 0) / 4;
+    }
+    return 0.1; // Default variance
+  }
+
+  _getInterdisciplinaryConnections() {
+    return Array.from(this.vertices.values())
+      .filter(n => n.type === 'bridge') // P1.8 IBNs
+      .map(n => ({
+        bridge_id: n.node_id,
+        disciplines: n.metadata.disciplinary_tags,
+        impact: n.metadata.impact_score,
+        semantic_similarity: n.metadata.semantic_similarity || 0
+      }));
+  }
+
+  _analyzeLayerConnectivity() {
+    const connectivity = {};
+    for (const [layerId, layer] of this.layers.entries()) {
+      connectivity[layerId] = {
+        node_count: layer.nodes.size,
+        internal_edges: 0,
+        external_edges: 0
+      };
+    }
+    
+    for (const edge of this.edges.values()) {
+      const sourceLayer = this.vertices.get(edge.source)?.metadata.layer_id;
+      const targetLayer = this.vertices.get(edge.target)?.metadata.layer_id;
+      
+      if (sourceLayer && targetLayer) {
+        if (sourceLayer === targetLayer) {
+          connectivity[sourceLayer].internal_edges++;
+        } else {
+          connectivity[sourceLayer].external_edges++;
+          connectivity[targetLayer].external_edges++;
+        }
+      }
+    }
+    
+    return connectivity;
+  }
+
+  _exportAsYAML(data) {
+    return `# ASR-GoT Graph Export - Complete Specification Compliance
+metadata:
+  created: "${data.metadata.created}"
+  stage: "${data.metadata.stage}"
+  current_stage: ${data.summary.current_stage}
+  parameters_active: ${data.summary.total_parameters}
+
+formalism: "${data.formalism.state}"
+
+summary:
+  vertices: ${data.summary.graph_state.vertices_count}
+  edges: ${data.summary.graph_state.edges_count}
+  hyperedges: ${data.summary.graph_state.hyperedges_count}
+  layers: ${data.summary.graph_state.layers_count}
+  
+layers:
+${Object.keys(data.layers).map(layer => `  - ${layer}: ${data.layers[layer].nodes.length} nodes`).join('\n')}
+
+hyperedges:
+${data.hyperedges.map(h => `  - ${h.hyperedge_id}: [${h.nodes.join(', ')}] "${h.relationship}"${h.cross_layer ? ' (cross-layer)' : ''}`).join('\n')}
+
+active_parameters:
+${data.summary.active_parameters.map(p => `  - ${p}: ${data.metadata.parameters[p].description.substring(0, 80)}...`).join('\n')}
+
+quality_metrics:
+  bias_flags: ${data.summary.bias_flags_count}
+  falsifiability_coverage: ${(data.summary.falsifiability_coverage * 100).toFixed(1)}%
+  interdisciplinary_bridges: ${data.summary.interdisciplinary_bridges}
+  knowledge_gaps: ${data.summary.knowledge_gaps}
+`;
+  }
+  
+  // Memory management methods to prevent resource exhaustion
+  checkMemoryLimits() {
+    const vertexCount = this.vertices.size;
+    const edgeCount = this.edges.size;
+    const hyperedgeCount = this.hyperedges.size;
+    
+    if (vertexCount >= this.maxVertices) {
+      throw new McpError(ErrorCode.InternalError, `Vertex limit exceeded: ${vertexCount}/${this.maxVertices}`);
+    }
+    
+    if (edgeCount >= this.maxEdges) {
+      throw new McpError(ErrorCode.InternalError, `Edge limit exceeded: ${edgeCount}/${this.maxEdges}`);
+    }
+    
+    // Log warnings at 80% capacity
+    if (vertexCount > this.maxVertices * 0.8) {
+      console.warn(`[${new Date().toISOString()}] [WARN] Vertex count at ${Math.round((vertexCount/this.maxVertices)*100)}% capacity`);
+    }
+    
+    if (edgeCount > this.maxEdges * 0.8) {
+      console.warn(`[${new Date().toISOString()}] [WARN] Edge count at ${Math.round((edgeCount/this.maxEdges)*100)}% capacity`);
+    }
+  }
+  
+  enforceMemoryLimits() {
+    try {
+      this.checkMemoryLimits();
+    } catch (error) {
+      // If we're at the limit, try to clean up low-confidence nodes
+      this.cleanupLowConfidenceNodes();
+      
+      // Check again after cleanup
+      this.checkMemoryLimits();
+    }
+  }
+  
+  cleanupLowConfidenceNodes() {
+    const threshold = 0.1; // Remove nodes with very low confidence
+    let removedCount = 0;
+    
+    for (const [nodeId, node] of this.vertices) {
+      if (nodeId === 'n0') continue; // Never remove root node
+      
+      const confidence = node.confidence;
+      if (confidence && confidence.means) {
+        const avgConfidence = confidence.means.reduce((a, b) => a + b, 0) / confidence.means.length;
+        if (avgConfidence < threshold) {
+          this.vertices.delete(nodeId);
+          removedCount++;
+          
+          // Remove associated edges
+          for (const [edgeId, edge] of this.edges) {
+            if (edge.source === nodeId || edge.target === nodeId) {
+              this.edges.delete(edgeId);
+            }
+          }
+        }
+      }
+    }
+    
+    console.warn(`[${new Date().toISOString()}] [WARN] Memory cleanup: removed ${removedCount} low-confidence nodes`);
+  }
+  
+  getMemoryUsage() {
+    return {
+      vertices: this.vertices.size,
+      edges: this.edges.size,
+      hyperedges: this.hyperedges.size,
+      max_vertices: this.maxVertices,
+      max_edges: this.maxEdges,
+      vertex_usage_percent: Math.round((this.vertices.size / this.maxVertices) * 100),
+      edge_usage_percent: Math.round((this.edges.size / this.maxEdges) * 100)
+    };
+  }
+
+  // P1.21: Computational budget tracking
+  _initializeComputeBudget(config = {}) {
+    const requested = config.compute_budget || {};
+    return {
+      per_call: requested.per_call ?? COMPUTE_BUDGET_DEFAULTS.per_call,
+      per_session: requested.per_session ?? COMPUTE_BUDGET_DEFAULTS.per_session,
+      call_spent: 0,
+      session_spent: 0,
+      approximations: 0,
+      ledger: []
+    };
+  }
+
+  // Called at the start of every tool call so the per-call budget starts empty. Only analyses the user
+  // asked for are metered; work other tools do in passing is neither limited nor charged
+  startComputeCall(metered = false) {
+    this.computeBudget.call_spent = 0;
+    this.computeBudget.metered = metered;
+  }
+
+  // Compare an analysis' estimated exact cost with its `share` of what is left of both budgets;
+  // minimumCost is what its cheapest approximate variant needs
+  _planComputation(operation, estimatedCost, share = 1, minimumCost = 1) {
+    const budget = this.computeBudget;
+    if (!budget.metered) {
+      return { operation, estimated_cost: Math.ceil(estimatedCost), approximate: false, allowance: Infinity, metered: false };
+    }
+    const remaining = share * Math.max(0, Math.min(budget.per_call - budget.call_spent, budget.per_session - budget.session_spent));
+    const approximate = estimatedCost > remaining;
+    if (approximate && remaining < minimumCost) {
+      throw new McpError(ErrorCode.InvalidRequest,
+        `Compute budget exhausted: ${operation} needs at least ${Math.ceil(minimumCost)} work units but ${Math.floor(remaining)} remain; raise it with configure_compute_budget`);
+    }
+    return {
+      operation,
+      estimated_cost: Math.ceil(estimatedCost),
+      approximate,
+      allowance: remaining
+    };
+  }
+
+  // Charge the work actually done; the returned tag travels with the analysis result
+  _chargeComputation(plan, cost, details = {}) {
+    if (plan.metered === false) {
+      return { mode: 'unmetered', estimated_cost: plan.estimated_cost, charged_cost: 0, ...details };
+    }
+    const budget = this.computeBudget;
+    const charged = Math.ceil(cost);
+    budget.call_spent += charged;
+    budget.session_spent += charged;
+
+    const tag = {
+      mode: plan.approximate ? 'approximate' : 'exact',
+      estimated_cost: plan.estimated_cost,
+      charged_cost: charged,
+      ...details
+    };
+    budget.ledger.push({ operation: plan.operation, timestamp: this._safeGetTimestamp(), ...tag });
+    if (budget.ledger.length > COMPUTE_BUDGET_DEFAULTS.ledger_size) {
+      budget.ledger.shift();
+    }
+
+    if (plan.approximate) {
+      budget.approximations++;
+      console.warn(`[${new Date().toISOString()}] [WARN] P1.21: ${plan.operation} estimated at ${plan.estimated_cost} units exceeds the remaining budget; using ${details.method || 'an approximation'}`);
+    }
+    return tag;
+  }
+
+  configureComputeBudget(config = {}) {
+    try {
+      for (const key of ['per_call', 'per_session']) {
+        if (config[key] !== undefined && !(config[key] > 0)) {
+          throw new McpError(ErrorCode.InvalidParams, `${key} must be a positive number of work units`);
+        }
+      }
+
+      const budget = this.computeBudget;
+      if (config.per_call !== undefined) budget.per_call = config.per_call;
+      if (config.per_session !== undefined) budget.per_session = config.per_session;
+      if (config.reset_session) {
+        budget.session_spent = 0;
+        budget.approximations = 0;
+        budget.ledger = [];
+      }
+
+      console.error(`[${new Date().toISOString()}] [INFO] P1.21: Compute budget set to ${budget.per_call} per call, ${budget.per_session} per session`);
+
+      return {
+        success: true,
+        budget: this.getComputeBudgetStatus(),
+        message: 'Computational budget updated following P1.21 specification',
+        current_stage: this.currentStage,
+        stage_name: this.stageNames[this.currentStage - 1]
+      };
+    } catch (error) {
+      this._logError('Compute budget configuration failed', error);
+      throw new McpError(ErrorCode.InternalError, `Compute budget configuration failed: ${error.message}`);
+    }
+  }
+
+  getComputeBudgetStatus() {
+    const budget = this.computeBudget;
+    return {
+      per_call: budget.per_call,
+      per_session: budget.per_session,
+      session_spent: budget.session_spent,
+      session_remaining: Math.max(0, budget.per_session - budget.session_spent),
+      approximations: budget.approximations,
+      recent_operations: budget.ledger.slice(-20)
+    };
+  }
+}
+
+// Open graphs keyed by their stable graph_id
+const graphSessions = new Map();
+// Default graph of each client connection, used when a call omits graph_id
+const activeGraphs = new Map();
+const SESSION_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+// Clean up expired sessions periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [graphId, session] of graphSessions) {
+    if (now - session.lastAccess > SESSION_TIMEOUT) {
+      autosaveGraph(session.graph);
+      closeGraphSession(graphId);
+      console.error(`[${new Date().toISOString()}] [INFO] Cleaned up expired session: ${graphId}`);
+    }
+  }
+}, 5 * 60 * 1000); // Check every 5 minutes
+
+// stdio has a single connection and no transport session id
+function resolveConnectionId(extra) {
+  return extra?.sessionId || 'stdio';
+}
+
+function validateGraphId(graphId) {
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(graphId)) {
+    throw new McpError(ErrorCode.InvalidParams, 'graph_id may only contain letters, digits, underscores and hyphens');
+  }
+}
+
+// Register a graph under graph_id (replacing any graph open under it) and make it the connection default
+function openGraphSession(connectionId, graph, graphId = `g_${crypto.randomUUID().slice(0, 8)}`) {
+  const session = {
+    graph_id: graphId,
+    graph,
+    created: Date.now(),
+    lastAccess: Date.now()
+  };
+  graphSessions.set(graphId, session);
+  activeGraphs.set(connectionId, graphId);
+  return session;
+}
+
+function closeGraphSession(graphId) {
+  graphSessions.delete(graphId);
+  for (const [connectionId, active] of activeGraphs) {
+    if (active === graphId) {
+      activeGraphs.delete(connectionId);
+    }
+  }
+}
+
+// Session named by args.graph_id, else the connection default; null when there is none
+function findGraphSession(connectionId, args = {}) {
+  const graphId = args.graph_id ?? activeGraphs.get(connectionId);
+  return graphId === undefined ? null : graphSessions.get(graphId) || null;
+}
+
+// Get the graph session a tool call works on. Without any graph the session is empty so that
+// tools report 'No graph initialized'
+function getGraphSession(connectionId, args = {}) {
+  const session = findGraphSession(connectionId, args);
+  if (!session) {
+    if (args.graph_id !== undefined) {
+      throw new McpError(ErrorCode.InvalidParams, `No open graph with graph_id ${args.graph_id}. Use list_graphs to see open graphs.`);
+    }
+    return { graph_id: null, graph: null };
+  }
+  session.lastAccess = Date.now();
+  // P1.29: Edits made during this call are attributed to the named researcher
+  session.graph.setActiveResearcher(args.researcher_id);
+  return session;
+}
+
+function describeGraphSession(session, connectionId) {
+  const { graph } = session;
+  return {
+    graph_id: session.graph_id,
+    name: graph.persistence.name,
+    task_description: graph.vertices.get('n0')?.content ?? null,
+    current_stage: graph.currentStage,
+    stage_name: graph.stageNames[graph.currentStage - 1] || 'pre-initialization',
+    vertices: graph.vertices.size,
+    edges: graph.edges.size,
+    created: new Date(session.created).toISOString(),
+    last_access: new Date(session.lastAccess).toISOString(),
+    active: activeGraphs.get(connectionId) === session.graph_id,
+    branch_of: graph.branch ? graph.branch.parent_graph_id : null
+  };
+}
+
+function validateGraphName(name) {
+  if (!/^[A-Za-z0-9_-]{1,100}$/.test(name || '')) {
+    throw new McpError(ErrorCode.InvalidParams, 'Graph name may only contain letters, digits, underscores and hyphens');
+  }
+}
+
+// Two open graphs under one name would autosave over each other
+function assertGraphNameFree(name, graphId) {
+  for (const session of graphSessions.values()) {
+    if (session.graph_id !== graphId && session.graph.persistence.name === name) {
+      throw new McpError(ErrorCode.InvalidParams, `Graph name ${name} is already used by open graph ${session.graph_id}`);
+    }
+  }
+}
+
+// Graph files live in the research_workspace directory from the manifest user_configuration
+function graphFilePath(name) {
+  if (!USER_CONFIG.research_workspace) {
+    throw new McpError(ErrorCode.InvalidRequest, 'No research_workspace directory is configured');
+  }
+  validateGraphName(name);
+  return path.join(USER_CONFIG.research_workspace, `${name}${GRAPH_FILE_FORMAT.extension}`);
+}
+
+function defaultGraphName(graph) {
+  return graph.persistence.name || `autosave_${graph.metadata.created.replace(/[^0-9]/g, '').slice(0, 17)}`;
+}
+
+async function saveGraph(graph, name) {
+  const filePath = graphFilePath(name);
+  await fs.promises.mkdir(USER_CONFIG.research_workspace, { recursive: true });
+  graph.persistence.name = name;
+  graph.persistence.last_saved = new Date().toISOString();
+  const text = graph.serializeState();
+  // Write then rename so that a crash mid-write never leaves a truncated file behind
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, text, 'utf8');
+  await fs.promises.rename(tempPath, filePath);
+  return { name, path: filePath, bytes: Buffer.byteLength(text), saved_at: graph.persistence.last_saved };
+}
+
+async function loadGraph(name) {
+  const filePath = graphFilePath(name);
+  let text;
+  try {
+    text = await fs.promises.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new McpError(ErrorCode.InvalidParams, `No saved graph named ${name}`);
+    }
+    throw error;
+  }
+  const graph = ASRGoTGraph.restoreState(text);
+  graph.persistence.name = name;
+  return graph;
+}
+
+async function listSavedGraphs() {
+  if (!USER_CONFIG.research_workspace) {
+    throw new McpError(ErrorCode.InvalidRequest, 'No research_workspace directory is configured');
+  }
+  let files;
+  try {
+    files = await fs.promises.readdir(USER_CONFIG.research_workspace);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const graphs = [];
+  for (const file of files.filter(f => f.endsWith(GRAPH_FILE_FORMAT.extension))) {
+    const name = file.slice(0, -GRAPH_FILE_FORMAT.extension.length);
+    const filePath = path.join(USER_CONFIG.research_workspace, file);
+    try {
+      const [stats, text] = await Promise.all([fs.promises.stat(filePath), fs.promises.readFile(filePath, 'utf8')]);
+      const { format, saved_at, task_description, current_stage, stage_name, vertices, edges } = JSON.parse(text);
+      if (format !== GRAPH_FILE_FORMAT.format) continue;
+      graphs.push({ name, saved_at, task_description, current_stage, stage_name, vertices, edges, bytes: stats.size });
+    } catch (error) {
+      graphs.push({ name, unreadable: true, error: error.message });
+    }
+  }
+  return graphs.sort((a, b) => (b.saved_at || '').localeCompare(a.saved_at || ''));
+}
+
+async function deleteSavedGraph(name) {
+  const filePath = graphFilePath(name);
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new McpError(ErrorCode.InvalidParams, `No saved graph named ${name}`);
+    }
+    throw error;
+  }
+  return filePath;
+}
+
+// The other side of a diff or merge: an open graph, or a saved graph read without opening it
+async function resolveGraphSource(graphId, savedName) {
+  if (savedName !== undefined) {
+    InputValidator.validateString(savedName, 'saved_name', { required: true, maxLength: 100 });
+    return { graph: await loadGraph(savedName), label: savedName };
+  }
+  InputValidator.validateString(graphId, 'graph_id', { required: true, maxLength: 64 });
+  const session = graphSessions.get(graphId);
+  if (!session) {
+    throw new McpError(ErrorCode.InvalidParams, `No open graph with graph_id ${graphId}. Use list_graphs to see open graphs.`);
+  }
+  return { graph: session.graph, label: session.graph_id };
+}
+
+// The parent may have been reopened under another graph_id since the fork, but keeps its name
+function findBranchParent(graph) {
+  const byId = graphSessions.get(graph.branch.parent_graph_id);
+  if (byId && byId.graph !== graph) {
+    return byId;
+  }
+  const parentName = graph.branch.parent_name;
+  return parentName ? Array.from(graphSessions.values()).find(session => session.graph.persistence.name === parentName) || null : null;
+}
+
+// A branch is a full copy of the graph, including layer membership and the revision log so far,
+// saved under its own name so the original is never touched
+function forkGraph(graph, branchName, parentGraphId) {
+  validateGraphName(branchName);
+  const branch = ASRGoTGraph.restoreState(graph.serializeState());
+  branch.branch = {
+    name: branchName,
+    parent_graph_id: parentGraphId,
+    parent_name: graph.persistence.name,
+    parent_branch: graph.branch?.name ?? null,
+    forked_at: new Date().toISOString(),
+    fork_event: (graph.revisionLog.compacted_events ?? 0) + graph.revisionLog.events.length
+  };
+  branch.persistence = { name: branchName, autosave: graph.persistence.autosave, last_saved: null };
+  return branch;
+}
+
+// A graph's name is also its file name, so a saved copy moves with it
+async function renameGraph(graph, name) {
+  validateGraphName(name);
+  const previous = graph.persistence.name;
+  let fileRenamed = false;
+  if (USER_CONFIG.research_workspace && previous && previous !== name) {
+    const target = graphFilePath(name);
+    if (fs.existsSync(target)) {
+      throw new McpError(ErrorCode.InvalidParams, `A saved graph named ${name} already exists`);
+    }
+    try {
+      await fs.promises.rename(graphFilePath(previous), target);
+      fileRenamed = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  graph.persistence.name = name;
+  return { previous_name: previous, name, file_renamed: fileRenamed };
+}
+
+// Autosave failures are logged rather than raised so that a full disk never fails the edit itself
+async function autosaveGraph(graph) {
+  if (!graph || !USER_CONFIG.research_workspace || graph.persistence.autosave === false) {
+    return null;
+  }
+  try {
+    return await saveGraph(graph, defaultGraphName(graph));
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] [WARN] Autosave failed: ${error.message}`);
+    return null;
+  }
+}
+
+// Tools that change the nodes, edges, hyperedges or registries of an existing graph. Analyses that
+// only report on the graph or cache their results on it are left out
+const GRAPH_EDITING_TOOLS = new Set([
+  'decompose_research_task', 'generate_hypotheses', 'integrate_evidence', 'prune_and_merge_nodes',
+  'extract_subgraphs', 'create_interdisciplinary_bridges', 'identify_knowledge_gaps',
+  'analyze_causal_relationships', 'detect_temporal_patterns', 'assess_statistical_power',
+  'define_competing_hypotheses', 'collapse_subgraph', 'expand_super_node', 'define_layer',
+  'assign_nodes_to_layer', 'define_inter_layer_semantics', 'register_researcher', 'attribute_node',
+  'submit_confidence_judgment', 'build_consensus', 'create_hyperedge', 'undo', 'redo', 'merge_graphs'
+]);
+
+// Tools that build a graph's nodes from the task itself, opening a new graph when needed
+const GRAPH_BUILDING_TOOLS = new Set(['initialize_asr_got_graph', 'execute_resilient_query']);
+
+// P1.21: Analyses that draw on the compute budget when called
+const COMPUTE_BUDGETED_TOOLS = new Set([
+  'analyze_causal_relationships', 'plan_interventions', 'compute_topology', 'evaluate_layers'
+]);
+
+// Complete MCP tools covering all 8 stages and 29 parameters
+const tools = [
+  // Stage 1: Initialization (P1.1)
+  {
+    name: 'initialize_asr_got_graph',
+    description: 'P1.1: Initialize ASR-GoT graph with root node n₀ label="Task Understanding" and complete P1.12 metadata schema',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        graph_id: {
+          type: 'string',
+          description: 'Id for the new graph (letters, digits, _ and -); an open graph with this id is re-initialized. A new id is generated by default'
+        },
+        task_description: {
+          type: 'string',
+          description: 'Detailed description of the research task or question - stored verbatim in metadata per P1.6'
+        },
+        initial_confidence: {
+          type: 'array',
+          items: { type: 'number', minimum: 0, maximum: 1 },
+          description: 'P1.5 multi-dimensional confidence vector [empirical_support, theoretical_basis, methodological_rigor, consensus_alignment]',
+          default: [0.8, 0.8, 0.8, 0.8]
+        },
+        config: {
+          type: 'object',
+          description: 'Configuration for P1.23 multi-layer networks and other parameters',
+          properties: {
+            enable_multi_layer: { type: 'boolean', default: true },
+            enable_collaboration: { type: 'boolean', description: 'P1.29 researcher registry, judgments and consensus (defaults to the enable_collaboration_features setting)' },
+            disciplinary_tags: { type: 'array', items: { type: 'string' }, description: 'P1.8 disciplinary provenance tags' },
+            attribution: { type: 'array', items: { type: 'string' }, description: 'P1.29 collaboration attribution' },
+            compute_budget: {
+              type: 'object',
+              description: 'P1.21 computational budgets in work units; analyses that would exceed them run approximate variants',
+              properties: {
+                per_call: { type: 'number', default: COMPUTE_BUDGET_DEFAULTS.per_call },
+                per_session: { type: 'number', default: COMPUTE_BUDGET_DEFAULTS.per_session }
+              }
+            }
+          }
+        }
+      },
+      required: ['task_description']
+    }
+  },
+
+  // Stage 2: Decomposition (P1.2)
+  {
+    name: 'decompose_research_task',
+    description: 'P1.2: Decompose task into dimension nodes 2.1-2.7 with mandatory Potential Biases and Knowledge Gaps dimensions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dimensions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'P1.2 task dimensions (default: Scope, Objectives, Constraints, Data Needs, Use Cases, Potential Biases, Knowledge Gaps)',
+          default: ['Scope', 'Objectives', 'Constraints', 'Data Needs', 'Use Cases', 'Potential Biases', 'Knowledge Gaps']
+        }
+      }
+    }
+  },
+
+  // Stage 3: Hypothesis Planning (P1.3)
+  {
+    name: 'generate_hypotheses',
+    description: 'P1.3: Generate k=3-5 hypotheses per dimension with explicit plans and complete P1.8,P1.16,P1.17,P1.28 metadata',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        dimension_node_id: {
+          type: 'string',
+          description: 'ID of dimension node (format: 2.X) to generate hypotheses for'
+        },
+        hypotheses: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              content: { type: 'string', description: 'Hypothesis content' },
+              confidence: { 
+                type: 'array', 
+                items: { type: 'number' },
+                description: 'P1.5 confidence vector [empirical_support, theoretical_basis, methodological_rigor, consensus_alignment]',
+                default: [0.5, 0.5, 0.5, 0.5]
+              },
+              falsification_criteria: { 
+                type: 'string',
+                description: 'P1.16 explicit falsifiability criteria - REQUIRED for hypotheses'
+              },
+              impact_score: { 
+                type: 'number',
+                description: 'P1.28 impact estimation (0-1 scale)',
+                default: 0.6
+              },
+              disciplinary_tags: { 
+                type: 'array', 
+                items: { type: 'string' },
+                description: 'P1.8 disciplinary provenance tags'
+              },
+              plan: { 
+                type: 'object',
+                description: 'P1.3 explicit plan (search/tool/experiment) - REQUIRED',
+                properties: {
+                  type: { type: 'string' },
+                  description: { type: 'string' },
+                  tools: { type: 'array', items: { type: 'string' } },
+                  timeline: { type: 'string' },
+                  resources_needed: { type: 'array', items: { type: 'string' } }
+                }
+              },
+              attribution: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'P1.29 collaboration attribution'
+              }
+            },
+            required: ['content']
+          },
+          minItems: 3,
+          maxItems: 5
+        },
+        config: {
+          type: 'object',
+          properties: {
+            max_hypotheses: { type: 'number', default: 5, maximum: 5, description: 'P1.3: k=3-5 limit' }
+          }
+        }
+      },
+      required: ['dimension_node_id', 'hypotheses']
+    }
+  },
+
+  {
+    name: 'integrate_evidence',
+    description: 'P1.4/P1.14: Stage 4 evidence integration - create evidence node in the empirical layer, link it to a hypothesis with a typed P1.10 edge and apply a conjugate Beta update to the hypothesis confidence',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hypothesis_node_id: {
+          type: 'string',
+          description: 'ID of hypothesis node (format: 3.X.Y) the evidence bears on'
+        },
+        evidence: {
+          type: 'object',
+          properties: {
+            content: { type: 'string', description: 'Evidence content or finding' },
+            title: { type: 'string', description: 'Short label for the evidence node' },
+            edge_type: {
+              type: 'string',
+              enum: ['Supportive', 'Contradictory', 'Correlative', 'Causal'],
+              default: 'Supportive',
+              description: 'P1.10/P1.24 relationship of the evidence to the hypothesis'
+            },
+            confidence: {
+              type: 'array',
+              items: { type: 'number', minimum: 0, maximum: 1 },
+              description: 'P1.5 confidence vector of the evidence itself [empirical_support, theoretical_basis, methodological_rigor, consensus_alignment]',
+              default: [0.7, 0.7, 0.7, 0.7]
+            },
+            reliability: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              default: 0.7,
+              description: 'P1.14/P1.26 evidence reliability - scales the strength of the Bayesian update'
+            },
+            source: { type: 'string', description: 'Provenance of the evidence (study, dataset, database)' },
+            citation: {
+              description: 'P1.6 citation for the evidence - free text or { authors, title, journal, year, volume, pages, doi }'
+            },
+            impact_score: { type: 'number', description: 'P1.28 impact estimation (0-1 scale)', default: 0.5 },
+            disciplinary_tags: { type: 'array', items: { type: 'string' }, description: 'P1.8 disciplinary provenance tags' },
+            attribution: { type: 'array', items: { type: 'string' }, description: 'P1.29 collaboration attribution' },
+            power_analysis: {
+              type: 'object',
+              description: 'P1.26 power analysis inputs (same fields as assess_statistical_power); underpowered evidence is down-weighted in the update',
+              properties: {
+                test_family: { type: 'string', enum: ['t_test', 'proportions', 'correlation', 'anova', 'chi_square'] },
+                effect_size: { type: 'number' },
+                sample_sizes: { type: 'array', items: { type: 'number' } },
+                alpha: { type: 'number' },
+                tails: { type: 'number', enum: [1, 2] },
+                df: { type: 'number' }
+              },
+              required: ['test_family', 'effect_size', 'sample_sizes']
+            }
+          },
+          required: ['content']
+        },
+        config: {
+          type: 'object',
+          properties: {
+            evidence_weight: { type: 'number', default: 1, description: 'Multiplier on the evidence pseudo-count for this update' },
+            bridge_similarity_threshold: { type: 'number', default: 0.5, description: 'P1.8 similarity above which disjoint-discipline evidence creates a bridge node' }
+          }
+        }
+      },
+      required: ['hypothesis_node_id', 'evidence']
+    }
+  },
+
+  {
+    name: 'prune_and_merge_nodes',
+    description: 'P1.5: Stage 5 pruning and merging - prune nodes with min(E[C]) < 0.2 and low P1.28 impact, merge nodes with semantic overlap >= 0.8, penalize hypotheses missing P1.16 falsification criteria',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        config: {
+          type: 'object',
+          properties: {
+            confidence_threshold: { type: 'number', default: 0.2, description: 'P1.5 pruning threshold on min(E[C])' },
+            impact_threshold: { type: 'number', default: 0.4, description: 'P1.28 impact below which a node counts as low impact' },
+            merge_threshold: { type: 'number', default: 0.8, description: 'P1.5 semantic overlap required for merging' },
+            falsification_penalty: { type: 'number', default: 0.25, description: 'P1.16 relative penalty on E[C] for hypotheses without falsification criteria' },
+            dry_run: { type: 'boolean', default: false, description: 'Report what would be pruned and merged without changing the graph' }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'extract_subgraphs',
+    description: 'P1.6: Stage 6 subgraph extraction - filter by P1.5 confidence per dimension, node type, edge-type pattern, discipline (P1.8), temporal recency (P1.18), knowledge-gap focus (P1.15), impact (P1.28) and layer (P1.23); returns named, ranked subgraphs with topology metrics',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        subgraphs: {
+          type: 'array',
+          description: 'Named extraction requests; defaults to high_confidence_core, high_impact, causal_claims and knowledge_gap_focus',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', description: 'Name of the extracted subgraph' },
+              criteria: {
+                type: 'object',
+                properties: {
+                  min_confidence: {
+                    description: 'P1.5 minimum expected confidence - a number, a 4-vector, or an object keyed by empirical_support/theoretical_basis/methodological_rigor/consensus_alignment'
+                  },
+                  node_types: { type: 'array', items: { type: 'string' }, description: 'Node types to include (e.g., hypothesis, evidence)' },
+                  edge_types: { type: 'array', items: { type: 'string' }, description: 'P1.10/P1.24/P1.25 edge-type pattern; only nodes joined by these edges are kept' },
+                  disciplinary_tags: { type: 'array', items: { type: 'string' }, description: 'P1.8 discipline focus - nodes must carry at least one tag' },
+                  max_age_days: { type: 'number', description: 'P1.18 temporal recency window in days' },
+                  since: { type: 'string', description: 'P1.18 ISO timestamp; only nodes created at or after it' },
+                  knowledge_gap_focus: { type: 'boolean', description: 'P1.15 keep gap nodes, their neighbours and high-variance nodes' },
+                  gap_variance_threshold: { type: 'number', default: 0.05, description: 'P1.15 mean confidence variance that counts as a gap' },
+                  min_impact: { type: 'number', description: 'P1.28 minimum impact score' },
+                  layer_ids: { type: 'array', items: { type: 'string' }, description: 'P1.23 layer filter' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'generate_research_narrative',
+    description: 'P1.6: Stage 7 composition - structured narrative over the extracted subgraphs with numeric node labels, inline node-ID and edge-type annotations (⇢ ↑ ⊥ ⊢ → ≺), formatted citations and a Reasoning Trace appendix',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', description: 'Narrative title' },
+        citation_style: {
+          type: 'string',
+          enum: ['vancouver', 'apa', 'harvard', 'nature'],
+          description: 'Citation style (defaults to the configured citation_style, Vancouver per K1.3)'
+        },
+        subgraph_names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Restrict the narrative to these extracted subgraphs (default: all, in rank order)'
+        }
+      }
+    }
+  },
+
+  {
+    name: 'perform_reflection_audit',
+    description: 'P1.7: Stage 8 reflection - audit coverage, bias flags, knowledge gaps, falsifiability, causal validity, temporal consistency, statistical rigor and attribution; failed checks can reopen Stage 4',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        config: {
+          type: 'object',
+          properties: {
+            pass_threshold: { type: 'number', default: 0.7, description: 'Score at or above which a check passes' },
+            reopen_on_failure: { type: 'boolean', default: true, description: 'Reopen Stage 4 evidence integration when any check fails' },
+            statistical_power_threshold: { type: 'number', description: 'P1.26 minimum power (defaults to the configured statistical_power_threshold)' }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'create_interdisciplinary_bridges',
+    description: 'P1.8: Discover node pairs with disjoint disciplinary_tags and semantic similarity > 0.5 across the graph and connect them through Interdisciplinary Bridge Nodes in the interdisciplinary layer',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        config: {
+          type: 'object',
+          properties: {
+            similarity_threshold: { type: 'number', default: 0.5, description: 'P1.8 minimum semantic similarity (exclusive)' },
+            max_bridges: { type: 'number', default: 20, description: 'Maximum number of bridge nodes to create in one call' },
+            linked_only: { type: 'boolean', default: false, description: 'Only bridge pairs already joined by an edge or hyperedge' }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'identify_knowledge_gaps',
+    description: 'P1.15: Flag nodes with high confidence variance, low connectivity or missing evidence, create Placeholder_Gap nodes under the Knowledge Gaps dimension and return impact-ranked research questions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        config: {
+          type: 'object',
+          properties: {
+            variance_threshold: { type: 'number', default: 0.05, description: 'P1.14 mean confidence variance that flags a node' },
+            min_degree: { type: 'number', default: 2, description: 'P1.22 hypotheses with fewer neighbours count as poorly connected' },
+            max_gaps: { type: 'number', default: 20, description: 'Maximum number of gaps to materialize' }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'analyze_causal_relationships',
+    description: "P1.24: Causal inference over Causal/Counterfactual (directed) and Confounded (bidirected) edges - cycle detection, causal paths, confounders, backdoor/front-door adjustment sets and do-calculus identifiability; results are written to each edge's causal_metadata",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        exposure: { type: 'string', description: 'Node ID of the exposure X in P(Y | do(X))' },
+        outcome: { type: 'string', description: 'Node ID of the outcome Y in P(Y | do(X))' },
+        causal_edges: {
+          type: 'array',
+          description: 'Causal edges to declare between existing nodes before the analysis',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string' },
+              target: { type: 'string' },
+              edge_type: { type: 'string', enum: ['Causal', 'Counterfactual', 'Confounded'], default: 'Causal' },
+              confidence: { type: 'array', items: { type: 'number', minimum: 0, maximum: 1 } }
+            },
+            required: ['source', 'target']
+          }
+        },
+        max_paths: { type: 'number', default: 100, description: 'Maximum number of causal paths to enumerate' }
+      }
+    }
+  },
+
+  {
+    name: 'detect_temporal_patterns',
+    description: "P1.25: Detect temporal patterns from node observation times (metadata.observed_at, else the creation timestamp) and edge temporal_metadata - precedence chains, feedback cycles, delayed effects with estimated delays and conditional sequences; edges are annotated as Temporal Precedence, Cyclic, Delayed or Sequential",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_timestamps: {
+          type: 'object',
+          description: 'Observation times (ISO 8601) keyed by node ID, stored as metadata.observed_at; creation timestamps are kept',
+          additionalProperties: { type: 'string' }
+        },
+        temporal_edges: {
+          type: 'array',
+          description: 'Temporal edges to declare between existing nodes before detection',
+          items: {
+            type: 'object',
+            properties: {
+              source: { type: 'string' },
+              target: { type: 'string' },
+              edge_type: { type: 'string', enum: ['Temporal Precedence', 'Cyclic', 'Delayed', 'Sequential'], default: 'Temporal Precedence' },
+              delay_hours: { type: 'number', minimum: 0, description: 'Known delay between source and effect' },
+              condition: { type: 'string', description: 'Condition under which the target follows the source' }
+            },
+            required: ['source', 'target']
+          }
+        },
+        delay_threshold_hours: { type: 'number', default: 24, description: 'Minimum lag classified as a delayed effect' },
+        max_chains: { type: 'number', default: 50, description: 'Maximum number of precedence chains to report' }
+      }
+    }
+  },
+
+  {
+    name: 'assess_statistical_power',
+    description: "P1.26: Power analysis for an evidence node - achieved power, minimum detectable effect, sample size required for the configured statistical_power_threshold and effect-size confidence interval, stored in the node's statistical_power metadata; underpowered evidence is down-weighted in the hypotheses it updated",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_id: { type: 'string', description: 'ID of the evidence node (format: 4.N)' },
+        test_family: {
+          type: 'string',
+          enum: ['t_test', 'proportions', 'correlation', 'anova', 'chi_square'],
+          description: "Test family; effect_size is Cohen's d, Cohen's h, Pearson r, Cohen's f or Cohen's w respectively"
+        },
+        effect_size: { type: 'number', description: 'Observed or expected effect size in the metric of the test family' },
+        sample_sizes: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Per-group sample sizes ([n] for one-sample tests, correlation and chi_square; one entry per group for anova)'
+        },
+        alpha: { type: 'number', default: 0.05, description: 'Significance level' },
+        tails: { type: 'number', enum: [1, 2], default: 2, description: 'One- or two-sided test (t_test, proportions, correlation)' },
+        df: { type: 'number', default: 1, description: 'Degrees of freedom for chi_square' },
+        power_threshold: { type: 'number', description: 'Target power (defaults to the configured statistical_power_threshold)' }
+      },
+      required: ['node_id', 'test_family', 'effect_size', 'sample_sizes']
+    }
+  },
+
+  {
+    name: 'compute_information_metrics',
+    description: "P1.27: Information theory metrics - entropy of each node's Beta confidence distributions, KL divergence of the latest update, mutual information between linked evidence and hypotheses and MDL complexity of hypotheses, stored in info_metrics; hypotheses are ranked by expected information gain to choose what to investigate next",
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_ids: { type: 'array', items: { type: 'string' }, description: 'Restrict the refresh to these nodes (defaults to all content nodes)' }
+      }
+    }
+  },
+
+  {
+    name: 'estimate_research_impact',
+    description: 'P1.28: Estimate an impact vector (theoretical significance, practical utility, gap reduction, methodological innovation) from centrality, gaps closed, evidence strength and domain weights; the composite updates impact_score and ranks hypotheses for investigation',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        model: {
+          type: 'string',
+          enum: ['basic', 'comprehensive', 'domain_specific'],
+          description: 'Impact model (defaults to the configured impact_estimation_model)'
+        },
+        node_ids: { type: 'array', items: { type: 'string' }, description: 'Nodes to estimate (defaults to all hypothesis, evidence and bridge nodes)' },
+        domain_weights: {
+          type: 'object',
+          description: 'Multipliers per disciplinary tag for the domain_specific model',
+          additionalProperties: { type: 'number' }
+        },
+        component_weights: {
+          type: 'object',
+          description: 'Override the model weights of the impact vector components',
+          properties: {
+            theoretical_significance: { type: 'number' },
+            practical_utility: { type: 'number' },
+            gap_reduction: { type: 'number' },
+            methodological_innovation: { type: 'number' }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'plan_interventions',
+    description: 'P1.19: Rank candidate interventions (experiments, studies, searches) by Expected Value of Information estimated by Monte Carlo over the Beta posteriors, weighted by impact and cost; each candidate includes its prospective subgraph and the best one becomes the explicit plan of its hypotheses',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        interventions: {
+          type: 'array',
+          description: 'Candidate interventions (defaults to one per template type for each hypothesis)',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              type: { type: 'string', description: 'literature_search, computational_analysis, observational_study, controlled_experiment or custom' },
+              description: { type: 'string' },
+              target_node_ids: { type: 'array', items: { type: 'string' }, description: 'Hypotheses the intervention would inform' },
+              reliability: { type: 'number', minimum: 0, maximum: 1, description: 'Expected reliability of the resulting evidence' },
+              cost: { type: 'number', minimum: 0, maximum: 1, description: 'Relative cost' },
+              timeline: { type: 'string' },
+              tools: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['target_node_ids']
+          }
+        },
+        samples: { type: 'number', default: 2000, description: 'Monte Carlo samples per confidence dimension' },
+        decision_threshold: { type: 'number', default: 0.7, description: 'Confidence at which a hypothesis would be acted upon' },
+        seed: { type: 'number', default: 42, description: 'Random seed for reproducible rankings' },
+        max_candidates: { type: 'number', default: 20, description: 'Maximum generated candidates when none are supplied' },
+        update_plans: { type: 'boolean', default: true, description: 'Store the best intervention as each hypothesis plan (P1.3)' }
+      }
+    }
+  },
+
+  {
+    name: 'define_competing_hypotheses',
+    description: 'P1.13: Declare a set of mutually exclusive hypotheses; the set keeps its own coherent probabilities, seeded from empirical_support and renormalized whenever one of them is updated; a hypothesis belongs to at most one exhaustive set',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        hypothesis_ids: { type: 'array', items: { type: 'string' }, minItems: 2, description: 'Mutually exclusive hypothesis node IDs' },
+        set_id: { type: 'string', description: 'Identifier of the set (default hc_N)' },
+        replace: { type: 'boolean', default: false, description: 'Redefine set_id if it already exists; otherwise an existing set_id is rejected' },
+        exhaustive: { type: 'boolean', default: true, description: 'Whether exactly one of the hypotheses must hold; otherwise a catch-all keeps the remaining probability' },
+        description: { type: 'string' }
+      },
+      required: ['hypothesis_ids']
+    }
+  },
+
+  {
+    name: 'evaluate_competing_hypotheses',
+    description: 'P1.13: Rank each competing set by predictive power, complexity (MDL, P1.27) and empirical coverage (P1.26) and propose a critical experiment maximizing information gain between the top contenders',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        set_id: { type: 'string', description: 'Evaluate only this set (defaults to all sets)' }
+      }
+    }
+  },
+
+  {
+    name: 'collapse_subgraph',
+    description: 'P1.20: Collapse a set of nodes or an extracted subgraph into a super-node in the abstraction layer, aggregating confidence, impact and tags and keeping Generalization links to every member',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_ids: { type: 'array', items: { type: 'string' }, description: 'Member nodes (at least 2)' },
+        subgraph_name: { type: 'string', description: 'Use the members of a Stage 6 extracted subgraph instead of node_ids' },
+        label: { type: 'string', description: 'Label of the super-node' },
+        description: { type: 'string', description: 'Content of the super-node' },
+        aggregation: {
+          type: 'object',
+          properties: {
+            confidence: { type: 'string', enum: ['precision_weighted', 'mean', 'min', 'max'], default: 'precision_weighted' },
+            impact: { type: 'string', enum: ['max', 'mean', 'noisy_or'], default: 'max' },
+            tags: { type: 'string', enum: ['union', 'intersection', 'majority'], default: 'union' }
+          }
+        }
+      }
+    }
+  },
+
+  {
+    name: 'expand_super_node',
+    description: 'P1.20: Expand a super-node back into its members and remove it from the abstraction layer',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        super_node_id: { type: 'string', description: 'ID of the super-node (format: sn_N)' }
+      },
+      required: ['super_node_id']
+    }
+  },
+
+  {
+    name: 'configure_compute_budget',
+    description: 'P1.21: Set the per-call and per-session computational budgets (work units) and report spending. They meter analyze_causal_relationships, plan_interventions, compute_topology and evaluate_layers; analyses estimated above the remaining budget switch to sampled or heuristic variants tagged as approximate',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        per_call: { type: 'number', minimum: 1, description: 'Work units one tool call may spend' },
+        per_session: { type: 'number', minimum: 1, description: 'Work units the whole session may spend' },
+        reset_session: { type: 'boolean', default: false, description: 'Clear session spending and the operation ledger' }
+      }
+    }
+  },
+
+  {
+    name: 'define_layer',
+    description: 'P1.23: Define a custom layer (e.g. molecular, cellular, tissue, clinical) with an optional scale order and the evaluation metrics to report for it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        layer_id: { type: 'string', description: 'Identifier (letters, digits, underscores, hyphens)' },
+        name: { type: 'string', description: 'Display name' },
+        description: { type: 'string', description: 'What the layer represents' },
+        scale_order: { type: 'number', description: 'Position on a scale axis (e.g. molecular 1 < cellular 2 < tissue 3 < clinical 4)' },
+        evaluation_metrics: {
+          type: 'array',
+          items: { type: 'string', enum: LAYER_METRICS },
+          description: 'Layer-specific metrics reported by evaluate_layers (defaults to all)'
+        }
+      },
+      required: ['layer_id']
+    }
+  },
+
+  {
+    name: 'assign_nodes_to_layer',
+    description: 'P1.23: Move nodes into a layer, updating their layer_id, revision history and the layer membership of affected hyperedges',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        layer_id: { type: 'string', description: 'Target layer' },
+        node_ids: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Nodes to move' },
+        reason: { type: 'string', description: 'Why the nodes belong to this layer' }
+      },
+      required: ['layer_id', 'node_ids']
+    }
+  },
+
+  {
+    name: 'define_inter_layer_semantics',
+    description: 'P1.23: Declare what edges from one layer into another mean (e.g. molecular → cellular "mechanism_of") and which edge types they may use; existing cross-layer edges are checked against it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source_layer: { type: 'string' },
+        target_layer: { type: 'string' },
+        relation: { type: 'string', description: 'Semantic relation, e.g. "mechanism_of", "emerges_into", "manifests_as"' },
+        edge_types: { type: 'array', items: { type: 'string' }, description: 'Allowed P1.10 edge types (empty allows any)' },
+        bidirectional: { type: 'boolean', default: false, description: 'Also covers edges from target_layer into source_layer' },
+        description: { type: 'string' }
+      },
+      required: ['source_layer', 'target_layer', 'relation']
+    }
+  },
+
+  {
+    name: 'evaluate_layers',
+    description: 'P1.23: Layer-specific evaluation metrics, conformance of inter-layer edges to the declared semantics and cross-layer centrality (betweenness over cross-layer node pairs, layer participation)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        layer_ids: { type: 'array', items: { type: 'string' }, description: 'Layers to evaluate (defaults to all)' }
+      }
+    }
+  },
+
+  {
+    name: 'register_researcher',
+    description: 'P1.29: Add or update a researcher in the registry with declared expertise tags (requires enable_collaboration_features)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        researcher_id: { type: 'string', description: 'Stable identifier, e.g. ORCID or e-mail' },
+        name: { type: 'string' },
+        affiliation: { type: 'string' },
+        expertise_tags: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Expertise, matched against P1.8 disciplinary_tags' }
+      },
+      required: ['researcher_id', 'expertise_tags']
+    }
+  },
+
+  {
+    name: 'attribute_node',
+    description: 'P1.29: Credit a registered researcher for a node with a role; recorded in the node attribution, contributions and revision history',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_id: { type: 'string' },
+        researcher_id: { type: 'string' },
+        role: { type: 'string', default: 'contributor', description: 'e.g. author, contributor, data_provider' },
+        reason: { type: 'string' }
+      },
+      required: ['node_id', 'researcher_id']
+    }
+  },
+
+  {
+    name: 'recommend_evaluators',
+    description: 'P1.29: Recommend researchers to evaluate each hypothesis by overlap between their expertise and its disciplinary_tags, excluding its authors, plus a panel with complementary expertise and the tags nobody covers',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_ids: { type: 'array', items: { type: 'string' }, description: 'Nodes to staff (defaults to all hypotheses)' },
+        limit: { type: 'number', default: 5, description: 'Candidates listed per node' },
+        panel_size: { type: 'number', default: 3 }
+      }
+    }
+  },
+
+  {
+    name: 'submit_confidence_judgment',
+    description: 'P1.29: Record a researcher\'s own P1.5 confidence vector for a node; a new submission replaces their previous one',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_id: { type: 'string' },
+        researcher_id: { type: 'string' },
+        confidence: {
+          type: 'array',
+          items: { type: 'number', minimum: 0, maximum: 1 },
+          description: 'P1.5 confidence vector [empirical_support, theoretical_basis, methodological_rigor, consensus_alignment]'
+        },
+        rationale: { type: 'string' }
+      },
+      required: ['node_id', 'researcher_id', 'confidence']
+    }
+  },
+
+  {
+    name: 'build_consensus',
+    description: 'P1.29: Aggregate the judgments on a node with a consensus rule and measure disagreement; with apply, the consensus becomes the node confidence (consensus_alignment discounted by disagreement)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_id: { type: 'string' },
+        rule: { type: 'string', enum: CONSENSUS_RULES, default: 'mean' },
+        trim_fraction: { type: 'number', default: 0.2, description: 'Share cut from each end for trimmed_mean' },
+        min_judgments: { type: 'number', default: 2 },
+        dissent_threshold: { type: 'number', default: 0.25, description: 'Mean absolute distance from the consensus above which a researcher is reported as dissenting' },
+        apply: { type: 'boolean', default: false }
+      },
+      required: ['node_id']
+    }
+  },
+
+  {
+    name: 'compute_topology',
+    description: 'P1.22: Compute betweenness, eigenvector and PageRank centralities, local clustering, communities (Louvain or label propagation), diameter and average path length; writes them into each node\'s topology_metrics and suggests community-based merges and splits',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        community_method: { type: 'string', enum: ['louvain', 'label_propagation'], default: 'louvain' },
+        damping: { type: 'number', minimum: 0, maximum: 1, default: 0.85, description: 'PageRank damping factor' },
+        max_iterations: { type: 'number', minimum: 1, maximum: 1000, default: 100, description: 'Power iteration and label propagation limit' },
+        merge_similarity: { type: 'number', minimum: 0, maximum: 1, default: 0.6, description: 'Semantic overlap for same-community merge suggestions' },
+        split_participation: { type: 'number', minimum: 0, maximum: 1, default: 0.5, description: 'Participation coefficient for split suggestions' },
+        seed: { type: 'number', default: 42, description: 'Seed for node ordering and sampling' }
+      }
+    }
+  },
+
+  {
+    name: 'create_hyperedge',
+    description: 'P1.9: Create a hyperedge over three or more nodes that jointly (non-additively) influence an outcome, with a relationship descriptor, P1.5 confidence vector and optional cross-layer membership (P1.23)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 3,
+          description: 'IDs of the member nodes (at least 3)'
+        },
+        relationship: {
+          type: 'string',
+          description: 'Relationship descriptor, e.g. "IL-17 and TNF-α synergistically drive keratinocyte activation"'
+        },
+        confidence: {
+          type: 'array',
+          items: { type: 'number', minimum: 0, maximum: 1 },
+          description: 'P1.5 confidence vector for the joint relationship',
+          default: [0.6, 0.6, 0.6, 0.6]
+        },
+        edge_type: { type: 'string', default: 'Hyperedge', description: 'P1.10/P1.24/P1.25 type of the joint relationship' },
+        layer_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'P1.23 additional layers the hyperedge belongs to (member node layers are always included)'
+        },
+        attribution: { type: 'array', items: { type: 'string' }, description: 'P1.29 collaboration attribution' }
+      },
+      required: ['node_ids', 'relationship']
+    }
+  },
+
+  {
+    name: 'query_hyperedges',
+    description: 'P1.9: List hyperedges, optionally filtered by member node, relationship text, layer, cross-layer status or minimum confidence',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        node_id: { type: 'string', description: 'Only hyperedges containing this node' },
+        all_node_ids: { type: 'array', items: { type: 'string' }, description: 'Only hyperedges containing all of these nodes' },
+        relationship: { type: 'string', description: 'Case-insensitive substring of the relationship descriptor' },
+        layer_id: { type: 'string', description: 'P1.23 layer membership' },
+        cross_layer: { type: 'boolean', description: 'Only cross-layer (true) or single-layer (false) hyperedges' },
+        min_confidence: { description: 'P1.5 minimum confidence - a number, a 4-vector, or an object keyed by dimension' }
+      }
+    }
+  },
+
+  {
+    name: 'get_graph_summary',
+    description: 'Get comprehensive graph summary with P1.11 formalism state, P1.22 topology metrics as of the last compute_topology run, and all parameter status',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_topology: { type: 'boolean', default: true, description: 'Include P1.22 topology metrics' },
+        include_layers: { type: 'boolean', default: true, description: 'Include P1.23 layer analysis' },
+        include_parameters: { type: 'boolean', default: true, description: 'Include all P1.0-P1.29 parameter status' }
+      }
+    }
+  },
+
+  {
+    name: 'export_graph_data',
+    description: 'P1.6: Export complete graph with reasoning traces, topology insights, and Vancouver citations',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: {
+          type: 'string',
+          enum: ['json', 'yaml'],
+          default: 'json',
+          description: 'Export format with complete P1.11 formalism and P1.6 requirements'
+        },
+        include_reasoning_trace: { type: 'boolean', default: true, description: 'P1.6 reasoning trace appendix' },
+        include_topology_insights: { type: 'boolean', default: true, description: 'P1.22 topology metrics for visualization' },
+        include_parameter_status: { type: 'boolean', default: true, description: 'Complete P1.0-P1.29 parameter status' }
+      }
+    }
+  },
+  {
+    name: 'save_graph',
+    description: 'Save the complete graph state (stage, nodes, edges, hyperedges, layers, registries) to the research_workspace directory; later edits are autosaved to the same file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'File name without extension (letters, digits, _ and -); defaults to the current save name' },
+        autosave: { type: 'boolean', description: 'Whether edits to this graph are saved automatically (default true)' }
+      }
+    }
+  },
+  {
+    name: 'load_graph',
+    description: 'Open a graph saved in the research_workspace directory and make it the active graph',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        graph_id: { type: 'string', description: 'Id to open it under; an open graph with this id is replaced (a new id is generated by default)' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'list_saved_graphs',
+    description: 'List graphs saved in the research_workspace directory with their stage and size',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'delete_saved_graph',
+    description: 'Delete a saved graph from the research_workspace directory; autosave is switched off for open graphs saved under that name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'list_graphs',
+    description: 'List the open graphs with their graph_id, name, stage and size, marking the active graph of this connection',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'switch_graph',
+    description: 'Make an open graph the active graph of this connection, used by tool calls that omit graph_id',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        graph_id: { type: 'string' }
+      },
+      required: ['graph_id']
+    }
+  },
+  {
+    name: 'rename_graph',
+    description: 'Rename a graph; the name is also its file name in the research_workspace, so a saved copy is renamed with it. The graph_id does not change',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Letters, digits, _ and -' }
+      },
+      required: ['name']
+    }
+  },
+  {
+    name: 'close_graph',
+    description: 'Autosave (when enabled) and close a graph, releasing its memory',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  },
+  {
+    name: 'fork_graph',
+    description: 'Fork a graph into a named branch: a deep copy of vertices, edges, hyperedges, layer membership and revision log that is opened as a new active graph and evolves independently',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        branch_name: { type: 'string', description: 'Name of the branch, also its research_workspace file name (letters, digits, _ and -)' },
+        branch_graph_id: { type: 'string', description: 'graph_id for the branch (generated by default)' }
+      },
+      required: ['branch_name']
+    }
+  },
+  {
+    name: 'compare_branches',
+    description: 'P1.5: Compare a branch with the graph it was forked from: diverging confidence, added or removed nodes and edges, and differences in conclusions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        base_graph_id: { type: 'string', description: 'Graph to compare against (defaults to the open graph the branch was forked from)' },
+        confidence_threshold: { type: 'number', description: 'Smallest per-dimension confidence difference reported as divergence (default: 0.05)' }
+      }
+    }
+  },
+  {
+    name: 'diff_graphs',
+    description: 'P1.5: Structural and semantic diff between two graphs, open or saved: added, removed and changed nodes and edges, confidence deltas per dimension and metadata changes. An id reused for a different node or edge counts as a removal plus an addition',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        base_saved_name: { type: 'string', description: 'Use this saved graph as the base instead of an open graph' },
+        other_graph_id: { type: 'string', description: 'Open graph to compare with the base' },
+        other_saved_name: { type: 'string', description: 'Saved graph to compare with the base' }
+      }
+    }
+  },
+  {
+    name: 'merge_graphs',
+    description: 'Merge another graph, open or saved, into this one. Nodes match by type and content (by id first), edges by endpoints and type, so merging again adds nothing; differing versions are resolved by the conflict rule',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source_graph_id: { type: 'string', description: 'Open graph to merge in' },
+        source_saved_name: { type: 'string', description: 'Saved graph to merge in' },
+        conflict_rule: {
+          type: 'string',
+          enum: GRAPH_DIFF.merge_rules,
+          description: 'flag_for_review keeps this graph\'s version and marks it with merge_conflict; keep_higher_evidence takes the version backed by more evidence nodes (then higher confidence) (default: flag_for_review)'
+        }
+      }
+    }
+  },
+  // P1.12: Revision log
+  {
+    name: 'undo',
+    description: 'P1.12: Revert the most recent editing tool call, recorded in the revision log as an undo transaction',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the change is being reverted' }
+      }
+    }
+  },
+  {
+    name: 'redo',
+    description: 'P1.12: Re-apply the most recently undone tool call; any new edit after an undo clears the redo stack',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the change is being re-applied' }
+      }
+    }
+  },
+  {
+    name: 'get_revision_log',
+    description: 'P1.12: Ordered event log of node, edge, confidence and stage changes with actor, timestamp, tool and reason; the oldest transactions are compacted away beyond 1000 events',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        entity_id: { type: 'string', description: 'Only events for this node, edge, hyperedge or layer id' },
+        types: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only these event types, e.g. confidence_changed, node_added, edge_deleted, stage_transition'
+        },
+        actor: { type: 'string', description: 'Only events made by this researcher (or "system")' },
+        transaction_id: { type: 'number', description: 'Only events of one tool call' },
+        since_event: { type: 'number', description: 'Only events after this event_id' },
+        limit: { type: 'number', description: 'Most recent matching events to return (default: 100)' },
+        detail: {
+          type: 'string',
+          enum: ['summary', 'full'],
+          description: 'summary lists changed paths; full includes before/after values (default: summary)'
+        }
+      }
+    }
+  },
+  {
+    name: 'view_graph_as_of',
+    description: 'P1.12: Reconstruct the graph as it was after a given event or at a given time, without changing the current graph',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        event_id: { type: 'number', description: 'Last event to include; 0 is the graph before any edit unless the log has been compacted' },
+        timestamp: { type: 'string', description: 'ISO timestamp; includes every event at or before it' },
+        node_ids: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Restrict the view to these nodes and their edges, with full node details'
+        }
+      }
+    }
+  },
+  {
+    name: 'execute_resilient_query',
+    description: 'Execute a scientific research query with built-in fallback mechanisms that ensure successful completion even if individual stages fail. This is the most reliable way to process queries.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'The research question or task to analyze' },
+        config: {
+          type: 'object',
+          description: 'Configuration options for query execution',
+          properties: {
+            max_hypotheses: { type: 'number', default: 5, description: 'Maximum hypotheses per dimension' },
+            initial_confidence: { type: 'array', description: 'Initial confidence distribution [0-1]' },
+            dimensions: { type: 'array', description: 'Custom dimensions for task decomposition' },
+            enable_fallbacks: { type: 'boolean', default: true, description: 'Enable fallback mechanisms' }
+          }
+        }
+      },
+      required: ['query']
+    }
+  }
+];
+
+// Tools that work on one graph accept graph_id and otherwise use the connection's active graph
+const GRAPH_INDEPENDENT_TOOLS = new Set(['list_graphs', 'list_saved_graphs', 'delete_saved_graph']);
+for (const tool of tools) {
+  if (!GRAPH_INDEPENDENT_TOOLS.has(tool.name) && !tool.inputSchema.properties.graph_id) {
+    tool.inputSchema.properties.graph_id = { type: 'string', description: 'Graph to work on (defaults to the active graph of this connection)' };
+  }
+}
+
+// P1.29: Any graph edit can be made on behalf of a registered researcher
+for (const tool of tools) {
+  if (GRAPH_EDITING_TOOLS.has(tool.name) && !tool.inputSchema.properties.researcher_id) {
+    tool.inputSchema.properties.researcher_id = { type: 'string', description: 'P1.29 registered researcher the edits are attributed to' };
+  }
+}
+
+// P1.12: Any graph edit can carry the reason recorded with it in the revision log
+for (const tool of tools) {
+  if (GRAPH_EDITING_TOOLS.has(tool.name) && !tool.inputSchema.properties.reason) {
+    tool.inputSchema.properties.reason = { type: 'string', description: 'P1.12 reason recorded with these edits in the revision log' };
+  }
+}
+
+// Server instance
+const server = new Server(
+  {
+    name: 'asr-got-complete-server',
+    version: '1.0.0',
+  },
+  {
+    capabilities: {
+      tools: {},
+    },
+  }
+);
+
+// Handle tool listing
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  console.error(`[${new Date().toISOString()}] [INFO] Tools requested - ${tools.length} ASR-GoT tools available (exact specification compliance)`);
+  return { tools: tools };
+});
+
+// Handle tool execution
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const { name, arguments: args } = request.params;
+  const requestId = request.id;
+  const connectionId = resolveConnectionId(extra);
+
+  console.error(`[${new Date().toISOString()}] [INFO] Tool call: ${name} (request_id: ${requestId})`);
+
+  // P1.21: Each tool call gets a fresh per-call compute budget
+  findGraphSession(connectionId, args)?.graph.startComputeCall(COMPUTE_BUDGETED_TOOLS.has(name));
+
+  // P1.12: Only editing tools open a revision transaction; everything else leaves the log alone
+  const recorded = GRAPH_EDITING_TOOLS.has(name) || GRAPH_BUILDING_TOOLS.has(name);
+  const editedGraph = recorded ? findGraphSession(connectionId, args)?.graph : null;
+  editedGraph?.beginRevision();
+  let failed = false;
+
+  try {
+    switch (name) {
+      case 'initialize_asr_got_graph':
+        // Comprehensive input validation
+        InputValidator.validateString(args.task_description, 'task_description', { 
+          required: true, 
+          maxLength: 5000,
+          minLength: 10 
+        });
+        
+        if (args.initial_confidence) {
+          InputValidator.validateArray(args.initial_confidence, 'initial_confidence', { 
+            maxItems: 4, 
+            minItems: 4 
+          });
+          args.initial_confidence.forEach((val, idx) => {
+            InputValidator.validateNumber(val, `initial_confidence[${idx}]`, { min: 0, max: 1 });
+          });
+        }
+        
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+        }
+        
+        // A known graph_id re-initializes that graph; otherwise a new graph is opened
+        if (args.graph_id !== undefined) {
+          validateGraphId(args.graph_id);
+        }
+        const initialGraph = new ASRGoTGraph(args.config || {});
+        initialGraph.beginRevision();
+        const session = openGraphSession(connectionId, initialGraph, args.graph_id);
+        const initResult = session.graph.initialize(
+          args.task_description,
+          args.initial_confidence,
+          args.config
+        );
+        
+        console.error(`[${new Date().toISOString()}] [INFO] Graph ${session.graph_id} initialized with ${Object.keys(session.graph.metadata.parameters).length} parameters active`);
+        
+        return {
+          content: [{ type: 'text', text: session.graph._safeJSONStringify({ graph_id: session.graph_id, ...initResult }, 2) }]
+        };
+
+      case 'decompose_research_task':
+        const sessionDecompose = getGraphSession(connectionId, args);
+        if (!sessionDecompose.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+        
+        if (args.dimensions) {
+          InputValidator.validateArray(args.dimensions, 'dimensions', { maxItems: 20 });
+          args.dimensions.forEach((dim, idx) => {
+            InputValidator.validateString(dim, `dimensions[${idx}]`, { maxLength: 200 });
+          });
+        }
+        const decomposeResult = sessionDecompose.graph.decomposeTask(args.dimensions);
+        return {
+          content: [{ type: 'text', text: sessionDecompose.graph._safeJSONStringify(decomposeResult, 2) }]
+        };
+
+      case 'generate_hypotheses':
+        const sessionHypotheses = getGraphSession(connectionId, args);
+        if (!sessionHypotheses.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+        
+        // Validate inputs
+        InputValidator.validateString(args.dimension_node_id, 'dimension_node_id', { required: true, maxLength: 50 });
+        InputValidator.validateArray(args.hypotheses, 'hypotheses', { required: true, maxItems: 10, minItems: 1 });
+        
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+        }
+        const hypothesesResult = sessionHypotheses.graph.generateHypotheses(
+          args.dimension_node_id,
+          args.hypotheses,
+          args.config
+        );
+        return {
+          content: [{ type: 'text', text: sessionHypotheses.graph._safeJSONStringify(hypothesesResult, 2) }]
+        };
+
+      case 'integrate_evidence':
+        const sessionEvidence = getGraphSession(connectionId, args);
+        if (!sessionEvidence.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        // Validate inputs
+        InputValidator.validateString(args.hypothesis_node_id, 'hypothesis_node_id', { required: true, maxLength: 50 });
+        InputValidator.validateObject(args.evidence, 'evidence');
+        InputValidator.validateString(args.evidence.content, 'evidence.content', { required: true, maxLength: 5000 });
+
+        if (args.evidence.confidence) {
+          InputValidator.validateArray(args.evidence.confidence, 'evidence.confidence', {
+            maxItems: 4,
+            minItems: 4
+          });
+          args.evidence.confidence.forEach((val, idx) => {
+            InputValidator.validateNumber(val, `evidence.confidence[${idx}]`, { min: 0, max: 1 });
+          });
+        }
+
+        if (args.evidence.reliability !== undefined) {
+          InputValidator.validateNumber(args.evidence.reliability, 'evidence.reliability', { min: 0, max: 1 });
+        }
+
+        if (args.evidence.power_analysis !== undefined) {
+          InputValidator.validateObject(args.evidence.power_analysis, 'evidence.power_analysis');
+          InputValidator.validateArray(args.evidence.power_analysis.sample_sizes, 'evidence.power_analysis.sample_sizes', { required: true, maxItems: 100 });
+        }
+
+        if (args.evidence.disciplinary_tags !== undefined) {
+          InputValidator.validateArray(args.evidence.disciplinary_tags, 'evidence.disciplinary_tags', { maxItems: 50 });
+          args.evidence.disciplinary_tags.forEach((tag, idx) => {
+            InputValidator.validateString(tag, `evidence.disciplinary_tags[${idx}]`, { required: true, maxLength: 100 });
+          });
+        }
+
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+          // A zero, negative or non-finite weight would corrupt the Beta parameters for every later update
+          if (args.config.evidence_weight !== undefined) {
+            InputValidator.validateNumber(args.config.evidence_weight, 'config.evidence_weight');
+            if (!Number.isFinite(args.config.evidence_weight) || args.config.evidence_weight <= 0) {
+              throw new McpError(ErrorCode.InvalidParams, 'config.evidence_weight must be a finite positive number');
+            }
+          }
+        }
+        const evidenceResult = sessionEvidence.graph.integrateEvidence(
+          args.hypothesis_node_id,
+          args.evidence,
+          args.config
+        );
+        return {
+          content: [{ type: 'text', text: sessionEvidence.graph._safeJSONStringify(evidenceResult, 2) }]
+        };
+
+      case 'prune_and_merge_nodes':
+        const sessionPrune = getGraphSession(connectionId, args);
+        if (!sessionPrune.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+          ['confidence_threshold', 'impact_threshold', 'merge_threshold', 'falsification_penalty'].forEach(key => {
+            if (args.config[key] !== undefined) {
+              InputValidator.validateNumber(args.config[key], `config.${key}`, { min: 0, max: 1 });
+            }
+          });
+        }
+        const pruneResult = sessionPrune.graph.pruneAndMergeNodes(args.config);
+        return {
+          content: [{ type: 'text', text: sessionPrune.graph._safeJSONStringify(pruneResult, 2) }]
+        };
+
+      case 'extract_subgraphs':
+        const sessionExtract = getGraphSession(connectionId, args);
+        if (!sessionExtract.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.subgraphs) {
+          InputValidator.validateArray(args.subgraphs, 'subgraphs', { maxItems: 20 });
+          args.subgraphs.forEach((spec, idx) => {
+            InputValidator.validateObject(spec, `subgraphs[${idx}]`);
+            if (spec.name !== undefined) {
+              InputValidator.validateString(spec.name, `subgraphs[${idx}].name`, { maxLength: 100 });
+            }
+            if (spec.criteria !== undefined) {
+              InputValidator.validateObject(spec.criteria, `subgraphs[${idx}].criteria`);
+              const criteria = spec.criteria;
+              const field = (key) => `subgraphs[${idx}].criteria.${key}`;
+              if (criteria.min_confidence !== undefined) {
+                if (typeof criteria.min_confidence === 'number') {
+                  InputValidator.validateNumber(criteria.min_confidence, field('min_confidence'), { min: 0, max: 1 });
+                } else if (Array.isArray(criteria.min_confidence)) {
+                  InputValidator.validateArray(criteria.min_confidence, field('min_confidence'), { maxItems: 4 });
+                  criteria.min_confidence.forEach((value, d) => {
+                    InputValidator.validateNumber(value, `${field('min_confidence')}[${d}]`, { min: 0, max: 1 });
+                  });
+                } else {
+                  if (typeof criteria.min_confidence !== 'object' || criteria.min_confidence === null) {
+                    throw new McpError(ErrorCode.InvalidParams, `${field('min_confidence')} must be a number, a 4-vector or an object keyed by confidence dimension`);
+                  }
+                  InputValidator.validateObject(criteria.min_confidence, field('min_confidence'));
+                  for (const [dimension, value] of Object.entries(criteria.min_confidence)) {
+                    if (!CONFIDENCE_DIMENSIONS.includes(dimension)) {
+                      throw new McpError(ErrorCode.InvalidParams, `${field('min_confidence')} has unknown dimension ${dimension}. Expected any of: ${CONFIDENCE_DIMENSIONS.join(', ')}`);
+                    }
+                    InputValidator.validateNumber(value, `${field('min_confidence')}.${dimension}`, { min: 0, max: 1 });
+                  }
+                }
+              }
+              ['node_types', 'edge_types', 'disciplinary_tags', 'layer_ids'].forEach(key => {
+                if (criteria[key] !== undefined) {
+                  InputValidator.validateArray(criteria[key], field(key), { maxItems: 100 });
+                  criteria[key].forEach((value, i) => InputValidator.validateString(value, `${field(key)}[${i}]`, { required: true, maxLength: 100 }));
+                }
+              });
+              ['min_impact', 'gap_variance_threshold'].forEach(key => {
+                if (criteria[key] !== undefined) {
+                  InputValidator.validateNumber(criteria[key], field(key), { min: 0, max: 1 });
+                }
+              });
+              if (criteria.max_age_days !== undefined) {
+                InputValidator.validateNumber(criteria.max_age_days, field('max_age_days'), { min: 0 });
+              }
+              if (criteria.since !== undefined) {
+                InputValidator.validateString(criteria.since, field('since'), { maxLength: 100 });
+                if (Number.isNaN(Date.parse(criteria.since))) {
+                  throw new McpError(ErrorCode.InvalidParams, `${field('since')} must be an ISO timestamp`);
+                }
+              }
+              if (criteria.knowledge_gap_focus !== undefined && typeof criteria.knowledge_gap_focus !== 'boolean') {
+                throw new McpError(ErrorCode.InvalidParams, `${field('knowledge_gap_focus')} must be a boolean`);
+              }
+            }
+          });
+        }
+        const extractResult = sessionExtract.graph.extractSubgraphs(args.subgraphs || null);
+        return {
+          content: [{ type: 'text', text: sessionExtract.graph._safeJSONStringify(extractResult, 2) }]
+        };
+
+      case 'generate_research_narrative':
+        const sessionNarrative = getGraphSession(connectionId, args);
+        if (!sessionNarrative.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.title !== undefined) {
+          InputValidator.validateString(args.title, 'title', { maxLength: 300 });
+        }
+        if (args.citation_style !== undefined) {
+          InputValidator.validateString(args.citation_style, 'citation_style', { maxLength: 20 });
+        }
+        if (args.subgraph_names) {
+          InputValidator.validateArray(args.subgraph_names, 'subgraph_names', { maxItems: 20 });
+        }
+        const narrativeResult = sessionNarrative.graph.generateResearchNarrative(args);
+        return {
+          content: [{ type: 'text', text: sessionNarrative.graph._safeJSONStringify(narrativeResult, 2) }]
+        };
+
+      case 'perform_reflection_audit':
+        const sessionAudit = getGraphSession(connectionId, args);
+        if (!sessionAudit.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+          ['pass_threshold', 'statistical_power_threshold'].forEach(key => {
+            if (args.config[key] !== undefined) {
+              InputValidator.validateNumber(args.config[key], `config.${key}`, { min: 0, max: 1 });
+            }
+          });
+        }
+        const auditResult = sessionAudit.graph.performReflectionAudit(args.config);
+        return {
+          content: [{ type: 'text', text: sessionAudit.graph._safeJSONStringify(auditResult, 2) }]
+        };
+
+      case 'create_interdisciplinary_bridges':
+        const sessionBridges = getGraphSession(connectionId, args);
+        if (!sessionBridges.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+          if (args.config.similarity_threshold !== undefined) {
+            InputValidator.validateNumber(args.config.similarity_threshold, 'config.similarity_threshold', { min: 0, max: 1 });
+          }
+          if (args.config.max_bridges !== undefined) {
+            InputValidator.validateNumber(args.config.max_bridges, 'config.max_bridges', { min: 1, max: 200 });
+          }
+        }
+        const bridgesResult = sessionBridges.graph.createInterdisciplinaryBridges(args.config);
+        return {
+          content: [{ type: 'text', text: sessionBridges.graph._safeJSONStringify(bridgesResult, 2) }]
+        };
+
+      case 'identify_knowledge_gaps':
+        const sessionGaps = getGraphSession(connectionId, args);
+        if (!sessionGaps.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.config) {
+          InputValidator.validateObject(args.config, 'config');
+          if (args.config.variance_threshold !== undefined) {
+            InputValidator.validateNumber(args.config.variance_threshold, 'config.variance_threshold', { min: 0, max: 0.25 });
+          }
+          if (args.config.min_degree !== undefined) {
+            InputValidator.validateNumber(args.config.min_degree, 'config.min_degree', { min: 0, max: 100 });
+          }
+          if (args.config.max_gaps !== undefined) {
+            InputValidator.validateNumber(args.config.max_gaps, 'config.max_gaps', { min: 1, max: 200 });
+          }
+        }
+        const gapsResult = sessionGaps.graph.identifyKnowledgeGaps(args.config);
+        return {
+          content: [{ type: 'text', text: sessionGaps.graph._safeJSONStringify(gapsResult, 2) }]
+        };
+
+      case 'analyze_causal_relationships':
+        const sessionCausal = getGraphSession(connectionId, args);
+        if (!sessionCausal.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        ['exposure', 'outcome'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateString(args[key], key, { required: true, maxLength: 50 });
+          }
+        });
+        if (args.causal_edges) {
+          InputValidator.validateArray(args.causal_edges, 'causal_edges', { maxItems: 200 });
+          args.causal_edges.forEach((edge, idx) => {
+            InputValidator.validateObject(edge, `causal_edges[${idx}]`);
+            InputValidator.validateString(edge.source, `causal_edges[${idx}].source`, { required: true, maxLength: 50 });
+            InputValidator.validateString(edge.target, `causal_edges[${idx}].target`, { required: true, maxLength: 50 });
+          });
+        }
+        if (args.max_paths !== undefined) {
+          InputValidator.validateNumber(args.max_paths, 'max_paths', { min: 1, max: 1000 });
+        }
+        const causalResult = sessionCausal.graph.analyzeCausalRelationships(args);
+        return {
+          content: [{ type: 'text', text: sessionCausal.graph._safeJSONStringify(causalResult, 2) }]
+        };
+
+      case 'detect_temporal_patterns':
+        const sessionTemporal = getGraphSession(connectionId, args);
+        if (!sessionTemporal.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.node_timestamps !== undefined) {
+          InputValidator.validateObject(args.node_timestamps, 'node_timestamps');
+          Object.entries(args.node_timestamps).forEach(([nodeId, timestamp]) => {
+            InputValidator.validateString(timestamp, `node_timestamps.${nodeId}`, { required: true, maxLength: 50 });
+          });
+        }
+        if (args.temporal_edges) {
+          InputValidator.validateArray(args.temporal_edges, 'temporal_edges', { maxItems: 200 });
+          args.temporal_edges.forEach((edge, idx) => {
+            InputValidator.validateObject(edge, `temporal_edges[${idx}]`);
+            InputValidator.validateString(edge.source, `temporal_edges[${idx}].source`, { required: true, maxLength: 50 });
+            InputValidator.validateString(edge.target, `temporal_edges[${idx}].target`, { required: true, maxLength: 50 });
+            if (edge.delay_hours !== undefined) {
+              InputValidator.validateNumber(edge.delay_hours, `temporal_edges[${idx}].delay_hours`, { min: 0 });
+            }
+            if (edge.condition !== undefined) {
+              InputValidator.validateString(edge.condition, `temporal_edges[${idx}].condition`, { maxLength: 500 });
+            }
+          });
+        }
+        if (args.delay_threshold_hours !== undefined) {
+          InputValidator.validateNumber(args.delay_threshold_hours, 'delay_threshold_hours', { min: 0 });
+        }
+        if (args.max_chains !== undefined) {
+          InputValidator.validateNumber(args.max_chains, 'max_chains', { min: 1, max: 1000 });
+        }
+        const temporalResult = sessionTemporal.graph.detectTemporalPatterns(args);
+        return {
+          content: [{ type: 'text', text: sessionTemporal.graph._safeJSONStringify(temporalResult, 2) }]
+        };
+
+      case 'assess_statistical_power':
+        const sessionPower = getGraphSession(connectionId, args);
+        if (!sessionPower.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateString(args.node_id, 'node_id', { required: true, maxLength: 50 });
+        InputValidator.validateString(args.test_family, 'test_family', { required: true, maxLength: 20 });
+        InputValidator.validateNumber(args.effect_size, 'effect_size');
+        InputValidator.validateArray(args.sample_sizes, 'sample_sizes', { required: true, maxItems: 100 });
+        args.sample_sizes.forEach((n, idx) => {
+          InputValidator.validateNumber(n, `sample_sizes[${idx}]`, { min: 1 });
+        });
+        if (args.alpha !== undefined) {
+          InputValidator.validateNumber(args.alpha, 'alpha', { min: 0.0001, max: 0.5 });
+        }
+        if (args.power_threshold !== undefined) {
+          InputValidator.validateNumber(args.power_threshold, 'power_threshold', { min: 0.01, max: 0.999 });
+        }
+        if (args.df !== undefined) {
+          InputValidator.validateNumber(args.df, 'df', { min: 1 });
+        }
+        const { node_id: powerNodeId, ...powerAnalysis } = args;
+        const powerResult = sessionPower.graph.assessStatisticalPower(powerNodeId, powerAnalysis);
+        return {
+          content: [{ type: 'text', text: sessionPower.graph._safeJSONStringify(powerResult, 2) }]
+        };
+
+      case 'compute_information_metrics':
+        const sessionInfo = getGraphSession(connectionId, args);
+        if (!sessionInfo.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.node_ids) {
+          InputValidator.validateArray(args.node_ids, 'node_ids', { maxItems: 1000 });
+          args.node_ids.forEach((id, idx) => {
+            InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 50 });
+          });
+        }
+        const infoResult = sessionInfo.graph.computeInformationMetrics(args);
+        return {
+          content: [{ type: 'text', text: sessionInfo.graph._safeJSONStringify(infoResult, 2) }]
+        };
+
+      case 'estimate_research_impact':
+        const sessionImpact = getGraphSession(connectionId, args);
+        if (!sessionImpact.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.model !== undefined) {
+          InputValidator.validateString(args.model, 'model', { required: true, maxLength: 30 });
+        }
+        if (args.node_ids) {
+          InputValidator.validateArray(args.node_ids, 'node_ids', { maxItems: 1000 });
+          args.node_ids.forEach((id, idx) => {
+            InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 50 });
+          });
+        }
+        ['domain_weights', 'component_weights'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateObject(args[key], key);
+            Object.entries(args[key]).forEach(([name, weight]) => {
+              InputValidator.validateNumber(weight, `${key}.${name}`, { min: 0, max: 10 });
+            });
+          }
+        });
+        const impactResult = sessionImpact.graph.estimateResearchImpact(args);
+        return {
+          content: [{ type: 'text', text: sessionImpact.graph._safeJSONStringify(impactResult, 2) }]
+        };
+
+      case 'plan_interventions':
+        const sessionPlan = getGraphSession(connectionId, args);
+        if (!sessionPlan.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.interventions) {
+          InputValidator.validateArray(args.interventions, 'interventions', { maxItems: 100 });
+          args.interventions.forEach((intervention, idx) => {
+            InputValidator.validateObject(intervention, `interventions[${idx}]`);
+            InputValidator.validateArray(intervention.target_node_ids, `interventions[${idx}].target_node_ids`, { required: true, maxItems: 50 });
+            ['reliability', 'cost'].forEach(key => {
+              if (intervention[key] !== undefined) {
+                InputValidator.validateNumber(intervention[key], `interventions[${idx}].${key}`, { min: 0, max: 1 });
+              }
+            });
+          });
+        }
+        if (args.samples !== undefined) {
+          InputValidator.validateNumber(args.samples, 'samples', { min: 100, max: 20000 });
+        }
+        if (args.decision_threshold !== undefined) {
+          InputValidator.validateNumber(args.decision_threshold, 'decision_threshold', { min: 0, max: 1 });
+        }
+        if (args.max_candidates !== undefined) {
+          InputValidator.validateNumber(args.max_candidates, 'max_candidates', { min: 1, max: 100 });
+        }
+        const planResult = sessionPlan.graph.planInterventions(args);
+        return {
+          content: [{ type: 'text', text: sessionPlan.graph._safeJSONStringify(planResult, 2) }]
+        };
+
+      case 'define_competing_hypotheses':
+        const sessionCompeting = getGraphSession(connectionId, args);
+        if (!sessionCompeting.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateArray(args.hypothesis_ids, 'hypothesis_ids', { required: true, minItems: 2, maxItems: 50 });
+        args.hypothesis_ids.forEach((id, idx) => {
+          InputValidator.validateString(id, `hypothesis_ids[${idx}]`, { required: true, maxLength: 50 });
+        });
+        if (args.set_id !== undefined) {
+          InputValidator.validateString(args.set_id, 'set_id', { required: true, maxLength: 50 });
+        }
+        if (args.replace !== undefined && typeof args.replace !== 'boolean') {
+          throw new McpError(ErrorCode.InvalidParams, 'replace must be a boolean');
+        }
+        if (args.description !== undefined) {
+          InputValidator.validateString(args.description, 'description', { maxLength: 1000 });
+        }
+        const competingResult = sessionCompeting.graph.defineCompetingHypotheses(args.hypothesis_ids, args);
+        return {
+          content: [{ type: 'text', text: sessionCompeting.graph._safeJSONStringify(competingResult, 2) }]
+        };
+
+      case 'evaluate_competing_hypotheses':
+        const sessionEvaluate = getGraphSession(connectionId, args);
+        if (!sessionEvaluate.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.set_id !== undefined) {
+          InputValidator.validateString(args.set_id, 'set_id', { required: true, maxLength: 50 });
+        }
+        const evaluateResult = sessionEvaluate.graph.evaluateCompetingHypotheses(args);
+        return {
+          content: [{ type: 'text', text: sessionEvaluate.graph._safeJSONStringify(evaluateResult, 2) }]
+        };
+
+      case 'collapse_subgraph':
+        const sessionCollapse = getGraphSession(connectionId, args);
+        if (!sessionCollapse.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.node_ids) {
+          InputValidator.validateArray(args.node_ids, 'node_ids', { maxItems: 1000 });
+          args.node_ids.forEach((id, idx) => {
+            InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 50 });
+          });
+        }
+        if (args.subgraph_name !== undefined) {
+          InputValidator.validateString(args.subgraph_name, 'subgraph_name', { required: true, maxLength: 100 });
+        }
+        ['label', 'description'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateString(args[key], key, { maxLength: 1000 });
+          }
+        });
+        if (args.aggregation !== undefined) {
+          InputValidator.validateObject(args.aggregation, 'aggregation');
+        }
+        const collapseResult = sessionCollapse.graph.collapseSubgraph(args);
+        return {
+          content: [{ type: 'text', text: sessionCollapse.graph._safeJSONStringify(collapseResult, 2) }]
+        };
+
+      case 'expand_super_node':
+        const sessionExpand = getGraphSession(connectionId, args);
+        if (!sessionExpand.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateString(args.super_node_id, 'super_node_id', { required: true, maxLength: 50 });
+        const expandResult = sessionExpand.graph.expandSuperNode(args.super_node_id);
+        return {
+          content: [{ type: 'text', text: sessionExpand.graph._safeJSONStringify(expandResult, 2) }]
+        };
+
+      case 'configure_compute_budget':
+        const sessionBudget = getGraphSession(connectionId, args);
+        if (!sessionBudget.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        ['per_call', 'per_session'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateNumber(args[key], key, { min: 1 });
+          }
+        });
+        const budgetResult = sessionBudget.graph.configureComputeBudget(args);
+        return {
+          content: [{ type: 'text', text: sessionBudget.graph._safeJSONStringify(budgetResult, 2) }]
+        };
+
+      case 'define_layer':
+        const sessionLayer = getGraphSession(connectionId, args);
+        if (!sessionLayer.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateString(args.layer_id, 'layer_id', { required: true, maxLength: 50 });
+        ['name', 'description'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateString(args[key], key, { maxLength: 1000 });
+          }
+        });
+        if (args.scale_order !== undefined) {
+          InputValidator.validateNumber(args.scale_order, 'scale_order');
+        }
+        if (args.evaluation_metrics !== undefined) {
+          InputValidator.validateArray(args.evaluation_metrics, 'evaluation_metrics', { maxItems: LAYER_METRICS.length });
+        }
+        const layerResult = sessionLayer.graph.defineLayer(args);
+        return {
+          content: [{ type: 'text', text: sessionLayer.graph._safeJSONStringify(layerResult, 2) }]
+        };
+
+      case 'assign_nodes_to_layer':
+        const sessionAssign = getGraphSession(connectionId, args);
+        if (!sessionAssign.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateString(args.layer_id, 'layer_id', { required: true, maxLength: 50 });
+        InputValidator.validateArray(args.node_ids, 'node_ids', { required: true, minItems: 1, maxItems: 1000 });
+        args.node_ids.forEach((id, idx) => {
+          InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 50 });
+        });
+        if (args.reason !== undefined) {
+          InputValidator.validateString(args.reason, 'reason', { maxLength: 1000 });
+        }
+        const assignResult = sessionAssign.graph.assignNodesToLayer(args.layer_id, args.node_ids, args);
+        return {
+          content: [{ type: 'text', text: sessionAssign.graph._safeJSONStringify(assignResult, 2) }]
+        };
 
-// Server instance
-const server = new Server(
-  {
-    name: 'asr-got-complete-server',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+      case 'define_inter_layer_semantics':
+        const sessionSemantics = getGraphSession(connectionId, args);
+        if (!sessionSemantics.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
 
-// Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  console.error(`[${new Date().toISOString()}] [INFO] Tools requested - ${tools.length} ASR-GoT tools available (exact specification compliance)`);
-  return { tools: tools };
-});
+        InputValidator.validateString(args.source_layer, 'source_layer', { required: true, maxLength: 50 });
+        InputValidator.validateString(args.target_layer, 'target_layer', { required: true, maxLength: 50 });
+        InputValidator.validateString(args.relation, 'relation', { required: true, maxLength: 200 });
+        if (args.edge_types !== undefined) {
+          InputValidator.validateArray(args.edge_types, 'edge_types', { maxItems: 20 });
+        }
+        if (args.description !== undefined) {
+          InputValidator.validateString(args.description, 'description', { maxLength: 1000 });
+        }
+        const semanticsResult = sessionSemantics.graph.defineInterLayerSemantics(args);
+        return {
+          content: [{ type: 'text', text: sessionSemantics.graph._safeJSONStringify(semanticsResult, 2) }]
+        };
 
-// Handle tool execution
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  const requestId = request.id;
+      case 'evaluate_layers':
+        const sessionLayers = getGraphSession(connectionId, args);
+        if (!sessionLayers.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
 
-  console.error(`[${new Date().toISOString()}] [INFO] Tool call: ${name} (request_id: ${requestId})`);
+        if (args.layer_ids !== undefined) {
+          InputValidator.validateArray(args.layer_ids, 'layer_ids', { maxItems: 50 });
+        }
+        const layersResult = sessionLayers.graph.evaluateLayers(args);
+        return {
+          content: [{ type: 'text', text: sessionLayers.graph._safeJSONStringify(layersResult, 2) }]
+        };
 
-  try {
-    switch (name) {
-      case 'initialize_asr_got_graph':
-        // Comprehensive input validation
-        InputValidator.validateString(args.task_description, 'task_description', { 
-          required: true, 
-          maxLength: 5000,
-          minLength: 10 
+      case 'register_researcher':
+        // The researcher being registered cannot act on the graph yet
+        const sessionRegister = getGraphSession(connectionId, { graph_id: args.graph_id });
+        if (!sessionRegister.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateString(args.researcher_id, 'researcher_id', { required: true, maxLength: 100 });
+        InputValidator.validateArray(args.expertise_tags, 'expertise_tags', { required: true, minItems: 1, maxItems: 50 });
+        args.expertise_tags.forEach((tag, idx) => {
+          InputValidator.validateString(tag, `expertise_tags[${idx}]`, { required: true, maxLength: 100 });
         });
-        
-        if (args.initial_confidence) {
-          InputValidator.validateArray(args.initial_confidence, 'initial_confidence', { 
-            maxItems: 4, 
-            minItems: 4 
-          });
-          args.initial_confidence.forEach((val, idx) => {
-            InputValidator.validateNumber(val, `initial_confidence[${idx}]`, { min: 0, max: 1 });
-          });
+        ['name', 'affiliation'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateString(args[key], key, { maxLength: 200 });
+          }
+        });
+        const registerResult = sessionRegister.graph.registerResearcher(args);
+        return {
+          content: [{ type: 'text', text: sessionRegister.graph._safeJSONStringify(registerResult, 2) }]
+        };
+
+      case 'attribute_node':
+        const sessionAttribute = getGraphSession(connectionId, args);
+        if (!sessionAttribute.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
         }
-        
-        if (args.config) {
-          InputValidator.validateObject(args.config, 'config');
+
+        InputValidator.validateString(args.node_id, 'node_id', { required: true, maxLength: 50 });
+        InputValidator.validateString(args.researcher_id, 'researcher_id', { required: true, maxLength: 100 });
+        if (args.role !== undefined) {
+          InputValidator.validateString(args.role, 'role', { maxLength: 50 });
         }
-        
-        const session = getGraphSession(requestId);
-        session.graph = new ASRGoTGraph(args.config || {});
-        const initResult = session.graph.initialize(
-          args.task_description,
-          args.initial_confidence,
-          args.config
-        );
-        
-        console.error(`[${new Date().toISOString()}] [INFO] Graph initialized with ${Object.keys(session.graph.metadata.parameters).length} parameters active`);
-        
+        if (args.reason !== undefined) {
+          InputValidator.validateString(args.reason, 'reason', { maxLength: 1000 });
+        }
+        const attributeResult = sessionAttribute.graph.attributeNode(args.node_id, args.researcher_id, args);
         return {
-          content: [{ type: 'text', text: session.graph._safeJSONStringify(initResult, 2) }]
+          content: [{ type: 'text', text: sessionAttribute.graph._safeJSONStringify(attributeResult, 2) }]
         };
 
-      case 'decompose_research_task':
-        const sessionDecompose = getGraphSession(requestId);
-        if (!sessionDecompose.graph) {
+      case 'recommend_evaluators':
+        const sessionEvaluators = getGraphSession(connectionId, args);
+        if (!sessionEvaluators.graph) {
           throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
         }
-        
-        if (args.dimensions) {
-          InputValidator.validateArray(args.dimensions, 'dimensions', { maxItems: 20 });
-          args.dimensions.forEach((dim, idx) => {
-            InputValidator.validateString(dim, `dimensions[${idx}]`, { maxLength: 200 });
+
+        if (args.node_ids !== undefined) {
+          InputValidator.validateArray(args.node_ids, 'node_ids', { maxItems: 1000 });
+          args.node_ids.forEach((id, idx) => {
+            InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 50 });
           });
         }
-        const decomposeResult = sessionDecompose.graph.decomposeTask(args.dimensions);
+        if (args.limit !== undefined) {
+          InputValidator.validateNumber(args.limit, 'limit', { min: 1, max: 100 });
+        }
+        if (args.panel_size !== undefined) {
+          InputValidator.validateNumber(args.panel_size, 'panel_size', { min: 1, max: 20 });
+        }
+        const evaluatorsResult = sessionEvaluators.graph.recommendEvaluators(args);
         return {
-          content: [{ type: 'text', text: sessionDecompose.graph._safeJSONStringify(decomposeResult, 2) }]
+          content: [{ type: 'text', text: sessionEvaluators.graph._safeJSONStringify(evaluatorsResult, 2) }]
         };
 
-      case 'generate_hypotheses':
-        const sessionHypotheses = getGraphSession(requestId);
-        if (!sessionHypotheses.graph) {
+      case 'submit_confidence_judgment':
+        const sessionJudgment = getGraphSession(connectionId, args);
+        if (!sessionJudgment.graph) {
           throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
         }
-        
+
+        InputValidator.validateString(args.node_id, 'node_id', { required: true, maxLength: 50 });
+        InputValidator.validateString(args.researcher_id, 'researcher_id', { required: true, maxLength: 100 });
+        InputValidator.validateArray(args.confidence, 'confidence', { required: true, minItems: 4, maxItems: 4 });
+        args.confidence.forEach((val, idx) => {
+          InputValidator.validateNumber(val, `confidence[${idx}]`, { min: 0, max: 1 });
+        });
+        if (args.rationale !== undefined) {
+          InputValidator.validateString(args.rationale, 'rationale', { maxLength: 2000 });
+        }
+        const judgmentResult = sessionJudgment.graph.submitConfidenceJudgment(args.node_id, args.researcher_id, args.confidence, args);
+        return {
+          content: [{ type: 'text', text: sessionJudgment.graph._safeJSONStringify(judgmentResult, 2) }]
+        };
+
+      case 'build_consensus':
+        const sessionConsensus = getGraphSession(connectionId, args);
+        if (!sessionConsensus.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        InputValidator.validateString(args.node_id, 'node_id', { required: true, maxLength: 50 });
+        if (args.rule !== undefined) {
+          InputValidator.validateString(args.rule, 'rule', { maxLength: 50 });
+        }
+        if (args.dissent_threshold !== undefined) {
+          InputValidator.validateNumber(args.dissent_threshold, 'dissent_threshold', { min: 0, max: 1 });
+        }
+        if (args.trim_fraction !== undefined) {
+          InputValidator.validateNumber(args.trim_fraction, 'trim_fraction', { min: 0, max: 0.5 });
+        }
+        if (args.min_judgments !== undefined) {
+          InputValidator.validateNumber(args.min_judgments, 'min_judgments', { min: 1, max: 1000 });
+        }
+        const consensusResult = sessionConsensus.graph.buildConsensus(args.node_id, args);
+        return {
+          content: [{ type: 'text', text: sessionConsensus.graph._safeJSONStringify(consensusResult, 2) }]
+        };
+
+      case 'compute_topology':
+        const sessionTopology = getGraphSession(connectionId, args);
+        if (!sessionTopology.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.community_method !== undefined) {
+          InputValidator.validateString(args.community_method, 'community_method', { maxLength: 50 });
+        }
+        ['damping', 'merge_similarity', 'split_participation'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateNumber(args[key], key, { min: 0, max: 1 });
+          }
+        });
+        if (args.max_iterations !== undefined) {
+          InputValidator.validateNumber(args.max_iterations, 'max_iterations', { min: 1, max: 1000 });
+        }
+        if (args.seed !== undefined) {
+          InputValidator.validateNumber(args.seed, 'seed');
+        }
+        const topologyResult = sessionTopology.graph.computeTopology(args);
+        return {
+          content: [{ type: 'text', text: sessionTopology.graph._safeJSONStringify(topologyResult, 2) }]
+        };
+
+      case 'create_hyperedge':
+        const sessionHyperedge = getGraphSession(connectionId, args);
+        if (!sessionHyperedge.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
         // Validate inputs
-        InputValidator.validateString(args.dimension_node_id, 'dimension_node_id', { required: true, maxLength: 50 });
-        InputValidator.validateArray(args.hypotheses, 'hypotheses', { required: true, maxItems: 10, minItems: 1 });
-        
-        if (args.config) {
-          InputValidator.validateObject(args.config, 'config');
+        InputValidator.validateArray(args.node_ids, 'node_ids', { minItems: 3, maxItems: 50 });
+        args.node_ids.forEach((id, idx) => {
+          InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 50 });
+        });
+        InputValidator.validateString(args.relationship, 'relationship', { required: true, maxLength: 1000 });
+
+        if (args.confidence) {
+          InputValidator.validateArray(args.confidence, 'confidence', { maxItems: 4, minItems: 4 });
+          args.confidence.forEach((val, idx) => {
+            InputValidator.validateNumber(val, `confidence[${idx}]`, { min: 0, max: 1 });
+          });
         }
-        const hypothesesResult = sessionHypotheses.graph.generateHypotheses(
-          args.dimension_node_id,
-          args.hypotheses,
-          args.config
-        );
+        if (args.layer_ids) {
+          InputValidator.validateArray(args.layer_ids, 'layer_ids', { maxItems: 20 });
+        }
+        const hyperedgeResult = sessionHyperedge.graph.createHyperedge(args.node_ids, args.relationship, args);
         return {
-          content: [{ type: 'text', text: sessionHypotheses.graph._safeJSONStringify(hypothesesResult, 2) }]
+          content: [{ type: 'text', text: sessionHyperedge.graph._safeJSONStringify(hyperedgeResult, 2) }]
+        };
+
+      case 'query_hyperedges':
+        const sessionHyperedgeQuery = getGraphSession(connectionId, args);
+        if (!sessionHyperedgeQuery.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized.');
+        }
+
+        if (args.relationship !== undefined) {
+          InputValidator.validateString(args.relationship, 'relationship', { maxLength: 1000 });
+        }
+        if (args.all_node_ids) {
+          InputValidator.validateArray(args.all_node_ids, 'all_node_ids', { maxItems: 50 });
+        }
+        const hyperedgeQueryResult = sessionHyperedgeQuery.graph.queryHyperedges(args);
+        return {
+          content: [{ type: 'text', text: sessionHyperedgeQuery.graph._safeJSONStringify(hyperedgeQueryResult, 2) }]
         };
 
       case 'get_graph_summary':
-        const sessionSummary = getGraphSession(requestId);
+        const sessionSummary = getGraphSession(connectionId, args);
         if (!sessionSummary.graph) {
           throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized.');
         }
@@ -1808,7 +10293,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
 
       case 'export_graph_data':
-        const sessionExport = getGraphSession(requestId);
+        const sessionExport = getGraphSession(connectionId, args);
         if (!sessionExport.graph) {
           throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized.');
         }
@@ -1817,6 +10302,340 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [{ type: 'text', text: exportedData }]
         };
 
+      case 'save_graph':
+        const sessionSave = getGraphSession(connectionId, args);
+        if (!sessionSave.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.name !== undefined) {
+          InputValidator.validateString(args.name, 'name', { maxLength: 100 });
+        }
+        if (args.autosave !== undefined) {
+          sessionSave.graph.persistence.autosave = args.autosave !== false;
+        }
+        if (args.name !== undefined) {
+          assertGraphNameFree(args.name, sessionSave.graph_id);
+        }
+        const previousName = sessionSave.graph.persistence.name;
+        const saved = await saveGraph(sessionSave.graph, args.name || defaultGraphName(sessionSave.graph));
+        // Naming an autosaved graph supersedes its generated file
+        let replacedAutosave = null;
+        if (previousName && previousName !== saved.name && previousName.startsWith('autosave_')) {
+          replacedAutosave = await deleteSavedGraph(previousName).then(() => previousName, () => null);
+        }
+        console.error(`[${new Date().toISOString()}] [INFO] Graph saved as ${saved.name} (${saved.bytes} bytes)`);
+        return {
+          content: [{ type: 'text', text: sessionSave.graph._safeJSONStringify({
+            success: true,
+            ...saved,
+            autosave: sessionSave.graph.persistence.autosave,
+            replaced_autosave: replacedAutosave,
+            current_stage: sessionSave.graph.currentStage,
+            message: 'Graph saved to the research workspace'
+          }, 2) }]
+        };
+
+      case 'load_graph':
+        InputValidator.validateString(args.name, 'name', { required: true, maxLength: 100 });
+        if (args.graph_id !== undefined) {
+          validateGraphId(args.graph_id);
+        }
+        const loadedGraph = await loadGraph(args.name);
+        assertGraphNameFree(args.name, args.graph_id);
+        const sessionLoad = openGraphSession(connectionId, loadedGraph, args.graph_id);
+        console.error(`[${new Date().toISOString()}] [INFO] Graph ${args.name} loaded as ${sessionLoad.graph_id} at stage ${loadedGraph.currentStage}`);
+        return {
+          content: [{ type: 'text', text: loadedGraph._safeJSONStringify({
+            success: true,
+            graph_id: sessionLoad.graph_id,
+            name: args.name,
+            saved_at: loadedGraph.persistence.last_saved,
+            current_stage: loadedGraph.currentStage,
+            stage_name: loadedGraph.stageNames[loadedGraph.currentStage - 1] || 'pre-initialization',
+            vertices: loadedGraph.vertices.size,
+            edges: loadedGraph.edges.size,
+            hyperedges: loadedGraph.hyperedges.size,
+            layers: Array.from(loadedGraph.layers.keys()),
+            message: 'Graph loaded from the research workspace'
+          }, 2) }]
+        };
+
+      case 'list_saved_graphs':
+        const savedGraphs = await listSavedGraphs();
+        const openByName = new Map(Array.from(graphSessions.values()).map(session => [session.graph.persistence.name, session.graph_id]));
+        return {
+          content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            workspace: USER_CONFIG.research_workspace,
+            graphs: savedGraphs.map(saved => ({ ...saved, open_as: openByName.get(saved.name) ?? null })),
+            current: findGraphSession(connectionId)?.graph.persistence.name ?? null
+          }, null, 2) }]
+        };
+
+      case 'delete_saved_graph':
+        InputValidator.validateString(args.name, 'name', { required: true, maxLength: 100 });
+        const deletedPath = await deleteSavedGraph(args.name);
+        // Otherwise the next edit would autosave the file straight back
+        const autosaveDisabled = [];
+        for (const session of graphSessions.values()) {
+          if (session.graph.persistence.name === args.name) {
+            session.graph.persistence.autosave = false;
+            autosaveDisabled.push(session.graph_id);
+          }
+        }
+        console.error(`[${new Date().toISOString()}] [INFO] Saved graph ${args.name} deleted`);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            name: args.name,
+            path: deletedPath,
+            autosave_disabled_for: autosaveDisabled,
+            message: 'Saved graph deleted from the research workspace'
+          }, null, 2) }]
+        };
+
+      case 'list_graphs':
+        return {
+          content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            active_graph_id: activeGraphs.get(connectionId) ?? null,
+            graphs: Array.from(graphSessions.values()).map(session => describeGraphSession(session, connectionId))
+          }, null, 2) }]
+        };
+
+      case 'switch_graph':
+        InputValidator.validateString(args.graph_id, 'graph_id', { required: true, maxLength: 64 });
+        const sessionSwitch = getGraphSession(connectionId, { graph_id: args.graph_id });
+        activeGraphs.set(connectionId, sessionSwitch.graph_id);
+        console.error(`[${new Date().toISOString()}] [INFO] Active graph switched to ${sessionSwitch.graph_id}`);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            ...describeGraphSession(sessionSwitch, connectionId),
+            message: 'Active graph switched'
+          }, null, 2) }]
+        };
+
+      case 'rename_graph':
+        InputValidator.validateString(args.name, 'name', { required: true, maxLength: 100 });
+        const sessionRename = getGraphSession(connectionId, { graph_id: args.graph_id });
+        if (!sessionRename.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+        assertGraphNameFree(args.name, sessionRename.graph_id);
+        const renamed = await renameGraph(sessionRename.graph, args.name);
+        console.error(`[${new Date().toISOString()}] [INFO] Graph ${sessionRename.graph_id} renamed to ${args.name}`);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            graph_id: sessionRename.graph_id,
+            ...renamed,
+            message: 'Graph renamed'
+          }, null, 2) }]
+        };
+
+      case 'close_graph':
+        const sessionClose = getGraphSession(connectionId, { graph_id: args.graph_id });
+        if (!sessionClose.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+        const closingSave = await autosaveGraph(sessionClose.graph);
+        closeGraphSession(sessionClose.graph_id);
+        console.error(`[${new Date().toISOString()}] [INFO] Graph ${sessionClose.graph_id} closed`);
+        return {
+          content: [{ type: 'text', text: JSON.stringify({
+            success: true,
+            graph_id: sessionClose.graph_id,
+            saved_as: closingSave ? closingSave.name : null,
+            open_graphs: graphSessions.size,
+            active_graph_id: activeGraphs.get(connectionId) ?? null,
+            message: 'Graph closed'
+          }, null, 2) }]
+        };
+
+      case 'fork_graph':
+        InputValidator.validateString(args.branch_name, 'branch_name', { required: true, maxLength: 100 });
+        if (args.branch_graph_id !== undefined) {
+          validateGraphId(args.branch_graph_id);
+          if (graphSessions.has(args.branch_graph_id)) {
+            throw new McpError(ErrorCode.InvalidParams, `graph_id ${args.branch_graph_id} is already open`);
+          }
+        }
+        const sessionForkSource = getGraphSession(connectionId, args);
+        if (!sessionForkSource.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+        assertGraphNameFree(args.branch_name);
+        if (USER_CONFIG.research_workspace && fs.existsSync(graphFilePath(args.branch_name))) {
+          throw new McpError(ErrorCode.InvalidParams, `A saved graph named ${args.branch_name} already exists`);
+        }
+        const branchGraph = forkGraph(sessionForkSource.graph, args.branch_name, sessionForkSource.graph_id);
+        const sessionBranch = openGraphSession(connectionId, branchGraph, args.branch_graph_id);
+        const branchSave = await autosaveGraph(branchGraph);
+        console.error(`[${new Date().toISOString()}] [INFO] Graph ${sessionForkSource.graph_id} forked into branch ${args.branch_name} (${sessionBranch.graph_id})`);
+        return {
+          content: [{ type: 'text', text: branchGraph._safeJSONStringify({
+            success: true,
+            graph_id: sessionBranch.graph_id,
+            branch: branchGraph.branch,
+            saved_as: branchSave ? branchSave.name : null,
+            vertices: branchGraph.vertices.size,
+            edges: branchGraph.edges.size,
+            hyperedges: branchGraph.hyperedges.size,
+            layers: Array.from(branchGraph.layers.keys()),
+            active_graph_id: activeGraphs.get(connectionId),
+            message: 'Graph forked; the branch is now the active graph'
+          }, 2) }]
+        };
+
+      case 'compare_branches':
+        const sessionCompare = getGraphSession(connectionId, args);
+        if (!sessionCompare.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.confidence_threshold !== undefined) {
+          InputValidator.validateNumber(args.confidence_threshold, 'confidence_threshold', { min: 0, max: 1 });
+        }
+        let sessionBase;
+        if (args.base_graph_id !== undefined) {
+          InputValidator.validateString(args.base_graph_id, 'base_graph_id', { required: true, maxLength: 64 });
+          sessionBase = graphSessions.get(args.base_graph_id);
+          if (!sessionBase) {
+            throw new McpError(ErrorCode.InvalidParams, `No open graph with graph_id ${args.base_graph_id}. Use list_graphs to see open graphs.`);
+          }
+        } else {
+          if (!sessionCompare.graph.branch) {
+            throw new McpError(ErrorCode.InvalidParams, `Graph ${sessionCompare.graph_id} is not a branch; pass base_graph_id`);
+          }
+          sessionBase = findBranchParent(sessionCompare.graph);
+          if (!sessionBase) {
+            throw new McpError(ErrorCode.InvalidParams, `The graph ${sessionCompare.graph_id} was forked from is not open; load it or pass base_graph_id`);
+          }
+        }
+        if (sessionBase.graph_id === sessionCompare.graph_id) {
+          throw new McpError(ErrorCode.InvalidParams, 'A graph cannot be compared with itself');
+        }
+        const compareResult = sessionCompare.graph.compareBranches(sessionBase.graph, args);
+        return {
+          content: [{ type: 'text', text: sessionCompare.graph._safeJSONStringify({
+            branch_graph_id: sessionCompare.graph_id,
+            base_graph_id: sessionBase.graph_id,
+            ...compareResult
+          }, 2) }]
+        };
+
+      case 'diff_graphs':
+        if ((args.other_graph_id === undefined) === (args.other_saved_name === undefined)) {
+          throw new McpError(ErrorCode.InvalidParams, 'Provide exactly one of other_graph_id or other_saved_name');
+        }
+        let diffBase;
+        if (args.base_saved_name !== undefined) {
+          InputValidator.validateString(args.base_saved_name, 'base_saved_name', { required: true, maxLength: 100 });
+          diffBase = { graph: await loadGraph(args.base_saved_name), label: args.base_saved_name };
+        } else {
+          const sessionDiff = getGraphSession(connectionId, args);
+          if (!sessionDiff.graph) {
+            throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+          }
+          diffBase = { graph: sessionDiff.graph, label: sessionDiff.graph_id };
+        }
+        const diffOther = await resolveGraphSource(args.other_graph_id, args.other_saved_name);
+        const diffResult = diffBase.graph.diffGraph(diffOther.graph, { base_label: diffBase.label, other_label: diffOther.label });
+        return {
+          content: [{ type: 'text', text: diffBase.graph._safeJSONStringify(diffResult, 2) }]
+        };
+
+      case 'merge_graphs':
+        const sessionMerge = getGraphSession(connectionId, args);
+        if (!sessionMerge.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if ((args.source_graph_id === undefined) === (args.source_saved_name === undefined)) {
+          throw new McpError(ErrorCode.InvalidParams, 'Provide exactly one of source_graph_id or source_saved_name');
+        }
+        if (args.conflict_rule !== undefined) {
+          InputValidator.validateString(args.conflict_rule, 'conflict_rule', { maxLength: 50 });
+        }
+        if (args.source_graph_id === sessionMerge.graph_id) {
+          throw new McpError(ErrorCode.InvalidParams, 'A graph cannot be merged into itself');
+        }
+        const mergeSource = await resolveGraphSource(args.source_graph_id, args.source_saved_name);
+        const mergeResult = sessionMerge.graph.mergeGraph(mergeSource.graph, { conflict_rule: args.conflict_rule, source_label: mergeSource.label });
+        return {
+          content: [{ type: 'text', text: sessionMerge.graph._safeJSONStringify(mergeResult, 2) }]
+        };
+
+      case 'undo':
+      case 'redo':
+        const sessionRevert = getGraphSession(connectionId, args);
+        if (!sessionRevert.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+        const revertResult = name === 'undo'
+          ? sessionRevert.graph.undo({ reason: args.reason })
+          : sessionRevert.graph.redo({ reason: args.reason });
+        return {
+          content: [{ type: 'text', text: sessionRevert.graph._safeJSONStringify(revertResult, 2) }]
+        };
+
+      case 'get_revision_log':
+        const sessionLog = getGraphSession(connectionId, args);
+        if (!sessionLog.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        ['entity_id', 'actor'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateString(args[key], key, { maxLength: 200 });
+          }
+        });
+        if (args.types !== undefined) {
+          InputValidator.validateArray(args.types, 'types', { maxItems: 50 });
+          args.types.forEach((type, idx) => InputValidator.validateString(type, `types[${idx}]`, { required: true, maxLength: 100 }));
+        }
+        ['transaction_id', 'since_event'].forEach(key => {
+          if (args[key] !== undefined) {
+            InputValidator.validateNumber(args[key], key, { min: 0 });
+          }
+        });
+        if (args.limit !== undefined) {
+          InputValidator.validateNumber(args.limit, 'limit', { min: 1, max: 10000 });
+        }
+        if (args.detail !== undefined && !['summary', 'full'].includes(args.detail)) {
+          throw new McpError(ErrorCode.InvalidParams, "detail must be 'summary' or 'full'");
+        }
+        const logResult = sessionLog.graph.getRevisionLog(args);
+        return {
+          content: [{ type: 'text', text: sessionLog.graph._safeJSONStringify(logResult, 2) }]
+        };
+
+      case 'view_graph_as_of':
+        const sessionAsOf = getGraphSession(connectionId, args);
+        if (!sessionAsOf.graph) {
+          throw new McpError(ErrorCode.InvalidRequest, 'No graph initialized. Please run initialize_asr_got_graph first.');
+        }
+
+        if (args.event_id !== undefined && args.timestamp !== undefined) {
+          throw new McpError(ErrorCode.InvalidParams, 'Provide either event_id or timestamp, not both');
+        }
+        if (args.event_id !== undefined) {
+          InputValidator.validateNumber(args.event_id, 'event_id', { min: 0 });
+        }
+        if (args.timestamp !== undefined) {
+          InputValidator.validateString(args.timestamp, 'timestamp', { maxLength: 100 });
+        }
+        if (args.node_ids !== undefined) {
+          InputValidator.validateArray(args.node_ids, 'node_ids', { maxItems: 500 });
+          args.node_ids.forEach((id, idx) => InputValidator.validateString(id, `node_ids[${idx}]`, { required: true, maxLength: 200 }));
+        }
+        const asOfResult = sessionAsOf.graph.viewGraphAsOf(args);
+        return {
+          content: [{ type: 'text', text: sessionAsOf.graph._safeJSONStringify(asOfResult, 2) }]
+        };
+
       case 'execute_resilient_query':
         // Validate query input
         InputValidator.validateString(args.query, 'query', { 
@@ -1830,9 +10649,11 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         }
         
         // Create a new graph for this query or use existing one
-        const sessionQuery = getGraphSession(requestId);
+        let sessionQuery = getGraphSession(connectionId, args);
         if (!sessionQuery.graph) {
-          sessionQuery.graph = new ASRGoTGraph(args.config || {});
+          const queryGraph = new ASRGoTGraph(args.config || {});
+          queryGraph.beginRevision();
+          sessionQuery = openGraphSession(connectionId, queryGraph);
         }
         
         const queryResult = sessionQuery.graph.executeQueryWithFallbacks(args.query, args.config || {});
@@ -1840,7 +10661,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         console.error(`[${new Date().toISOString()}] [INFO] Resilient query completed - ${queryResult.stages_completed.length} stages completed, ${queryResult.stages_failed.length} failed`);
         
         return {
-          content: [{ type: 'text', text: sessionQuery.graph._safeJSONStringify(queryResult, 2) }]
+          content: [{ type: 'text', text: sessionQuery.graph._safeJSONStringify({ graph_id: sessionQuery.graph_id, ...queryResult }, 2) }]
         };
 
       default:
@@ -1850,6 +10671,13 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     console.error(`[${new Date().toISOString()}] [ERROR] Tool execution failed: ${error.message} (request_id: ${requestId})`);
     console.error(`[${new Date().toISOString()}] [ERROR] Stack trace: ${error.stack}`);
     
+    // P1.12: A call that failed part way leaves nothing of its edit behind
+    if (recorded) {
+      failed = true;
+      editedGraph?._abortRevision();
+      findGraphSession(connectionId, args)?.graph?._abortRevision();
+    }
+    
     // Enhanced error handling with fallback responses
     if (error instanceof McpError) {
       throw error;
@@ -1878,6 +10706,20 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
     
     throw new McpError(ErrorCode.InternalError, `Tool execution failed: ${error.message}`);
+  } finally {
+    if (recorded && !failed) {
+      // Everything this call changed becomes one transaction of the revision log; a call that
+      // opened a new graph closes the transaction begun when it was built
+      const revision = { tool: name, reason: typeof args?.reason === 'string' ? args.reason.slice(0, 1000) : null };
+      const touched = findGraphSession(connectionId, args)?.graph;
+      const edit = editedGraph?.commitRevision(revision);
+      const transaction = touched === editedGraph ? edit : touched?.commitRevision(revision);
+      // Keep the research workspace copy current so a server restart loses nothing; a call that
+      // changed nothing has nothing to save
+      if (transaction) {
+        await autosaveGraph(touched);
+      }
+    }
   }
 });
 
@@ -1897,6 +10739,7 @@ async function gracefulShutdown(exitCode = 0) {
   try {
     // Clean up graph sessions
     console.error(`[${new Date().toISOString()}] [INFO] Cleaning up ${graphSessions.size} active sessions...`);
+    await Promise.all(Array.from(graphSessions.values()).map(session => autosaveGraph(session.graph)));
     graphSessions.clear();
     
     // Close server if running
@@ -8,19 +8,35 @@
 import { spawn } from 'child_process';
 import { setTimeout as delay } from 'timers/promises';
 import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 const TEST_TIMEOUT = 10000; // 10 seconds
 
+// Compare numbers, or arrays of numbers element-wise, within an absolute tolerance
+function closeTo(actual, expected, tolerance = 1e-9) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length && expected.every((e, i) => closeTo(actual[i], e, tolerance));
+  }
+  return typeof actual === 'number' && Math.abs(actual - expected) <= tolerance;
+}
+
 class MCPTester {
   constructor() {
     this.serverProcess = null;
     this.testResults = [];
+    this.workspace = null;
+    this.graphId = null;
+    this.branchGraphId = null;
+    this.requestId = 100;
   }
 
   async startServer() {
     console.log('Starting ASR-GoT MCP Server...');
+    this.workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'asr-got-workspace-'));
     this.serverProcess = spawn('node', ['index.js'], {
-      stdio: ['pipe', 'pipe', 'pipe']
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: { ...process.env, ASR_GOT_RESEARCH_WORKSPACE: this.workspace }
     });
 
     // Wait for server to initialize
@@ -36,38 +52,101 @@ class MCPTester {
 
   async stopServer() {
     if (this.serverProcess) {
+      // Wait for the shutdown autosave before removing the workspace
+      const exited = new Promise(resolve => this.serverProcess.once('exit', resolve));
       this.serverProcess.kill();
+      await Promise.race([exited, delay(TEST_TIMEOUT)]);
       console.log('✓ Server stopped');
     }
+    if (this.workspace) {
+      fs.rmSync(this.workspace, { recursive: true, force: true });
+    }
   }
 
   async sendMCPRequest(request) {
     return new Promise((resolve, reject) => {
+      // Listeners are removed once the request settles so later requests do not collect its output
+      const settle = () => {
+        clearTimeout(timeout);
+        this.serverProcess.stdout.off('data', onData);
+        this.serverProcess.stderr.off('data', onError);
+      };
+
       const timeout = setTimeout(() => {
+        settle();
         reject(new Error('Request timeout'));
       }, TEST_TIMEOUT);
 
       let responseData = '';
 
-      this.serverProcess.stdout.on('data', (data) => {
+      const onData = (data) => {
         responseData += data.toString();
         try {
           const response = JSON.parse(responseData);
-          clearTimeout(timeout);
+          settle();
           resolve(response);
         } catch (e) {
           // Not complete JSON yet, continue collecting
         }
-      });
+      };
 
-      this.serverProcess.stderr.on('data', (data) => {
+      const onError = (data) => {
         console.error('Server error:', data.toString());
-      });
+      };
 
+      this.serverProcess.stdout.on('data', onData);
+      this.serverProcess.stderr.on('data', onError);
       this.serverProcess.stdin.write(JSON.stringify(request) + '\n');
     });
   }
 
+  // Call a tool and parse its JSON result; a JSON-RPC error is thrown
+  async callTool(name, args = {}) {
+    const response = await this.sendMCPRequest({
+      jsonrpc: '2.0',
+      id: this.requestId++,
+      method: 'tools/call',
+      params: { name, arguments: args }
+    });
+    if (response.error) {
+      throw new Error(`${name}: ${response.error.message}`);
+    }
+    if (!response.result || !response.result.content) {
+      throw new Error(`${name}: Invalid response format`);
+    }
+    return JSON.parse(response.result.content[0].text);
+  }
+
+  // Call a tool that is expected to fail; returns its JSON-RPC error, or null if it succeeded
+  async callToolError(name, args = {}) {
+    const response = await this.sendMCPRequest({
+      jsonrpc: '2.0',
+      id: this.requestId++,
+      method: 'tools/call',
+      params: { name, arguments: args }
+    });
+    return response.error || null;
+  }
+
+  // Run one test; the body returns a failure reason, or nothing when the test passes
+  async check(test, title, body) {
+    console.log(`\n--- Testing ${title} ---`);
+
+    try {
+      const failure = await body();
+      if (failure) {
+        console.log(`✗ ${title} failed: ${failure}`);
+        this.testResults.push({ test, passed: false, error: failure });
+      } else {
+        console.log(`✓ ${title} passed`);
+        this.testResults.push({ test, passed: true });
+      }
+    } catch (error) {
+      console.log(`✗ Error: ${error.message}`);
+      this.testResults.push({ test, passed: false, error: error.message });
+    }
+  }
+
   async testListTools() {
     console.log('\n--- Testing List Tools ---');
     
@@ -124,7 +203,8 @@ class MCPTester {
           initial_confidence: [0.8, 0.7, 0.9, 0.6],
           config: {
             research_domain: 'immunology',
-            enable_multi_layer: true
+            enable_multi_layer: true,
+            enable_collaboration: true
           }
         }
       }
@@ -136,7 +216,8 @@ class MCPTester {
       if (response.result && response.result.content) {
         const result = JSON.parse(response.result.content[0].text);
         
-        if (result.success && result.node_id === 'n0') {
+        if (result.success && result.node_id === 'n0' && result.graph_id) {
+          this.graphId = result.graph_id;
           console.log('✓ Graph initialized successfully');
           console.log(`  Node ID: ${result.node_id}`);
           console.log(`  Current stage: ${result.current_stage}`);
@@ -195,12 +276,705 @@ class MCPTester {
     }
   }
 
+  async testGenerateHypotheses() {
+    await this.check('generate_hypotheses', 'Hypothesis Generation', async () => {
+      const result = await this.callTool('generate_hypotheses', {
+        dimension_node_id: '2.1',
+        hypotheses: [
+          {
+            content: 'Skin dysbiosis precedes malignant T-cell expansion in CTCL lesions',
+            falsification_criteria: 'Longitudinal sampling shows normal microbiome before progression',
+            disciplinary_tags: ['immunology', 'microbiology']
+          },
+          {
+            content: 'Staphylococcus aureus toxins drive IL-17 signalling in CTCL',
+            falsification_criteria: 'Toxin neutralisation leaves IL-17 levels unchanged'
+          },
+          {
+            content: 'Microbiome changes are a consequence rather than a cause of CTCL progression'
+          }
+        ]
+      });
+      if (result.hypothesis_nodes.join(',') !== '3.1.1,3.1.2,3.1.3' || result.current_stage !== 3) {
+        return `Hypothesis nodes ${result.hypothesis_nodes.join(', ')} at stage ${result.current_stage}`;
+      }
+    });
+  }
+
+  async testIntegrateEvidence() {
+    await this.check('integrate_evidence', 'Evidence Integration', async () => {
+      const confidence = [0.9, 0.7, 0.8, 0.6];
+      const result = await this.callTool('integrate_evidence', {
+        hypothesis_node_id: '3.1.1',
+        evidence: {
+          content: '16S rRNA sequencing shows reduced diversity in early-stage CTCL lesions',
+          edge_type: 'Supportive',
+          confidence,
+          reliability: 0.8
+        }
+      });
+      // Beta(1, 1) prior plus 10 · 0.8 = 8 pseudo-observations at the evidence confidence
+      const expected = confidence.map(c => (1 + 8 * c) / (2 + 8));
+      console.log(`  Posterior confidence: ${result.posterior_confidence.map(m => m.toFixed(3)).join(', ')}`);
+      if (result.evidence_node_id !== '4.1' || !closeTo(result.posterior_confidence, expected)) {
+        return `Posterior ${result.posterior_confidence.join(', ')}, expected ${expected.join(', ')}`;
+      }
+    });
+  }
+
+  async testRejectInvalidEvidenceWeight() {
+    await this.check('reject_invalid_evidence_weight', 'Evidence Weight Validation', async () => {
+      const error = await this.callToolError('integrate_evidence', {
+        hypothesis_node_id: '3.1.1',
+        evidence: { content: 'Evidence with a negative weight', confidence: [0.9, 0.9, 0.9, 0.9] },
+        config: { evidence_weight: -2 }
+      });
+      if (!error || error.code !== -32602) return 'Negative weight was accepted';
+    });
+  }
+
+  async testPruneAndMerge() {
+    await this.check('prune_and_merge', 'Pruning and Merging', async () => {
+      const result = await this.callTool('prune_and_merge_nodes');
+      const penalizedIds = result.penalized_hypotheses.map(p => p.node_id);
+      console.log(`  Pruned: ${result.pruned_nodes.length}, merged: ${result.merged_nodes.length}, penalized (P1.16): ${penalizedIds.join(', ')}`);
+      // Only 3.1.3 was generated without falsification criteria
+      if (result.current_stage !== 5 || penalizedIds.join(',') !== '3.1.3') return 'Unexpected pruning report';
+    });
+  }
+
+  async testExtractSubgraphs() {
+    await this.check('extract_subgraphs', 'Subgraph Extraction', async () => {
+      const result = await this.callTool('extract_subgraphs', {
+        subgraphs: [
+          { name: 'empirical_support', criteria: { layer_ids: ['empirical', 'theoretical'], edge_types: ['Supportive'] } },
+          { name: 'high_impact', criteria: { min_impact: 0.7 } }
+        ]
+      });
+      const empirical = result.subgraphs.find(s => s.name === 'empirical_support');
+      result.subgraphs.forEach(s => console.log(`  #${s.rank} ${s.name}: ${s.node_ids.length} nodes, score ${s.rank_score.toFixed(3)}`));
+      if (!empirical || empirical.edge_ids.join(',') !== 'e_4.1_3.1.1' || empirical.topology_metrics.diameter !== 1) {
+        return 'Unexpected subgraph contents';
+      }
+    });
+  }
+
+  async testGenerateNarrative() {
+    await this.check('generate_research_narrative', 'Research Narrative', async () => {
+      const result = await this.callTool('generate_research_narrative', { citation_style: 'vancouver' });
+      console.log(`  Sections: ${result.sections.map(s => s.heading).join(', ')}`);
+      if (!result.markdown.includes('↑ Supportive from 4.1') || !result.markdown.includes('Appendix: Reasoning Trace')) {
+        return 'Missing annotations or reasoning trace';
+      }
+    });
+  }
+
+  async testReflectionAudit() {
+    await this.check('perform_reflection_audit', 'Reflection Audit', async () => {
+      const result = await this.callTool('perform_reflection_audit');
+      const rigor = result.checks.find(c => c.check === 'statistical_rigor');
+      console.log(`  Overall score: ${result.overall_score.toFixed(3)}, remediation items: ${result.remediation.length}`);
+      // Evidence 4.1 has no power analysis, so the audit must fail rigor and reopen Stage 4
+      if (result.checks.length !== 8 || !rigor || rigor.passed || result.reopened_stage !== 4 || result.current_stage !== 4) {
+        return 'Unexpected audit result';
+      }
+    });
+  }
+
+  async testCreateHyperedge() {
+    await this.check('create_hyperedge', 'Hyperedge Creation', async () => {
+      const result = await this.callTool('create_hyperedge', {
+        node_ids: ['3.1.1', '3.1.2', '4.1'],
+        relationship: 'Dysbiosis and S. aureus toxins jointly sustain IL-17 signalling',
+        confidence: [0.6, 0.7, 0.5, 0.5]
+      });
+      console.log(`  Hyperedge: ${result.hyperedge_id} over ${result.nodes.join(', ')} (${result.layer_ids.join(', ')})`);
+      if (result.hyperedge_id !== 'he_1' || result.nodes.length !== 3 || !result.cross_layer) return 'Unexpected hyperedge result';
+    });
+  }
+
+  async testInterdisciplinaryBridge() {
+    await this.check('interdisciplinary_bridge', 'Interdisciplinary Bridge Creation', async () => {
+      const result = await this.callTool('integrate_evidence', {
+        hypothesis_node_id: '3.1.1',
+        evidence: {
+          content: 'Computational model predicts skin dysbiosis precedes malignant T-cell expansion in CTCL lesions',
+          edge_type: 'Correlative',
+          disciplinary_tags: ['machine_learning']
+        }
+      });
+      if (result.bridge_node_id !== 'ibn_1') return 'No bridge node for disjoint, similar evidence';
+      console.log(`  Bridge node: ${result.bridge_node_id} between ${result.evidence_node_id} and ${result.hypothesis_node_id}`);
+    });
+  }
+
+  async testIdentifyKnowledgeGaps() {
+    await this.check('identify_knowledge_gaps', 'Knowledge Gap Identification', async () => {
+      const result = await this.callTool('identify_knowledge_gaps', { config: { max_gaps: 5 } });
+      result.gaps.forEach(g => console.log(`  #${g.rank} ${g.gap_id} → ${g.target_node_id} (${g.reasons.join(', ')})`));
+      if (result.gaps.length !== 5 || !result.gaps.every((g, i) => g.gap_id === `gap_${i + 1}` && g.research_question)) {
+        return 'Expected five ranked gap nodes';
+      }
+    });
+  }
+
+  async testAnalyzeCausalRelationships() {
+    await this.check('analyze_causal_relationships', 'Causal Analysis', async () => {
+      const result = await this.callTool('analyze_causal_relationships', {
+        exposure: '4.1',
+        outcome: '3.1.1',
+        causal_edges: [
+          { source: '2.2', target: '4.1' },
+          { source: '2.2', target: '3.1.1' },
+          { source: '4.1', target: '3.1.1' }
+        ]
+      });
+      console.log(`  ${result.query.method}: ${result.query.estimand}`);
+      // 2.2 confounds 4.1 → 3.1.1 and is the only backdoor adjustment set
+      const adjustment = result.query.adjustment_sets.map(set => set.join(','));
+      if (!result.is_dag || !result.query.identifiable || adjustment.join(';') !== '2.2' ||
+          !result.annotated_edges.every(e => e.causal_metadata)) {
+        return `Adjustment sets ${JSON.stringify(result.query.adjustment_sets)}`;
+      }
+    });
+  }
+
+  async testDetectTemporalPatterns() {
+    await this.check('detect_temporal_patterns', 'Temporal Pattern Detection', async () => {
+      const result = await this.callTool('detect_temporal_patterns', {
+        node_timestamps: {
+          '2.2': '2024-01-01T00:00:00Z',
+          '4.1': '2024-01-01T12:00:00Z',
+          '3.1.1': '2024-02-15T00:00:00Z'
+        },
+        delay_threshold_hours: 24
+      });
+      const chain = result.precedence_chains.find(c => c.nodes.join('>') === '2.2>4.1>3.1.1');
+      const delayed = result.delayed_effects.find(d => d.source === '4.1' && d.target === '3.1.1');
+      if (!chain || !delayed || result.conditional_sequences.length === 0) return 'Expected precedence chain and delayed effect not found';
+      console.log(`  Delayed effect 4.1 → 3.1.1: ${delayed.delay}`);
+      if (delayed.delay_ms !== 44.5 * 24 * 3600 * 1000) return `Delay ${delayed.delay_ms} ms, expected 44.5 days`;
+
+      // The observation time is stored beside the creation timestamp, not over it
+      const view = await this.callTool('view_graph_as_of', { node_ids: ['4.1'] });
+      const metadata = view.node_details[0].metadata;
+      if (metadata.observed_at !== '2024-01-01T12:00:00.000Z' || metadata.timestamp === metadata.observed_at) {
+        return 'Observation time overwrote the creation timestamp';
+      }
+    });
+  }
+
+  async testAssessStatisticalPower() {
+    await this.check('assess_statistical_power', 'Statistical Power Assessment', async () => {
+      const result = await this.callTool('assess_statistical_power', {
+        node_id: '4.1',
+        test_family: 't_test',
+        effect_size: 0.5,
+        sample_sizes: [20, 20],
+        alpha: 0.05
+      });
+      const power = result.statistical_power;
+      console.log(`  Power ${power.achieved_power.toFixed(4)}, required N ${power.required_total_n}, MDE ${power.minimum_detectable_effect.toFixed(3)}`);
+      // Normal approximation with d = 0.5 and n = 20 per group: δ = 0.5·√10 = 1.58114, so
+      // power = Φ(1.58114 - 1.95996) + Φ(-1.58114 - 1.95996) = 0.35261; 0.80 needs 2(1.95996 + 0.84162)²/0.25 → 63 per group
+      if (power.method !== 'normal approximation' || !closeTo(power.achieved_power, 0.35261, 0.0005) ||
+          power.required_total_n !== 126 || result.confidence_adjustments.length === 0) {
+        return `Power ${power.achieved_power}, required N ${power.required_total_n}`;
+      }
+    });
+  }
+
+  async testAnovaPowerReference() {
+    await this.check('anova_power_reference', 'ANOVA Power Reference', async () => {
+      const result = await this.callTool('assess_statistical_power', {
+        node_id: '4.1', test_family: 'anova', effect_size: 0.25, sample_sizes: [45, 45, 45, 45], alpha: 0.05
+      });
+      const power = result.statistical_power;
+      console.log(`  ANOVA power ${power.achieved_power.toFixed(4)}, required N ${power.required_total_n}`);
+      // Cohen (1988) Table 8.4.4: f = 0.25, 4 groups, alpha = 0.05 needs n = 45 per group for power 0.80;
+      // the noncentral F power at N = 180 (lambda = 11.25, F crit(3, 176) = 2.6559) is 0.80399
+      if (power.method !== 'noncentral F' || !closeTo(power.achieved_power, 0.80399, 0.0005) || power.required_total_n !== 180) {
+        return `Power ${power.achieved_power}, required N ${power.required_total_n}`;
+      }
+    });
+  }
+
+  async testChiSquarePowerReference() {
+    await this.check('chi_square_power_reference', 'Chi-Square Power Reference', async () => {
+      const result = await this.callTool('assess_statistical_power', {
+        node_id: '4.1', test_family: 'chi_square', effect_size: 0.3, sample_sizes: [88], df: 1, alpha: 0.05
+      });
+      const power = result.statistical_power;
+      console.log(`  Chi-square power ${power.achieved_power.toFixed(4)}`);
+      // With df = 1 the noncentral chi-square test is a two-sided z test on sqrt(lambda) = sqrt(0.09 * 88):
+      // power = Phi(2.81425 - 1.95996) + Phi(-2.81425 - 1.95996) = 0.80353
+      if (power.method !== 'noncentral chi-square' || !closeTo(power.achieved_power, 0.80353, 0.0005)) {
+        return `Power ${power.achieved_power}`;
+      }
+    });
+  }
+
+  async testComputeInformationMetrics() {
+    await this.check('compute_information_metrics', 'Information Metrics', async () => {
+      const result = await this.callTool('compute_information_metrics');
+      const hypothesis = result.nodes.find(n => n.node_id === '3.1.1');
+      const link = result.evidence_links.find(l => l.evidence_node_id === '4.1');
+      console.log(`  Next hypothesis by information gain: ${result.summary.next_hypothesis}`);
+      if (!hypothesis || !(hypothesis.info_metrics.kl_divergence > 0) || !(hypothesis.info_metrics.mdl_score > 0) ||
+          !link || !(link.mutual_information > 0) || result.investigation_priority[0].node_id !== result.summary.next_hypothesis) {
+        return 'Missing KL divergence, MDL score or mutual information';
+      }
+    });
+  }
+
+  async testInformationMetricsReference() {
+    await this.check('information_metrics_reference', 'Information Metrics Reference', async () => {
+      const graph_id = 'info_reference';
+      await this.callTool('initialize_asr_got_graph', { task_description: 'Reference graph for information metrics', graph_id });
+      await this.callTool('decompose_research_task', { graph_id });
+      await this.callTool('generate_hypotheses', {
+        graph_id,
+        dimension_node_id: '2.1',
+        hypotheses: [{ content: 'A reference hypothesis with an uninformative prior', confidence: [0.5, 0.5, 0.5, 0.5] }]
+      });
+      const prior = (await this.callTool('compute_information_metrics', { graph_id, node_ids: ['3.1.1'] })).nodes[0].info_metrics;
+      // Reliability 0.1 makes the evidence a single pseudo-observation, turning each Beta(1, 1) marginal into Beta(2, 1)
+      const update = await this.callTool('integrate_evidence', {
+        graph_id,
+        hypothesis_node_id: '3.1.1',
+        evidence: { content: 'One fully confident observation', edge_type: 'Supportive', confidence: [1, 1, 1, 1], reliability: 0.1 }
+      });
+      const result = await this.callTool('compute_information_metrics', { graph_id, node_ids: ['3.1.1'] });
+      const posterior = result.nodes[0].info_metrics;
+      await this.callTool('switch_graph', { graph_id: this.graphId });
+
+      // Per dimension, h(Beta(1, 1)) = 0 and KL(Beta(2, 1) || Beta(1, 1)) = -h(Beta(2, 1)) = ln 2 - 1/2 nats
+      const kl = 4 * (Math.log(2) - 0.5);
+      // Evidence accuracy 0.5 + 0.5 · 0.1 = 0.55 against P(H) = 2/3: I(H; E) = H₂(0.51667) - H₂(0.55) bits
+      const binaryEntropy = (p) => -p * Math.log2(p) - (1 - p) * Math.log2(1 - p);
+      const mutualInformation = binaryEntropy((2 / 3) * 0.55 + (1 / 3) * 0.45) - binaryEntropy(0.55);
+      console.log(`  KL ${posterior.kl_divergence.toFixed(6)} nats, entropy ${prior.entropy.toFixed(6)} → ${posterior.entropy.toFixed(6)}, I(H; E) ${posterior.mutual_information.toFixed(6)} bits`);
+      if (!closeTo(prior.entropy, 0) || !closeTo(update.kl_divergence, kl) || !closeTo(posterior.kl_divergence, kl) ||
+          !closeTo(posterior.entropy, -kl) || !closeTo(posterior.mutual_information, mutualInformation)) {
+        return `Expected KL ${kl}, entropy 0 → ${-kl}, I(H; E) ${mutualInformation}`;
+      }
+    });
+  }
+
+  async testEstimateResearchImpact() {
+    await this.check('estimate_research_impact', 'Research Impact Estimation', async () => {
+      const result = await this.callTool('estimate_research_impact', { model: 'domain_specific', domain_weights: { immunology: 1.3 } });
+      const components = ['theoretical_significance', 'practical_utility', 'gap_reduction', 'methodological_innovation'];
+      const complete = result.estimates.every(e => components.every(c => typeof e.impact_vector[c] === 'number'));
+      const ordered = result.research_priorities.every((p, i) => i === 0 || result.research_priorities[i - 1].priority_score >= p.priority_score);
+      console.log(`  Top priority: ${result.research_priorities[0].node_id} (${result.research_priorities[0].priority_score.toFixed(3)})`);
+      if (result.model !== 'domain_specific' || result.estimates.length === 0 || !complete || !ordered) {
+        return 'Incomplete impact vectors or unordered priorities';
+      }
+    });
+  }
+
+  async testPlanInterventions() {
+    await this.check('plan_interventions', 'Intervention Planning', async () => {
+      const result = await this.callTool('plan_interventions', { samples: 500, max_candidates: 8 });
+      const interventions = result.interventions;
+      const ordered = interventions.every((item, i) => i === 0 || interventions[i - 1].score >= item.score);
+      console.log(`  Top: ${interventions[0].intervention_id} (EVoI ${interventions[0].evoi.toFixed(4)}, cost ${interventions[0].cost})`);
+      if (interventions.length === 0 || interventions.length > 8 || !ordered ||
+          !interventions.every(item => item.evoi >= 0 && item.prospective_subgraph.prospective)) {
+        return 'Interventions missing EVoI or not ranked';
+      }
+    });
+  }
+
+  async testDefineCompetingHypotheses() {
+    await this.check('define_competing_hypotheses', 'Competing Hypothesis Definition', async () => {
+      const result = await this.callTool('define_competing_hypotheses', { hypothesis_ids: ['3.1.1', '3.1.2'], set_id: 'hc_test' });
+      const total = Object.values(result.probabilities).reduce((a, b) => a + b, 0);
+      console.log(`  Probabilities: ${JSON.stringify(result.probabilities)}`);
+      if (result.set_id !== 'hc_test' || !closeTo(total, 1)) return 'Probabilities do not sum to 1';
+    });
+  }
+
+  async testRejectOverlappingCompetingSets() {
+    await this.check('reject_overlapping_competing_sets', 'Exhaustive Competing Set Overlap', async () => {
+      const error = await this.callToolError('define_competing_hypotheses', { hypothesis_ids: ['3.1.1', '3.1.2'], set_id: 'hc_overlap' });
+      if (!error || !/exhaustive set hc_test/.test(error.message)) return 'Overlapping exhaustive set was accepted';
+    });
+  }
+
+  async testRejectDuplicateCompetingSet() {
+    await this.check('reject_duplicate_competing_set', 'Duplicate Competing Set', async () => {
+      const args = { hypothesis_ids: ['3.1.1', '3.1.2'], set_id: 'hc_test' };
+      const error = await this.callToolError('define_competing_hypotheses', args);
+      if (!error || !/Competing set hc_test already exists/.test(error.message)) return 'Existing set_id was silently replaced';
+      const replaced = await this.callTool('define_competing_hypotheses', { ...args, replace: true });
+      if (replaced.set_id !== 'hc_test') return 'replace: true was refused';
+    });
+  }
+
+  async testEvaluateCompetingHypotheses() {
+    await this.check('evaluate_competing_hypotheses', 'Competing Hypothesis Evaluation', async () => {
+      const result = await this.callTool('evaluate_competing_hypotheses', { set_id: 'hc_test' });
+      const set = result.sets[0];
+      const experiment = set.critical_experiment;
+      if (set.ranking.length !== 2 || !experiment) return 'Missing ranking or critical experiment';
+      console.log(`  Critical experiment: ${experiment.type} (${experiment.expected_information_gain_bits.toFixed(3)} bits)`);
+      // Discriminating two hypotheses can yield at most one bit
+      if (!(experiment.expected_information_gain_bits > 0 && experiment.expected_information_gain_bits <= 1)) {
+        return `Information gain ${experiment.expected_information_gain_bits} bits`;
+      }
+    });
+  }
+
+  async testCollapseSubgraph() {
+    await this.check('collapse_subgraph', 'Subgraph Collapse', async () => {
+      const result = await this.callTool('collapse_subgraph', {
+        node_ids: ['3.1.1', '4.1'],
+        label: 'Dysbiosis evidence cluster',
+        aggregation: { confidence: 'precision_weighted', impact: 'max', tags: 'union' }
+      });
+      this.superNodeId = result.super_node_id;
+      console.log(`  Super-node ${result.super_node_id}: confidence ${result.confidence.map(c => c.toFixed(2)).join(', ')}`);
+      if (result.super_node_id !== 'sn_1' || result.members.join(',') !== '3.1.1,4.1' ||
+          result.confidence.length !== 4 || result.boundary_edges.length === 0) {
+        return 'Super-node not aggregated';
+      }
+    });
+  }
+
+  async testExpandSuperNode() {
+    await this.check('expand_super_node', 'Super-Node Expansion', async () => {
+      const result = await this.callTool('expand_super_node', { super_node_id: this.superNodeId || 'sn_1' });
+      if (result.members.join(',') !== '3.1.1,4.1') return 'Members not released';
+    });
+  }
+
+  async testConfigureComputeBudget() {
+    await this.check('configure_compute_budget', 'Compute Budget Configuration', async () => {
+      const result = await this.callTool('configure_compute_budget', { per_call: 1000000, per_session: 50000000 });
+      console.log(`  Session spent: ${result.budget.session_spent} units, ${result.budget.approximations} approximations`);
+      if (result.budget.per_call !== 1000000 || result.budget.per_session !== 50000000 || !(result.budget.session_spent > 0) ||
+          !Array.isArray(result.budget.recent_operations)) {
+        return 'Budget not updated';
+      }
+    });
+  }
+
+  async testComputeBudgetExhaustion() {
+    await this.check('compute_budget_exhaustion', 'Compute Budget Exhaustion', async () => {
+      await this.callTool('configure_compute_budget', { per_call: 10 });
+      const error = await this.callToolError('compute_topology');
+      await this.callTool('configure_compute_budget', { per_call: 1000000 });
+      if (!error || !/Compute budget exhausted/.test(error.message)) return 'Analysis ran beyond the remaining budget';
+    });
+  }
+
+  async testComputeTopology() {
+    await this.check('compute_topology', 'Topology Computation', async () => {
+      const result = await this.callTool('compute_topology', { community_method: 'louvain' });
+      console.log(`  Diameter ${result.diameter}, ${result.communities.length} communities (modularity ${result.modularity.toFixed(3)})`);
+      if (!(result.diameter >= 1) || !(result.average_path_length > 0) || result.communities.length === 0 ||
+          result.connected_components !== 1 || !(result.modularity > 0 && result.modularity < 1) ||
+          result.central_nodes.pagerank.length === 0 || !result.communities.every(c => c.size > 0)) {
+        return 'Missing topology metrics';
+      }
+    });
+  }
+
+  async testDefineLayer() {
+    await this.check('define_layer', 'Layer Definition', async () => {
+      const result = await this.callTool('define_layer', { layer_id: 'molecular', name: 'Molecular Scale', scale_order: 1 });
+      if (!result.layers.includes('molecular') || result.scale_order !== 1) return 'Layer not created';
+    });
+  }
+
+  async testAssignNodesToLayer() {
+    await this.check('assign_nodes_to_layer', 'Layer Assignment', async () => {
+      const result = await this.callTool('assign_nodes_to_layer', { layer_id: 'molecular', node_ids: ['4.1'], reason: '16S sequencing evidence' });
+      if (result.moved.length !== 1 || result.layer_distribution.molecular !== 1) return 'Node not moved';
+    });
+  }
+
+  async testDefineInterLayerSemantics() {
+    await this.check('define_inter_layer_semantics', 'Inter-Layer Semantics', async () => {
+      const result = await this.callTool('define_inter_layer_semantics', {
+        source_layer: 'molecular', target_layer: 'theoretical', relation: 'mechanism_of', edge_types: ['Supportive', 'Causal']
+      });
+      if (result.declaration.relation !== 'mechanism_of' || !(result.covered_edges > 0)) return 'Declaration did not cover any edge';
+    });
+  }
+
+  async testEvaluateLayers() {
+    await this.check('evaluate_layers', 'Layer Evaluation', async () => {
+      const result = await this.callTool('evaluate_layers');
+      const molecular = result.layers.find(l => l.layer_id === 'molecular');
+      console.log(`  ${result.layers.length} layers, ${result.inter_layer.edges} inter-layer edges, ${result.inter_layer.violations.length} violations`);
+      if (!molecular || molecular.metrics.node_count !== 1 || result.inter_layer.declarations.length !== 1 ||
+          !Array.isArray(result.cross_layer_centrality)) {
+        return 'Layer metrics missing';
+      }
+    });
+  }
+
+  async testRegisterResearcher() {
+    await this.check('register_researcher', 'Researcher Registration', async () => {
+      const result = await this.callTool('register_researcher', {
+        researcher_id: 'r.derm', name: 'Dermatology Lead', expertise_tags: ['Immunology', 'dermatology']
+      });
+      if (result.researcher.expertise_tags.join(',') !== 'immunology,dermatology' || result.registered_researchers !== 1) {
+        return 'Researcher not registered';
+      }
+    });
+  }
+
+  async testAttributeNode() {
+    await this.check('attribute_node', 'Node Attribution', async () => {
+      const result = await this.callTool('attribute_node', { node_id: '4.1', researcher_id: 'r.derm', role: 'data_provider' });
+      if (!result.attribution.includes('r.derm') || !result.contributions.some(c => c.role === 'data_provider')) {
+        return 'Attribution not recorded';
+      }
+    });
+  }
+
+  async testRecommendEvaluators() {
+    await this.check('recommend_evaluators', 'Evaluator Recommendation', async () => {
+      const result = await this.callTool('recommend_evaluators');
+      if (result.recommendations.length === 0) return 'No recommendations';
+    });
+  }
+
+  async testSubmitConfidenceJudgment() {
+    await this.check('submit_confidence_judgment', 'Confidence Judgment', async () => {
+      const result = await this.callTool('submit_confidence_judgment', {
+        node_id: '3.1.1', researcher_id: 'r.derm', confidence: [0.7, 0.6, 0.5, 0.6], rationale: 'Plausible but only cross-sectional data'
+      });
+      if (result.judgments_count !== 1) return 'Judgment not stored';
+    });
+  }
+
+  async testBuildConsensus() {
+    await this.check('build_consensus', 'Consensus Building', async () => {
+      const result = await this.callTool('build_consensus', { node_id: '3.1.1', rule: 'median', min_judgments: 1 });
+      // A single judgment is its own median, with no disagreement
+      if (result.consensus.empirical_support !== 0.7 || result.disagreement.index !== 0) return 'Unexpected consensus';
+    });
+  }
+
+  async testSaveGraph() {
+    await this.check('save_graph', 'Graph Saving', async () => {
+      await this.callTool('save_graph', { name: 'ctcl_microbiome' });
+      if (!fs.existsSync(path.join(this.workspace, 'ctcl_microbiome.asrgot.json'))) return 'Graph file not written';
+    });
+  }
+
+  async testListSavedGraphs() {
+    await this.check('list_saved_graphs', 'Saved Graph Listing', async () => {
+      const result = await this.callTool('list_saved_graphs');
+      if (!result.graphs.some(g => g.name === 'ctcl_microbiome' && g.current_stage >= 4) || result.current !== 'ctcl_microbiome') {
+        return 'Saved graph missing from listing';
+      }
+    });
+  }
+
+  async testLoadGraph() {
+    await this.check('load_graph', 'Graph Loading', async () => {
+      const before = await this.callTool('get_graph_summary');
+      const result = await this.callTool('load_graph', { name: 'ctcl_microbiome', graph_id: this.graphId });
+      if (result.graph_id !== this.graphId || result.current_stage < 4 || !result.layers.includes('molecular') ||
+          result.vertices !== before.graph_state.vertices_count) {
+        return 'Loaded graph incomplete';
+      }
+    });
+  }
+
+  async testDeleteSavedGraph() {
+    await this.check('delete_saved_graph', 'Saved Graph Deletion', async () => {
+      const result = await this.callTool('delete_saved_graph', { name: 'ctcl_microbiome' });
+      if (result.autosave_disabled_for.length !== 1 || fs.existsSync(path.join(this.workspace, 'ctcl_microbiome.asrgot.json'))) {
+        return 'Graph file still present';
+      }
+    });
+  }
+
+  async testListGraphs() {
+    await this.check('list_graphs', 'Open Graph Listing', async () => {
+      const result = await this.callTool('list_graphs');
+      if (result.active_graph_id !== this.graphId || !result.graphs.some(g => g.graph_id === this.graphId && g.active)) {
+        return 'Active graph missing';
+      }
+    });
+  }
+
+  async testSwitchGraph() {
+    await this.check('switch_graph', 'Active Graph Switching', async () => {
+      const result = await this.callTool('switch_graph', { graph_id: this.graphId });
+      if (result.graph_id !== this.graphId || !result.active) return 'Graph not activated';
+    });
+  }
+
+  async testRenameGraph() {
+    await this.check('rename_graph', 'Graph Renaming', async () => {
+      const result = await this.callTool('rename_graph', { graph_id: this.graphId, name: 'ctcl_renamed' });
+      if (result.graph_id !== this.graphId || result.name !== 'ctcl_renamed') return 'Name not changed';
+    });
+  }
+
+  async testRevisionLog() {
+    await this.check('get_revision_log', 'Revision Log', async () => {
+      const result = await this.callTool('get_revision_log', { graph_id: this.graphId, types: ['confidence_changed'] });
+      if (result.events.length === 0 || !result.events.every(e => e.type === 'confidence_changed' && e.actor && e.timestamp && e.after_means)) {
+        return 'No confidence events with actor and timestamp';
+      }
+    });
+  }
+
+  async testUndo() {
+    await this.check('undo', 'Undo', async () => {
+      const graph_id = this.graphId;
+      const nodeState = async () => (await this.callTool('view_graph_as_of', { graph_id, node_ids: ['3.1.1'] })).node_details[0];
+      const before = await nodeState();
+      const edit = await this.callTool('integrate_evidence', {
+        graph_id,
+        hypothesis_node_id: '3.1.1',
+        evidence: { content: 'Contradictory cohort data to be reverted', edge_type: 'Contradictory', confidence: [0.8, 0.8, 0.8, 0.8] }
+      });
+      const result = await this.callTool('undo', { graph_id, reason: 'test revert' });
+      const after = await nodeState();
+      const remaining = await this.callTool('view_graph_as_of', { graph_id, node_ids: [edit.evidence_node_id] });
+      if (!result.undone || result.transaction.kind !== 'undo' || !result.can_redo) return 'Edit not undone';
+      // Undo restores the hypothesis exactly, including its confidence, revision history and timestamps
+      if (JSON.stringify(after) !== JSON.stringify(before) || remaining.node_details.length !== 0) {
+        return 'Node state differs from before the edit';
+      }
+    });
+  }
+
+  async testRedo() {
+    await this.check('redo', 'Redo', async () => {
+      const result = await this.callTool('redo', { graph_id: this.graphId });
+      const redone = await this.callTool('view_graph_as_of', { graph_id: this.graphId, node_ids: ['3.1.1'] });
+      if (!result.redone || result.transaction.kind !== 'redo' || result.can_redo) return 'Edit not redone';
+      if (redone.node_details[0].metadata.revision_history.at(-1).edge_type !== 'Contradictory') return 'Redo did not re-apply the update';
+    });
+  }
+
+  async testViewGraphAsOf() {
+    await this.check('view_graph_as_of', 'Historical Graph View', async () => {
+      const result = await this.callTool('view_graph_as_of', { graph_id: this.graphId, event_id: 0 });
+      if (result.as_of_event !== 0 || result.counts.vertices !== 0 || !(result.later_events > 0)) return 'Historical view not empty';
+    });
+  }
+
+  async testForkGraph() {
+    await this.check('fork_graph', 'Graph Forking', async () => {
+      const result = await this.callTool('fork_graph', { graph_id: this.graphId, branch_name: 'ctcl_branch' });
+      this.branchGraphId = result.graph_id;
+      if (result.graph_id === this.graphId || result.branch.parent_graph_id !== this.graphId || !(result.vertices > 0)) {
+        return 'Branch not created';
+      }
+    });
+  }
+
+  async testCompareBranches() {
+    await this.check('compare_branches', 'Branch Comparison', async () => {
+      const result = await this.callTool('compare_branches', { graph_id: this.branchGraphId });
+      if (result.base_graph_id !== this.graphId || result.diverging_confidence.length !== 0 ||
+          result.nodes.added.length !== 0 || result.conclusions.differ) {
+        return 'Fresh branch differs from its parent';
+      }
+    });
+  }
+
+  async testDiffGraphs() {
+    await this.check('diff_graphs', 'Graph Diff', async () => {
+      const result = await this.callTool('diff_graphs', { graph_id: this.graphId, other_graph_id: this.branchGraphId });
+      if (!result.identical || result.summary.nodes_added !== 0 || result.summary.nodes_changed !== 0) return 'Unexpected differences';
+    });
+  }
+
+  async testMergeGraphs() {
+    await this.check('merge_graphs', 'Graph Merge', async () => {
+      const result = await this.callTool('merge_graphs', {
+        graph_id: this.branchGraphId, source_graph_id: this.graphId, conflict_rule: 'keep_higher_evidence'
+      });
+      if (result.conflict_rule !== 'keep_higher_evidence' || result.added.nodes.length !== 0 || result.conflicts.length !== 0) {
+        return 'Unexpected additions or conflicts';
+      }
+    });
+  }
+
+  async testRepeatedMergeIsIdempotent() {
+    await this.check('repeated_merge_is_idempotent', 'Repeated Graph Merge', async () => {
+      const merge = (graph_id, source_graph_id) => this.callTool('merge_graphs', { graph_id, source_graph_id });
+      await this.callTool('initialize_asr_got_graph', {
+        task_description: 'An unrelated study whose root shares the id n0', graph_id: 'merge_source'
+      });
+      const first = await merge(this.branchGraphId, 'merge_source');
+      const second = await merge(this.branchGraphId, 'merge_source');
+      // Round trip: the branch flows back into the source, then the source into the branch once more
+      const back = await merge('merge_source', this.branchGraphId);
+      const again = await merge(this.branchGraphId, 'merge_source');
+      await this.callTool('switch_graph', { graph_id: this.graphId });
+
+      if (first.renamed.length !== 1 || first.added.nodes.length !== 1) return 'First merge did not import the clashing root once';
+      const nothingAdded = (result) => result.added.nodes.length === 0 && result.added.edges.length === 0;
+      if (!nothingAdded(second) || second.counts.vertices !== first.counts.vertices) return 'Second merge imported duplicates';
+      // The source already holds its own root, so it gains every branch node except that root's renamed copy
+      if (back.added.nodes.length !== first.counts.vertices - 1 || back.counts.vertices !== first.counts.vertices) {
+        return `Round trip left the source with ${back.counts.vertices} of ${first.counts.vertices} vertices`;
+      }
+      if (!nothingAdded(again) || again.counts.vertices !== first.counts.vertices) return 'Merging after the round trip imported duplicates';
+    });
+  }
+
+  async testFailedEditIsRolledBack() {
+    await this.check('failed_edit_is_rolled_back', 'Failed Edit Rollback', async () => {
+      await this.callTool('initialize_asr_got_graph', { task_description: 'A study with more nodes than the target can hold', graph_id: 'rollback_source' });
+      await this.callTool('decompose_research_task', { graph_id: 'rollback_source' });
+      await this.callTool('initialize_asr_got_graph', { task_description: 'A graph limited to two nodes', graph_id: 'rollback_target', config: { maxVertices: 2 } });
+      const before = await this.callTool('get_revision_log', { graph_id: 'rollback_target' });
+      // The merge copies one node in before the vertex limit stops it
+      const error = await this.callToolError('merge_graphs', { graph_id: 'rollback_target', source_graph_id: 'rollback_source' });
+      const result = await this.callTool('get_revision_log', { graph_id: 'rollback_target' });
+      const listing = await this.callTool('list_graphs');
+      await this.callTool('switch_graph', { graph_id: this.graphId });
+
+      const target = listing.graphs.find(g => g.graph_id === 'rollback_target');
+      if (!error || !/maximum of 2 vertices/.test(error.message) || result.total_events !== before.total_events || target.vertices !== 1) {
+        return 'Failed call kept its partial edit or was recorded as a revision';
+      }
+    });
+  }
+
+  async testSummaryAfterBudgetExhaustion() {
+    await this.check('summary_after_budget_exhaustion', 'Summary After Budget Exhaustion', async () => {
+      const graph_id = this.graphId;
+      await this.callTool('configure_compute_budget', { graph_id, per_session: 1 });
+      const error = await this.callToolError('compute_topology', { graph_id });
+      // Community hints computed in passing by an edit are not metered
+      await this.callTool('integrate_evidence', {
+        graph_id,
+        hypothesis_node_id: '3.1.1',
+        evidence: { content: 'Evidence integrated once the budget is spent', confidence: [0.7, 0.7, 0.7, 0.7] }
+      });
+      const result = await this.callTool('get_graph_summary', { graph_id });
+      await this.callTool('configure_compute_budget', { graph_id, per_session: 200000000 });
+
+      // The earlier compute_topology run is still reported, but the new evidence has made it stale
+      if (!error || !/Compute budget exhausted/.test(error.message) || !(result.graph_state.vertices_count > 0) ||
+          result.topology_metrics.analysis_status !== 'stale') {
+        return 'Edit or summary depended on the compute budget';
+      }
+    });
+  }
+
   async testGraphSummary() {
     console.log('\n--- Testing Graph Summary ---');
     
     const request = {
       jsonrpc: '2.0',
-      id: 4,
+      id: 99,
       method: 'tools/call',
       params: {
         name: 'get_graph_summary',
@@ -214,10 +988,10 @@ class MCPTester {
       if (response.result && response.result.content) {
         const summary = JSON.parse(response.result.content[0].text);
         
-        if (summary.total_nodes && summary.current_stage) {
+        if (summary.graph_state && summary.graph_state.vertices_count > 0 && summary.current_stage) {
           console.log('✓ Graph summary retrieved successfully');
-          console.log(`  Total nodes: ${summary.total_nodes}`);
-          console.log(`  Total edges: ${summary.total_edges}`);
+          console.log(`  Total nodes: ${summary.graph_state.vertices_count}`);
+          console.log(`  Total edges: ${summary.graph_state.edges_count}`);
           console.log(`  Current stage: ${summary.current_stage} (${summary.stage_name})`);
           console.log(`  Node types: ${JSON.stringify(summary.node_types)}`);
           this.testResults.push({ test: 'graph_summary', passed: true });
@@ -246,6 +1020,61 @@ class MCPTester {
       await this.testListTools();
       await this.testInitializeGraph();
       await this.testDecomposeTask();
+      await this.testGenerateHypotheses();
+      await this.testIntegrateEvidence();
+      await this.testRejectInvalidEvidenceWeight();
+      await this.testPruneAndMerge();
+      await this.testExtractSubgraphs();
+      await this.testGenerateNarrative();
+      await this.testReflectionAudit();
+      await this.testCreateHyperedge();
+      await this.testInterdisciplinaryBridge();
+      await this.testIdentifyKnowledgeGaps();
+      await this.testAnalyzeCausalRelationships();
+      await this.testDetectTemporalPatterns();
+      await this.testAssessStatisticalPower();
+      await this.testAnovaPowerReference();
+      await this.testChiSquarePowerReference();
+      await this.testComputeInformationMetrics();
+      await this.testInformationMetricsReference();
+      await this.testEstimateResearchImpact();
+      await this.testPlanInterventions();
+      await this.testDefineCompetingHypotheses();
+      await this.testRejectOverlappingCompetingSets();
+      await this.testRejectDuplicateCompetingSet();
+      await this.testEvaluateCompetingHypotheses();
+      await this.testCollapseSubgraph();
+      await this.testExpandSuperNode();
+      await this.testConfigureComputeBudget();
+      await this.testComputeBudgetExhaustion();
+      await this.testComputeTopology();
+      await this.testDefineLayer();
+      await this.testAssignNodesToLayer();
+      await this.testDefineInterLayerSemantics();
+      await this.testEvaluateLayers();
+      await this.testRegisterResearcher();
+      await this.testAttributeNode();
+      await this.testRecommendEvaluators();
+      await this.testSubmitConfidenceJudgment();
+      await this.testBuildConsensus();
+      await this.testSaveGraph();
+      await this.testListSavedGraphs();
+      await this.testLoadGraph();
+      await this.testDeleteSavedGraph();
+      await this.testListGraphs();
+      await this.testSwitchGraph();
+      await this.testRenameGraph();
+      await this.testRevisionLog();
+      await this.testUndo();
+      await this.testRedo();
+      await this.testViewGraphAsOf();
+      await this.testForkGraph();
+      await this.testCompareBranches();
+      await this.testDiffGraphs();
+      await this.testMergeGraphs();
+      await this.testRepeatedMergeIsIdempotent();
+      await this.testFailedEditIsRolledBack();
+      await this.testSummaryAfterBudgetExhaustion();
       await this.testGraphSummary();
       
     } catch (error) {